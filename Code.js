@@ -68,6 +68,7 @@
  * - HELPDESK_EMAIL: Email for approved request notifications
  * - IT_REVIEWER_EMAIL: Central IT review email (optional)
  * - BACKUP_FOLDER_ID: (Optional) Specific Google Drive folder ID for backups. If not set, a folder named 'ApprovalSystem_Backups' will be used/created.
+ * - ATTACHMENTS_FOLDER_ID: (Optional) Google Drive folder ID for request attachments. If not set, a folder named 'ApprovalSystem_Attachments' will be used/created.
  *
  * ================================================================================
  */
@@ -825,15 +826,66 @@ const SPREADSHEET_ID = SCRIPT_PROPERTIES.getProperty("SPREADSHEET_ID");
 const HELPDESK_EMAIL = SCRIPT_PROPERTIES.getProperty("HELPDESK_EMAIL"); // Email for Helpdesk tickets
 const IT_REVIEWER_EMAIL = SCRIPT_PROPERTIES.getProperty("IT_REVIEWER_EMAIL"); // Central email for IT review
 const BACKUP_FOLDER_ID = SCRIPT_PROPERTIES.getProperty("BACKUP_FOLDER_ID"); // Optional: Specific folder ID for backups
+const ATTACHMENTS_FOLDER_ID = SCRIPT_PROPERTIES.getProperty(
+  "ATTACHMENTS_FOLDER_ID"
+); // Optional: Drive folder holding one folder of attachments per request
 const REQUESTS_SHEET_NAME = "Requests";
 const DEPARTMENTS_DATA_SHEET_NAME = "Departments";
 const APPROVERS_SHEET_NAME = "Approvers";
 const IT_REVIEWERS_SHEET_NAME = "ITReviewers";
+const WORKFLOWS_SHEET_NAME = "Workflows"; // Optional: custom approval chains per form
+const DELEGATIONS_SHEET_NAME = "Delegations"; // Created on first use: out-of-office substitutes
+const USER_PREFERENCES_SHEET_NAME = "UserPreferences"; // Created on first use: per-user JSON preferences
+const DRAFTS_SHEET_NAME = "Drafts"; // Created on first use: unsent form contents per user and form
+const LOANS_SHEET_NAME = "Loans"; // Created on first use: FM-099 equipment loan register
+const ASSETS_SHEET_NAME = "Assets"; // Created on first use: asset ledger fed by FM-100, FM-101 and FM-003
+const MAX_ASSET_SEARCH_RESULTS = 200;
+const ALL_REQUESTS_PAGE_SIZE = 50; // Rows per page in the admin All requests view
+const ACCESS_REVIEWS_SHEET_NAME = "AccessReviews"; // Created on first use: quarterly access review decisions
+const COMMENTS_SHEET_NAME = "Comments"; // Created on first use: comment threads on requests
 const POSITIONS_SHEET_NAME = "Positions";
 const COMPANY_NAME = "Ocean Life Insurance"; // Company name for email footer
 
 // --- WORKFLOW CONFIGURATION ---
+// Defaults only: the live values are read through SettingsService, which lets
+// admins override them from the Settings view (stored in Script Properties).
 const FORMS_REQUIRING_IT_REVIEW = ["010", "011", "012", "009", "014", "026"];
+const FORMS_REQUIRING_SUB_DEPT = ["011", "012", "009", "014", "026"];
+// Used when no SLA rule matches a form/step (two and five working days).
+const DEFAULT_SLA_RULE = { reminderHours: 16, escalationHours: 40 };
+
+// --- SLA CONFIGURATION ---
+// Working time counted by SLA timers, in the script's time zone (Mon-Fri 09:00-17:00).
+const BUSINESS_HOURS = { startHour: 9, endHour: 17, workDays: [1, 2, 3, 4, 5] };
+const DIGEST_HOUR = 8; // Hour of day the daily digest trigger runs
+const SLA_SYSTEM_ACTOR = "System"; // approverEmail on history entries written by the SLA trigger
+
+// --- ACCESS EXPIRY CONFIGURATION ---
+const EXPIRY_CHECK_HOUR = 7; // Hour of day the access expiry trigger runs
+const EXPIRY_REMINDER_DAYS = 7; // Days before time-limited access ends that reminders are sent
+const LOAN_REMINDER_INTERVAL_DAYS = 3; // Days between reminders while a loan is overdue
+
+// --- ATTACHMENT CONFIGURATION ---
+const MAX_ATTACHMENTS = 5; // Files per request
+const MAX_ATTACHMENT_BYTES = 10 * 1024 * 1024; // Per file; uploads travel base64-encoded through google.script.run
+const ATTACHMENT_EXTENSIONS = [
+  "pdf",
+  "png",
+  "jpg",
+  "jpeg",
+  "gif",
+  "doc",
+  "docx",
+  "xls",
+  "xlsx",
+  "ppt",
+  "pptx",
+  "vsd",
+  "vsdx",
+  "txt",
+  "csv",
+  "zip",
+];
 
 // --- COLUMN NAME CONSTANTS ---
 const COLUMN = {
@@ -850,6 +902,9 @@ const COLUMN = {
   HISTORY: "approvalHistory",
   DETAILS: "details",
   IT_REVIEW_DETAILS: "itReviewDetails",
+  FULFILLMENT: "fulfillment", // Added on first use: helpdesk progress after approval (JSON)
+  EXPIRY: "expiry", // Added on first use: reminder and removal state of time-limited access (JSON)
+  ATTACHMENTS: "attachments", // Added on first use: Drive folder and files attached on submission (JSON)
 
   // Approvers Sheet
   APPROVER_NAME: "ApproverName",
@@ -860,11 +915,32 @@ const COLUMN = {
   APPROVER_DIVISION: "division",
 };
 
+// How a workflow step with several approvers is completed.
+const APPROVAL_MODE = {
+  ANY: "any", // The first approval moves the request on
+  ALL: "all", // Every approver must approve; each approval is recorded as it arrives
+};
+
+// Helpdesk progress on an approved request, kept in the fulfillment column
+// rather than the status so 'Approved' keeps its meaning everywhere else.
+const FULFILLMENT_STATUS = {
+  ASSIGNED: "Assigned",
+  IN_PROGRESS: "In Progress",
+  COMPLETED: "Completed",
+  FAILED: "Failed",
+};
+
 const STATUS = {
   PENDING: "Pending",
   APPROVED: "Approved",
   REJECTED: "Rejected",
   FORWARDED: "Forwarded",
+  NEEDS_INFO: "Needs Info", // Returned to the requester with a question
+  RESUBMITTED: "Resubmitted", // History action only: requester answered a Needs Info
+  CANCELLED: "Cancelled", // Withdrawn by the requester
+  REMINDER_SENT: "Reminder Sent", // History action only: SLA reminder to the approver
+  ESCALATED: "Escalated", // History action only: SLA escalation to the next level
+  REASSIGNED: "Reassigned", // History action only: an admin moved the request to another approver
   PENDING_IT: "Pending IT", // Kept for backward compatibility if needed
   PENDING_IT_REVIEWER: "Pending IT Reviewer",
   PENDING_IT_MANAGER: "Pending IT Manager",
@@ -890,6 +966,117 @@ const VP_DIVISIONS_CACHE_KEY_PREFIX = "vp_divisions_";
 const SUB_DEPARTMENTS_CACHE_KEY = "sub_departments_map_v1";
 const DEPT_TO_DIVISION_MAP_CACHE_KEY = "dept_to_division_map_v1";
 const IT_REVIEWER_MAP_CACHE_KEY = "it_reviewer_map_v1";
+const WORKFLOW_DEFINITIONS_CACHE_KEY = "workflow_definitions_v1";
+const SETTINGS_CACHE_KEY = "app_settings_v1";
+const DELEGATIONS_CACHE_KEY = "delegations_v1";
+const USER_PREFERENCES_CACHE_KEY = "user_preferences_v1";
+
+// ================================================================================
+// SETTINGS SERVICE
+// ================================================================================
+//
+// Single source for admin-configurable form settings. Values come from Script
+// Properties (falling back to the defaults above) and are cached; call
+// SettingsService.invalidate() after any property is changed.
+//
+
+class SettingsService {
+  /**
+   * Gets all form settings, from cache when available.
+   * @returns {{itReviewForms: string[], disabledForms: string[], subDeptRequiredForms: string[], slaRules: Object[]}}
+   */
+  static getAll() {
+    return getCachedData(SETTINGS_CACHE_KEY, () => ({
+      itReviewForms: SettingsService._readList(
+        "FORMS_REQUIRING_IT_REVIEW",
+        FORMS_REQUIRING_IT_REVIEW
+      ),
+      disabledForms: SettingsService._readList("DISABLED_FORMS", []),
+      subDeptRequiredForms: SettingsService._readList(
+        "FORMS_REQUIRING_SUB_DEPT",
+        FORMS_REQUIRING_SUB_DEPT
+      ),
+      slaRules: SettingsService._readList("SLA_RULES", []),
+    }));
+  }
+
+  /**
+   * @returns {string[]} Form IDs that go through the review workflow after the department approver.
+   */
+  static getItReviewForms() {
+    return SettingsService.getAll().itReviewForms;
+  }
+
+  /**
+   * @returns {string[]} Form IDs that are hidden from the main menu and rejected on submit.
+   */
+  static getDisabledForms() {
+    return SettingsService.getAll().disabledForms;
+  }
+
+  /**
+   * @returns {string[]} Form IDs that require a sub-department.
+   */
+  static getSubDeptRequiredForms() {
+    return SettingsService.getAll().subDeptRequiredForms;
+  }
+
+  /**
+   * Resolves the SLA thresholds for a request. A rule for the form and status
+   * beats a rule for the whole form, which beats a rule with no form ID. A blank
+   * threshold uses DEFAULT_SLA_RULE; 0 turns that reminder or escalation off.
+   * @param {string} formId The form ID (e.g., '026').
+   * @param {string} status The request's current status (its workflow step).
+   * @returns {{reminderHours: number, escalationHours: number}} The thresholds, in business hours.
+   */
+  static getSlaRule(formId, status) {
+    const rules = SettingsService.getAll().slaRules;
+    const rule =
+      rules.find((r) => r.formId === formId && r.statusLabel === status) ||
+      rules.find((r) => r.formId === formId && !r.statusLabel) ||
+      rules.find((r) => !r.formId && !r.statusLabel) ||
+      {};
+    const hoursOrDefault = (value, fallback) =>
+      value === null || value === undefined || value === ""
+        ? fallback
+        : Number(value);
+    return {
+      reminderHours: hoursOrDefault(
+        rule.reminderHours,
+        DEFAULT_SLA_RULE.reminderHours
+      ),
+      escalationHours: hoursOrDefault(
+        rule.escalationHours,
+        DEFAULT_SLA_RULE.escalationHours
+      ),
+    };
+  }
+
+  /**
+   * Clears the cached settings so the next read picks up new property values.
+   */
+  static invalidate() {
+    Cache.remove(SETTINGS_CACHE_KEY);
+  }
+
+  /**
+   * PRIVATE: Reads a JSON array property, returning the default if missing or malformed.
+   * @param {string} propertyName The Script Property name.
+   * @param {string[]} defaultValue The value to use when the property is not set.
+   * @returns {string[]} The parsed list.
+   */
+  static _readList(propertyName, defaultValue) {
+    const json = SCRIPT_PROPERTIES.getProperty(propertyName);
+    if (!json) return defaultValue;
+    try {
+      const value = JSON.parse(json);
+      return Array.isArray(value) ? value : defaultValue;
+    } catch (e) {
+      console.warn(`Script Property ${propertyName} is not valid JSON.`);
+      return defaultValue;
+    }
+  }
+}
 
 // ================================================================================
 // OPTIMIZED SHEET OPERATIONS
@@ -1053,6 +1240,15 @@ function isUserAdmin() {
   }
 }
 
+/**
+ * Checks if the current user works the helpdesk fulfillment queue.
+ * Admins have helpdesk access as well.
+ * @returns {boolean} True if the user's role is Helpdesk or Admin.
+ */
+function isUserHelpdesk() {
+  return ["Helpdesk", "Admin"].includes(getUserRole());
+}
+
 /**
  * Gets the active user's email address.
  * @returns {string} The email address of the active user.
@@ -1096,6 +1292,9 @@ function getUserRole() {
         if (role === "admin") {
           return "Admin";
         }
+        if (role === "helpdesk") {
+          return "Helpdesk";
+        }
       }
       // If found but role is not 'Admin' or role column doesn't exist, they are an 'Approver'.
       return "Approver";
@@ -1116,18 +1315,26 @@ function getUserInitialData() {
   const userEmail = getUserEmail();
   const role = getUserRole(); // This already uses cache via _getApproversData
   const navCounts = _getNavCounts(userEmail);
-  // Define IT review forms in one central place
-  const disabledFormsJson =
-    SCRIPT_PROPERTIES.getProperty("DISABLED_FORMS") || "[]";
+  const settings = SettingsService.getAll();
 
   return {
     email: userEmail,
     role: role,
     isAdmin: role === "Admin",
-    itReviewForms: FORMS_REQUIRING_IT_REVIEW, // Pass this to the client
+    isHelpdesk: role === "Helpdesk" || role === "Admin",
+    itReviewForms: settings.itReviewForms, // Pass this to the client
+    pendingStatuses: _getPendingStatuses(),
     myRequestsCount: navCounts.myRequests,
     approvalsCount: navCounts.approvals,
-    disabledForms: JSON.parse(disabledFormsJson),
+    hasAccessReview: _hasOpenAccessReview(userEmail),
+    disabledForms: settings.disabledForms,
+    subDeptRequiredForms: settings.subDeptRequiredForms,
+    formSchemas: FORM_SCHEMAS,
+    attachmentLimits: {
+      maxFiles: MAX_ATTACHMENTS,
+      maxBytes: MAX_ATTACHMENT_BYTES,
+      extensions: ATTACHMENT_EXTENSIONS,
+    },
   };
 }
 
@@ -1159,29 +1366,24 @@ function _getNavCounts(userEmail) {
   }
 
   const userEmailLower = userEmail.trim().toLowerCase();
+  const pendingStatuses = _getPendingStatuses();
+  const delegators = _getActiveDelegators(userEmailLower);
   let myRequestsCount = 0;
   let approvalsCount = 0;
 
   for (const row of data) {
+    // Withdrawn requests need no attention, so they are left out of the badge.
     if (
       row[requesterEmailIndex] &&
       row[requesterEmailIndex].toString().trim().toLowerCase() ===
-        userEmailLower
+        userEmailLower &&
+      row[statusIndex] !== STATUS.CANCELLED
     ) {
       myRequestsCount++;
     }
-    const pendingStatuses = [
-      STATUS.PENDING,
-      STATUS.PENDING_IT,
-      STATUS.PENDING_IT_REVIEWER,
-      STATUS.PENDING_IT_MANAGER,
-      STATUS.PENDING_IT_DIRECTOR,
-    ];
     if (
       pendingStatuses.includes(row[statusIndex]) &&
-      row[currentApproverIndex] &&
-      row[currentApproverIndex].toString().trim().toLowerCase() ===
-        userEmailLower
+      _getActingApprover(row[currentApproverIndex], userEmailLower, delegators)
     ) {
       approvalsCount++;
     }
@@ -1193,19 +1395,20 @@ function _getNavCounts(userEmail) {
  * Fetches all requests submitted by the current user.
  * @param {number} page The page number to retrieve (1-based).
  * @param {number} pageSize The number of items per page.
- * @returns {Object} An object containing the paginated requests and total count.
+ * @returns {Object} An object containing the paginated requests, the total count
+ *   and the count of requests that are not cancelled.
  */
 function getMyRequests(page = 1, pageSize = 20) {
   try {
     const userEmail = getUserEmail();
-    if (!userEmail) return { requests: [], total: 0 };
+    if (!userEmail) return { requests: [], total: 0, activeTotal: 0 };
 
     // Use optimized data fetching with pre-filtering
     const requestsData = getRequestsDataOptimized({ userEmail });
     const { headers, rows, totalRows } = requestsData;
 
     if (!headers.length || !rows.length) {
-      return { requests: [], total: 0 };
+      return { requests: [], total: 0, activeTotal: 0 };
     }
 
     // Sort by timestamp (most recent first)
@@ -1222,7 +1425,13 @@ function getMyRequests(page = 1, pageSize = 20) {
 
     const requests = paginatedRows.map((row) => _rowToObject(row, headers));
 
-    return { requests: requests, total: totalRows };
+    // The nav badge leaves out cancelled requests, counted over every page.
+    const statusIndex = headers.indexOf(COLUMN.STATUS);
+    const activeTotal = rows.filter(
+      (row) => row[statusIndex] !== STATUS.CANCELLED
+    ).length;
+
+    return { requests: requests, total: totalRows, activeTotal: activeTotal };
   } catch (e) {
     console.error(`Error in getMyRequests: ${e.message}`);
     return {
@@ -1277,65 +1486,7 @@ function getApprovals() {
     if (data.length <= 1) return [];
 
     const headers = data.shift();
-    const deptHeaderIndex = headers.indexOf(COLUMN.DEPARTMENT);
-    // Ensure all required headers exist
-    [COLUMN.CURRENT_APPROVER, COLUMN.STATUS, COLUMN.HISTORY].forEach((h) => {
-      if (headers.indexOf(h) === -1)
-        throw new Error(`Column '${h}' not found.`);
-    });
-
-    const userEmailLower = userEmail.trim().toLowerCase();
-    const vpDivisions = _getUserVpDivisions(userEmailLower);
-    const deptToDivisionMap =
-      vpDivisions.length > 0 ? _getDepartmentToDivisionMap() : {};
-    const requests = data
-      .map((row) => _rowToObject(row, headers))
-      .filter((rowObject) => {
-        const pendingStatuses = [
-          STATUS.PENDING,
-          STATUS.PENDING_IT,
-          STATUS.PENDING_IT_REVIEWER,
-          STATUS.PENDING_IT_MANAGER,
-          STATUS.PENDING_IT_DIRECTOR,
-        ];
-        const isPendingApprover =
-          rowObject[COLUMN.CURRENT_APPROVER] &&
-          rowObject[COLUMN.CURRENT_APPROVER].toString().trim().toLowerCase() ===
-            userEmailLower &&
-          pendingStatuses.includes(rowObject[COLUMN.STATUS]);
-
-        let history = [];
-        try {
-          if (rowObject[COLUMN.HISTORY])
-            history = JSON.parse(rowObject[COLUMN.HISTORY]);
-        } catch (e) {
-          /* ignore malformed JSON */
-        }
-
-        const hasActioned = history.some(
-          (h) =>
-            h[COLUMN.APPROVER_EMAIL.toLowerCase()] &&
-            h[COLUMN.APPROVER_EMAIL.toLowerCase()]
-              .toString()
-              .trim()
-              .toLowerCase() === userEmailLower
-        );
-
-        // VP Logic: Check if user is a VP for this request's division and the request is pending
-        let isVpForRequest = false;
-        if (
-          vpDivisions.length > 0 &&
-          rowObject[COLUMN.STATUS] === STATUS.PENDING
-        ) {
-          const requestDivision =
-            deptToDivisionMap[rowObject[COLUMN.DEPARTMENT]];
-          isVpForRequest = vpDivisions.includes(requestDivision);
-        }
-        return isPendingApprover || hasActioned || isVpForRequest;
-      });
-    return requests.sort(
-      (a, b) => new Date(b[COLUMN.TIMESTAMP]) - new Date(a[COLUMN.TIMESTAMP])
-    );
+    return _selectApprovalsForUser(data, headers, userEmail);
   } catch (e) {
     console.error(`Error in getApprovals: ${e.message}`);
     return {
@@ -1346,6 +1497,95 @@ function getApprovals() {
   }
 }
 
+/**
+ * PRIVATE: Picks the requests shown in a user's Approvals list: those assigned
+ * to them (or to someone they cover for), those they have acted on, and pending
+ * requests in divisions they are VP of. Shared by getApprovals and the daily digest.
+ * @param {Array<Array>} data The Requests sheet rows, without the header row.
+ * @param {Array<string>} headers The header row.
+ * @param {string} userEmail The user's email.
+ * @returns {Object[]} The matching request objects, newest first.
+ */
+function _selectApprovalsForUser(data, headers, userEmail) {
+  // Ensure all required headers exist
+  [COLUMN.CURRENT_APPROVER, COLUMN.STATUS, COLUMN.HISTORY].forEach((h) => {
+    if (headers.indexOf(h) === -1) throw new Error(`Column '${h}' not found.`);
+  });
+
+  const userEmailLower = userEmail.trim().toLowerCase();
+  const vpDivisions = _getUserVpDivisions(userEmailLower);
+  const deptToDivisionMap =
+    vpDivisions.length > 0 ? _getDepartmentToDivisionMap() : {};
+  const pendingStatuses = _getPendingStatuses();
+  const delegators = _getActiveDelegators(userEmailLower);
+  const requests = data
+    .map((row) => _rowToObject(row, headers))
+    .filter((rowObject) => {
+      const actingApprover = _getActingApprover(
+        rowObject[COLUMN.CURRENT_APPROVER],
+        userEmailLower,
+        delegators
+      );
+      if (actingApprover && actingApprover !== userEmailLower) {
+        rowObject.delegatedFrom = actingApprover; // Shown as "on behalf of" in the UI
+      }
+
+      // Requests returned for info or cancelled stay assigned, so the
+      // approver keeps sight of them.
+      const isPendingApprover =
+        !!actingApprover &&
+        (pendingStatuses.includes(rowObject[COLUMN.STATUS]) ||
+          rowObject[COLUMN.STATUS] === STATUS.NEEDS_INFO ||
+          rowObject[COLUMN.STATUS] === STATUS.CANCELLED);
+
+      let history = [];
+      try {
+        if (rowObject[COLUMN.HISTORY])
+          history = JSON.parse(rowObject[COLUMN.HISTORY]);
+      } catch (e) {
+        /* ignore malformed JSON */
+      }
+
+      const hasActioned = _hasActionedRequest(history, userEmailLower);
+
+      // VP Logic: Check if user is a VP for this request's division and the request is pending
+      let isVpForRequest = false;
+      if (
+        vpDivisions.length > 0 &&
+        rowObject[COLUMN.STATUS] === STATUS.PENDING
+      ) {
+        const requestDivision = deptToDivisionMap[rowObject[COLUMN.DEPARTMENT]];
+        isVpForRequest = vpDivisions.includes(requestDivision);
+      }
+      return isPendingApprover || hasActioned || isVpForRequest;
+    });
+  return requests.sort(
+    (a, b) => new Date(b[COLUMN.TIMESTAMP]) - new Date(a[COLUMN.TIMESTAMP])
+  );
+}
+
+/**
+ * PRIVATE: Checks whether a user has acted on a request as an approver.
+ * Entries written by the requester (resubmitting or cancelling) or by an admin
+ * reassigning the request do not count.
+ * @param {Array<Object>} history The parsed approval history.
+ * @param {string} userEmailLower The user's email, lowercased.
+ * @returns {boolean} True if the user appears in the history as an approver.
+ */
+function _hasActionedRequest(history, userEmailLower) {
+  const nonApproverActions = [
+    STATUS.RESUBMITTED,
+    STATUS.CANCELLED,
+    STATUS.REASSIGNED,
+  ];
+  return history.some(
+    (h) =>
+      h.approverEmail &&
+      !nonApproverActions.includes(h.action) &&
+      h.approverEmail.toString().trim().toLowerCase() === userEmailLower
+  );
+}
+
 /**
  * PRIVATE: Converts a sheet data row (array) into an object using headers.
  * @param {Array} row The data row from the sheet.
@@ -1407,6 +1647,13 @@ function getRequestById(requestId) {
       };
     }
 
+    request.stepProgress = _getStepProgress(request);
+    request.accessExpiry = _describeAccessExpiry(request);
+    request.attachments = _parseAttachments(request).files;
+    request.comments = _getCommentThreads(requestId);
+    if (_getFormIdFromType(request[COLUMN.FORM_TYPE]) === "099") {
+      request.loan = _getLoanForRequest(requestId);
+    }
     return request;
   } catch (e) {
     console.error(`Error in getRequestById: ${e.message}`);
@@ -1438,25 +1685,28 @@ function getRequestByIdForApprover(requestId) {
         history = JSON.parse(request[COLUMN.HISTORY]);
     } catch (e) {}
 
-    // Check if user is either current approver or has already approved/rejected this request
-    const isCurrentApprover =
-      request[COLUMN.CURRENT_APPROVER] &&
-      request[COLUMN.CURRENT_APPROVER].toString().trim().toLowerCase() ===
-        userEmailLower;
-    const isHistoricalApprover = history.some(
-      (h) =>
-        h[COLUMN.APPROVER_EMAIL.toLowerCase()] &&
-        h[COLUMN.APPROVER_EMAIL.toLowerCase()]
-          .toString()
-          .trim()
-          .toLowerCase() === userEmailLower
+    // Check if user is the current approver (or covering for them) or has already approved/rejected this request
+    const actingApprover = _getActingApprover(
+      request[COLUMN.CURRENT_APPROVER],
+      userEmailLower,
+      _getActiveDelegators(userEmailLower)
     );
+    const isHistoricalApprover = _hasActionedRequest(history, userEmailLower);
 
-    if (!isCurrentApprover && !isHistoricalApprover) {
+    if (!actingApprover && !isHistoricalApprover) {
       console.error(`User ${userEmail} is not authorized to view this request`);
       return null;
     }
 
+    if (actingApprover && actingApprover !== userEmailLower) {
+      request.delegatedFrom = actingApprover;
+    }
+    request.stepProgress = _getStepProgress(request);
+    request.attachments = _parseAttachments(request).files;
+    request.comments = _getCommentThreads(requestId);
+    if (_getFormIdFromType(request[COLUMN.FORM_TYPE]) === "011") {
+      request.firewallConflicts = _findFirewallRuleConflicts(request);
+    }
     return request;
   } catch (e) {
     console.error(`Error in getRequestByIdForApprover: ${e.message}`);
@@ -1633,1359 +1883,2576 @@ function _findInitialApproverRow(department, subDepartment) {
 }
 
 // ================================================================================
-// INPUT VALIDATION & SECURITY
+// FORM SCHEMAS
 // ================================================================================
 //
-// Comprehensive validation functions to ensure data integrity and prevent security issues.
-// Includes XSS protection, format validation, and business rule enforcement.
+// Declarative (JSON-compatible) definitions of the ISMS forms. One definition
+// drives the input form and the detail view on the client, the PDF section and
+// the server-side checks in validateRequestDetails. The stored details keep the
+// shape each form has always had, so existing requests render unchanged.
+//
+// Format:
+//   sections: [{
+//     titleKey,        // Translation key of the section title
+//     key,             // Optional: makes the section a repeatable row group, stored as details[key]
+//     addRowKey,       // Row groups: translation key of the add-row button
+//     minRows,         // Row groups: rows required on submit (default 1)
+//     columns,         // Optional: grid columns of the input form (default: one per field, max 4)
+//     noteTitleKey,    // Optional: translation keys of a note shown under the
+//     noteKey,         //   section's fields on the input form
+//     fields: [{
+//       name,          // Property name in details (or in each row); "group.name" nests it in details.group
+//       type,          // 'text' | 'textarea' | 'date' | 'number' | 'tel' | 'select' | 'radio'
+//                      // | 'checkbox' (a true/false flag) | 'checkboxes' (an array of the checked values)
+//       labelKey,      // Translation key of the label
+//       required,      // Optional: must not be empty; a required checkbox must be ticked
+//       placeholderKey,// Optional: translation key of the placeholder ('select': of the empty option)
+//       options,       // 'select', 'radio', 'checkboxes': the allowed values, as strings or {value, labelKey}
+//       optionsFrom,   // 'select' only, instead of options: 'positions' or 'departments' (admin-managed lists)
+//       otherOption,   // 'checkboxes' only: adds "Other" with a text input, stored as "Other: <text>"
+//       default,       // Optional: the initial value, also stored when a radio is left unselected
+//       showWhen,      // Optional: {field, value}; the field is only shown, stored and checked
+//                      //   while an earlier field of the same section or row has that value
+//       format,        // Optional: 'ipList' or 'portList' (comma-separated addresses or ports)
+//       notBefore,     // 'date' only: name of the date field this one may not precede
+//       fullWidth,     // Optional: spans the whole row
+//     }],
+//   }]
 //
 
+const FORM_SCHEMAS = {
+  "003": {
+    sections: [
+      {
+        titleKey: "formSectionBMedia",
+        key: "media",
+        addRowKey: "btnAddMedia",
+        fields: [
+          {
+            name: "mediaType",
+            type: "text",
+            labelKey: "tableMediaType",
+            required: true,
+          },
+          { name: "serialNumber", type: "text", labelKey: "tableSerialNumber" },
+          {
+            name: "description",
+            type: "text",
+            labelKey: "tableMediaDescription",
+          },
+          {
+            name: "disposalMethod",
+            type: "text",
+            labelKey: "tableDisposalMethod",
+            required: true,
+          },
+        ],
+      },
+    ],
+  },
+  "009": {
+    sections: [
+      {
+        titleKey: "formServiceRequestDetails",
+        fields: [
+          {
+            name: "requestType",
+            type: "radio",
+            labelKey: "formRequestType",
+            required: true,
+            default: "N/A",
+            options: [
+              { value: "Add", labelKey: "formAddPermission" },
+              { value: "Change", labelKey: "formChangePermission" },
+              { value: "Cancel", labelKey: "formCancelPermission" },
+            ],
+          },
+          {
+            name: "userType",
+            type: "radio",
+            labelKey: "formUserType",
+            required: true,
+            default: "N/A",
+            options: [
+              { value: "Staff", labelKey: "formUserTypeStaff" },
+              { value: "Outsource", labelKey: "formUserTypeOutsource" },
+              { value: "Vendor", labelKey: "formUserTypeVendor" },
+            ],
+          },
+        ],
+      },
+      {
+        titleKey: "formSystemAccessDetails",
+        key: "applications",
+        addRowKey: "btnAddApplication",
+        fields: [
+          {
+            name: "appName",
+            type: "text",
+            labelKey: "formAppName",
+            required: true,
+          },
+          {
+            name: "usageDetails",
+            type: "textarea",
+            labelKey: "formUsageDetails",
+          },
+          {
+            name: "permissionLevel",
+            type: "text",
+            labelKey: "formPermissionLevel",
+          },
+          {
+            name: "effectiveDate",
+            type: "date",
+            labelKey: "formEffectiveDate",
+          },
+        ],
+      },
+    ],
+  },
+  "010": {
+    sections: [
+      {
+        titleKey: "formSectionB",
+        key: "servers",
+        addRowKey: "btnAddServer",
+        fields: [
+          {
+            name: "serverName",
+            type: "text",
+            labelKey: "tableServerName",
+            required: true,
+          },
+          {
+            name: "ipAddress",
+            type: "text",
+            labelKey: "tableIpAddress",
+            format: "ipList",
+          },
+          {
+            name: "connection",
+            type: "checkboxes",
+            labelKey: "tableConnection",
+            options: ["RDP", "SSH"],
+            otherOption: true,
+          },
+          {
+            name: "permission",
+            type: "checkboxes",
+            labelKey: "tablePermission",
+            options: ["User", "Admin"],
+            otherOption: true,
+          },
+        ],
+      },
+    ],
+  },
+  "011": {
+    sections: [
+      {
+        titleKey: "formObjectiveLabel",
+        fields: [
+          {
+            name: "objective",
+            type: "textarea",
+            labelKey: "formObjective",
+            required: true,
+            placeholderKey: "formPlaceholderObjective",
+            fullWidth: true,
+          },
+        ],
+      },
+      {
+        titleKey: "formSectionC",
+        fields: [
+          {
+            name: "requestType",
+            type: "radio",
+            labelKey: "formRequestType",
+            required: true,
+            default: "N/A",
+            options: [
+              { value: "add", labelKey: "formAddPermission" },
+              { value: "change", labelKey: "formChangePermission" },
+              { value: "remove", labelKey: "formRemovePermission" },
+            ],
+          },
+        ],
+      },
+      {
+        titleKey: "formSectionG",
+        key: "rules",
+        addRowKey: "btnAddRule",
+        fields: [
+          {
+            name: "sourceIp",
+            type: "text",
+            labelKey: "tableSourceIp",
+            required: true,
+            placeholderKey: "formPlaceholderIp",
+            format: "ipList",
+          },
+          {
+            name: "destIp",
+            type: "text",
+            labelKey: "tableDestIp",
+            required: true,
+            placeholderKey: "formPlaceholderIp",
+            format: "ipList",
+          },
+          {
+            name: "port",
+            type: "text",
+            labelKey: "tablePort",
+            required: true,
+            placeholderKey: "formPlaceholderPort",
+            format: "portList",
+          },
+          {
+            name: "action",
+            type: "select",
+            labelKey: "tableAction",
+            default: "Allow",
+            options: [
+              { value: "Allow", labelKey: "formActionAllow" },
+              { value: "Deny", labelKey: "formActionDeny" },
+            ],
+          },
+        ],
+      },
+    ],
+  },
+  "012": {
+    sections: [
+      {
+        titleKey: "formSectionBSoftware",
+        key: "software",
+        addRowKey: "btnAddSoftware",
+        fields: [
+          {
+            name: "softwareName",
+            type: "text",
+            labelKey: "tableSoftwareName",
+            required: true,
+          },
+          {
+            name: "version",
+            type: "text",
+            labelKey: "tableVersion",
+            placeholderKey: "formPlaceholderSoftwareVersion",
+          },
+          {
+            name: "reason",
+            type: "textarea",
+            labelKey: "tableReason",
+            required: true,
+            placeholderKey: "formPlaceholderReason",
+            fullWidth: true,
+          },
+        ],
+      },
+    ],
+  },
+  "013": {
+    sections: [
+      {
+        titleKey: "formDetails",
+        columns: 2,
+        fields: [
+          {
+            name: "objective",
+            type: "textarea",
+            labelKey: "formObjective",
+            required: true,
+            placeholderKey: "formPlaceholderObjective",
+            fullWidth: true,
+          },
+          {
+            name: "duration",
+            type: "radio",
+            labelKey: "formAccessDuration",
+            default: "Permanent",
+            options: [
+              { value: "Permanent", labelKey: "formDurationPermanent" },
+              { value: "Temporary", labelKey: "formDurationTemporary" },
+            ],
+          },
+          {
+            name: "endDate",
+            type: "date",
+            labelKey: "formEndDate",
+            required: true,
+            showWhen: { field: "duration", value: "Temporary" },
+          },
+          {
+            name: "acknowledged",
+            type: "checkbox",
+            labelKey: "formAcknowledgement",
+            required: true,
+            fullWidth: true,
+          },
+        ],
+      },
+    ],
+  },
+  "014": {
+    sections: [
+      {
+        titleKey: "formObjectiveLabel",
+        fields: [
+          {
+            name: "objective",
+            type: "textarea",
+            labelKey: "formObjective",
+            required: true,
+            placeholderKey: "formPlaceholderObjective",
+            fullWidth: true,
+          },
+        ],
+      },
+      {
+        titleKey: "formUserDetails",
+        key: "users",
+        addRowKey: "btnAddUser",
+        fields: [
+          {
+            name: "name",
+            type: "text",
+            labelKey: "formRequesterName",
+            required: true,
+          },
+          { name: "position", type: "text", labelKey: "formPosition" },
+          { name: "internet", type: "checkbox", labelKey: "formInternet" },
+          { name: "intranet", type: "checkbox", labelKey: "formIntranet" },
+          { name: "notes", type: "text", labelKey: "detailNotes" },
+        ],
+      },
+    ],
+  },
+  "025": {
+    sections: [
+      {
+        titleKey: "formNewEmployeeDetails",
+        columns: 2,
+        fields: [
+          {
+            name: "newEmployeeNameTh",
+            type: "text",
+            labelKey: "formNewEmployeeNameTh",
+            required: true,
+          },
+          {
+            name: "newEmployeeNameEn",
+            type: "text",
+            labelKey: "formNewEmployeeNameEn",
+          },
+          {
+            name: "newEmployeeId",
+            type: "text",
+            labelKey: "formNewEmployeeId",
+          },
+          {
+            name: "newEmployeePosition",
+            type: "text",
+            labelKey: "formNewEmployeePosition",
+          },
+          {
+            name: "newEmployeeMobile",
+            type: "tel",
+            labelKey: "formNewEmployeeMobile",
+            placeholderKey: "formPlaceholderMobile",
+          },
+          {
+            name: "employeeType",
+            type: "select",
+            labelKey: "formNewEmployeeType",
+            default: "Permanent",
+            options: [
+              { value: "Permanent", labelKey: "formEmployeeTypePermanent" },
+              { value: "Contract", labelKey: "formEmployeeTypeContract" },
+              { value: "Intern", labelKey: "formEmployeeTypeIntern" },
+            ],
+          },
+          {
+            name: "sectionBranch",
+            type: "text",
+            labelKey: "formSectionBranch",
+          },
+          {
+            name: "startDate",
+            type: "date",
+            labelKey: "formStartDate",
+            required: true,
+          },
+        ],
+      },
+      {
+        titleKey: "formSectionITSetup",
+        columns: 3,
+        noteTitleKey: "formNoteTitle",
+        noteKey: "formPurchaseNotice",
+        fields: [
+          {
+            name: "itSetup.computerAccount",
+            type: "checkbox",
+            labelKey: "formComputerAccount",
+          },
+          {
+            name: "itSetup.emailAccount",
+            type: "checkbox",
+            labelKey: "formEmailAccount",
+          },
+          {
+            name: "itSetup.printerScan",
+            type: "checkbox",
+            labelKey: "formPrinterScan",
+          },
+          {
+            name: "itSetup.hardware",
+            type: "radio",
+            labelKey: "formHardware",
+            default: "None",
+            options: [
+              { value: "PC", labelKey: "formHardwarePC" },
+              { value: "Notebook", labelKey: "formHardwareNotebook" },
+              { value: "None", labelKey: "formHardwareNone" },
+            ],
+            fullWidth: true,
+          },
+        ],
+      },
+      {
+        titleKey: "formSectionAccessRights",
+        fields: [
+          {
+            name: "accessRights.wifi",
+            type: "checkbox",
+            labelKey: "formWifiAccess",
+          },
+          {
+            name: "accessRights.vpn",
+            type: "checkbox",
+            labelKey: "formVpnAccess",
+          },
+        ],
+      },
+      {
+        titleKey: "formCCTicket",
+        fields: [
+          {
+            name: "ccEmails",
+            type: "text",
+            labelKey: "formEmail",
+            placeholderKey: "formPlaceholderEmails",
+            fullWidth: true,
+          },
+        ],
+      },
+    ],
+  },
+  "026": {
+    sections: [
+      {
+        titleKey: "formUserInfo",
+        columns: 2,
+        fields: [
+          {
+            name: "userInfo.nameTh",
+            type: "text",
+            labelKey: "formNewEmployeeNameTh",
+            required: true,
+          },
+          {
+            name: "userInfo.nameEn",
+            type: "text",
+            labelKey: "formNewEmployeeNameEn",
+          },
+          { name: "userInfo.id", type: "text", labelKey: "formNewEmployeeId" },
+          {
+            name: "userInfo.position",
+            type: "text",
+            labelKey: "formNewEmployeePosition",
+          },
+          {
+            name: "requestType",
+            type: "radio",
+            labelKey: "formRequestType",
+            required: true,
+            default: "N/A",
+            options: [
+              { value: "New", labelKey: "formNewUser" },
+              { value: "Change", labelKey: "formChangePermission" },
+              { value: "Cancel", labelKey: "formCancelUser" },
+            ],
+            fullWidth: true,
+          },
+        ],
+      },
+      {
+        titleKey: "formPermissionDetails",
+        key: "permissions",
+        addRowKey: "btnAddPermission",
+        fields: [
+          {
+            name: "module",
+            type: "text",
+            labelKey: "tableModule",
+            required: true,
+          },
+          {
+            name: "transactionCode",
+            type: "text",
+            labelKey: "tableTransactionCode",
+            required: true,
+          },
+          { name: "description", type: "text", labelKey: "tableDescription" },
+          {
+            name: "action",
+            type: "radio",
+            labelKey: "tableAction",
+            required: true,
+            default: "N/A",
+            options: [
+              { value: "Add", labelKey: "actionAdd" },
+              { value: "Change", labelKey: "actionChange" },
+              { value: "Delete", labelKey: "actionDelete" },
+            ],
+          },
+        ],
+      },
+    ],
+  },
+  "099": {
+    sections: [
+      {
+        titleKey: "formDetails",
+        fields: [
+          {
+            name: "objective",
+            type: "textarea",
+            labelKey: "formObjective",
+            required: true,
+            placeholderKey: "formPlaceholderObjective",
+            fullWidth: true,
+          },
+          {
+            name: "startDate",
+            type: "date",
+            labelKey: "formStartDate",
+            required: true,
+          },
+          {
+            name: "endDate",
+            type: "date",
+            labelKey: "formEndDate",
+            required: true,
+            notBefore: "startDate",
+          },
+          {
+            name: "hardware",
+            type: "radio",
+            labelKey: "formHardware",
+            default: "Notebook",
+            options: [
+              { value: "PC", labelKey: "formHardwarePC" },
+              { value: "Notebook", labelKey: "formHardwareNotebook" },
+            ],
+          },
+          {
+            name: "requiredSoftware",
+            type: "textarea",
+            labelKey: "formRequiredSoftware",
+            placeholderKey: "formPlaceholderRequiredSoftware",
+            fullWidth: true,
+          },
+        ],
+      },
+    ],
+  },
+  100: {
+    sections: [
+      {
+        titleKey: "formSectionBRecipient",
+        columns: 2,
+        fields: [
+          {
+            name: "recipientInfo.name",
+            type: "text",
+            labelKey: "formRecipientName",
+            required: true,
+            placeholderKey: "formPlaceholderName",
+          },
+          {
+            name: "recipientInfo.position",
+            type: "select",
+            labelKey: "formRecipientPosition",
+            placeholderKey: "formSelectPosition",
+            optionsFrom: "positions",
+          },
+          {
+            name: "recipientInfo.department",
+            type: "select",
+            labelKey: "formRecipientDepartment",
+            placeholderKey: "formSelectDept",
+            optionsFrom: "departments",
+          },
+          { name: "recipientInfo.tel", type: "tel", labelKey: "formTelephone" },
+        ],
+      },
+      {
+        titleKey: "formSectionCItems",
+        key: "equipment",
+        addRowKey: "btnAddItem",
+        fields: [
+          {
+            name: "item",
+            type: "text",
+            labelKey: "tableItem",
+            required: true,
+          },
+          {
+            name: "serialNumber",
+            type: "text",
+            labelKey: "tableSerialNumber",
+          },
+          { name: "assetCode", type: "text", labelKey: "tableAssetCode" },
+          { name: "notes", type: "text", labelKey: "detailNotes" },
+        ],
+      },
+    ],
+  },
+  101: {
+    sections: [
+      {
+        titleKey: "formSectionBDisposal",
+        key: "assets",
+        addRowKey: "btnAddAsset",
+        fields: [
+          {
+            name: "assetType",
+            type: "text",
+            labelKey: "tableAssetType",
+            required: true,
+          },
+          {
+            name: "serialNumber",
+            type: "text",
+            labelKey: "tableSerialNumber",
+            required: true,
+          },
+          {
+            name: "reason",
+            type: "textarea",
+            labelKey: "tableDisposalReason",
+            required: true,
+            fullWidth: true,
+          },
+        ],
+      },
+    ],
+  },
+};
+
 /**
- * Validates request input data to ensure data integrity and security.
- * @param {Object} requestObject The request data to validate.
- * @param {Object} translations Translation object for error messages.
- * @returns {Object} Validation result with isValid boolean and message.
+ * PRIVATE: Reads a field of a details object (or row) by its schema name,
+ * following "group.name" into nested objects.
+ * @param {Object} data The details object or row.
+ * @param {string} name The field name, e.g. "userInfo.nameTh".
+ * @returns {*} The value, or undefined.
  */
-function validateRequestInput(requestObject, translations) {
-  // Required field validation
-  const requiredFields = [
-    {
-      field: COLUMN.REQUESTER_NAME,
-      message:
-        translations.msgRequesterNameRequired || "Requester name is required.",
-    },
-    {
-      field: COLUMN.FORM_TYPE,
-      message: translations.msgFormTypeRequired || "Form type is required.",
-    },
-    {
-      field: COLUMN.DEPARTMENT,
-      message: translations.msgDepartmentRequired || "Department is required.",
-    },
-    {
-      field: COLUMN.DETAILS,
-      message: translations.msgDetailsRequired || "Form details are required.",
-    },
-  ];
-
-  for (const req of requiredFields) {
-    if (
-      !requestObject[req.field] ||
-      requestObject[req.field].toString().trim() === ""
-    ) {
-      return { isValid: false, message: req.message };
-    }
-  }
-
-  // Sanitize string inputs to prevent XSS
-  const sanitizeString = (str) => {
-    if (typeof str !== "string") return str;
-    return str
-      .replace(/<script[^>]*>.*?<\/script>/gi, "")
-      .replace(/<[^>]+>/g, "")
-      .trim();
-  };
+function _getSchemaValue(data, name) {
+  return name
+    .split(".")
+    .reduce(
+      (value, key) =>
+        value && typeof value === "object" ? value[key] : undefined,
+      data
+    );
+}
 
-  // Apply sanitization
-  requestObject[COLUMN.REQUESTER_NAME] = sanitizeString(
-    requestObject[COLUMN.REQUESTER_NAME]
-  );
-  requestObject[COLUMN.DEPARTMENT] = sanitizeString(
-    requestObject[COLUMN.DEPARTMENT]
+/**
+ * PRIVATE: Checks a field's showWhen condition against its section or row.
+ * @param {Object} field The field definition.
+ * @param {Object} data The details object or row.
+ * @returns {boolean} True if the field applies.
+ */
+function _isSchemaFieldShown(field, data) {
+  return (
+    !field.showWhen ||
+    _getSchemaValue(data, field.showWhen.field) === field.showWhen.value
   );
-  requestObject[COLUMN.SUB_DEPARTMENT] = sanitizeString(
-    requestObject[COLUMN.SUB_DEPARTMENT] || ""
+}
+
+/**
+ * PRIVATE: Lists the values a field accepts: its options, plus "Other" if offered.
+ * @param {Object} field The field definition.
+ * @returns {string[]|null} The values, or null if any value is accepted.
+ */
+function _getSchemaOptionValues(field) {
+  if (!field.options) return null;
+  const values = field.options.map((opt) =>
+    typeof opt === "string" ? opt : opt.value
   );
+  if (field.otherOption) values.push("Other");
+  return values;
+}
 
-  // Validate form type format
-  const formTypePattern = /^ISMS-FM-\d{3}/;
-  if (!formTypePattern.test(requestObject[COLUMN.FORM_TYPE])) {
-    return {
-      isValid: false,
-      message: translations.msgInvalidFormType || "Invalid form type format.",
-    };
+/**
+ * PRIVATE: Checks submitted details against a form's schema.
+ * @param {Object} schema The form's entry in FORM_SCHEMAS.
+ * @param {Object} details The parsed details object.
+ * @param {Object} check A checker from _createDetailsChecker, which collects the errors.
+ */
+function _validateSchemaDetails(schema, details, check) {
+  const checkFields = (fields, data, prefix) =>
+    fields.forEach((field) => {
+      if (!_isSchemaFieldShown(field, data)) return;
+      const path = prefix + field.name;
+      // A missing value is not replaced by the field's default, so a required
+      // radio left unselected fails instead of passing as its default.
+      const value = _getSchemaValue(data, field.name);
+
+      if (field.type === "checkbox") {
+        if (field.required) check.accepted(path, value, field.labelKey);
+        return;
+      }
+      if (field.required && !check.required(path, value, field.labelKey)) {
+        return;
+      }
+      if (field.type === "date") check.date(path, value, field.labelKey);
+      if (field.type === "number") check.number(path, value, field.labelKey);
+      if (field.format) check[field.format](path, value, field.labelKey);
+      if (field.notBefore) {
+        check.dateOrder(_getSchemaValue(data, field.notBefore), path, value);
+      }
+      const allowed = _getSchemaOptionValues(field);
+      if (allowed) {
+        const values =
+          field.type === "checkboxes" ? [].concat(value || []) : [value];
+        values.forEach((item) =>
+          check.oneOf(
+            path,
+            field.otherOption
+              ? String(item).replace(/^Other:.*/s, "Other")
+              : item,
+            allowed,
+            field.labelKey
+          )
+        );
+      }
+    });
+
+  for (const section of schema.sections) {
+    if (!section.key) {
+      checkFields(section.fields, details, "");
+      continue;
+    }
+    check
+      .rows(
+        section.key,
+        details[section.key],
+        section.minRows === undefined ? 1 : section.minRows,
+        section.titleKey
+      )
+      .forEach((row, i) =>
+        checkFields(section.fields, row, `${section.key}.${i}.`)
+      );
   }
+}
 
-  // Validate requester name length
-  if (requestObject[COLUMN.REQUESTER_NAME].length > 100) {
-    return {
-      isValid: false,
-      message:
-        translations.msgRequesterNameTooLong ||
-        "Requester name is too long (max 100 characters).",
-    };
-  }
-
-  // Validate details JSON
-  try {
-    if (typeof requestObject[COLUMN.DETAILS] === "string") {
-      JSON.parse(requestObject[COLUMN.DETAILS]);
-    }
-  } catch (e) {
-    return {
-      isValid: false,
-      message:
-        translations.msgInvalidDetailsFormat || "Invalid form details format.",
-    };
-  }
-
-  // Check for required sub-department based on form type
-  const formId = requestObject[COLUMN.FORM_TYPE].match(/ISMS-FM-(\d{3})/)?.[1];
-  const formsRequiringSubDept = ["011", "012", "009", "014", "026"];
-  if (
-    formsRequiringSubDept.includes(formId) &&
-    (!requestObject[COLUMN.SUB_DEPARTMENT] ||
-      requestObject[COLUMN.SUB_DEPARTMENT].trim() === "")
-  ) {
-    return {
-      isValid: false,
-      message:
-        translations.msgSubDepartmentRequired ||
-        "Sub-department is required for this form type.",
-    };
-  }
-
-  return { isValid: true };
+/**
+ * PRIVATE: Escapes text for HTML built outside of a template.
+ * @param {*} value The value to escape.
+ * @returns {string} The escaped text.
+ */
+function _escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
 }
 
 /**
- * Submits a new request.
- * @param {Object} requestObject The request data from the form.
- * @param {string} lang The current language ('en' or 'th') for response messages.
- * @returns {Object} A success or error message.
+ * PRIVATE: Builds a PDF label in the "Thai (English)" style of the PDF templates.
+ * The English section prefix ("B: ") is dropped, and identical labels are shown once.
+ * @param {string} key The translation key.
+ * @param {Object} th The Thai translations.
+ * @param {Object} en The English translations.
+ * @returns {string} The label.
  */
-function submitRequest(requestObject, lang) {
-  const userEmail = getUserEmail();
-  Logger.info(
-    "submitRequest",
-    "Request submission started",
-    {
-      formType: requestObject[COLUMN.FORM_TYPE],
-      department: requestObject[COLUMN.DEPARTMENT],
-    },
-    userEmail
-  );
-
-  const lock = LockService.getScriptLock();
-  try {
-    // Try to get lock with 30 second timeout
-    lock.waitLock(30000);
-  } catch (e) {
-    Logger.error(
-      "submitRequest",
-      "Failed to acquire lock",
-      { error: e.message },
-      userEmail
-    );
-    return {
-      status: "error",
-      message: "System is busy, please try again in a moment.",
-    };
-  }
-
-  try {
-    // Load translations for response messages
-    const translationsJson = getTranslations(lang);
-    const translations = JSON.parse(
-      translationsJson.replace(/<pre>|<\/pre>/g, "")
-    );
+function _bilingualLabel(key, th, en) {
+  const thai = th[key] || en[key] || key;
+  const english = (en[key] || "").replace(/^[A-Z]:\s*/, "");
+  return !english || thai.endsWith(english) ? thai : `${thai} (${english})`;
+}
 
-    // Input validation
-    const validationResult = validateRequestInput(requestObject, translations);
-    if (validationResult.isValid === false) {
-      return { status: "error", message: validationResult.message };
+/**
+ * PRIVATE: Renders the PDF section of a form from its schema.
+ * @param {Object} schema The form's entry in FORM_SCHEMAS.
+ * @param {Object} details The parsed details object.
+ * @returns {string} The HTML content for the form details.
+ */
+function _renderSchemaPdfHtml(schema, details) {
+  const parse = (lang) =>
+    JSON.parse(getTranslations(lang).replace(/<pre>|<\/pre>/g, ""));
+  const th = parse("th");
+  const en = parse("en");
+  const label = (key) => _escapeHtml(_bilingualLabel(key, th, en));
+  const cell = (field, data) => {
+    const value = _getSchemaValue(data || {}, field.name);
+    if (field.type === "checkbox") {
+      return value ? `✓ ${label("formYes")}` : `✗ ${label("formNo")}`;
     }
-
-    const requestSheet =
-      SpreadsheetApp.openById(SPREADSHEET_ID).getSheetByName(
-        REQUESTS_SHEET_NAME
-      );
-    const approverRow = _findInitialApproverRow(
-      requestObject.department,
-      requestObject.subDepartment
+    const option = (field.options || []).find(
+      (opt) => typeof opt === "object" && opt.value === value
     );
+    if (option) return label(option.labelKey);
+    return _escapeHtml(
+      Array.isArray(value)
+        ? value.join(", ") || "—"
+        : value === 0
+        ? 0
+        : value || "—"
+    );
+  };
 
-    // Find approver email from the found row
-    let approverEmail = null;
-    if (approverRow) {
-      const approversData = _getApproversData(); // Headers are needed for index
-      const emailIndex = approversData.headers.findIndex(
-        (h) => h.toLowerCase() === COLUMN.APPROVER_EMAIL.toLowerCase()
-      );
-      if (emailIndex !== -1) {
-        approverEmail = approverRow[emailIndex];
+  return schema.sections
+    .map((section) => {
+      if (!section.key) {
+        const rows = section.fields
+          .filter((f) => _isSchemaFieldShown(f, details || {}))
+          .map(
+            (f, i) => `
+    <tr>
+      <th${i === 0 ? ' width="30%"' : ""}>${label(f.labelKey)}</th>
+      <td>${cell(f, details)}</td>
+    </tr>`
+          )
+          .join("");
+        return `
+<div class="section">
+  <h3 class="section-title">${label(section.titleKey)}</h3>
+  <table class="details-table">${rows}
+  </table>
+</div>`;
       }
-    }
 
-    if (!approverEmail) {
-      const errorMessage = (
-        translations.msgNoApproverFoundForDept ||
-        "No approver found for department: {department}"
-      ).replace("{department}", requestObject.department);
-      return { status: "error", message: errorMessage };
-    }
+      const items = (details && details[section.key]) || [];
+      if (!Array.isArray(items) || items.length === 0) return "";
+      const headerHtml = section.fields
+        .map((f) => `<th>${label(f.labelKey)}</th>`)
+        .join("");
+      const bodyHtml = items
+        .map(
+          (item) =>
+            `<tr>${section.fields
+              .map((f) =>
+                _isSchemaFieldShown(f, item || {})
+                  ? `<td>${cell(f, item)}</td>`
+                  : "<td>—</td>"
+              )
+              .join("")}</tr>`
+        )
+        .join("");
+      return `
+<div class="section">
+  <h3 class="section-title">${label(section.titleKey)}</h3>
+  <table class="details-table">
+    <thead><tr>${headerHtml}</tr></thead>
+    <tbody>${bodyHtml}</tbody>
+  </table>
+</div>`;
+    })
+    .join("");
+}
 
-    const formPrefix = requestObject[COLUMN.FORM_TYPE].split(" - ")[0]; // Extract ISMS-FM-XXX from formType
-    const newRequestId = `REQ-${formPrefix}-${Date.now()}`; // Create ID once to ensure consistency
-    const newRow = [
-      newRequestId, // requestId (COLUMN.REQUEST_ID)
-      requestObject[COLUMN.FORM_TYPE],
-      new Date(), // requestTimestamp (COLUMN.TIMESTAMP)
-      requestObject[COLUMN.REQUESTER_NAME],
-      getUserEmail(), // requesterEmail (COLUMN.REQUESTER_EMAIL)
-      requestObject[COLUMN.DEPARTMENT],
-      requestObject[COLUMN.SUB_DEPARTMENT] || "",
-      STATUS.PENDING, // status (COLUMN.STATUS)
-      approverEmail, // currentApproverEmail (COLUMN.CURRENT_APPROVER)
-      "[]", // approvalHistory (COLUMN.HISTORY)
-      requestObject[COLUMN.DETAILS], // details as stringified JSON
-    ];
-    requestSheet.appendRow(newRow);
+// ================================================================================
+// FORM DETAIL VALIDATION
+// ================================================================================
+//
+// Server-side checks of the details payload, generated from the form's entry
+// in FORM_SCHEMAS. The client-side required attributes and date checks only
+// guide the user; these run on every submit and resubmit. Errors are reported per field as {field, message},
+// where field is a details path such as "startDate" or "rules.0.port", so the
+// form can highlight the input it came from.
+//
 
-    // Pass necessary data to the email function to avoid re-reading the sheet
-    const requestDataForEmail = {
-      [COLUMN.REQUEST_ID]: newRequestId,
-      [COLUMN.REQUESTER_NAME]: requestObject[COLUMN.REQUESTER_NAME],
-      [COLUMN.FORM_TYPE]: requestObject[COLUMN.FORM_TYPE],
-      [COLUMN.DEPARTMENT]: requestObject[COLUMN.DEPARTMENT],
-      [COLUMN.SUB_DEPARTMENT]: requestObject[COLUMN.SUB_DEPARTMENT] || "",
-    };
-    sendNewRequestEmail(approverEmail, requestDataForEmail);
+const MAX_DETAIL_TEXT_LENGTH = 2000; // Characters per text value in details
+const MAX_DETAIL_ROWS = 100; // Rows per repeatable group
 
-    Logger.auditLog("REQUEST_SUBMITTED", newRequestId, {
-      requester: requestObject[COLUMN.REQUESTER_NAME],
-      formType: requestObject[COLUMN.FORM_TYPE],
-      approver: approverEmail,
-    });
+// Label keys of the details every form collects besides its schema fields.
+const COMMON_DETAIL_LABEL_KEYS = {
+  position: "formPosition",
+  tel: "formTelephone",
+  additionalDetails: "formAdditionalDetails",
+};
 
-    Logger.info(
-      "submitRequest",
-      "Request submitted successfully",
-      { requestId: newRequestId },
-      userEmail
-    );
-    return {
-      status: "success",
-      message:
-        translations.msgRequestSubmitted || "Request submitted successfully!",
-    };
-  } catch (e) {
-    Logger.error(
-      "submitRequest",
-      "Request submission failed",
-      { error: e.message, requestData: requestObject },
-      userEmail
-    );
-    return {
-      status: "error",
-      message: `Failed to submit request: ${e.message}`,
-    };
-  } finally {
-    lock.releaseLock();
-  }
+/**
+ * Checks whether a value is an IPv4 or IPv6 address, a CIDR range
+ * (e.g. 10.0.0.0/24 or 2001:db8::/32), or the keyword "any".
+ * @param {string} value The value to check.
+ * @returns {boolean} True if valid.
+ */
+function isValidIpOrCidr(value) {
+  return _parseIpRange(value) !== null;
 }
 
 /**
- * PRIVATE: Finds a row by ID and returns its index, data array, and object representation.
- * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The sheet to search in.
- * @param {string} requestId The ID of the request to find.
- * @returns {{rowIndex: number, rowData: Array, rowObject: Object, headers: Array<string>}|null}
+ * Checks whether a value is a port (1-65535), a port range (8000-8080), a
+ * service name (https), optionally prefixed with tcp/ or udp/, or "any".
+ * @param {string} value The value to check.
+ * @returns {boolean} True if valid.
  */
-function _findRowAndRowObjectById(sheet, requestId) {
-  const data = sheet.getDataRange().getValues();
-  const headers = data.shift();
-  const idIndex = headers.indexOf(COLUMN.REQUEST_ID);
-
-  if (idIndex === -1) {
-    throw new Error(`Column '${COLUMN.REQUEST_ID}' not found.`);
-  }
+function isValidPortSpec(value) {
+  return _parsePortSpec(value) !== null;
+}
 
-  const rowIndex = data.findIndex((row) => row[idIndex] === requestId);
+/**
+ * PRIVATE: Splits a comma or semicolon separated list, e.g. "80, 443".
+ * @param {string} value The raw value.
+ * @returns {string[]} The trimmed, non-empty entries.
+ */
+function _splitList(value) {
+  return (value || "")
+    .toString()
+    .split(/[,;]/)
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
 
-  if (rowIndex === -1) {
-    return null;
+/**
+ * PRIVATE: Finds the label of the field a details path refers to.
+ * @param {Object} [schema] The form's entry in FORM_SCHEMAS.
+ * @param {string} path The details path, e.g. "userInfo.nameTh" or "rules.0.port".
+ * @returns {string} The field's label key, or the last part of the path if the
+ *   field is not part of the form.
+ */
+function _getDetailLabelKey(schema, path) {
+  if (COMMON_DETAIL_LABEL_KEYS[path]) return COMMON_DETAIL_LABEL_KEYS[path];
+  const rowMatch = path.match(/^([^.]+)\.\d+\.(.+)$/);
+  for (const section of schema ? schema.sections : []) {
+    const name = section.key
+      ? rowMatch && rowMatch[1] === section.key && rowMatch[2]
+      : path;
+    const field = name && section.fields.find((f) => f.name === name);
+    if (field) return field.labelKey;
   }
-
-  const rowData = data[rowIndex];
-  const rowObject = _rowToObject(rowData, headers);
-  return { rowIndex: rowIndex + 2, rowData, rowObject, headers }; // +2 because of 1-based index and header row
+  return path.split(".").pop();
 }
+
 /**
- * PRIVATE: Gets the IT reviewer mapping from the ITReviewers sheet.
- * @returns {Object} A map like {'011': {reviewerEmail: '...', managerEmail: '...', directorEmail: '...'}}.
+ * PRIVATE: Creates a checker that collects field errors for one details payload.
+ * Every check takes the field path, the value and the translation key of the
+ * field label. Errors on row fields ("rules.0.port") are prefixed with the row number.
+ * @param {Object} translations Translation object for error messages and labels.
+ * @returns {Object} The checker; its errors array holds the {field, message} results.
  */
-function _getItReviewerMap() {
-  return getCachedData(IT_REVIEWER_MAP_CACHE_KEY, () => {
-    const sheet = SpreadsheetApp.openById(SPREADSHEET_ID).getSheetByName(
-      IT_REVIEWERS_SHEET_NAME
+function _createDetailsChecker(translations) {
+  const errors = [];
+  const isEmpty = (value) =>
+    value === undefined || value === null || value.toString().trim() === "";
+  const add = (field, messageKey, fallback, labelKey, params = {}) => {
+    let message = (translations[messageKey] || fallback).replace(
+      "{field}",
+      translations[labelKey] || labelKey
     );
-    if (!sheet) {
-      console.warn(
-        `Sheet "${IT_REVIEWERS_SHEET_NAME}" not found. IT review routing will be disabled.`
-      );
-      return {};
+    Object.keys(params).forEach((key) => {
+      message = message.replace(`{${key}}`, params[key]);
+    });
+    const row = field.match(/\.(\d+)\./);
+    if (row) {
+      message = `${(translations.labelRow || "Row {row}").replace(
+        "{row}",
+        Number(row[1]) + 1
+      )}: ${message}`;
     }
-    const data = sheet.getDataRange().getValues();
-    const headers = data.shift();
-    // Standardize headers to camelCase (e.g., "ReviewerEmail" becomes "reviewerEmail")
-    const lowerCaseHeaders = headers.map((h) =>
-      h.toLowerCase().replace(/\s/g, "")
-    );
-    const formIdIndex = lowerCaseHeaders.findIndex((h) => h === "formid");
-    if (formIdIndex === -1) return {};
+    errors.push({ field, message });
+  };
 
-    return data.reduce((acc, row) => {
-      const formId = row[formIdIndex];
-      if (formId) {
-        // Use the standardized camelCase headers to build the object
-        acc[formId] = _rowToObject(row, headers);
+  return {
+    errors,
+    required(field, value, labelKey) {
+      if (!isEmpty(value)) return true;
+      add(field, "msgFieldRequired", "{field} is required.", labelKey);
+      return false;
+    },
+    accepted(field, value, labelKey) {
+      if (value !== true) {
+        add(
+          field,
+          "msgFieldMustBeAccepted",
+          "Please confirm: {field}",
+          labelKey
+        );
       }
-      return acc;
-    }, {});
-  });
-}
-
-/**
- * PRIVATE: Defines the actions to be taken for each approval status.
- * This pattern makes it easier to add new actions or modify existing ones.
- */
-const approvalActions = {
-  [STATUS.APPROVED]: {
-    isFinal: true,
-    getSuccessMessage: (translations) =>
-      translations.msgRequestApproved || "Request approved and finalized.",
-    updateRow: (range, statusIndex, currentApproverIndex) => {
-      range.getCell(1, statusIndex + 1).setValue(STATUS.APPROVED);
-      range.getCell(1, currentApproverIndex + 1).setValue("");
     },
-  },
-  [STATUS.REJECTED]: {
-    isFinal: true,
-    getSuccessMessage: (translations) =>
-      translations.msgRequestRejected || "Request rejected.",
-    updateRow: (range, statusIndex, currentApproverIndex) => {
-      range.getCell(1, statusIndex + 1).setValue(STATUS.REJECTED);
-      range.getCell(1, currentApproverIndex + 1).setValue("");
+    oneOf(field, value, options, labelKey) {
+      if (!isEmpty(value) && !options.includes(value)) {
+        add(field, "msgFieldInvalid", "{field} is not valid.", labelKey);
+      }
     },
-  },
-  [STATUS.FORWARDED]: {
-    isFinal: false,
-    getSuccessMessage: (translations, nextApproverEmail) =>
-      (
-        translations.msgRequestForwarded || "Request forwarded to {email}."
-      ).replace("{email}", nextApproverEmail),
-    updateRow: (
-      range,
-      statusIndex,
-      currentApproverIndex,
-      nextApproverEmail
-    ) => {
-      range.getCell(1, currentApproverIndex + 1).setValue(nextApproverEmail);
+    date(field, value, labelKey) {
+      if (!isEmpty(value) && isNaN(new Date(value).getTime())) {
+        add(field, "msgFieldInvalid", "{field} is not valid.", labelKey);
+      }
     },
-    onSuccess: (requestObject, nextApproverEmail) => {
-      sendNewRequestEmail(nextApproverEmail, {
-        [COLUMN.REQUEST_ID]: requestObject[COLUMN.REQUEST_ID],
-        [COLUMN.REQUESTER_NAME]: requestObject[COLUMN.REQUESTER_NAME],
-        [COLUMN.FORM_TYPE]: requestObject[COLUMN.FORM_TYPE],
-        [COLUMN.DEPARTMENT]: requestObject[COLUMN.DEPARTMENT],
-        [COLUMN.SUB_DEPARTMENT]: requestObject[COLUMN.SUB_DEPARTMENT],
-      });
+    number(field, value, labelKey) {
+      if (!isEmpty(value) && isNaN(Number(value))) {
+        add(field, "msgFieldInvalid", "{field} is not valid.", labelKey);
+      }
     },
-    validate: (nextApproverEmail, translations) => {
-      if (!nextApproverEmail) {
-        return {
-          status: "error",
+    dateOrder(startValue, endField, endValue) {
+      if (
+        !isEmpty(startValue) &&
+        !isEmpty(endValue) &&
+        new Date(endValue) < new Date(startValue)
+      ) {
+        errors.push({
+          field: endField,
           message:
-            translations.msgNextApproverRequired ||
-            "Next approver email is required for forwarding.",
-        };
+            translations.validationEndDateBeforeStartDate ||
+            "End date cannot be earlier than start date.",
+        });
       }
-      return null;
     },
-  },
-};
-/**
- * HELPER FUNCTIONS FOR APPROVAL PROCESSING
- * These functions break down the complex processApproval logic
- */
-
-/**
- * Validates approval input parameters.
- * @param {string} requestId The request ID.
- * @param {string} action The action to validate.
- * @param {string} notes The notes to sanitize.
- * @param {string} nextApproverEmail Email for forwarding.
- * @returns {Object} Validation result with sanitized notes.
- */
-function validateApprovalInput(requestId, action, notes, nextApproverEmail) {
-  // Request ID validation
-  if (!requestId || requestId.trim() === "") {
-    return { isValid: false, message: "Request ID is required." };
-  }
-
-  // Action validation
-  const validActions = [STATUS.APPROVED, STATUS.REJECTED, STATUS.FORWARDED];
-  if (!action || !validActions.includes(action)) {
-    return { isValid: false, message: "Invalid action specified." };
-  }
-
-  // Sanitize notes to prevent XSS
-  let sanitizedNotes = notes;
-  if (notes && typeof notes === "string") {
-    sanitizedNotes = notes
-      .replace(/<script[^>]*>.*?<\/script>/gi, "")
-      .replace(/<[^>]+>/g, "")
-      .slice(0, 1000); // Limit notes length
-  }
-
-  // Validate email format for forwarding
-  if (action === STATUS.FORWARDED && nextApproverEmail) {
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(nextApproverEmail.trim())) {
-      return {
-        isValid: false,
-        message: "Invalid email format for next approver.",
+    ipList(field, value, labelKey) {
+      if (!isEmpty(value) && !_splitList(value).every(isValidIpOrCidr)) {
+        add(
+          field,
+          "msgInvalidIpAddress",
+          "{field} must be an IP address or CIDR range (e.g. 10.0.0.0/24).",
+          labelKey
+        );
+      }
+    },
+    portList(field, value, labelKey) {
+      if (!isEmpty(value) && !_splitList(value).every(isValidPortSpec)) {
+        add(
+          field,
+          "msgInvalidPort",
+          "{field} must be a port (1-65535), a range such as 8000-8080, or a service name.",
+          labelKey
+        );
+      }
+    },
+    /** Checks the row count of a repeatable group and returns its rows. */
+    rows(field, value, min, labelKey) {
+      const rows = Array.isArray(value) ? value : [];
+      if (rows.length < min) {
+        add(
+          field,
+          "msgMinRows",
+          "Add at least {count} item(s) to {section}.",
+          labelKey,
+          { count: min, section: translations[labelKey] || labelKey }
+        );
+      } else if (rows.length > MAX_DETAIL_ROWS) {
+        add(
+          field,
+          "msgMaxRows",
+          "{section} can have at most {count} items.",
+          labelKey,
+          {
+            count: MAX_DETAIL_ROWS,
+            section: translations[labelKey] || labelKey,
+          }
+        );
+      }
+      return rows.map((row) => row || {});
+    },
+    /** Checks every text value in the payload against MAX_DETAIL_TEXT_LENGTH. */
+    lengths(details, schema) {
+      const walk = (value, path) => {
+        if (typeof value === "string") {
+          if (value.length > MAX_DETAIL_TEXT_LENGTH) {
+            add(
+              path,
+              "msgFieldTooLong",
+              "{field} is too long (max {max} characters).",
+              _getDetailLabelKey(schema, path),
+              { max: MAX_DETAIL_TEXT_LENGTH }
+            );
+          }
+        } else if (value && typeof value === "object") {
+          Object.keys(value).forEach((key) =>
+            walk(value[key], path ? `${path}.${key}` : key)
+          );
+        }
       };
-    }
-  }
-
-  return { isValid: true, sanitizedNotes };
+      walk(details, "");
+    },
+  };
 }
 
 /**
- * Handles IT workflow progression for technical forms.
- * @param {string} currentStatus Current request status.
+ * Validates the details payload of a form on the server.
  * @param {string} formId The form ID (e.g., '011').
- * @param {Object} requestObject The request object.
- * @param {Object} range The sheet range for updates.
- * @param {number} statusIndex Status column index.
- * @param {number} currentApproverIndex Approver column index.
- * @param {number} historyIndex History column index.
- * @param {Array} history The approval history.
- * @returns {Object} Result of IT workflow processing.
+ * @param {Object} details The parsed details object.
+ * @param {Object} translations Translation object for error messages and labels.
+ * @returns {Object} {isValid, message, fieldErrors}; message is the first error.
  */
-function processItWorkflow(
-  currentStatus,
-  formId,
-  requestObject,
-  range,
-  statusIndex,
-  currentApproverIndex,
-  historyIndex,
-  history
-) {
-  const itReviewerMap = _getItReviewerMap();
-  const itChain = itReviewerMap[formId];
-
-  if (!itChain) {
+function validateRequestDetails(formId, details, translations) {
+  const check = _createDetailsChecker(translations);
+  if (!details || typeof details !== "object" || Array.isArray(details)) {
     return {
-      success: false,
-      message: `IT approval chain not configured for form ${formId}.`,
+      isValid: false,
+      message:
+        translations.msgInvalidDetailsFormat || "Invalid form details format.",
+      fieldErrors: [],
     };
   }
 
-  let nextStatus = "",
-    nextApprover = "",
-    successMsg = "";
-
-  if (currentStatus === STATUS.PENDING_IT_REVIEWER) {
-    nextStatus = STATUS.PENDING_IT_MANAGER;
-    nextApprover = itChain.ManagerEmail || itChain.managerEmail;
-    successMsg = "Forwarded to IT Manager for review.";
-  } else if (currentStatus === STATUS.PENDING_IT_MANAGER) {
-    nextStatus = STATUS.PENDING_IT_DIRECTOR;
-    nextApprover = itChain.DirectorEmail || itChain.directorEmail;
-    successMsg = "Forwarded to IT Director for review.";
-  }
-
-  // If there's a next step in the IT chain, forward it
-  if (nextStatus && nextApprover) {
-    range.getCell(1, statusIndex + 1).setValue(nextStatus);
-    range.getCell(1, currentApproverIndex + 1).setValue(nextApprover);
-    range.getCell(1, historyIndex + 1).setValue(JSON.stringify(history));
-    sendNewRequestEmail(nextApprover, requestObject, true);
-    return { success: true, message: successMsg };
+  if (FORM_SCHEMAS[formId]) {
+    _validateSchemaDetails(FORM_SCHEMAS[formId], details, check);
   }
+  check.lengths(details, FORM_SCHEMAS[formId]);
 
-  // IT Director is approving (final IT step)
-  return { success: false, continueProcessing: true };
+  return check.errors.length === 0
+    ? { isValid: true }
+    : {
+        isValid: false,
+        message: check.errors[0].message,
+        fieldErrors: check.errors,
+      };
 }
 
+// ================================================================================
+// FIREWALL RULE ANALYSIS (ISMS-FM-011)
+// ================================================================================
+//
+// Parses the free-text source, destination and port columns of firewall rules
+// and compares a request's rules with those of approved FM-011 requests, so the
+// IT reviewer is warned about duplicates, rules an existing rule already covers
+// (shadowed) and rules an existing rule contradicts (overlapping, opposite action).
+//
+// Addresses are held as arrays of 16-bit groups (2 for IPv4, 8 for IPv6) so
+// ranges can be compared without BigInt.
+//
+
+const WELL_KNOWN_PORTS = {
+  ftp: 21,
+  ssh: 22,
+  telnet: 23,
+  smtp: 25,
+  dns: 53,
+  http: 80,
+  pop3: 110,
+  ntp: 123,
+  imap: 143,
+  ldap: 389,
+  https: 443,
+  smb: 445,
+  ldaps: 636,
+  mssql: 1433,
+  mysql: 3306,
+  rdp: 3389,
+  postgresql: 5432,
+};
+
 /**
- * Handles initial forwarding to IT for technical forms.
- * @param {string} formId The form ID.
- * @param {Object} requestObject The request object.
- * @param {Object} range The sheet range for updates.
- * @param {number} statusIndex Status column index.
- * @param {number} currentApproverIndex Approver column index.
- * @param {number} historyIndex History column index.
- * @param {Array} history The approval history.
- * @param {Object} translations Translation object.
- * @returns {Object} Result of IT forwarding.
+ * PRIVATE: Parses an IPv6 address into eight 16-bit groups.
+ * @param {string} text The address, e.g. "2001:db8::1".
+ * @returns {number[]|null} The groups, or null if invalid.
  */
-function forwardToInitialItReviewer(
-  formId,
-  requestObject,
-  range,
-  statusIndex,
-  currentApproverIndex,
-  historyIndex,
-  history,
-  translations
-) {
-  const itReviewerMap = _getItReviewerMap();
-  const firstReviewer =
-    itReviewerMap[formId]?.ReviewerEmail ||
-    itReviewerMap[formId]?.reviewerEmail;
+function _parseIpv6Groups(text) {
+  if (!/^[0-9a-f:]+$/i.test(text)) return null;
+  const halves = text.split("::");
+  if (halves.length > 2) return null;
+  const head = halves[0] ? halves[0].split(":") : [];
+  const tail = halves.length === 2 && halves[1] ? halves[1].split(":") : [];
+  const missing = 8 - head.length - tail.length;
+  if (halves.length === 1 ? missing !== 0 : missing < 1) return null;
+  const groups = [
+    ...head,
+    ...new Array(halves.length === 2 ? missing : 0).fill("0"),
+    ...tail,
+  ];
+  if (!groups.every((g) => /^[0-9a-f]{1,4}$/i.test(g))) return null;
+  return groups.map((g) => parseInt(g, 16));
+}
 
-  if (!firstReviewer) {
-    return {
-      success: false,
-      message: `Initial IT Reviewer not configured for form ${formId}.`,
-    };
+/**
+ * PRIVATE: Parses an IPv4/IPv6 address or CIDR range, or "any".
+ * @param {string} value The value, e.g. "10.0.0.0/24" or "2001:db8::/32".
+ * @returns {Object|null} {any: true} or {version, start, end}, or null if invalid.
+ */
+function _parseIpRange(value) {
+  const text = (value || "").toString().trim();
+  if (/^any$/i.test(text)) return { any: true };
+
+  const [address, prefixText, extra] = text.split("/");
+  if (extra !== undefined) return null;
+  if (prefixText !== undefined && !/^\d{1,3}$/.test(prefixText)) return null;
+
+  let version;
+  let groups;
+  const ipv4 = address.match(/^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/);
+  if (ipv4) {
+    const octets = ipv4.slice(1).map(Number);
+    if (octets.some((octet) => octet > 255)) return null;
+    version = 4;
+    groups = [(octets[0] << 8) | octets[1], (octets[2] << 8) | octets[3]];
+  } else {
+    version = 6;
+    groups = _parseIpv6Groups(address);
+    if (!groups) return null;
   }
 
-  range.getCell(1, statusIndex + 1).setValue(STATUS.PENDING_IT_REVIEWER);
-  range.getCell(1, currentApproverIndex + 1).setValue(firstReviewer);
-  range.getCell(1, historyIndex + 1).setValue(JSON.stringify(history));
-  sendNewRequestEmail(firstReviewer, requestObject, true);
-
+  const maxPrefix = groups.length * 16;
+  const prefix = prefixText === undefined ? maxPrefix : Number(prefixText);
+  if (prefix > maxPrefix) return null;
+  const hostMask = (i) =>
+    0xffff >> Math.max(0, Math.min(16, prefix - i * 16)) || 0;
   return {
-    success: true,
-    message:
-      translations.msgRequestForwardedToIT ||
-      "Request forwarded to IT for review.",
+    version,
+    start: groups.map((g, i) => g & ~hostMask(i) & 0xffff),
+    end: groups.map((g, i) => g | hostMask(i)),
   };
 }
 
 /**
- * Updates IT review details in the request.
- * @param {Object} itReviewData The IT review data to update.
- * @param {Object} requestObject The request object.
- * @param {Object} range The sheet range for updates.
- * @param {number} itReviewDetailsIndex IT review details column index.
- * @param {string} requestId The request ID for logging.
- * @returns {Object} Updated request object.
+ * PRIVATE: Parses one port entry: a port, a range, a service name or "any",
+ * optionally prefixed with tcp/ or udp/.
+ * @param {string} value The value, e.g. "443", "tcp/8000-8080" or "https".
+ * @returns {Object|null} {protocol, any} or {protocol, from, to} or {protocol, service}, or null if invalid.
  */
-function updateItReviewDetails(
-  itReviewData,
-  requestObject,
-  range,
-  itReviewDetailsIndex,
-  requestId
-) {
-  if (!itReviewData || Object.keys(itReviewData).length === 0) {
-    return requestObject;
+function _parsePortSpec(value) {
+  const match = (value || "")
+    .toString()
+    .trim()
+    .match(/^(?:(tcp|udp)\/)?(?:(\d+)(?:-(\d+))?|([a-z][a-z0-9-]*))$/i);
+  if (!match) return null;
+  const protocol = (match[1] || "any").toLowerCase();
+  const name = (match[4] || "").toLowerCase();
+  if (name === "any") return { protocol, any: true };
+  if (name) {
+    const port = WELL_KNOWN_PORTS[name];
+    return port
+      ? { protocol, from: port, to: port }
+      : { protocol, service: name };
   }
+  const from = Number(match[2]);
+  const to = match[3] === undefined ? from : Number(match[3]);
+  return from >= 1 && to <= 65535 && from <= to ? { protocol, from, to } : null;
+}
 
-  if (itReviewDetailsIndex === -1) {
-    console.error(
-      `Column '${COLUMN.IT_REVIEW_DETAILS}' not found in Requests sheet.`
-    );
-    return requestObject;
+function _compareGroups(a, b) {
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) return a[i] - b[i];
   }
+  return 0;
+}
 
-  try {
-    let currentItReview = JSON.parse(
-      requestObject[COLUMN.IT_REVIEW_DETAILS] || "{}"
-    );
-    const newItReviewData = { ...currentItReview, ...itReviewData };
-    const newItReviewJson = JSON.stringify(newItReviewData);
+function _ipContains(a, b) {
+  if (a.any) return true;
+  return (
+    !b.any &&
+    a.version === b.version &&
+    _compareGroups(a.start, b.start) <= 0 &&
+    _compareGroups(a.end, b.end) >= 0
+  );
+}
 
-    range.getCell(1, itReviewDetailsIndex + 1).setValue(newItReviewJson);
-    requestObject[COLUMN.IT_REVIEW_DETAILS] = newItReviewJson;
+function _ipOverlaps(a, b) {
+  if (a.any || b.any) return true;
+  return (
+    a.version === b.version &&
+    _compareGroups(a.start, b.end) <= 0 &&
+    _compareGroups(b.start, a.end) <= 0
+  );
+}
 
-    return requestObject;
-  } catch (e) {
-    console.error(
-      `Failed to update IT review details for request ${requestId}: ${e.message}`
-    );
-    return requestObject;
-  }
+function _portContains(a, b) {
+  if (a.protocol !== "any" && a.protocol !== b.protocol) return false;
+  if (a.any) return true;
+  if (b.any) return false;
+  if (a.service || b.service) return a.service === b.service;
+  return a.from <= b.from && a.to >= b.to;
+}
+
+function _portOverlaps(a, b) {
+  if (a.protocol !== "any" && b.protocol !== "any" && a.protocol !== b.protocol)
+    return false;
+  if (a.any || b.any) return true;
+  if (a.service || b.service) return a.service === b.service;
+  return a.from <= b.to && b.from <= a.to;
 }
 
 /**
- * PRIVATE: Validates all preconditions for processing an approval.
- * @param {string} requestId The ID of the request.
- * @param {string} action The action being taken.
- * @param {string} notes The notes provided.
- * @param {string} nextApproverEmail The next approver's email for forwarding.
- * @param {string} lang The current language.
- * @returns {Object} An object containing validated data or an error object.
+ * PRIVATE: Parses a firewall rule row into lists of ranges.
+ * @param {Object} rule {sourceIp, destIp, port, action}.
+ * @returns {Object|null} {sources, destinations, ports, action}, or null if any part is invalid.
  */
-function _validateApprovalPreconditions(
-  requestId,
-  action,
-  notes,
-  nextApproverEmail,
-  lang
-) {
-  const validation = validateApprovalInput(
-    requestId,
-    action,
-    notes,
-    nextApproverEmail
-  );
-  if (!validation.isValid) {
-    return { error: true, message: validation.message };
+function _parseFirewallRule(rule) {
+  const parseList = (value, parse) => {
+    const items = _splitList(value).map(parse);
+    return items.length > 0 && items.every(Boolean) ? items : null;
+  };
+  const sources = parseList(rule.sourceIp, _parseIpRange);
+  const destinations = parseList(rule.destIp, _parseIpRange);
+  const ports = parseList(rule.port, _parsePortSpec);
+  if (!sources || !destinations || !ports) return null;
+  return { sources, destinations, ports, action: rule.action || "Allow" };
+}
+
+/**
+ * Classifies how a new firewall rule relates to an existing one.
+ * @param {Object} newRule The new rule row {sourceIp, destIp, port, action}.
+ * @param {Object} existingRule An approved rule row.
+ * @returns {string|null} 'duplicate', 'shadowed' (the existing rule already
+ *   covers it), 'conflict' (overlaps with the opposite action) or null.
+ */
+function classifyFirewallRule(newRule, existingRule) {
+  const next = _parseFirewallRule(newRule);
+  const existing = _parseFirewallRule(existingRule);
+  if (!next || !existing) return null;
+
+  const covers = (a, b) =>
+    b.sources.every((x) => a.sources.some((y) => _ipContains(y, x))) &&
+    b.destinations.every((x) =>
+      a.destinations.some((y) => _ipContains(y, x))
+    ) &&
+    b.ports.every((x) => a.ports.some((y) => _portContains(y, x)));
+  const overlaps =
+    next.sources.some((x) => existing.sources.some((y) => _ipOverlaps(x, y))) &&
+    next.destinations.some((x) =>
+      existing.destinations.some((y) => _ipOverlaps(x, y))
+    ) &&
+    next.ports.some((x) => existing.ports.some((y) => _portOverlaps(x, y)));
+
+  if (next.action === existing.action) {
+    if (!covers(existing, next)) return null;
+    return covers(next, existing) ? "duplicate" : "shadowed";
   }
+  return overlaps ? "conflict" : null;
+}
 
-  const translationsJson = getTranslations(lang);
-  const translations = JSON.parse(
-    translationsJson.replace(/<pre>|<\/pre>/g, "")
-  );
+/**
+ * PRIVATE: Compares the rules of an FM-011 request with those of every other
+ * approved FM-011 request.
+ * @param {Object} request The request object, with details as stringified JSON.
+ * @returns {Array<Object>} [{ruleIndex, type, requestId, rule}] for each match.
+ */
+function _findFirewallRuleConflicts(request) {
+  let rules = [];
+  try {
+    rules = JSON.parse(request[COLUMN.DETAILS] || "{}").rules || [];
+  } catch (e) {
+    return [];
+  }
+  if (rules.length === 0) return [];
 
   const sheet =
     SpreadsheetApp.openById(SPREADSHEET_ID).getSheetByName(REQUESTS_SHEET_NAME);
-  const requestInfo = _findRowAndRowObjectById(sheet, requestId);
+  if (!sheet) return [];
+  const data = sheet.getDataRange().getValues();
+  const headers = data.shift();
+  const idIndex = headers.indexOf(COLUMN.REQUEST_ID);
+  const formTypeIndex = headers.indexOf(COLUMN.FORM_TYPE);
+  const statusIndex = headers.indexOf(COLUMN.STATUS);
+  const detailsIndex = headers.indexOf(COLUMN.DETAILS);
 
-  if (!requestInfo) {
-    return {
-      error: true,
-      message: translations.msgRequestIdNotFound || "Request ID not found.",
-    };
-  }
+  const conflicts = [];
+  data.forEach((row) => {
+    if (
+      row[statusIndex] !== STATUS.APPROVED ||
+      row[idIndex] === request[COLUMN.REQUEST_ID] ||
+      _getFormIdFromType(row[formTypeIndex]) !== "011"
+    ) {
+      return;
+    }
+    let approvedRules = [];
+    try {
+      approvedRules = JSON.parse(row[detailsIndex] || "{}").rules || [];
+    } catch (e) {
+      return;
+    }
+    rules.forEach((rule, ruleIndex) =>
+      approvedRules.forEach((approvedRule) => {
+        const type = classifyFirewallRule(rule, approvedRule);
+        if (type) {
+          conflicts.push({
+            ruleIndex,
+            type,
+            requestId: row[idIndex],
+            rule: approvedRule,
+          });
+        }
+      })
+    );
+  });
+  return conflicts;
+}
 
-  const userEmail = getUserEmail();
-  const isCurrentApprover =
-    requestInfo.rowObject[COLUMN.CURRENT_APPROVER]
-      .toString()
-      .trim()
-      .toLowerCase() === userEmail.trim().toLowerCase();
-  if (!isCurrentApprover) {
-    return {
-      error: true,
-      message:
-        translations.msgNotCurrentApprover ||
-        "You are not the current approver for this request.",
-    };
-  }
-
-  return {
-    error: false,
-    sheet,
-    requestInfo,
-    translations,
-    sanitizedNotes: validation.sanitizedNotes,
-    userEmail,
-  };
-}
+// ================================================================================
+// INPUT VALIDATION & SECURITY
+// ================================================================================
+//
+// Comprehensive validation functions to ensure data integrity and prevent security issues.
+// Includes XSS protection, format validation, and business rule enforcement.
+//
 
 /**
- * PRIVATE: Updates the approval history, saves it to the sheet, and logs the audit trail.
- * @param {Object} requestObject The current request object.
- * @param {string} action The action taken.
- * @param {string} notes The approver's notes.
- * @param {string} userEmail The approver's email.
- * @param {GoogleAppsScript.Spreadsheet.Range} range The sheet range for the request row.
- * @param {number} historyIndex The column index for the history.
- * @returns {Array} The updated history array.
+ * Validates request input data to ensure data integrity and security.
+ * @param {Object} requestObject The request data to validate.
+ * @param {Object} translations Translation object for error messages.
+ * @returns {Object} Validation result with isValid boolean and message.
  */
-function _updateAndLogHistory(
-  requestObject,
-  action,
-  notes,
-  userEmail,
-  range,
-  historyIndex
-) {
-  let history = [];
-  try {
-    if (requestObject[COLUMN.HISTORY])
-      history = JSON.parse(requestObject[COLUMN.HISTORY]);
-  } catch (e) {
-    /* ignore parsing errors */
-  }
+function validateRequestInput(requestObject, translations) {
+  // Required field validation
+  const requiredFields = [
+    {
+      field: COLUMN.REQUESTER_NAME,
+      message:
+        translations.msgRequesterNameRequired || "Requester name is required.",
+    },
+    {
+      field: COLUMN.FORM_TYPE,
+      message: translations.msgFormTypeRequired || "Form type is required.",
+    },
+    {
+      field: COLUMN.DEPARTMENT,
+      message: translations.msgDepartmentRequired || "Department is required.",
+    },
+    {
+      field: COLUMN.DETAILS,
+      message: translations.msgDetailsRequired || "Form details are required.",
+    },
+  ];
 
-  history.push({
-    approverEmail: userEmail,
-    action: action,
-    notes: notes,
-    timestamp: new Date().toISOString(),
-  });
+  for (const req of requiredFields) {
+    if (
+      !requestObject[req.field] ||
+      requestObject[req.field].toString().trim() === ""
+    ) {
+      return { isValid: false, message: req.message };
+    }
+  }
 
-  range.getCell(1, historyIndex + 1).setValue(JSON.stringify(history));
+  // Sanitize string inputs to prevent XSS
+  const sanitizeString = (str) => {
+    if (typeof str !== "string") return str;
+    return str
+      .replace(/<script[^>]*>.*?<\/script>/gi, "")
+      .replace(/<[^>]+>/g, "")
+      .trim();
+  };
 
-  Logger.auditLog("REQUEST_PROCESSED", requestObject[COLUMN.REQUEST_ID], {
-    action,
-    approver: userEmail,
-    notes: notes || "No notes",
-  });
+  // Apply sanitization
+  requestObject[COLUMN.REQUESTER_NAME] = sanitizeString(
+    requestObject[COLUMN.REQUESTER_NAME]
+  );
+  requestObject[COLUMN.DEPARTMENT] = sanitizeString(
+    requestObject[COLUMN.DEPARTMENT]
+  );
+  requestObject[COLUMN.SUB_DEPARTMENT] = sanitizeString(
+    requestObject[COLUMN.SUB_DEPARTMENT] || ""
+  );
 
-  return history;
-}
+  // Validate form type format
+  const formTypePattern = /^ISMS-FM-\d{3}/;
+  if (!formTypePattern.test(requestObject[COLUMN.FORM_TYPE])) {
+    return {
+      isValid: false,
+      message: translations.msgInvalidFormType || "Invalid form type format.",
+    };
+  }
 
-/**
- * PRIVATE: Handles the specific workflow steps for IT-related approvals.
- * @param {Object} requestObject The request object.
- * @param {string} action The approval action.
- * @param {Array} history The updated history array.
- * @param {GoogleAppsScript.Spreadsheet.Range} range The sheet range for the request row.
- * @param {Object} headersInfo An object containing column indices.
- * @param {Object} translations The translation object.
- * @returns {Object|null} A result object if the IT workflow handles the action, otherwise null.
- */
-function _handleItApprovalStep(
-  requestObject,
-  action,
-  history,
-  range,
-  headersInfo,
-  translations
-) {
-  const getFormId = (formType) =>
-    (formType.match(/ISMS-FM-(\d+)/) || [])[1] || null;
-  const formId = getFormId(requestObject[COLUMN.FORM_TYPE]);
-  const currentStatus = requestObject[COLUMN.STATUS];
-  const isItStatus = [
-    STATUS.PENDING_IT_REVIEWER,
-    STATUS.PENDING_IT_MANAGER,
-    STATUS.PENDING_IT_DIRECTOR,
-  ].includes(currentStatus);
+  const attachmentsResult = _validateAttachments(
+    requestObject.attachments,
+    translations
+  );
+  if (!attachmentsResult.isValid) return attachmentsResult;
 
-  // Case 1: Progressing through an existing IT review chain
-  if (isItStatus && action === STATUS.APPROVED) {
-    const itResult = processItWorkflow(
-      currentStatus,
-      formId,
-      requestObject,
-      range,
-      headersInfo.statusIndex,
-      headersInfo.currentApproverIndex,
-      headersInfo.historyIndex,
-      history
-    );
-    if (itResult.success) {
-      return { status: "success", message: itResult.message };
-    }
-    // If it doesn't return success, it means it's the final IT step, so we let it fall through to standard approval.
+  // Validate requester name length
+  if (requestObject[COLUMN.REQUESTER_NAME].length > 100) {
+    return {
+      isValid: false,
+      message:
+        translations.msgRequesterNameTooLong ||
+        "Requester name is too long (max 100 characters).",
+    };
   }
 
-  // Case 2: Initial approval that needs to be forwarded to IT
-  if (
-    action === STATUS.APPROVED &&
-    FORMS_REQUIRING_IT_REVIEW.includes(formId) &&
-    !isItStatus
-  ) {
-    const itResult = forwardToInitialItReviewer(
-      formId,
-      requestObject,
-      range,
-      headersInfo.statusIndex,
-      headersInfo.currentApproverIndex,
-      headersInfo.historyIndex,
-      history,
-      translations
-    );
-    if (itResult.success) {
-      return { status: "success", message: itResult.message };
+  // Validate details JSON
+  try {
+    if (typeof requestObject[COLUMN.DETAILS] === "string") {
+      JSON.parse(requestObject[COLUMN.DETAILS]);
     }
-    return { status: "error", message: itResult.message };
+  } catch (e) {
+    return {
+      isValid: false,
+      message:
+        translations.msgInvalidDetailsFormat || "Invalid form details format.",
+    };
   }
 
-  return null; // Indicate that the standard approval process should take over.
-}
-
-/**
- * PRIVATE: Performs the standard 'Approve', 'Reject', or 'Forward' action.
- * @param {Object} requestObject The request object.
- * @param {string} action The approval action.
- * @param {string} nextApproverEmail The email for forwarding.
- * @param {GoogleAppsScript.Spreadsheet.Range} range The sheet range for the request row.
- * @param {Object} headersInfo An object containing column indices.
- * @param {Object} translations The translation object.
- * @returns {Object} A result object with status and message.
- */
-function _performStandardApproval(
-  requestObject,
-  action,
-  nextApproverEmail,
-  range,
-  headersInfo,
-  translations
-) {
-  const actionHandler = approvalActions[action];
-  if (!actionHandler) {
+  const formId = _getFormIdFromType(requestObject[COLUMN.FORM_TYPE]);
+  if (SettingsService.getDisabledForms().includes(formId)) {
     return {
-      status: "error",
-      message: translations.msgInvalidAction || "Invalid action specified.",
+      isValid: false,
+      message:
+        translations.msgFormDisabled ||
+        "This form is currently disabled and cannot be submitted.",
     };
   }
 
-  if (actionHandler.validate) {
-    const validationError = actionHandler.validate(
-      nextApproverEmail,
-      translations
-    );
-    if (validationError) return validationError;
+  const details =
+    typeof requestObject[COLUMN.DETAILS] === "string"
+      ? JSON.parse(requestObject[COLUMN.DETAILS])
+      : requestObject[COLUMN.DETAILS];
+  const detailsResult = validateRequestDetails(formId, details, translations);
+  if (!detailsResult.isValid) return detailsResult;
+  if (formId === "101") {
+    const assetResult = _validateDisposalAssets(details, translations);
+    if (!assetResult.isValid) return assetResult;
   }
 
-  actionHandler.updateRow(
-    range,
-    headersInfo.statusIndex,
-    headersInfo.currentApproverIndex,
-    nextApproverEmail
-  );
-
-  if (actionHandler.isFinal) {
-    handleFinalizedRequest(requestObject, action, requestObject.notes);
-  } else if (actionHandler.onSuccess) {
-    actionHandler.onSuccess(requestObject, nextApproverEmail);
+  // Check for required sub-department based on form type
+  if (
+    SettingsService.getSubDeptRequiredForms().includes(formId) &&
+    (!requestObject[COLUMN.SUB_DEPARTMENT] ||
+      requestObject[COLUMN.SUB_DEPARTMENT].trim() === "")
+  ) {
+    return {
+      isValid: false,
+      message:
+        translations.msgSubDepartmentRequired ||
+        "Sub-department is required for this form type.",
+    };
   }
 
-  return {
-    status: "success",
-    message: actionHandler.getSuccessMessage(translations, nextApproverEmail),
-  };
+  return { isValid: true };
 }
 
 /**
- * Processes an approval action: Approve, Reject, or Forward.
- * @param {string} requestId The ID of the request.
- * @param {string} action The action taken: 'Approved', 'Rejected', or 'Forwarded'.
- * @param {string} notes Approver's notes.
- * @param {string} [nextApproverEmail] The email of the next approver if action is 'Forwarded'.
+ * Submits a new request.
+ * @param {Object} requestObject The request data from the form.
  * @param {string} lang The current language ('en' or 'th') for response messages.
  * @returns {Object} A success or error message.
- * @param {Object} [itReviewData] Optional object with IT review details.
  */
-function processApproval(
-  requestId,
-  action,
-  notes,
-  nextApproverEmail,
-  lang,
-  itReviewData
-) {
-  const userEmail = getUserEmail(); // Get user email at the beginning
+function submitRequest(requestObject, lang) {
+  const userEmail = getUserEmail();
   Logger.info(
-    "processApproval",
-    "Approval processing started",
-    { requestId, action, nextApproverEmail },
+    "submitRequest",
+    "Request submission started",
+    {
+      formType: requestObject[COLUMN.FORM_TYPE],
+      department: requestObject[COLUMN.DEPARTMENT],
+    },
     userEmail
   );
 
   const lock = LockService.getScriptLock();
+  let attachments = null;
+  let isSaved = false;
   try {
-    lock.waitLock(30000);
-  } catch (e) {
-    Logger.error(
-      "processApproval",
-      "Failed to acquire lock",
-      { requestId, error: e.message },
-      userEmail
-    );
-    return {
-      status: "error",
-      message:
-        "System is busy processing another request. Please try again in a moment.",
-    };
-  }
-
-  try {
-    // 1. Validate preconditions
-    const precondResult = _validateApprovalPreconditions(
-      requestId,
-      action,
-      notes,
-      nextApproverEmail,
-      lang
+    // Load translations for response messages
+    const translationsJson = getTranslations(lang);
+    const translations = JSON.parse(
+      translationsJson.replace(/<pre>|<\/pre>/g, "")
     );
-    if (precondResult.error)
-      return { status: "error", message: precondResult.message };
-    const { sheet, requestInfo, translations, sanitizedNotes } = precondResult;
-    notes = sanitizedNotes;
 
-    // 2. Prepare data from preconditions
-    const { rowIndex, rowObject, headers } = requestInfo;
-    const range = sheet.getRange(rowIndex, 1, 1, headers.length);
-    const headersInfo = {
-      statusIndex: headers.indexOf(COLUMN.STATUS),
-      currentApproverIndex: headers.indexOf(COLUMN.CURRENT_APPROVER),
-      historyIndex: headers.indexOf(COLUMN.HISTORY),
-      itReviewDetailsIndex: headers.indexOf(COLUMN.IT_REVIEW_DETAILS),
-    };
+    // Input validation
+    const validationResult = validateRequestInput(requestObject, translations);
+    if (validationResult.isValid === false) {
+      return {
+        status: "error",
+        message: validationResult.message,
+        fieldErrors: validationResult.fieldErrors,
+      };
+    }
 
-    // 3. Update history and log the action
-    const history = _updateAndLogHistory(
-      rowObject,
-      action,
-      notes,
+    const requestSheet =
+      SpreadsheetApp.openById(SPREADSHEET_ID).getSheetByName(
+        REQUESTS_SHEET_NAME
+      );
+    const extensionError = _checkExtensionTarget(
+      requestSheet,
+      requestObject,
       userEmail,
-      range,
-      headersInfo.historyIndex
+      translations
+    );
+    if (extensionError) {
+      return { status: "error", message: extensionError };
+    }
+    const approverRow = _findInitialApproverRow(
+      requestObject.department,
+      requestObject.subDepartment
     );
-    let requestObject = {
-      ...rowObject,
-      [COLUMN.HISTORY]: history,
-      notes: notes,
-    };
 
-    // 4. Update IT review details if provided
-    if (itReviewData) {
-      requestObject = updateItReviewDetails(
-        itReviewData,
-        requestObject,
-        range,
-        headersInfo.itReviewDetailsIndex,
-        requestId
+    // Find approver email from the found row
+    let approverEmail = null;
+    if (approverRow) {
+      const approversData = _getApproversData(); // Headers are needed for index
+      const emailIndex = approversData.headers.findIndex(
+        (h) => h.toLowerCase() === COLUMN.APPROVER_EMAIL.toLowerCase()
       );
+      if (emailIndex !== -1) {
+        approverEmail = approverRow[emailIndex];
+      }
     }
 
-    // 5. Handle IT-specific workflow
-    const itWorkflowResult = _handleItApprovalStep(
-      requestObject,
-      action,
-      history,
-      range,
-      headersInfo,
-      translations
-    );
-    if (itWorkflowResult) {
-      // If the IT workflow handled the action completely, return its result.
-      return itWorkflowResult;
+    if (!approverEmail) {
+      const errorMessage = (
+        translations.msgNoApproverFoundForDept ||
+        "No approver found for department: {department}"
+      ).replace("{department}", requestObject.department);
+      return { status: "error", message: errorMessage };
     }
 
-    // 6. If IT workflow didn't handle it, perform standard approval
-    const standardResult = _performStandardApproval(
-      requestObject,
-      action,
-      nextApproverEmail,
-      range,
-      headersInfo,
-      translations
-    );
+    const formPrefix = requestObject[COLUMN.FORM_TYPE].split(" - ")[0]; // Extract ISMS-FM-XXX from formType
+    // Files are stored before taking the lock, so slow uploads do not hold up other
+    // users, and before the row, so a Drive failure fails the submission instead of
+    // losing the files. The folder gets the request ID once the row is saved.
+    if (requestObject.attachments && requestObject.attachments.length > 0) {
+      attachments = _saveAttachments(
+        `${formPrefix}-upload-${Utilities.getUuid()}`,
+        requestObject.attachments
+      );
+    }
+
+    try {
+      // Try to get lock with 30 second timeout
+      lock.waitLock(30000);
+    } catch (e) {
+      Logger.error(
+        "submitRequest",
+        "Failed to acquire lock",
+        { error: e.message },
+        userEmail
+      );
+      return {
+        status: "error",
+        message: "System is busy, please try again in a moment.",
+      };
+    }
+
+    const newRequestId = `REQ-${formPrefix}-${Date.now()}`; // Create ID once to ensure consistency
+    const newRow = [
+      newRequestId, // requestId (COLUMN.REQUEST_ID)
+      requestObject[COLUMN.FORM_TYPE],
+      new Date(), // requestTimestamp (COLUMN.TIMESTAMP)
+      requestObject[COLUMN.REQUESTER_NAME],
+      getUserEmail(), // requesterEmail (COLUMN.REQUESTER_EMAIL)
+      requestObject[COLUMN.DEPARTMENT],
+      requestObject[COLUMN.SUB_DEPARTMENT] || "",
+      STATUS.PENDING, // status (COLUMN.STATUS)
+      approverEmail, // currentApproverEmail (COLUMN.CURRENT_APPROVER)
+      "[]", // approvalHistory (COLUMN.HISTORY)
+      requestObject[COLUMN.DETAILS], // details as stringified JSON
+    ];
+    if (attachments) {
+      // Written with the row itself, so a request is never saved without its files.
+      const headers = requestSheet
+        .getRange(1, 1, 1, requestSheet.getLastColumn())
+        .getValues()[0];
+      const attachmentsIndex = _ensureRequestsColumn(
+        requestSheet,
+        headers,
+        COLUMN.ATTACHMENTS
+      );
+      while (newRow.length < attachmentsIndex) newRow.push("");
+      newRow[attachmentsIndex] = JSON.stringify(attachments);
+    }
+    requestSheet.appendRow(newRow);
+    isSaved = true;
+    if (attachments) {
+      try {
+        Drive.Files.patch({ title: newRequestId }, attachments.folderId, {
+          supportsAllDrives: true,
+        });
+      } catch (e) {
+        // The files are linked from the row; only the folder name is off.
+        console.warn(`Could not rename attachments folder: ${e.message}`);
+      }
+    }
+    try {
+      _deleteDraftRow(
+        getUserEmail(),
+        (requestObject[COLUMN.FORM_TYPE].match(/ISMS-FM-(\d+)/) || [])[1] || ""
+      );
+    } catch (e) {
+      // The request is already saved; a leftover draft is harmless.
+      console.warn(`Could not delete draft after submit: ${e.message}`);
+    }
+
+    // Pass necessary data to the email function to avoid re-reading the sheet
+    const requestDataForEmail = {
+      [COLUMN.REQUEST_ID]: newRequestId,
+      [COLUMN.REQUESTER_NAME]: requestObject[COLUMN.REQUESTER_NAME],
+      [COLUMN.FORM_TYPE]: requestObject[COLUMN.FORM_TYPE],
+      [COLUMN.DEPARTMENT]: requestObject[COLUMN.DEPARTMENT],
+      [COLUMN.SUB_DEPARTMENT]: requestObject[COLUMN.SUB_DEPARTMENT] || "",
+    };
+    sendNewRequestEmail(approverEmail, requestDataForEmail);
+
+    Logger.auditLog("REQUEST_SUBMITTED", newRequestId, {
+      requester: requestObject[COLUMN.REQUESTER_NAME],
+      formType: requestObject[COLUMN.FORM_TYPE],
+      approver: approverEmail,
+      attachments: attachments ? attachments.files.length : 0,
+    });
 
     Logger.info(
-      "processApproval",
-      "Approval processed successfully",
-      { requestId, action, finalStatus: standardResult.status },
+      "submitRequest",
+      "Request submitted successfully",
+      { requestId: newRequestId },
       userEmail
     );
-    return standardResult;
+    return {
+      status: "success",
+      message:
+        translations.msgRequestSubmitted || "Request submitted successfully!",
+    };
   } catch (e) {
     Logger.error(
-      "processApproval",
-      "Approval processing failed",
-      { requestId, action, error: e.message },
+      "submitRequest",
+      "Request submission failed",
+      // File contents are left out of the log; the names identify them.
+      {
+        error: e.message,
+        requestData: {
+          ...requestObject,
+          attachments: (requestObject.attachments || []).map((f) => f.name),
+        },
+      },
       userEmail
     );
-    return { status: "error", message: e.message };
+    return {
+      status: "error",
+      message: `Failed to submit request: ${e.message}`,
+    };
   } finally {
-    lock.releaseLock();
+    // Files of a submission that was never saved would otherwise stay in Drive.
+    if (attachments && !isSaved) _trashAttachmentsFolder(attachments.folderId);
+    if (lock.hasLock()) lock.releaseLock();
   }
 }
 
 /**
- * Handles actions for a finalized request (Approved or Rejected).
- * @param {Object} request The full request object.
- * @param {string} finalStatus The final status ('Approved' or 'Rejected').
- * @param {string} notes The final notes from the approver.
+ * Resubmits a request that an approver returned with "Needs Info". The requester's
+ * edited details replace the old ones and the request goes back to the same
+ * approver and status it was returned from.
+ * @param {string} requestId The ID of the request.
+ * @param {string} details The edited form details as stringified JSON.
+ * @param {string} notes The requester's answer to the approver's question.
+ * @param {string} lang The current language ('en' or 'th') for response messages.
+ * @returns {Object} A success or error message.
  */
-function handleFinalizedRequest(request, finalStatus, notes) {
-  sendFinalApprovalEmail(
-    request[COLUMN.REQUESTER_EMAIL],
-    request[COLUMN.REQUEST_ID],
-    finalStatus,
-    notes
+function resubmitRequest(requestId, details, notes, lang) {
+  const userEmail = getUserEmail();
+  Logger.info(
+    "resubmitRequest",
+    "Request resubmission started",
+    { requestId },
+    userEmail
   );
-  if (finalStatus === STATUS.APPROVED) {
-    // The request object needs its details parsed for the PDF template.
-    try {
-      request.details = JSON.parse(request[COLUMN.DETAILS] || "{}");
-      // Also parse the new IT review details for the PDF
-      request.itReviewDetails = JSON.parse(
-        request[COLUMN.IT_REVIEW_DETAILS] || "{}"
-      );
-    } catch (e) {
-      request.details = {};
-    }
-    generateAndEmailPdfToHelpdesk(request);
+
+  const lock = LockService.getScriptLock();
+  try {
+    lock.waitLock(30000);
+  } catch (e) {
+    Logger.error(
+      "resubmitRequest",
+      "Failed to acquire lock",
+      { requestId, error: e.message },
+      userEmail
+    );
+    return {
+      status: "error",
+      message: "System is busy, please try again in a moment.",
+    };
   }
-}
-/**
- * Generates a PDF for a given request and returns it as a Base64 encoded string.
- * Performs security checks to ensure the user is authorized.
- * @param {string} requestId The ID of the request.
- * @returns {Object|null} An object { base64, filename } or an object with an error property.
- */
-function generatePdfAsBase64(requestId) {
+
   try {
-    const userEmail = getUserEmail().trim().toLowerCase();
-    const request = _getRequestObjectById(requestId);
+    const translationsJson = getTranslations(lang);
+    const translations = JSON.parse(
+      translationsJson.replace(/<pre>|<\/pre>/g, "")
+    );
 
-    if (!request) {
-      throw new Error("Request not found.");
+    const sheet =
+      SpreadsheetApp.openById(SPREADSHEET_ID).getSheetByName(
+        REQUESTS_SHEET_NAME
+      );
+    const requestInfo = _findOwnedRequest(
+      sheet,
+      requestId,
+      userEmail,
+      translations
+    );
+    if (requestInfo.error) {
+      return { status: "error", message: requestInfo.message };
     }
 
-    // Security Check: User must be the requester, an admin, or an approver in the history.
-    const isRequester =
-      request[COLUMN.REQUESTER_EMAIL].trim().toLowerCase() === userEmail;
+    const { rowIndex, rowObject, headers } = requestInfo;
+    if (rowObject[COLUMN.STATUS] !== STATUS.NEEDS_INFO) {
+      return {
+        status: "error",
+        message:
+          translations.msgRequestNotAwaitingInfo ||
+          "This request is not waiting for more information.",
+      };
+    }
 
-    let history = [];
+    let parsedDetails;
     try {
-      if (request[COLUMN.HISTORY])
-        history = JSON.parse(request[COLUMN.HISTORY]);
-    } catch (e) {}
-    const isHistoricalApprover = history.some(
-      (h) =>
-        h[COLUMN.APPROVER_EMAIL.toLowerCase()] &&
-        h[COLUMN.APPROVER_EMAIL.toLowerCase()].trim().toLowerCase() ===
-          userEmail
+      parsedDetails = JSON.parse(details);
+      if (!parsedDetails || typeof parsedDetails !== "object") {
+        throw new Error("Details must be an object.");
+      }
+    } catch (e) {
+      return {
+        status: "error",
+        message:
+          translations.msgInvalidDetailsFormat ||
+          "Invalid form details format.",
+      };
+    }
+    const formId = _getFormIdFromType(rowObject[COLUMN.FORM_TYPE]);
+    let detailsResult = validateRequestDetails(
+      formId,
+      parsedDetails,
+      translations
     );
-
-    const isAdmin = isUserAdmin();
-
-    if (!isRequester && !isHistoricalApprover && !isAdmin) {
-      throw new Error("You are not authorized to download this document.");
+    if (detailsResult.isValid && formId === "101") {
+      detailsResult = _validateDisposalAssets(parsedDetails, translations);
     }
-    if (request[COLUMN.STATUS] !== STATUS.APPROVED) {
-      throw new Error("PDF can only be downloaded for approved requests.");
+    if (!detailsResult.isValid) {
+      return {
+        status: "error",
+        message: detailsResult.message,
+        fieldErrors: detailsResult.fieldErrors,
+      };
     }
 
-    const fullRequestData = getRequestDataForPdf(requestId);
-    if (!fullRequestData)
-      throw new Error(
-        "Could not retrieve full request data for PDF generation."
+    // The link to an extended request is set by requestAccessExtension, never
+    // by the form, so the stored one is kept.
+    delete parsedDetails.extendsRequestId;
+    try {
+      const { extendsRequestId } = JSON.parse(
+        rowObject[COLUMN.DETAILS] || "{}"
       );
+      if (extendsRequestId) parsedDetails.extendsRequestId = extendsRequestId;
+    } catch (e) {
+      /* ignore parsing errors */
+    }
 
-    const template = HtmlService.createTemplateFromFile("pdf_template");
-    template.request = fullRequestData;
-    const htmlBody = template.evaluate().getContent();
+    const sanitizedNotes = _sanitizeNotes(notes);
+
+    // The latest Needs Info entry records the status the request was returned from.
+    let history = [];
+    try {
+      if (rowObject[COLUMN.HISTORY])
+        history = JSON.parse(rowObject[COLUMN.HISTORY]);
+    } catch (e) {
+      /* ignore parsing errors */
+    }
+    const returnEntry = history
+      .slice()
+      .reverse()
+      .find((h) => h.action === STATUS.NEEDS_INFO);
+    const restoredStatus =
+      (returnEntry && returnEntry.previousStatus) || STATUS.PENDING;
+
+    const range = sheet.getRange(rowIndex, 1, 1, headers.length);
+    range
+      .getCell(1, headers.indexOf(COLUMN.DETAILS) + 1)
+      .setValue(JSON.stringify(parsedDetails));
+    range
+      .getCell(1, headers.indexOf(COLUMN.STATUS) + 1)
+      .setValue(restoredStatus);
+
+    // The details changed, so an all-of step needs its earlier approvers again.
+    const restoredStep = _getWorkflowSteps(formId).find(
+      (step) => step.statusLabel === restoredStatus
+    );
+    if (restoredStep && restoredStep.mode === APPROVAL_MODE.ALL) {
+      const approvers = _parseEmailList(rowObject[COLUMN.CURRENT_APPROVER]);
+      _getStepRoundApprovals(history, restoredStatus).forEach((h) => {
+        const email = (h.onBehalfOf || h.approverEmail)
+          .toString()
+          .toLowerCase();
+        if (!approvers.includes(email)) approvers.push(email);
+      });
+      rowObject[COLUMN.CURRENT_APPROVER] = approvers.join(", ");
+      range
+        .getCell(1, headers.indexOf(COLUMN.CURRENT_APPROVER) + 1)
+        .setValue(rowObject[COLUMN.CURRENT_APPROVER]);
+    }
+
+    _updateAndLogHistory(
+      rowObject,
+      STATUS.RESUBMITTED,
+      sanitizedNotes,
+      userEmail,
+      range,
+      headers.indexOf(COLUMN.HISTORY)
+    );
+
+    _parseEmailList(rowObject[COLUMN.CURRENT_APPROVER]).forEach((email) =>
+      sendResubmittedRequestEmail(email, rowObject, sanitizedNotes)
+    );
 
-    const pdfBlob = Utilities.newBlob(
-      htmlBody,
-      MimeType.HTML,
-      `${fullRequestData[COLUMN.REQUEST_ID]}.html`
-    ).getAs(MimeType.PDF);
     return {
-      base64: Utilities.base64Encode(pdfBlob.getBytes()),
-      filename: `${fullRequestData[COLUMN.REQUEST_ID]}.pdf`,
+      status: "success",
+      message:
+        translations.msgRequestResubmitted ||
+        "Request resubmitted to the approver.",
     };
   } catch (e) {
-    console.error(
-      `Error in generatePdfAsBase64 for request ${requestId}: ${e.message}`
+    Logger.error(
+      "resubmitRequest",
+      "Request resubmission failed",
+      { requestId, error: e.message },
+      userEmail
     );
-    return { error: e.message };
+    return {
+      status: "error",
+      message: `Failed to resubmit request: ${e.message}`,
+    };
+  } finally {
+    lock.releaseLock();
   }
 }
-/**
- * Includes HTML content from another file.
- * This function evaluates the file as a template, passing data to it.
- * @param {string} filename The name of the HTML file to include.
- * @param {Object} requestData The request object to pass to the sub-template.
- * @returns {HtmlOutput} The content of the HTML file.
- */
-function include(filename, requestData) {
-  const template = HtmlService.createTemplateFromFile(filename);
-  template.request = requestData; // Pass the data to the sub-template
-  return template.evaluate().getContent();
-}
 
 /**
- * Serves the web application.
- * @returns {HtmlOutput} The HTML service object.
+ * Cancels (withdraws) a request the current user submitted while it is still
+ * waiting on an approver or on the requester.
+ * @param {string} requestId The ID of the request.
+ * @param {string} reason Why the requester is withdrawing it.
+ * @param {string} [lang] The current language ('en' or 'th') for response messages.
+ * @returns {Object} A success or error message.
  */
-function doGet() {
-  return HtmlService.createTemplateFromFile("index")
-    .evaluate()
-    .setTitle("Approval System")
-    .addMetaTag("viewport", "width=device-width, initial-scale=1.0");
-}
+function cancelRequest(requestId, reason, lang) {
+  const userEmail = getUserEmail();
+  Logger.info(
+    "cancelRequest",
+    "Request cancellation started",
+    { requestId },
+    userEmail
+  );
 
-/**
- * Sends a notification email using a template. (RESTORED TO HTML)
- * @param {string} recipient The email address of the recipient.
- * @param {Object} emailData The data to populate the email template.
- */
-function sendEmail(recipient, emailData) {
+  const lock = LockService.getScriptLock();
   try {
-    const template = HtmlService.createTemplateFromFile("email_template");
-    emailData.companyName = COMPANY_NAME; // Automatically add company name
-    template.data = emailData;
-    const htmlBody = template.evaluate().getContent();
-
-    MailApp.sendEmail({
-      to: recipient,
-      subject: emailData.subject,
-      htmlBody: htmlBody,
-      name: "Approval System Notifier", // Add a professional sender name
-    });
+    lock.waitLock(30000);
   } catch (e) {
-    // Re-throw a more informative error to help debug template issues.
-    throw new Error(
-      `Failed to send email. Error evaluating 'email_template.html': ${e.message}. Please check the template file for syntax errors (e.g., using 'title' instead of 'data.title').`
+    Logger.error(
+      "cancelRequest",
+      "Failed to acquire lock",
+      { requestId, error: e.message },
+      userEmail
     );
+    return {
+      status: "error",
+      message: "System is busy, please try again in a moment.",
+    };
   }
-}
-
-/**
- * Constructs and sends an email for a new approval request.
- * @param {string} approverEmail The recipient's email.
- * @param {object} requestData The data for the request email.
- * @param {boolean} isItReview If true, sends a special IT review notification.
- */
-function sendNewRequestEmail(approverEmail, requestData, isItReview = false) {
-  if (!requestData) {
-    console.error(`No request data provided for email notification.`);
-    return;
-  }
-
-  const emailData = {
-    subject: isItReview
-      ? `IT Review Required: Request #${requestData[COLUMN.REQUEST_ID]}`
-      : `New Approval Request from ${requestData[COLUMN.REQUESTER_NAME]} (#${
-          requestData[COLUMN.REQUEST_ID]
-        })`,
-    title: isItReview ? "Request for IT Review" : "New Request to Approve",
-    main_message: isItReview
-      ? `The following request has been approved by the department head and now requires your review.`
-      : `A new request from <strong>${
-          requestData[COLUMN.REQUESTER_NAME]
-        }</strong> requires your approval. Please review the details below.`,
-    details: {
-      "Request ID": requestData[COLUMN.REQUEST_ID],
-      "Form Type": requestData[COLUMN.FORM_TYPE],
-      Requester: requestData[COLUMN.REQUESTER_NAME],
-      Department: requestData[COLUMN.DEPARTMENT],
-      "Sub-Department": requestData[COLUMN.SUB_DEPARTMENT] || "-",
-    },
-    buttonText: "View Request",
-    buttonUrl: ScriptApp.getService().getUrl() + "?page=approvals",
-  };
-  sendEmail(approverEmail, emailData);
-}
-
-/**
- * Constructs and sends an email notifying the user of a final status update.
- */
-function sendFinalApprovalEmail(requesterEmail, requestId, status, notes) {
-  const statusColor = status === "Approved" ? "#16a34a" : "#dc2626"; // Green for approved, Red for rejected
-  const emailData = {
-    subject: `Update on your request #${requestId}`,
-    title: `Your Request has been ${status}`,
-    main_message: `Your request <strong>#${requestId}</strong> has been updated to: <strong style="color: ${statusColor};">${status}</strong>.`,
-    details: {
-      "Request ID": requestId,
-    },
-    notes: notes || null, // Pass notes separately, or null if there are none
-    buttonText: "View My Requests",
-    buttonUrl: ScriptApp.getService().getUrl() + "?page=my-requests",
-  };
-  sendEmail(requesterEmail, emailData);
-}
 
-/**
- * Generates a PDF of the request and emails it to the helpdesk.
- * @param {Object} request The full request object, with details and history parsed.
- */
-function generateAndEmailPdfToHelpdesk(request) {
   try {
-    if (!HELPDESK_EMAIL) {
-      console.error(
-        "Configuration Error: 'HELPDESK_EMAIL' is not set in Script Properties. Cannot send email to helpdesk."
-      );
-      return; // Exit the function gracefully
-    }
-    if (!request) throw new Error("Request object is null.");
+    const translationsJson = getTranslations(lang || "en");
+    const translations = JSON.parse(
+      translationsJson.replace(/<pre>|<\/pre>/g, "")
+    );
 
-    // The request object passed here already has its details parsed by handleFinalizedRequest
-    const fullRequestData = getRequestDataForPdf(request.requestId);
-    if (!fullRequestData)
-      throw new Error(
-        "Could not retrieve full request data for PDF generation."
+    const sheet =
+      SpreadsheetApp.openById(SPREADSHEET_ID).getSheetByName(
+        REQUESTS_SHEET_NAME
       );
-    // Add itReviewDetails to the object for the template
-    fullRequestData.itReviewDetails = JSON.parse(
-      request.itReviewDetails || "{}"
+    const requestInfo = _findOwnedRequest(
+      sheet,
+      requestId,
+      userEmail,
+      translations
     );
+    if (requestInfo.error) {
+      return { status: "error", message: requestInfo.message };
+    }
 
-    const template = HtmlService.createTemplateFromFile("pdf_template");
-    template.request = fullRequestData;
-    const htmlBody = template.evaluate().getContent();
-
-    const pdfBlob = Utilities.newBlob(
-      htmlBody,
-      MimeType.HTML,
-      `${fullRequestData[COLUMN.REQUEST_ID]}.html`
-    )
-      .getAs(MimeType.PDF)
-      .setName(`${fullRequestData[COLUMN.REQUEST_ID]}.pdf`);
+    const { rowIndex, rowObject, headers } = requestInfo;
+    const status = rowObject[COLUMN.STATUS];
+    if (
+      !_getPendingStatuses().includes(status) &&
+      status !== STATUS.NEEDS_INFO
+    ) {
+      return {
+        status: "error",
+        message:
+          translations.msgRequestNotCancellable ||
+          "Only requests that are still in progress can be cancelled.",
+      };
+    }
 
-    const subject = `New Ticket: Approved Request #${
-      fullRequestData[COLUMN.REQUEST_ID]
-    } - ${fullRequestData[COLUMN.FORM_TYPE]}`;
-    const body =
-      `A new request has been fully approved and requires action.\n\n` +
-      `Request ID: ${fullRequestData[COLUMN.REQUEST_ID]}\n` +
-      `Form Type: ${fullRequestData[COLUMN.FORM_TYPE]}\n` +
-      `Requester: ${fullRequestData[COLUMN.REQUESTER_NAME]} (${
-        fullRequestData[COLUMN.REQUESTER_EMAIL]
-      })\n\n` +
-      `Please see the attached PDF for full details.`;
+    // The approver is kept on the row so the cancellation shows up in their list.
+    const sanitizedReason = _sanitizeNotes(reason);
+    const range = sheet.getRange(rowIndex, 1, 1, headers.length);
+    range
+      .getCell(1, headers.indexOf(COLUMN.STATUS) + 1)
+      .setValue(STATUS.CANCELLED);
+    _updateAndLogHistory(
+      rowObject,
+      STATUS.CANCELLED,
+      sanitizedReason,
+      userEmail,
+      range,
+      headers.indexOf(COLUMN.HISTORY)
+    );
 
-    MailApp.sendEmail({
-      to: HELPDESK_EMAIL,
-      subject: subject,
-      body: body,
-      attachments: [pdfBlob],
-      name: "Approval System",
-    });
-    console.log(
-      `PDF for request ${fullRequestData[COLUMN.REQUEST_ID]} sent to helpdesk.`
+    _parseEmailList(rowObject[COLUMN.CURRENT_APPROVER]).forEach((email) =>
+      sendRequestCancelledEmail(email, rowObject, sanitizedReason)
     );
+
+    return {
+      status: "success",
+      message: translations.msgRequestCancelled || "Request cancelled.",
+    };
   } catch (e) {
-    console.error(
-      `Failed to generate or email PDF for request ${request.requestId}: ${e.message}`
+    Logger.error(
+      "cancelRequest",
+      "Request cancellation failed",
+      { requestId, error: e.message },
+      userEmail
     );
+    return {
+      status: "error",
+      message: `Failed to cancel request: ${e.message}`,
+    };
+  } finally {
+    lock.releaseLock();
   }
 }
 
 /**
- * Renders the form-specific part of the PDF by including a sub-template.
- * @param {Object} request The full request object.
- * @returns {string} The HTML content for the form details.
+ * PRIVATE: Finds a request row and checks that the given user submitted it.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The Requests sheet.
+ * @param {string} requestId The ID of the request.
+ * @param {string} userEmail The current user's email.
+ * @param {Object} translations The translation object.
+ * @returns {Object} The row info from _findRowAndRowObjectById, or {error: true, message}.
  */
-function getPdfFormDetailsHtml(request) {
-  const formNumberMatch = request.formType.match(/ISMS-FM-(\d+)/);
-  if (!formNumberMatch) {
-    // Fallback for forms without a specific template
-    return `<pre>${JSON.stringify(request.details, null, 2)}</pre>`;
+function _findOwnedRequest(sheet, requestId, userEmail, translations) {
+  const requestInfo = requestId
+    ? _findRowAndRowObjectById(sheet, requestId)
+    : null;
+  if (!requestInfo) {
+    return {
+      error: true,
+      message: translations.msgRequestIdNotFound || "Request ID not found.",
+    };
   }
-
-  const formId = formNumberMatch[1];
-  const templateFileName = `pdf_details_${formId}`;
-
-  try {
-    // Check if the template file exists before trying to create it
-    // This is a conceptual check; in Apps Script, it will throw an error if the file doesn't exist, which we catch.
-    const template = HtmlService.createTemplateFromFile(templateFileName);
-    template.request = request; // Pass the whole request object to the sub-template
-    return template.evaluate().getContent();
-  } catch (e) {
-    console.warn(
-      `PDF detail template "${templateFileName}.html" not found. Falling back to JSON output. Error: ${e.message}`
-    );
-    // Fallback for forms with a number but no matching template file
-    return `<pre>${JSON.stringify(request.details, null, 2)}</pre>`;
+  if (
+    requestInfo.rowObject[COLUMN.REQUESTER_EMAIL]
+      .toString()
+      .trim()
+      .toLowerCase() !== userEmail.trim().toLowerCase()
+  ) {
+    return {
+      error: true,
+      message: "You do not have permission to modify this request.",
+    };
   }
+  return requestInfo;
 }
 
 /**
- * Helper function to get all data for a request, including parsed details and history.
- * @param {string} requestId The ID of the request.
- * @returns {Object|null} The complete request object or null.
+ * PRIVATE: Strips markup from user-entered notes and limits their length.
+ * @param {string} notes The raw notes.
+ * @returns {string} The sanitized notes.
  */
-function getRequestDataForPdf(requestId) {
-  // This function is similar to getRequestById but doesn't need security checks
-  // as it's called internally after a valid approval. It also parses details and history.
-  const sheet =
-    SpreadsheetApp.openById(SPREADSHEET_ID).getSheetByName(REQUESTS_SHEET_NAME);
+function _sanitizeNotes(notes) {
+  if (!notes || typeof notes !== "string") return "";
+  return (
+    notes
+      .replace(/<script[^>]*>.*?<\/script>/gi, "")
+      .replace(/<[^>]+>/g, "")
+      // An unclosed tag ("<img src=x onerror=...") is left as plain text.
+      .replace(/<(?=[a-z!\/?])/gi, "")
+      .slice(0, 1000)
+  );
+}
+
+/**
+ * PRIVATE: Finds a row by ID and returns its index, data array, and object representation.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The sheet to search in.
+ * @param {string} requestId The ID of the request to find.
+ * @returns {{rowIndex: number, rowData: Array, rowObject: Object, headers: Array<string>}|null}
+ */
+function _findRowAndRowObjectById(sheet, requestId) {
   const data = sheet.getDataRange().getValues();
   const headers = data.shift();
   const idIndex = headers.indexOf(COLUMN.REQUEST_ID);
 
-  const row = data.find((r) => r[idIndex] === requestId);
-  if (!row) return null;
+  if (idIndex === -1) {
+    throw new Error(`Column '${COLUMN.REQUEST_ID}' not found.`);
+  }
 
-  const requestObject = {};
-  headers.forEach((header, index) => {
-    requestObject[header] =
-      row[index] instanceof Date ? row[index].toISOString() : row[index];
-  });
+  const rowIndex = data.findIndex((row) => row[idIndex] === requestId);
 
-  try {
-    requestObject[COLUMN.DETAILS] = JSON.parse(
-      requestObject[COLUMN.DETAILS] || "{}"
-    );
-  } catch (e) {
-    requestObject[COLUMN.DETAILS] = {};
+  if (rowIndex === -1) {
+    return null;
   }
-  try {
-    requestObject[COLUMN.HISTORY] = JSON.parse(
-      requestObject[COLUMN.HISTORY] || "[]"
+
+  const rowData = data[rowIndex];
+  const rowObject = _rowToObject(rowData, headers);
+  return { rowIndex: rowIndex + 2, rowData, rowObject, headers }; // +2 because of 1-based index and header row
+}
+/**
+ * PRIVATE: Gets the IT reviewer mapping from the ITReviewers sheet.
+ * @returns {Object} A map like {'011': {reviewerEmail: '...', managerEmail: '...', directorEmail: '...'}}.
+ */
+function _getItReviewerMap() {
+  return getCachedData(IT_REVIEWER_MAP_CACHE_KEY, () => {
+    const sheet = SpreadsheetApp.openById(SPREADSHEET_ID).getSheetByName(
+      IT_REVIEWERS_SHEET_NAME
     );
-  } catch (e) {
-    requestObject[COLUMN.HISTORY] = [];
-  }
-  // Also parse itReviewDetails
-  try {
-    requestObject[COLUMN.IT_REVIEW_DETAILS] = JSON.parse(
-      requestObject[COLUMN.IT_REVIEW_DETAILS] || "{}"
+    if (!sheet) {
+      console.warn(
+        `Sheet "${IT_REVIEWERS_SHEET_NAME}" not found. IT review routing will be disabled.`
+      );
+      return {};
+    }
+    const data = sheet.getDataRange().getValues();
+    const headers = data.shift();
+    // Standardize headers to camelCase (e.g., "ReviewerEmail" becomes "reviewerEmail")
+    const lowerCaseHeaders = headers.map((h) =>
+      h.toLowerCase().replace(/\s/g, "")
     );
-  } catch (e) {
-    requestObject[COLUMN.IT_REVIEW_DETAILS] = {};
-  }
+    const formIdIndex = lowerCaseHeaders.findIndex((h) => h === "formid");
+    if (formIdIndex === -1) return {};
 
-  // Add translations to the request object for PDF rendering
-  try {
-    const translationsJson = getTranslations("th"); // Default to 'th' for PDF, or make it configurable
-    requestObject.translations = JSON.parse(
-      translationsJson.replace(/<pre>|<\/pre>/g, "")
+    return data.reduce((acc, row) => {
+      const formId = row[formIdIndex];
+      if (formId) {
+        // Use the standardized camelCase headers to build the object
+        acc[formId] = _rowToObject(row, headers);
+      }
+      return acc;
+    }, {});
+  });
+}
+
+/**
+ * PRIVATE: Extracts the numeric form ID from a form type string.
+ * @param {string} formType The form type, e.g. 'ISMS-FM-011'.
+ * @returns {string|null} The form ID (e.g. '011') or null if it cannot be parsed.
+ */
+function _getFormIdFromType(formType) {
+  return ((formType || "").toString().match(/ISMS-FM-(\d+)/) || [])[1] || null;
+}
+
+/**
+ * PRIVATE: Splits a comma or semicolon separated list of emails.
+ * @param {string} value The raw cell or input value.
+ * @returns {string[]} Trimmed, lowercased, non-empty email addresses.
+ */
+function _parseEmailList(value) {
+  if (!value) return [];
+  return value
+    .toString()
+    .split(/[,;]/)
+    .map((email) => email.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * PRIVATE: Replaces one approver in an email list, keeping the others in place.
+ * The replacement is added when the approver is not in the list.
+ * @param {string} value The raw list, e.g. the currentApproverEmail column.
+ * @param {string} fromEmail The approver to take out.
+ * @param {string} toEmail The approver to put in their place.
+ * @returns {string} The updated list, comma-separated without duplicates.
+ */
+function _replaceInEmailList(value, fromEmail, toEmail) {
+  const from = (fromEmail || "").trim().toLowerCase();
+  const to = (toEmail || "").trim().toLowerCase();
+  const emails = _parseEmailList(value);
+  const replaced = emails.includes(from)
+    ? emails.map((email) => (email === from ? to : email))
+    : emails.concat(to);
+  return [...new Set(replaced)].join(", ");
+}
+
+/**
+ * PRIVATE: Checks whether a user is one of the approvers assigned to a request.
+ * A workflow step may assign several approvers (stored comma-separated in the
+ * currentApproverEmail column); any one of them may act on the step.
+ * @param {string} currentApproverValue The value of the currentApproverEmail column.
+ * @param {string} userEmail The email to check.
+ * @returns {boolean} True if the user is an assigned approver.
+ */
+function _isAssignedApprover(currentApproverValue, userEmail) {
+  if (!userEmail) return false;
+  return _parseEmailList(currentApproverValue).includes(
+    userEmail.trim().toLowerCase()
+  );
+}
+
+/**
+ * PRIVATE: Gets the custom approval chains from the Workflows sheet.
+ * Each row is one step: FormID, StepOrder, StepName, ApproverEmails, StatusLabel,
+ * and an optional ApprovalMode ('any' or 'all'; see APPROVAL_MODE).
+ * @returns {Object} A map like {'026': [{order: 1, name: 'SAP Basis Lead', approverEmails: ['...'], statusLabel: 'Pending SAP Basis', mode: 'any'}]}.
+ */
+function _getWorkflowDefinitions() {
+  return getCachedData(WORKFLOW_DEFINITIONS_CACHE_KEY, () => {
+    const sheet =
+      SpreadsheetApp.openById(SPREADSHEET_ID).getSheetByName(
+        WORKFLOWS_SHEET_NAME
+      );
+    if (!sheet) return {};
+
+    const data = sheet.getDataRange().getValues();
+    const headers = (data.shift() || []).map((h) =>
+      h.toString().toLowerCase().trim()
+    );
+    const formIdIndex = headers.indexOf("formid");
+    const orderIndex = headers.indexOf("steporder");
+    const nameIndex = headers.indexOf("stepname");
+    const approversIndex = headers.indexOf("approveremails");
+    const statusIndex = headers.indexOf("statuslabel");
+    const modeIndex = headers.indexOf("approvalmode"); // Optional column
+    if (
+      [
+        formIdIndex,
+        orderIndex,
+        nameIndex,
+        approversIndex,
+        statusIndex,
+      ].includes(-1)
+    ) {
+      console.warn(
+        `Sheet "${WORKFLOWS_SHEET_NAME}" is missing required columns. Custom workflows are ignored.`
+      );
+      return {};
+    }
+
+    const definitions = data.reduce((acc, row) => {
+      const formId = row[formIdIndex] ? row[formIdIndex].toString().trim() : "";
+      if (!formId || !row[statusIndex]) return acc;
+      (acc[formId] = acc[formId] || []).push({
+        order: parseInt(row[orderIndex], 10) || 0,
+        name: row[nameIndex].toString().trim(),
+        approverEmails: _parseEmailList(row[approversIndex]),
+        statusLabel: row[statusIndex].toString().trim(),
+        mode:
+          modeIndex !== -1 &&
+          row[modeIndex].toString().trim().toLowerCase() === APPROVAL_MODE.ALL
+            ? APPROVAL_MODE.ALL
+            : APPROVAL_MODE.ANY,
+      });
+      return acc;
+    }, {});
+    Object.keys(definitions).forEach((formId) =>
+      definitions[formId].sort((a, b) => a.order - b.order)
     );
+    return definitions;
+  });
+}
+
+/**
+ * PRIVATE: Resolves the ordered approval steps a form goes through after the
+ * department approver. A custom chain from the Workflows sheet applies to any
+ * form; otherwise forms on the IT review list use their ITReviewers row
+ * (Reviewer -> Manager -> Director), with blank columns skipped.
+ * @param {string} formId The form ID (e.g., '026').
+ * @returns {Object[]} The steps, or an empty array if the form has no review workflow.
+ */
+function _getWorkflowSteps(formId) {
+  if (!formId) return [];
+
+  const customSteps = _getWorkflowDefinitions()[formId];
+  if (customSteps && customSteps.length > 0) return customSteps;
+
+  if (!SettingsService.getItReviewForms().includes(formId)) return [];
+  const itChain = _getItReviewerMap()[formId];
+  if (!itChain) return [];
+  return [
+    {
+      name: "IT Reviewer",
+      statusLabel: STATUS.PENDING_IT_REVIEWER,
+      mode: APPROVAL_MODE.ANY,
+      approverEmails: _parseEmailList(
+        itChain.ReviewerEmail || itChain.reviewerEmail
+      ),
+    },
+    {
+      name: "IT Manager",
+      statusLabel: STATUS.PENDING_IT_MANAGER,
+      mode: APPROVAL_MODE.ANY,
+      approverEmails: _parseEmailList(
+        itChain.ManagerEmail || itChain.managerEmail
+      ),
+    },
+    {
+      name: "IT Director",
+      statusLabel: STATUS.PENDING_IT_DIRECTOR,
+      mode: APPROVAL_MODE.ANY,
+      approverEmails: _parseEmailList(
+        itChain.DirectorEmail || itChain.directorEmail
+      ),
+    },
+  ].filter((step) => step.approverEmails.length > 0);
+}
+
+/**
+ * PRIVATE: Builds the per-approver progress of the step a request is on, for
+ * steps that need sign-off from several approvers.
+ * @param {Object} request The request row object.
+ * @returns {Object|null} {name, mode, approvers: [{email, approved, timestamp}]}, or null if the current step is not a multi-approver step.
+ */
+function _getStepProgress(request) {
+  const status = request[COLUMN.STATUS];
+  const step = _getWorkflowSteps(
+    _getFormIdFromType(request[COLUMN.FORM_TYPE])
+  ).find((s) => s.statusLabel === status);
+  if (!step || step.approverEmails.length < 2) return null;
+
+  let history = [];
+  try {
+    if (request[COLUMN.HISTORY]) history = JSON.parse(request[COLUMN.HISTORY]);
   } catch (e) {
-    requestObject.translations = {}; // Fallback
+    /* ignore malformed JSON */
   }
 
-  return requestObject;
+  const approved = _getStepRoundApprovals(history, status).map((h) => ({
+    email: (h.onBehalfOf || h.approverEmail).toString().toLowerCase(),
+    approved: true,
+    timestamp: h.timestamp,
+  }));
+  const waiting = _parseEmailList(request[COLUMN.CURRENT_APPROVER])
+    .filter((email) => !approved.some((a) => a.email === email))
+    .map((email) => ({ email, approved: false, timestamp: null }));
+  return {
+    name: step.name,
+    mode: step.mode,
+    approvers: approved.concat(waiting),
+  };
 }
 
 /**
- * Retrieves a list of all approvers from the Approvers sheet.
- * @returns {Object[]} An array of approver objects.
+ * PRIVATE: Picks the approvals given in the current round of a step, i.e. after the
+ * request last entered it from the step before or came back from Needs Info.
+ * @param {Array<Object>} history The parsed approval history.
+ * @param {string} stepStatus The step's status label.
+ * @returns {Array<Object>} The Approved history entries of the current round.
  */
-function getApprovers() {
-  if (!isUserAdmin()) {
-    console.error(
-      `Unauthorized access attempt to getApprovers by ${getUserEmail()}`
+function _getStepRoundApprovals(history, stepStatus) {
+  let roundStart = 0;
+  history.forEach((h, i) => {
+    if (
+      h.action === STATUS.RESUBMITTED ||
+      (h.action === STATUS.APPROVED && h.stepStatus !== stepStatus)
+    ) {
+      roundStart = i + 1;
+    }
+  });
+  return history
+    .slice(roundStart)
+    .filter((h) => h.action === STATUS.APPROVED && h.stepStatus === stepStatus);
+}
+
+/**
+ * PRIVATE: Lists every status meaning a request is still waiting on an approver,
+ * including the status labels of all custom workflow steps.
+ * @returns {string[]} The pending statuses.
+ */
+function _getPendingStatuses() {
+  const pendingStatuses = [
+    STATUS.PENDING,
+    STATUS.PENDING_IT,
+    STATUS.PENDING_IT_REVIEWER,
+    STATUS.PENDING_IT_MANAGER,
+    STATUS.PENDING_IT_DIRECTOR,
+  ];
+  const definitions = _getWorkflowDefinitions();
+  Object.keys(definitions).forEach((formId) =>
+    definitions[formId].forEach((step) => {
+      if (!pendingStatuses.includes(step.statusLabel)) {
+        pendingStatuses.push(step.statusLabel);
+      }
+    })
+  );
+  return pendingStatuses;
+}
+
+// ================================================================================
+// APPROVAL DELEGATION
+// ================================================================================
+
+/**
+ * PRIVATE: Reads every registered delegation from the Delegations sheet.
+ * Dates are stored as 'yyyy-MM-dd' text so they compare as plain strings.
+ * @returns {Array<{approverEmail: string, delegateEmail: string, startDate: string, endDate: string}>}
+ */
+function _getDelegations() {
+  return getCachedData(DELEGATIONS_CACHE_KEY, () => {
+    const sheet = SpreadsheetApp.openById(SPREADSHEET_ID).getSheetByName(
+      DELEGATIONS_SHEET_NAME
     );
-    return []; // Return empty array for non-admins
-  }
-  try {
-    const sheet =
-      SpreadsheetApp.openById(SPREADSHEET_ID).getSheetByName(
-        APPROVERS_SHEET_NAME
-      );
-    if (!sheet) return [];
+    if (!sheet || sheet.getLastRow() <= 1) return [];
+
     const data = sheet.getDataRange().getValues();
-    if (data.length <= 1) return [];
+    const headers = data.shift().map((h) => h.toString().trim());
+    const approverIndex = headers.indexOf("ApproverEmail");
+    const delegateIndex = headers.indexOf("DelegateEmail");
+    const startIndex = headers.indexOf("StartDate");
+    const endIndex = headers.indexOf("EndDate");
+    if ([approverIndex, delegateIndex, startIndex, endIndex].includes(-1)) {
+      console.error(`Sheet "${DELEGATIONS_SHEET_NAME}" is missing columns.`);
+      return [];
+    }
 
-    const headers = data.shift();
-    // Standardize headers to lowercase keys for JS consistency
-    const lowerCaseHeaders = headers.map((h) =>
-      (h.charAt(0).toLowerCase() + h.slice(1)).replace(/\s/g, "")
+    return data
+      .filter((row) => row[approverIndex] && row[delegateIndex])
+      .map((row) => ({
+        approverEmail: row[approverIndex].toString().trim().toLowerCase(),
+        delegateEmail: row[delegateIndex].toString().trim().toLowerCase(),
+        startDate: _toDelegationDateString(row[startIndex]),
+        endDate: _toDelegationDateString(row[endIndex]),
+      }));
+  });
+}
+
+/**
+ * PRIVATE: Normalises a delegation date cell so dates compare as 'yyyy-MM-dd' strings.
+ * @param {Date|string} value The cell value, a Date for date-formatted cells.
+ * @returns {string} The date as 'yyyy-MM-dd', or the trimmed text for other values.
+ */
+function _toDelegationDateString(value) {
+  if (value instanceof Date) {
+    return Utilities.formatDate(
+      value,
+      Session.getScriptTimeZone(),
+      "yyyy-MM-dd"
     );
+  }
+  return (value || "").toString().trim();
+}
 
-    return data.map((row) => {
-      let obj = {};
-      lowerCaseHeaders.forEach((header, i) => {
-        obj[header] = row[i];
-      });
-      return obj;
-    });
+/**
+ * PRIVATE: Today's date in the script's time zone, formatted like delegation dates.
+ * @returns {string} The date as 'yyyy-MM-dd'.
+ */
+function _getTodayDateString() {
+  return Utilities.formatDate(
+    new Date(),
+    Session.getScriptTimeZone(),
+    "yyyy-MM-dd"
+  );
+}
+
+/**
+ * PRIVATE: Lists the approvers who have currently delegated to the given user.
+ * @param {string} userEmail The delegate's email.
+ * @returns {string[]} The lowercased emails of the approvers being covered.
+ */
+function _getActiveDelegators(userEmail) {
+  const userEmailLower = (userEmail || "").trim().toLowerCase();
+  const today = _getTodayDateString();
+  return _getDelegations()
+    .filter(
+      (d) =>
+        d.delegateEmail === userEmailLower &&
+        d.startDate <= today &&
+        today <= d.endDate
+    )
+    .map((d) => d.approverEmail);
+}
+
+/**
+ * PRIVATE: Finds the active delegate of an approver, if any.
+ * @param {string} approverEmail The approver's email.
+ * @returns {string|null} The delegate's email, or null when no delegation is active.
+ */
+function _getActiveDelegate(approverEmail) {
+  const approverEmailLower = (approverEmail || "").trim().toLowerCase();
+  const today = _getTodayDateString();
+  const delegation = _getDelegations().find(
+    (d) =>
+      d.approverEmail === approverEmailLower &&
+      d.startDate <= today &&
+      today <= d.endDate
+  );
+  return delegation ? delegation.delegateEmail : null;
+}
+
+/**
+ * PRIVATE: Works out whose approval a user would be giving on a request: their own
+ * when they are assigned, or that of an assigned approver they are covering for.
+ * @param {string} currentApproverValue The request's currentApproverEmail cell.
+ * @param {string} userEmail The acting user's email.
+ * @param {string[]} delegators Approvers currently delegating to the user.
+ * @returns {string|null} The lowercased email the user acts as, or null if they may not act.
+ */
+function _getActingApprover(currentApproverValue, userEmail, delegators) {
+  if (_isAssignedApprover(currentApproverValue, userEmail)) {
+    return userEmail.trim().toLowerCase();
+  }
+  return (
+    delegators.find((approverEmail) =>
+      _isAssignedApprover(currentApproverValue, approverEmail)
+    ) || null
+  );
+}
+
+/**
+ * Gets the current user's own delegation, whether or not it is active yet.
+ * @returns {Object|null} The delegation ({delegateEmail, startDate, endDate}) or null.
+ */
+function getMyDelegation() {
+  try {
+    const userEmailLower = getUserEmail().trim().toLowerCase();
+    return (
+      _getDelegations().find((d) => d.approverEmail === userEmailLower) || null
+    );
   } catch (e) {
-    console.error(`Error in getApprovers: ${e.message}`);
-    return []; // Return empty array on error
+    console.error(`Error in getMyDelegation: ${e.message}`);
+    return { error: true, message: `Failed to load delegation: ${e.message}` };
   }
 }
 
 /**
- * Manages approvers (Add, Update, Delete).
- * @param {string} action The action to perform: 'add', 'update', or 'delete'.
- * @param {Object} approverData The data for the approver.
+ * Registers, replaces or removes the current user's out-of-office delegate.
+ * @param {Object|null} delegation {delegateEmail, startDate, endDate} with 'yyyy-MM-dd'
+ *   dates, or null to remove the delegation.
  * @returns {Object} A success or error message.
  */
-function manageApprover(action, approverData) {
-  if (!isUserAdmin()) {
-    return {
-      status: "error",
-      message: "You are not authorized to perform this action.",
+function saveMyDelegation(delegation) {
+  const userEmail = getUserEmail().trim().toLowerCase();
+
+  if (delegation) {
+    const delegateEmail = (delegation.delegateEmail || "").trim().toLowerCase();
+    const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(delegateEmail)) {
+      return { status: "error", message: "Invalid email format for delegate." };
+    }
+    if (delegateEmail === userEmail) {
+      return {
+        status: "error",
+        message: "You cannot delegate approvals to yourself.",
+      };
+    }
+    if (
+      !datePattern.test(delegation.startDate || "") ||
+      !datePattern.test(delegation.endDate || "") ||
+      delegation.endDate < delegation.startDate
+    ) {
+      return {
+        status: "error",
+        message: "Please enter a valid start and end date.",
+      };
+    }
+    delegation = {
+      delegateEmail,
+      startDate: delegation.startDate,
+      endDate: delegation.endDate,
     };
   }
 
   const lock = LockService.getScriptLock();
   try {
-    // Try to get lock with 30 second timeout
     lock.waitLock(30000);
   } catch (e) {
     return {
@@ -2995,850 +4462,6721 @@ function manageApprover(action, approverData) {
   }
 
   try {
-    const sheet =
-      SpreadsheetApp.openById(SPREADSHEET_ID).getSheetByName(
-        APPROVERS_SHEET_NAME
-      );
-    const data = sheet.getDataRange().getValues();
-    const headers = data.shift(); // e.g., ['Department', 'ApproverName', 'ApproverEmail', ...]
-    const emailIndex = headers.findIndex(
-      (h) => h.toLowerCase() === COLUMN.APPROVER_EMAIL.toLowerCase()
-    );
-    if (emailIndex === -1)
-      throw new Error(`Column '${COLUMN.APPROVER_EMAIL}' not found.`);
+    const spreadsheet = SpreadsheetApp.openById(SPREADSHEET_ID);
+    let sheet = spreadsheet.getSheetByName(DELEGATIONS_SHEET_NAME);
+    if (!sheet) {
+      sheet = spreadsheet.insertSheet(DELEGATIONS_SHEET_NAME);
+      sheet
+        .getRange(1, 1, 1, 5)
+        .setValues([
+          [
+            "ApproverEmail",
+            "DelegateEmail",
+            "StartDate",
+            "EndDate",
+            "UpdatedAt",
+          ],
+        ]);
+      sheet.getRange("C:D").setNumberFormat("@"); // Keep dates as plain text
+    }
 
-    const targetEmail = (
-      action === "update" ? approverData.originalEmail : approverData.email
-    )
-      .trim()
-      .toLowerCase();
-    const rowIndex = data.findIndex(
-      (row) =>
-        row[emailIndex] &&
-        row[emailIndex].toString().trim().toLowerCase() === targetEmail
+    const emails =
+      sheet.getLastRow() > 1
+        ? sheet.getRange(2, 1, sheet.getLastRow() - 1, 1).getValues()
+        : [];
+    const existingIndex = emails.findIndex(
+      (row) => row[0].toString().trim().toLowerCase() === userEmail
     );
 
-    // Map client-side keys to sheet header names (lowercase)
-    const clientKeyToHeaderMap = {
-      department: COLUMN.DEPARTMENT.toLowerCase(),
-      subDepartment: COLUMN.SUB_DEPARTMENT.toLowerCase(),
-      approverName: COLUMN.APPROVER_NAME.toLowerCase(),
-      position: COLUMN.APPROVER_POSITION.toLowerCase(),
-      email: COLUMN.APPROVER_EMAIL.toLowerCase(),
-      level: COLUMN.APPROVER_LEVEL.toLowerCase(),
-      role: COLUMN.APPROVER_ROLE.toLowerCase(),
+    if (!delegation) {
+      if (existingIndex !== -1) sheet.deleteRow(existingIndex + 2);
+    } else {
+      const rowValues = [
+        userEmail,
+        delegation.delegateEmail,
+        delegation.startDate,
+        delegation.endDate,
+        new Date(),
+      ];
+      if (existingIndex !== -1) {
+        sheet.getRange(existingIndex + 2, 1, 1, 5).setValues([rowValues]);
+      } else {
+        sheet.appendRow(rowValues);
+      }
+    }
+
+    Logger.auditLog(
+      delegation ? "DELEGATION_SAVED" : "DELEGATION_REMOVED",
+      userEmail,
+      delegation || {}
+    );
+    return {
+      status: "success",
+      message: delegation ? "Delegation saved." : "Delegation removed.",
+    };
+  } catch (e) {
+    console.error(`Error in saveMyDelegation: ${e.message}`);
+    return {
+      status: "error",
+      message: `Failed to save delegation: ${e.message}`,
     };
+  } finally {
+    lock.releaseLock();
+    Cache.remove(DELEGATIONS_CACHE_KEY);
+  }
+}
 
-    switch (action) {
-      case "add":
-        if (rowIndex > -1) {
-          return {
-            status: "error",
-            message: "Account with this email already exists.",
-          };
-        }
-        // Dynamically build the row based on header order
-        const newRow = headers.map((header) => {
-          const headerLower = header.toLowerCase();
-          // Find which client key corresponds to this header
-          const clientKey = Object.keys(clientKeyToHeaderMap).find(
-            (key) => clientKeyToHeaderMap[key] === headerLower
-          );
-          if (clientKey) {
-            // Use the value from approverData, or a default
-            return (
-              approverData[clientKey] ||
-              (clientKey === "role" ? "Approver" : "")
-            );
-          }
-          return ""; // Default for any unmapped columns
-        });
-        sheet.appendRow(newRow);
-        return { status: "success", message: "Account added successfully." };
+// ================================================================================
+// USER PREFERENCES
+// ================================================================================
+//
+// Per-user settings stored as JSON in the UserPreferences sheet (one row per
+// user). Users without a row get DEFAULT_USER_PREFERENCES.
+//
 
-      case "update":
-        if (rowIndex === -1) {
-          return { status: "error", message: "Account not found to update." };
-        }
-        const headerIndexMap = headers.reduce((acc, header, index) => {
-          acc[header.toLowerCase()] = index;
-          return acc;
-        }, {});
+const DEFAULT_USER_PREFERENCES = {
+  emailDelivery: "instant", // 'instant': one email per request; 'digest': one daily summary
+};
 
-        const range = sheet.getRange(rowIndex + 2, 1, 1, headers.length);
-        for (const clientKey in clientKeyToHeaderMap) {
-          const headerName = clientKeyToHeaderMap[clientKey];
-          const colIndex = headerIndexMap[headerName];
-          if (colIndex !== undefined) {
-            const value =
-              approverData[clientKey] ||
-              (clientKey === "role" ? "Approver" : "");
-            range.getCell(1, colIndex + 1).setValue(value);
-          }
-        }
-        return { status: "success", message: "Account update successfully." };
+/**
+ * PRIVATE: Reads every user's saved preferences, from cache when available.
+ * @returns {Object} A map of lowercased email to that user's saved preferences.
+ */
+function _getUserPreferencesMap() {
+  return getCachedData(USER_PREFERENCES_CACHE_KEY, () => {
+    const sheet = SpreadsheetApp.openById(SPREADSHEET_ID).getSheetByName(
+      USER_PREFERENCES_SHEET_NAME
+    );
+    if (!sheet || sheet.getLastRow() <= 1) return {};
 
-      case "delete":
-        if (rowIndex === -1) {
-          return { status: "error", message: "Account not found to delete." };
+    return sheet
+      .getRange(2, 1, sheet.getLastRow() - 1, 2)
+      .getValues()
+      .reduce((acc, [email, json]) => {
+        if (!email) return acc;
+        try {
+          acc[email.toString().trim().toLowerCase()] = JSON.parse(json);
+        } catch (e) {
+          console.warn(`Ignoring malformed preferences for ${email}.`);
         }
-        sheet.deleteRow(rowIndex + 2);
-        return { status: "success", message: "Account deleted successfully." };
+        return acc;
+      }, {});
+  });
+}
 
-      default:
-        return { status: "error", message: "Invalid action specified." };
+/**
+ * PRIVATE: Gets a user's preferences, filled in with the defaults.
+ * @param {string} userEmail The user's email.
+ * @returns {Object} The user's preferences.
+ */
+function _getUserPreferences(userEmail) {
+  const saved =
+    _getUserPreferencesMap()[(userEmail || "").trim().toLowerCase()] || {};
+  return { ...DEFAULT_USER_PREFERENCES, ...saved };
+}
+
+/**
+ * Gets the current user's preferences.
+ * @returns {Object} The preferences, e.g. {emailDelivery: 'instant'}.
+ */
+function getMyPreferences() {
+  try {
+    return _getUserPreferences(getUserEmail());
+  } catch (e) {
+    console.error(`Error in getMyPreferences: ${e.message}`);
+    return { error: true, message: `Failed to load preferences: ${e.message}` };
+  }
+}
+
+/**
+ * Saves the current user's preferences. Unknown keys are ignored.
+ * @param {Object} preferences The preferences to change, e.g. {emailDelivery: 'digest'}.
+ * @returns {Object} A status object.
+ */
+function saveMyPreferences(preferences) {
+  const userEmail = getUserEmail().trim().toLowerCase();
+  if (
+    !preferences ||
+    !["instant", "digest"].includes(preferences.emailDelivery)
+  ) {
+    return { status: "error", message: "Invalid email delivery option." };
+  }
+  const updated = {
+    ..._getUserPreferences(userEmail),
+    emailDelivery: preferences.emailDelivery,
+  };
+
+  const lock = LockService.getScriptLock();
+  try {
+    lock.waitLock(30000);
+  } catch (e) {
+    return {
+      status: "error",
+      message: "System is busy, please try again in a moment.",
+    };
+  }
+
+  try {
+    const spreadsheet = SpreadsheetApp.openById(SPREADSHEET_ID);
+    let sheet = spreadsheet.getSheetByName(USER_PREFERENCES_SHEET_NAME);
+    if (!sheet) {
+      sheet = spreadsheet.insertSheet(USER_PREFERENCES_SHEET_NAME);
+      sheet
+        .getRange(1, 1, 1, 3)
+        .setValues([["Email", "Preferences", "UpdatedAt"]]);
+    }
+
+    const emails =
+      sheet.getLastRow() > 1
+        ? sheet.getRange(2, 1, sheet.getLastRow() - 1, 1).getValues()
+        : [];
+    const existingIndex = emails.findIndex(
+      (row) => row[0].toString().trim().toLowerCase() === userEmail
+    );
+    const rowValues = [userEmail, JSON.stringify(updated), new Date()];
+    if (existingIndex !== -1) {
+      sheet.getRange(existingIndex + 2, 1, 1, 3).setValues([rowValues]);
+    } else {
+      sheet.appendRow(rowValues);
     }
+
+    Logger.auditLog("PREFERENCES_SAVED", userEmail, updated);
+    return { status: "success", message: "Preferences saved." };
   } catch (e) {
-    console.error(`Error in manageApprover: ${e.message}`);
+    console.error(`Error in saveMyPreferences: ${e.message}`);
     return {
       status: "error",
-      message: `Failed to manage approver: ${e.message}`,
+      message: `Failed to save preferences: ${e.message}`,
     };
   } finally {
     lock.releaseLock();
-
-    // Clear cache after lock is released
-    // Clear general caches whenever approvers are modified
-    Cache.removeAll([
-      APPROVERS_CACHE_KEY,
-      IT_REVIEWER_MAP_CACHE_KEY,
-      DEPT_TO_DIVISION_MAP_CACHE_KEY,
-    ]);
-    // Specifically clear VP caches, as removeAll doesn't support prefixes
-    _clearAllVpDivisionCaches();
+    Cache.remove(USER_PREFERENCES_CACHE_KEY);
   }
 }
 
+// ================================================================================
+// DRAFTS
+// ================================================================================
+//
+// Unsent form contents, saved server-side so long forms survive navigation.
+// There is at most one draft per user per form; saving again overwrites it and
+// submitting the form deletes it.
+//
+
+const DRAFT_HEADERS = [
+  "Email",
+  "FormId",
+  "FormType",
+  "RequesterName",
+  "Department",
+  "SubDepartment",
+  "Details",
+  "UpdatedAt",
+];
+
 /**
- * PRIVATE: Clears all cached division data for users who are VPs.
- * This is necessary because CacheService.removeAll does not support wildcard/prefix-based removal.
+ * PRIVATE: Finds the sheet row of a user's draft for a form.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The Drafts sheet.
+ * @param {string} userEmail The lowercased user email.
+ * @param {string} formId The form ID (e.g., '025').
+ * @returns {number} The 1-based row number, or -1 if there is no draft.
  */
-function _clearAllVpDivisionCaches() {
-  try {
-    const approversData = _getApproversData(); // This will use cache if available, which is fine
-    if (!approversData || !approversData.headers) return;
+function _findDraftRow(sheet, userEmail, formId) {
+  if (sheet.getLastRow() <= 1) return -1;
+  const keys = sheet.getRange(2, 1, sheet.getLastRow() - 1, 2).getValues();
+  const index = keys.findIndex(
+    ([email, id]) =>
+      email.toString().trim().toLowerCase() === userEmail &&
+      id.toString() === formId
+  );
+  return index === -1 ? -1 : index + 2;
+}
 
-    const { headers, rows } = approversData;
-    const emailIndex = headers.findIndex(
-      (h) => h.toLowerCase() === COLUMN.APPROVER_EMAIL.toLowerCase()
-    );
-    const levelIndex = headers.findIndex(
-      (h) => h.toLowerCase() === COLUMN.APPROVER_LEVEL.toLowerCase()
-    );
-    if (emailIndex === -1 || levelIndex === -1) return;
+/**
+ * PRIVATE: Deletes a user's draft for a form, if any. The caller holds the script lock.
+ * @param {string} userEmail The user email.
+ * @param {string} formId The form ID.
+ */
+function _deleteDraftRow(userEmail, formId) {
+  const sheet =
+    SpreadsheetApp.openById(SPREADSHEET_ID).getSheetByName(DRAFTS_SHEET_NAME);
+  if (!sheet) return;
+  const row = _findDraftRow(sheet, userEmail.trim().toLowerCase(), formId);
+  if (row !== -1) sheet.deleteRow(row);
+}
 
-    const vpEmails = rows
-      .filter((row) => parseInt(row[levelIndex], 10) >= 10)
-      .map((row) => row[emailIndex]);
-    const cacheKeysToRemove = vpEmails.map(
-      (email) => `${VP_DIVISIONS_CACHE_KEY_PREFIX}${email.trim().toLowerCase()}`
-    );
-    if (cacheKeysToRemove.length > 0) Cache.removeAll(cacheKeysToRemove);
+/**
+ * Lists the current user's drafts, most recently saved first.
+ * @returns {Array<Object>|Object} The drafts ({formId, formType, requesterName, updatedAt}), or an error object.
+ */
+function getMyDrafts() {
+  try {
+    const userEmail = getUserEmail().trim().toLowerCase();
+    const sheet =
+      SpreadsheetApp.openById(SPREADSHEET_ID).getSheetByName(DRAFTS_SHEET_NAME);
+    if (!sheet || sheet.getLastRow() <= 1) return [];
+
+    return sheet
+      .getRange(2, 1, sheet.getLastRow() - 1, DRAFT_HEADERS.length)
+      .getValues()
+      .filter((row) => row[0].toString().trim().toLowerCase() === userEmail)
+      .map((row) => ({
+        formId: row[1].toString(),
+        formType: row[2],
+        requesterName: row[3],
+        updatedAt: new Date(row[7]).toISOString(),
+      }))
+      .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
   } catch (e) {
-    console.error(`Could not clear VP division caches: ${e.message}`);
+    console.error(`Error in getMyDrafts: ${e.message}`);
+    return { error: true, message: `Failed to load drafts: ${e.message}` };
   }
 }
 
 /**
- * PRIVATE: Fetches approvers data from the sheet. This function is wrapped by a caching layer.
- * @returns {Object|null} An object containing headers and rows, or null on error.
+ * Gets one of the current user's drafts, for restoring into its form.
+ * @param {string} formId The form ID.
+ * @returns {Object|null} The draft ({formId, formType, requesterName, department, subDepartment, details}), or null.
  */
-function _getApproversData() {
-  return getCachedData(APPROVERS_CACHE_KEY, () => {
-    try {
-      const sheet =
-        SpreadsheetApp.openById(SPREADSHEET_ID).getSheetByName(
-          APPROVERS_SHEET_NAME
-        );
-      if (!sheet) return null;
-      const data = sheet.getDataRange().getValues();
-      if (data.length <= 1) return { headers: data[0] || [], rows: [] };
-
-      const headers = data.shift();
-      return { headers, rows: data };
-    } catch (e) {
-      console.error(`Error fetching approvers data from sheet: ${e.message}`);
-      return null;
-    }
-  });
+function getMyDraft(formId) {
+  try {
+    const userEmail = getUserEmail().trim().toLowerCase();
+    const sheet =
+      SpreadsheetApp.openById(SPREADSHEET_ID).getSheetByName(DRAFTS_SHEET_NAME);
+    if (!sheet) return null;
+    const row = _findDraftRow(sheet, userEmail, String(formId));
+    if (row === -1) return null;
+
+    const values = sheet
+      .getRange(row, 1, 1, DRAFT_HEADERS.length)
+      .getValues()[0];
+    return {
+      formId: values[1].toString(),
+      formType: values[2],
+      requesterName: values[3],
+      department: values[4],
+      subDepartment: values[5],
+      details: values[6],
+      updatedAt: new Date(values[7]).toISOString(),
+    };
+  } catch (e) {
+    console.error(`Error in getMyDraft: ${e.message}`);
+    return null;
+  }
 }
 
 /**
- * PRIVATE: Fetches departments data from the "Departments" sheet. This function is wrapped by a caching layer.
- * @returns {Object|null} An object containing headers and rows, or null on error.
+ * Saves the current user's draft for a form, replacing any earlier draft.
+ * @param {Object} draft {formId, formType, requesterName, department, subDepartment, details}
+ *   where details is the stringified JSON built by the form's collector.
+ * @param {string} lang The current language ('en' or 'th') for response messages.
+ * @returns {Object} A status object.
  */
-function _getDepartmentsData() {
-  return getCachedData(DEPARTMENTS_DATA_CACHE_KEY, () => {
-    try {
-      const sheet = SpreadsheetApp.openById(SPREADSHEET_ID).getSheetByName(
-        DEPARTMENTS_DATA_SHEET_NAME
-      );
-      if (!sheet) {
-        console.warn(`Sheet "${DEPARTMENTS_DATA_SHEET_NAME}" not found.`);
-        return null;
-      }
-      const data = sheet.getDataRange().getValues();
-      if (data.length <= 1) return { headers: data[0] || [], rows: [] };
+function saveMyDraft(draft, lang) {
+  const translations = JSON.parse(
+    getTranslations(lang).replace(/<pre>|<\/pre>/g, "")
+  );
+  if (!draft || !/^\d+$/.test(String(draft.formId || ""))) {
+    return { status: "error", message: "Invalid form ID." };
+  }
+  try {
+    JSON.parse(draft.details || "{}");
+  } catch (e) {
+    return { status: "error", message: "Invalid draft details." };
+  }
+  const userEmail = getUserEmail().trim().toLowerCase();
 
-      const headers = data.shift();
-      return {
-        headers,
-        rows: data.filter((row) => row.some((cell) => cell !== "")),
-      }; // Filter out completely empty rows
-    } catch (e) {
-      console.error(`Error fetching departments data from sheet: ${e.message}`);
-      return null;
+  const lock = LockService.getScriptLock();
+  try {
+    lock.waitLock(30000);
+  } catch (e) {
+    return {
+      status: "error",
+      message: "System is busy, please try again in a moment.",
+    };
+  }
+
+  try {
+    const spreadsheet = SpreadsheetApp.openById(SPREADSHEET_ID);
+    let sheet = spreadsheet.getSheetByName(DRAFTS_SHEET_NAME);
+    if (!sheet) {
+      sheet = spreadsheet.insertSheet(DRAFTS_SHEET_NAME);
+      sheet.getRange(1, 1, 1, DRAFT_HEADERS.length).setValues([DRAFT_HEADERS]);
     }
-  });
+
+    const formId = String(draft.formId);
+    const rowValues = [
+      userEmail,
+      formId,
+      draft.formType || "",
+      draft.requesterName || "",
+      draft.department || "",
+      draft.subDepartment || "",
+      draft.details || "{}",
+      new Date(),
+    ];
+    // Keep the form ID as text so '003' is not stored as 3.
+    const existingRow = _findDraftRow(sheet, userEmail, formId);
+    const targetRow = existingRow !== -1 ? existingRow : sheet.getLastRow() + 1;
+    const range = sheet.getRange(targetRow, 1, 1, DRAFT_HEADERS.length);
+    range.setNumberFormat("@");
+    range.setValues([rowValues]);
+
+    Logger.auditLog("DRAFT_SAVED", userEmail, { formId });
+    return {
+      status: "success",
+      message: translations.msgDraftSaved || "Draft saved.",
+    };
+  } catch (e) {
+    console.error(`Error in saveMyDraft: ${e.message}`);
+    return { status: "error", message: `Failed to save draft: ${e.message}` };
+  } finally {
+    lock.releaseLock();
+  }
 }
+
 /**
- * Retrieves a map of departments to their sub-departments from the Approvers sheet.
- * @returns {Object} An object where keys are departments and values are arrays of sub-departments.
+ * Deletes the current user's draft for a form.
+ * @param {string} formId The form ID.
+ * @param {string} lang The current language ('en' or 'th') for response messages.
+ * @returns {Object} A status object.
  */
-function getSubDepartments() {
-  return getCachedData(SUB_DEPARTMENTS_CACHE_KEY, () => {
-    try {
-      const departmentsData = _getDepartmentsData();
-      if (!departmentsData || !departmentsData.headers) return {};
+function deleteMyDraft(formId, lang) {
+  const translations = JSON.parse(
+    getTranslations(lang).replace(/<pre>|<\/pre>/g, "")
+  );
+  const lock = LockService.getScriptLock();
+  try {
+    lock.waitLock(30000);
+  } catch (e) {
+    return {
+      status: "error",
+      message: "System is busy, please try again in a moment.",
+    };
+  }
 
-      const { headers, rows } = departmentsData;
-      // Assuming column names in "Departments" sheet are 'Department' and 'Sub-Department'
-      const deptIndex = headers.findIndex(
-        (h) => h.toLowerCase() === "department"
-      );
-      const subDeptIndex = headers.findIndex(
-        (h) => h.toLowerCase() === "subdepartment"
-      );
+  try {
+    _deleteDraftRow(getUserEmail(), String(formId));
+    return {
+      status: "success",
+      message: translations.msgDraftDeleted || "Draft deleted.",
+    };
+  } catch (e) {
+    console.error(`Error in deleteMyDraft: ${e.message}`);
+    return { status: "error", message: `Failed to delete draft: ${e.message}` };
+  } finally {
+    lock.releaseLock();
+  }
+}
 
-      if (deptIndex === -1 || subDeptIndex === -1) {
-        console.warn(
-          `Columns 'Department' and/or 'Sub-Department' not found in the "${DEPARTMENTS_DATA_SHEET_NAME}" sheet.`
-        );
-        return {};
+/**
+ * PRIVATE: Defines the actions to be taken for each approval status.
+ * This pattern makes it easier to add new actions or modify existing ones.
+ */
+const approvalActions = {
+  [STATUS.APPROVED]: {
+    isFinal: true,
+    getSuccessMessage: (translations) =>
+      translations.msgRequestApproved || "Request approved and finalized.",
+    updateRow: (range, statusIndex, currentApproverIndex) => {
+      range.getCell(1, statusIndex + 1).setValue(STATUS.APPROVED);
+      range.getCell(1, currentApproverIndex + 1).setValue("");
+    },
+  },
+  [STATUS.REJECTED]: {
+    isFinal: true,
+    getSuccessMessage: (translations) =>
+      translations.msgRequestRejected || "Request rejected.",
+    updateRow: (range, statusIndex, currentApproverIndex) => {
+      range.getCell(1, statusIndex + 1).setValue(STATUS.REJECTED);
+      range.getCell(1, currentApproverIndex + 1).setValue("");
+    },
+  },
+  [STATUS.FORWARDED]: {
+    isFinal: false,
+    getSuccessMessage: (translations, nextApproverEmail) =>
+      (
+        translations.msgRequestForwarded || "Request forwarded to {email}."
+      ).replace("{email}", nextApproverEmail),
+    updateRow: (
+      range,
+      statusIndex,
+      currentApproverIndex,
+      nextApproverEmail
+    ) => {
+      range.getCell(1, currentApproverIndex + 1).setValue(nextApproverEmail);
+    },
+    onSuccess: (requestObject, nextApproverEmail) => {
+      sendNewRequestEmail(nextApproverEmail, {
+        [COLUMN.REQUEST_ID]: requestObject[COLUMN.REQUEST_ID],
+        [COLUMN.REQUESTER_NAME]: requestObject[COLUMN.REQUESTER_NAME],
+        [COLUMN.FORM_TYPE]: requestObject[COLUMN.FORM_TYPE],
+        [COLUMN.DEPARTMENT]: requestObject[COLUMN.DEPARTMENT],
+        [COLUMN.SUB_DEPARTMENT]: requestObject[COLUMN.SUB_DEPARTMENT],
+      });
+    },
+    validate: (nextApproverEmail, translations) => {
+      if (!nextApproverEmail) {
+        return {
+          status: "error",
+          message:
+            translations.msgNextApproverRequired ||
+            "Next approver email is required for forwarding.",
+        };
       }
+      return null;
+    },
+  },
+  [STATUS.NEEDS_INFO]: {
+    isFinal: false,
+    getSuccessMessage: (translations) =>
+      translations.msgRequestReturnedForInfo ||
+      "Request returned to the requester for more information.",
+    // The current approver is kept so the resubmitted request comes back to them.
+    updateRow: (range, statusIndex) => {
+      range.getCell(1, statusIndex + 1).setValue(STATUS.NEEDS_INFO);
+    },
+    onSuccess: (requestObject) => {
+      sendNeedsInfoEmail(
+        requestObject[COLUMN.REQUESTER_EMAIL],
+        requestObject[COLUMN.REQUEST_ID],
+        requestObject.notes
+      );
+    },
+  },
+};
+/**
+ * HELPER FUNCTIONS FOR APPROVAL PROCESSING
+ * These functions break down the complex processApproval logic
+ */
 
-      const subDepartmentsMap = {};
-      rows.forEach((row) => {
-        const dept = row[deptIndex];
-        const subDept = row[subDeptIndex];
-        if (dept && subDept) {
-          if (!subDepartmentsMap[dept]) subDepartmentsMap[dept] = new Set();
-          subDepartmentsMap[dept].add(subDept);
-        }
-      });
+/**
+ * Validates approval input parameters.
+ * @param {string} requestId The request ID.
+ * @param {string} action The action to validate.
+ * @param {string} notes The notes to sanitize.
+ * @param {string} nextApproverEmail Email for forwarding.
+ * @returns {Object} Validation result with sanitized notes.
+ */
+function validateApprovalInput(requestId, action, notes, nextApproverEmail) {
+  // Request ID validation
+  if (!requestId || requestId.trim() === "") {
+    return { isValid: false, message: "Request ID is required." };
+  }
 
-      // Convert Sets to Arrays
-      Object.keys(subDepartmentsMap).forEach((dept) => {
-        subDepartmentsMap[dept] = Array.from(subDepartmentsMap[dept]).sort();
-      });
+  // Action validation
+  const validActions = [
+    STATUS.APPROVED,
+    STATUS.REJECTED,
+    STATUS.FORWARDED,
+    STATUS.NEEDS_INFO,
+  ];
+  if (!action || !validActions.includes(action)) {
+    return { isValid: false, message: "Invalid action specified." };
+  }
 
-      return subDepartmentsMap;
-    } catch (e) {
-      console.error(`Error in getSubDepartments: ${e.message}`);
-      return {};
-    }
-  });
-}
+  // Returning a request is pointless without a question for the requester
+  if (
+    action === STATUS.NEEDS_INFO &&
+    (!notes || typeof notes !== "string" || notes.trim() === "")
+  ) {
+    return {
+      isValid: false,
+      message: "Please enter the information you need from the requester.",
+    };
+  }
 
-/**
- * Retrieves a unique list of all positions from the Positions sheet.
- * @returns {string[]} An array of position names.
- */
-function getPositions() {
-  return getCachedData(POSITIONS_CACHE_KEY, () => {
-    try {
-      const sheet =
-        SpreadsheetApp.openById(SPREADSHEET_ID).getSheetByName(
-          POSITIONS_SHEET_NAME
-        );
-      if (!sheet) {
-        console.warn(
-          `Sheet "${POSITIONS_SHEET_NAME}" not found. Cannot fetch position list.`
-        );
-        return [];
-      }
-      // Assumes positions are in the first column, starting from the second row (to skip header)
-      const range = sheet.getRange(2, 1, sheet.getLastRow() - 1, 1);
-      const positions = range
-        .getValues()
-        .map((row) => row[0])
-        .filter((pos) => pos && typeof pos === "string" && pos.trim() !== "");
+  // Sanitize notes to prevent XSS
+  let sanitizedNotes = notes;
+  if (notes && typeof notes === "string") {
+    sanitizedNotes = notes
+      .replace(/<script[^>]*>.*?<\/script>/gi, "")
+      .replace(/<[^>]+>/g, "")
+      .slice(0, 1000); // Limit notes length
+  }
 
-      const uniquePositions = [...new Set(positions)];
-      return uniquePositions.sort();
-    } catch (e) {
-      console.error(`Error in getPositions: ${e.message}`);
-      return []; // Return empty array on error
+  // Validate email format for forwarding
+  if (action === STATUS.FORWARDED && nextApproverEmail) {
+    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    if (!emailRegex.test(nextApproverEmail.trim())) {
+      return {
+        isValid: false,
+        message: "Invalid email format for next approver.",
+      };
     }
-  });
+  }
+
+  return { isValid: true, sanitizedNotes };
 }
 
 /**
- * Gets the translation JSON for a specific language.
- * @param {string} lang The language code (e.g., 'en', 'th').
- * @returns {string} The JSON string for the requested language.
+ * Moves a request onto a workflow step: sets the step's status label, assigns
+ * its approver(s) and notifies each of them.
+ * @param {Object} step The workflow step ({name, statusLabel, approverEmails}).
+ * @param {Object} requestObject The request object.
+ * @param {Object} range The sheet range for updates.
+ * @param {Object} headersInfo An object containing column indices.
+ * @param {Array} history The approval history.
  */
-function getTranslations(lang) {
-  // Validate lang to prevent path traversal, although Apps Script is sandboxed.
-  if (lang !== "en" && lang !== "th") {
-    lang = "th"; // Default to Thai
-  }
-  return HtmlService.createHtmlOutputFromFile(lang + ".json").getContent();
+function assignWorkflowStep(step, requestObject, range, headersInfo, history) {
+  range.getCell(1, headersInfo.statusIndex + 1).setValue(step.statusLabel);
+  range
+    .getCell(1, headersInfo.currentApproverIndex + 1)
+    .setValue(step.approverEmails.join(", "));
+  range
+    .getCell(1, headersInfo.historyIndex + 1)
+    .setValue(JSON.stringify(history));
+  step.approverEmails.forEach((email) =>
+    sendNewRequestEmail(email, requestObject, true)
+  );
 }
 
 /**
- * Retrieves a unique list of all departments from the Approvers sheet.
- * @returns {string[]} An array of department names.
+ * Updates IT review details in the request.
+ * @param {Object} itReviewData The IT review data to update.
+ * @param {Object} requestObject The request object.
+ * @param {Object} range The sheet range for updates.
+ * @param {number} itReviewDetailsIndex IT review details column index.
+ * @param {string} requestId The request ID for logging.
+ * @returns {Object} Updated request object.
  */
-function getDepartments() {
-  return getCachedData(DEPARTMENTS_CACHE_KEY, () => {
-    try {
-      const departmentsData = _getDepartmentsData();
-      if (!departmentsData || !departmentsData.headers) {
-        return [];
-      }
-      const { headers, rows } = departmentsData;
+function updateItReviewDetails(
+  itReviewData,
+  requestObject,
+  range,
+  itReviewDetailsIndex,
+  requestId
+) {
+  if (!itReviewData || Object.keys(itReviewData).length === 0) {
+    return requestObject;
+  }
 
-      const departmentIndex = headers.findIndex(
-        (h) => h.toLowerCase() === "department"
-      );
-      if (departmentIndex === -1) {
-        console.warn(
-          `Column 'Department' not found in "${DEPARTMENTS_DATA_SHEET_NAME}" sheet. Cannot fetch department list.`
-        );
-        return [];
-      }
+  if (itReviewDetailsIndex === -1) {
+    console.error(
+      `Column '${COLUMN.IT_REVIEW_DETAILS}' not found in Requests sheet.`
+    );
+    return requestObject;
+  }
 
-      const departments = rows
-        .map((row) => row[departmentIndex])
-        .filter(
-          (dept) => dept && typeof dept === "string" && dept.trim() !== ""
-        );
+  try {
+    let currentItReview = JSON.parse(
+      requestObject[COLUMN.IT_REVIEW_DETAILS] || "{}"
+    );
+    const newItReviewData = { ...currentItReview, ...itReviewData };
+    const newItReviewJson = JSON.stringify(newItReviewData);
 
-      const uniqueDepartments = [...new Set(departments)]; // Get unique values
-      return uniqueDepartments.sort(); // Return sorted list
-    } catch (e) {
-      console.error(`Error in getDepartments: ${e.message}`);
-      return []; // Return empty array on error
-    }
-  });
+    range.getCell(1, itReviewDetailsIndex + 1).setValue(newItReviewJson);
+    requestObject[COLUMN.IT_REVIEW_DETAILS] = newItReviewJson;
+
+    return requestObject;
+  } catch (e) {
+    console.error(
+      `Failed to update IT review details for request ${requestId}: ${e.message}`
+    );
+    return requestObject;
+  }
 }
 
 /**
- * Retrieves dashboard statistics for administrators.
- * Counts requests by status: Pending, Approved, Rejected, Forwarded.
- * @returns {Object|null} An object with counts for each status, or null if the user is not an admin.
+ * PRIVATE: Validates all preconditions for processing an approval.
+ * @param {string} requestId The ID of the request.
+ * @param {string} action The action being taken.
+ * @param {string} notes The notes provided.
+ * @param {string} nextApproverEmail The next approver's email for forwarding.
+ * @param {string} lang The current language.
+ * @returns {Object} An object containing validated data or an error object.
  */
-function getDashboardStats() {
-  if (!isUserAdmin()) {
-    // Return null or throw an error for non-admin users
-    return null;
+function _validateApprovalPreconditions(
+  requestId,
+  action,
+  notes,
+  nextApproverEmail,
+  lang
+) {
+  const validation = validateApprovalInput(
+    requestId,
+    action,
+    notes,
+    nextApproverEmail
+  );
+  if (!validation.isValid) {
+    return { error: true, message: validation.message };
   }
 
-  try {
-    const sheet =
-      SpreadsheetApp.openById(SPREADSHEET_ID).getSheetByName(
-        REQUESTS_SHEET_NAME
-      );
-    const initialStats = {
-      statuses: { pending: 0, approved: 0, rejected: 0, forwarded: 0 },
-      byFormType: {},
-      byDepartment: {},
-      total: 0,
-    };
-    if (!sheet) return initialStats;
-
-    const data = sheet.getDataRange().getValues();
-    if (data.length <= 1) return initialStats;
-
-    const headers = data.shift();
-    const statusIndex = headers.indexOf(COLUMN.STATUS);
-    const formTypeIndex = headers.indexOf(COLUMN.FORM_TYPE);
-    const departmentIndex = headers.indexOf(COLUMN.DEPARTMENT);
-
-    if (statusIndex === -1 || formTypeIndex === -1 || departmentIndex === -1) {
-      throw new Error(
-        `One or more required columns for dashboard stats are missing (Status, FormType, Department).`
-      );
-    }
-
-    const stats = data.reduce(
-      (acc, row) => {
-        // Status Count
-        const status = row[statusIndex];
-        if (status === STATUS.PENDING) acc.statuses.pending++;
-        else if (status === STATUS.APPROVED) acc.statuses.approved++;
-        else if (status === STATUS.REJECTED) acc.statuses.rejected++;
-        else if (status === STATUS.FORWARDED) acc.statuses.forwarded++;
+  const translationsJson = getTranslations(lang);
+  const translations = JSON.parse(
+    translationsJson.replace(/<pre>|<\/pre>/g, "")
+  );
 
-        // Form Type Count
-        const formType = row[formTypeIndex] || "Unknown";
-        acc.byFormType[formType] = (acc.byFormType[formType] || 0) + 1;
+  const sheet =
+    SpreadsheetApp.openById(SPREADSHEET_ID).getSheetByName(REQUESTS_SHEET_NAME);
+  const requestInfo = _findRowAndRowObjectById(sheet, requestId);
 
-        // Department Count
-        const department = row[departmentIndex] || "Unknown";
-        acc.byDepartment[department] = (acc.byDepartment[department] || 0) + 1;
+  if (!requestInfo) {
+    return {
+      error: true,
+      message: translations.msgRequestIdNotFound || "Request ID not found.",
+    };
+  }
 
-        return acc;
-      },
-      {
-        statuses: { pending: 0, approved: 0, rejected: 0, forwarded: 0 },
-        byFormType: {},
-        byDepartment: {},
-      }
-    );
+  // A delegate covering for the assigned approver counts as the current approver.
+  const userEmail = getUserEmail();
+  const actingApprover = _getActingApprover(
+    requestInfo.rowObject[COLUMN.CURRENT_APPROVER],
+    userEmail,
+    _getActiveDelegators(userEmail)
+  );
+  if (!actingApprover) {
+    return {
+      error: true,
+      message:
+        translations.msgNotCurrentApprover ||
+        "You are not the current approver for this request.",
+    };
+  }
 
-    stats.total = data.length;
-    return stats;
-  } catch (e) {
-    console.error(`Error in getDashboardStats: ${e.message}`);
+  // A request waiting on the requester (Needs Info) cannot be actioned until resubmitted.
+  if (!_getPendingStatuses().includes(requestInfo.rowObject[COLUMN.STATUS])) {
     return {
       error: true,
-      message: `Failed to load dashboard statistics: ${e.message}`,
-      statuses: { pending: 0, approved: 0, rejected: 0, forwarded: 0 },
-      byFormType: {},
-      byDepartment: {},
-      total: 0,
+      message:
+        translations.msgRequestNotPending ||
+        "This request is not awaiting your approval.",
     };
   }
-}
 
-// --- BACKUP AND RECOVERY SYSTEM ---
+  return {
+    error: false,
+    sheet,
+    requestInfo,
+    translations,
+    sanitizedNotes: validation.sanitizedNotes,
+    userEmail,
+    onBehalfOf:
+      actingApprover !== userEmail.trim().toLowerCase() ? actingApprover : null,
+  };
+}
 
 /**
- * Comprehensive backup system for critical data protection.
- * Creates timestamped backups of all critical sheets.
+ * PRIVATE: Updates the approval history, saves it to the sheet, and logs the audit trail.
+ * @param {Object} requestObject The current request object.
+ * @param {string} action The action taken.
+ * @param {string} notes The approver's notes.
+ * @param {string} userEmail The approver's email.
+ * @param {GoogleAppsScript.Spreadsheet.Range} range The sheet range for the request row.
+ * @param {number} historyIndex The column index for the history.
+ * @param {Object} [extraFields] Additional properties to store on the history entry.
+ * @returns {Array} The updated history array.
  */
-class BackupManager {
-  /**
-   * Creates a full backup of all critical sheets.
-   * @param {boolean} isScheduled Whether this is a scheduled backup.
-   * @returns {Object} Backup result with success status and details.
-   */
-  static createBackup(isScheduled = false) {
-    const userEmail = getUserEmail();
-    const backupType = isScheduled ? "SCHEDULED" : "MANUAL";
+function _updateAndLogHistory(
+  requestObject,
+  action,
+  notes,
+  userEmail,
+  range,
+  historyIndex,
+  extraFields = {}
+) {
+  let history = [];
+  try {
+    if (requestObject[COLUMN.HISTORY])
+      history = JSON.parse(requestObject[COLUMN.HISTORY]);
+  } catch (e) {
+    /* ignore parsing errors */
+  }
 
-    Logger.info(
-      "BackupManager.createBackup",
-      `${backupType} backup started`,
-      null,
-      userEmail
-    );
+  history.push({
+    approverEmail: userEmail,
+    action: action,
+    notes: notes,
+    timestamp: new Date().toISOString(),
+    ...extraFields,
+  });
 
-    try {
-      const originalSpreadsheet = SpreadsheetApp.openById(SPREADSHEET_ID);
-      const timestamp = new Date()
-        .toISOString()
-        .replace(/[:.]/g, "-")
-        .slice(0, 19);
-      const backupName = `Backup_${timestamp}_${originalSpreadsheet.getName()}`;
+  range.getCell(1, historyIndex + 1).setValue(JSON.stringify(history));
 
-      // Get or create backup folder
-      const backupFolder = this.getOrCreateBackupFolder();
+  Logger.auditLog("REQUEST_PROCESSED", requestObject[COLUMN.REQUEST_ID], {
+    action,
+    approver: userEmail,
+    notes: notes || "No notes",
+    ...extraFields,
+  });
 
-      // --- REVISED LOGIC ---
-      // Use Advanced Drive Service for Shared Drive compatibility.
-      const newFile = Drive.Files.copy(
-        { title: backupName, parents: [{ id: backupFolder.getId() }] },
-        SPREADSHEET_ID,
-        { supportsAllDrives: true }
-      );
-      const backupSpreadsheet = SpreadsheetApp.openById(newFile.id);
-      // --- END REVISED LOGIC ---
+  return history;
+}
 
-      // Create backup summary
-      const backupSummary = this.createBackupSummary(
-        originalSpreadsheet,
-        timestamp,
-        backupType,
-        userEmail
-      );
-      this.saveBackupSummary(backupFolder, backupName, backupSummary);
-
-      // Cleanup old backups
-      this.cleanupOldBackups(backupFolder);
+/**
+ * PRIVATE: Walks the form's approval workflow when a step is approved.
+ * The current step is identified by the request's status label; approving it
+ * moves the request to the next step, or lets the standard approval finalize it
+ * when the last step is approved.
+ * @param {Object} requestObject The request object.
+ * @param {string} action The approval action.
+ * @param {Array} history The updated history array.
+ * @param {GoogleAppsScript.Spreadsheet.Range} range The sheet range for the request row.
+ * @param {Object} headersInfo An object containing column indices.
+ * @param {Object} translations The translation object.
+ * @param {string} actingApprover The lowercased assigned approver the action is taken as.
+ * @returns {Object|null} A result object if the workflow handles the action, otherwise null.
+ */
+function _handleWorkflowApprovalStep(
+  requestObject,
+  action,
+  history,
+  range,
+  headersInfo,
+  translations,
+  actingApprover
+) {
+  const formId = _getFormIdFromType(requestObject[COLUMN.FORM_TYPE]);
+  if (action !== STATUS.APPROVED) return null;
 
-      const result = {
-        success: true,
-        backupId: backupSpreadsheet.getId(),
-        backupName: backupName,
-        timestamp: timestamp,
-        sheetsBackedUp: this.CRITICAL_SHEETS.length,
-        size: this.getBackupSize(backupSpreadsheet),
-      };
+  const steps = _getWorkflowSteps(formId);
+  if (steps.length === 0) {
+    // Forms without a custom chain only need one when they are on the IT review list.
+    if (!SettingsService.getItReviewForms().includes(formId)) return null;
+    return {
+      status: "error",
+      message: `Approval workflow not configured for form ${formId}.`,
+    };
+  }
 
-      Logger.auditLog("BACKUP_CREATED", backupName, result);
-      Logger.info(
-        "BackupManager.createBackup",
-        `${backupType} backup completed successfully`,
-        result,
-        userEmail
-      );
+  // -1 means the department approver is acting, so the chain starts at step 0.
+  const currentStepIndex = steps.findIndex(
+    (step) => step.statusLabel === requestObject[COLUMN.STATUS]
+  );
 
-      return result;
-    } catch (e) {
-      Logger.error(
-        "BackupManager.createBackup",
-        `${backupType} backup failed`,
-        { error: e.message },
-        userEmail
-      );
+  // An all-of step stays put until the last of its approvers has approved.
+  const currentStep = steps[currentStepIndex];
+  if (currentStep && currentStep.mode === APPROVAL_MODE.ALL) {
+    const remaining = _parseEmailList(
+      requestObject[COLUMN.CURRENT_APPROVER]
+    ).filter((email) => email !== actingApprover);
+    if (remaining.length > 0) {
+      range
+        .getCell(1, headersInfo.currentApproverIndex + 1)
+        .setValue(remaining.join(", "));
       return {
-        success: false,
-        error: e.message,
-        timestamp: new Date().toISOString(),
+        status: "success",
+        message: (
+          translations.msgApprovalRecordedWaiting ||
+          "Your approval is recorded. Waiting on {count} more approver(s)."
+        ).replace("{count}", remaining.length),
       };
     }
   }
 
-  /**
-   * Gets or creates the backup folder in Google Drive.
-   * @returns {GoogleAppsScript.Drive.Folder} The backup folder.
-   */
-  static getOrCreateBackupFolder() {
-    // Prioritize using a specific Folder ID if provided in Script Properties
-    if (BACKUP_FOLDER_ID) {
-      try {
-        // Use Advanced Drive Service to get folder metadata, then DriveApp to get the Folder object.
-        // This is a common pattern to ensure Shared Drive compatibility.
-        Drive.Files.get(BACKUP_FOLDER_ID, { supportsAllDrives: true }); // This call validates folder existence in Shared Drives.
-        const folder = DriveApp.getFolderById(BACKUP_FOLDER_ID); // This now works because the script has access.
-        Logger.info(
-          "BackupManager.getOrCreateBackupFolder",
-          `Using specified backup folder ID: ${BACKUP_FOLDER_ID}`
-        );
-        return folder;
-      } catch (e) {
-        Logger.error(
-          "BackupManager.getOrCreateBackupFolder",
-          `Failed to access folder with ID: ${BACKUP_FOLDER_ID}. Falling back to name search.`,
-          { error: e.message }
-        );
-        // Fall through to name-based search if ID is invalid or inaccessible
-      }
-    }
-
-    // Fallback to searching by name
-    Logger.info(
-      "BackupManager.getOrCreateBackupFolder",
-      `BACKUP_FOLDER_ID not set. Searching for folder by name: "${this.BACKUP_FOLDER_NAME}"`
-    );
-    // Use Advanced Drive Service for searching in Shared Drives
-    const query = `title = '${this.BACKUP_FOLDER_NAME}' and mimeType = 'application/vnd.google-apps.folder' and trashed = false`;
-    const searchResults = Drive.Files.list({
-      q: query,
-      supportsAllDrives: true,
-      includeItemsFromAllDrives: true,
-      corpora: "allDrives",
-    });
-
-    if (searchResults.items && searchResults.items.length > 0) {
-      const foundFolderId = searchResults.items[0].id;
-      const foundFolder = DriveApp.getFolderById(foundFolderId);
-      Logger.info(
-        "BackupManager.getOrCreateBackupFolder",
-        `Found existing folder by name. Consider setting its ID (${foundFolder.getId()}) in Script Properties for better reliability.`
-      );
-      return foundFolder;
-    }
-
-    // Create a new folder if not found by ID or name
-    Logger.info(
-      "BackupManager.getOrCreateBackupFolder",
-      `Backup folder not found. Creating a new one named "${this.BACKUP_FOLDER_NAME}".`
-    );
-    // Use Advanced Drive Service to create folder in root (or a specific parent if needed)
-    const newFolderMetadata = Drive.Files.insert(
-      {
-        title: this.BACKUP_FOLDER_NAME,
-        mimeType: "application/vnd.google-apps.folder",
-      },
-      null,
-      { supportsAllDrives: true }
-    );
-    const newFolder = DriveApp.getFolderById(newFolderMetadata.id);
-    Logger.info(
-      "BackupManager.getOrCreateBackupFolder",
-      `Created new backup folder. Consider setting its ID (${newFolder.getId()}) in Script Properties.`
-    );
-    return newFolder;
+  const nextStep = steps[currentStepIndex + 1];
+  if (!nextStep) {
+    return null; // Final step approved; the standard approval finalizes it.
   }
 
-  /**
-   * Creates a detailed backup summary for audit purposes.
-   * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} spreadsheet The original spreadsheet.
-   * @param {string} timestamp The backup timestamp.
-   * @param {string} backupType Type of backup (MANUAL/SCHEDULED).
-   * @param {string} userEmail Email of user who triggered backup.
-   * @returns {Object} Backup summary object.
-   */
-  static createBackupSummary(spreadsheet, timestamp, backupType, userEmail) {
-    const sheets = spreadsheet.getSheets();
-    const sheetSummaries = sheets.map((sheet) => ({
-      name: sheet.getName(),
-      rowCount: sheet.getLastRow(),
-      columnCount: sheet.getLastColumn(),
-      dataRange: sheet.getDataRange().getA1Notation(),
-    }));
+  assignWorkflowStep(nextStep, requestObject, range, headersInfo, history);
+
+  return {
+    status: "success",
+    message:
+      currentStepIndex === -1
+        ? translations.msgRequestForwardedToIT ||
+          "Request forwarded to IT for review."
+        : (
+            translations.msgRequestForwardedToStep ||
+            "Forwarded to {step} for review."
+          ).replace("{step}", nextStep.name),
+  };
+}
 
+/**
+ * PRIVATE: Performs the standard 'Approve', 'Reject', or 'Forward' action.
+ * @param {Object} requestObject The request object.
+ * @param {string} action The approval action.
+ * @param {string} nextApproverEmail The email for forwarding.
+ * @param {GoogleAppsScript.Spreadsheet.Range} range The sheet range for the request row.
+ * @param {Object} headersInfo An object containing column indices.
+ * @param {Object} translations The translation object.
+ * @returns {Object} A result object with status and message.
+ */
+function _performStandardApproval(
+  requestObject,
+  action,
+  nextApproverEmail,
+  range,
+  headersInfo,
+  translations
+) {
+  const actionHandler = approvalActions[action];
+  if (!actionHandler) {
     return {
-      timestamp: timestamp,
-      backupType: backupType,
-      triggeredBy: userEmail,
-      originalSpreadsheetId: SPREADSHEET_ID,
-      originalSpreadsheetName: spreadsheet.getName(),
-      totalSheets: sheets.length,
-      criticalSheets: this.CRITICAL_SHEETS,
-      sheetDetails: sheetSummaries,
-      backupVersion: "1.0",
+      status: "error",
+      message: translations.msgInvalidAction || "Invalid action specified.",
     };
   }
 
-  /**
-   * Saves backup summary as JSON file in the backup folder.
-   * @param {GoogleAppsScript.Drive.Folder} backupFolder The backup folder.
-   * @param {string} backupName The backup name.
-   * @param {Object} summary The backup summary.
-   */
-  static saveBackupSummary(backupFolder, backupName, summary) {
-    const summaryJson = JSON.stringify(summary, null, 2);
-    const summaryBlob = Utilities.newBlob(
-      summaryJson,
-      "application/json",
-      `${backupName}_summary.json`
+  if (actionHandler.validate) {
+    const validationError = actionHandler.validate(
+      nextApproverEmail,
+      translations
     );
-    backupFolder.createFile(summaryBlob);
+    if (validationError) return validationError;
   }
 
-  /**
-   * Removes old backups to maintain storage limits.
-   * @param {GoogleAppsScript.Drive.Folder} backupFolder The backup folder.
-   */
-  static cleanupOldBackups(backupFolder) {
-    const FOLDER_ID = backupFolder.getId();
-    try {
-      const query = `'${FOLDER_ID}' in parents and mimeType = '${MimeType.GOOGLE_SHEETS}' and title contains 'Backup_' and trashed = false`;
-      const filesList = Drive.Files.list({
-        q: query,
-        maxResults: 1000,
-        supportsAllDrives: true,
-        includeItemsFromAllDrives: true,
-        corpora: "allDrives",
-      });
+  actionHandler.updateRow(
+    range,
+    headersInfo.statusIndex,
+    headersInfo.currentApproverIndex,
+    nextApproverEmail
+  );
 
-      const backupFiles = [];
-      if (filesList.items) {
-        filesList.items.forEach((file) => {
-          backupFiles.push({
-            id: file.id,
-            name: file.title,
-            createdDate: new Date(file.createdDate),
-          });
-        });
-      }
+  if (actionHandler.isFinal) {
+    handleFinalizedRequest(requestObject, action, requestObject.notes);
+  } else if (actionHandler.onSuccess) {
+    actionHandler.onSuccess(requestObject, nextApproverEmail);
+  }
 
-      // Sort by creation date (newest first)
-      backupFiles.sort((a, b) => b.createdDate - a.createdDate);
+  return {
+    status: "success",
+    message: actionHandler.getSuccessMessage(translations, nextApproverEmail),
+  };
+}
 
-      // Remove excess backups
-      if (backupFiles.length > this.MAX_BACKUPS) {
-        const filesToDelete = backupFiles.slice(this.MAX_BACKUPS);
-        filesToDelete.forEach((fileInfo) => {
-          try {
-            // Also delete corresponding summary file
-            const summaryName = fileInfo.name.replace(/\..*$/, "_summary.json");
-            const summaryQuery = `'${FOLDER_ID}' in parents and title = '${summaryName}' and trashed = false`;
-            const summaryFilesList = Drive.Files.list({
-              q: summaryQuery,
-              supportsAllDrives: true,
-              includeItemsFromAllDrives: true,
-              corpora: "allDrives",
-            });
-            if (summaryFilesList.items && summaryFilesList.items.length > 0) {
-              Drive.Files.trash(summaryFilesList.items[0].id, {
-                supportsAllDrives: true,
-              });
-            }
-            Drive.Files.trash(fileInfo.id, { supportsAllDrives: true });
-          } catch (e) {
-            Logger.warn(
-              "BackupManager.cleanupOldBackups",
+/**
+ * Processes an approval action: Approve, Reject, Forward, or return for more info.
+ * @param {string} requestId The ID of the request.
+ * @param {string} action The action taken: 'Approved', 'Rejected', 'Forwarded' or 'Needs Info'.
+ * @param {string} notes Approver's notes.
+ * @param {string} [nextApproverEmail] The email of the next approver if action is 'Forwarded'.
+ * @param {string} lang The current language ('en' or 'th') for response messages.
+ * @returns {Object} A success or error message.
+ * @param {Object} [itReviewData] Optional object with IT review details.
+ */
+function processApproval(
+  requestId,
+  action,
+  notes,
+  nextApproverEmail,
+  lang,
+  itReviewData
+) {
+  const userEmail = getUserEmail(); // Get user email at the beginning
+  Logger.info(
+    "processApproval",
+    "Approval processing started",
+    { requestId, action, nextApproverEmail },
+    userEmail
+  );
+
+  const lock = LockService.getScriptLock();
+  try {
+    lock.waitLock(30000);
+  } catch (e) {
+    Logger.error(
+      "processApproval",
+      "Failed to acquire lock",
+      { requestId, error: e.message },
+      userEmail
+    );
+    return {
+      status: "error",
+      message:
+        "System is busy processing another request. Please try again in a moment.",
+    };
+  }
+
+  try {
+    return _applyApprovalAction(
+      requestId,
+      action,
+      notes,
+      nextApproverEmail,
+      lang,
+      itReviewData,
+      userEmail
+    );
+  } catch (e) {
+    Logger.error(
+      "processApproval",
+      "Approval processing failed",
+      { requestId, action, error: e.message },
+      userEmail
+    );
+    return { status: "error", message: e.message };
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Approves or rejects several requests at once from the approvals inbox.
+ * The lock is taken once for the whole batch; each request goes through the same
+ * checks and workflow steps as processApproval, and a failure on one request
+ * does not stop the others.
+ * @param {string[]} requestIds The IDs of the requests to action.
+ * @param {string} action 'Approved' or 'Rejected'.
+ * @param {string} notes Notes recorded on every request.
+ * @param {string} lang The current language ('en' or 'th') for response messages.
+ * @returns {Object} {status, message, results: [{requestId, status, message}]}.
+ */
+function processApprovalsBatch(requestIds, action, notes, lang) {
+  const userEmail = getUserEmail();
+  if (!Array.isArray(requestIds) || requestIds.length === 0) {
+    return { status: "error", message: "No requests selected.", results: [] };
+  }
+  if (![STATUS.APPROVED, STATUS.REJECTED].includes(action)) {
+    return {
+      status: "error",
+      message: "Only approve and reject can be applied to several requests.",
+      results: [],
+    };
+  }
+  Logger.info(
+    "processApprovalsBatch",
+    "Batch approval started",
+    { count: requestIds.length, action },
+    userEmail
+  );
+
+  const lock = LockService.getScriptLock();
+  try {
+    lock.waitLock(30000);
+  } catch (e) {
+    return {
+      status: "error",
+      message:
+        "System is busy processing another request. Please try again in a moment.",
+      results: [],
+    };
+  }
+
+  try {
+    const results = requestIds.map((requestId) => {
+      try {
+        const result = _applyApprovalAction(
+          requestId,
+          action,
+          notes,
+          null,
+          lang,
+          null,
+          userEmail
+        );
+        return { requestId, status: result.status, message: result.message };
+      } catch (e) {
+        Logger.error(
+          "processApprovalsBatch",
+          "Approval processing failed",
+          { requestId, action, error: e.message },
+          userEmail
+        );
+        return { requestId, status: "error", message: e.message };
+      }
+    });
+
+    const succeeded = results.filter((r) => r.status === "success").length;
+    return {
+      status: succeeded > 0 ? "success" : "error",
+      message: `${succeeded} of ${results.length} request(s) processed.`,
+      results,
+    };
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * PRIVATE: Validates and applies one approval action. The caller must hold the
+ * script lock; processApproval and processApprovalsBatch both go through here.
+ * @param {string} requestId The ID of the request.
+ * @param {string} action The action taken.
+ * @param {string} notes Approver's notes.
+ * @param {string} nextApproverEmail The email of the next approver if action is 'Forwarded'.
+ * @param {string} lang The current language ('en' or 'th') for response messages.
+ * @param {Object} itReviewData Optional object with IT review details.
+ * @param {string} userEmail The approver's email.
+ * @returns {Object} A success or error message.
+ */
+function _applyApprovalAction(
+  requestId,
+  action,
+  notes,
+  nextApproverEmail,
+  lang,
+  itReviewData,
+  userEmail
+) {
+  // 1. Validate preconditions
+  const precondResult = _validateApprovalPreconditions(
+    requestId,
+    action,
+    notes,
+    nextApproverEmail,
+    lang
+  );
+  if (precondResult.error)
+    return { status: "error", message: precondResult.message };
+  const { sheet, requestInfo, translations, sanitizedNotes, onBehalfOf } =
+    precondResult;
+  notes = sanitizedNotes;
+
+  // 2. Prepare data from preconditions
+  const { rowIndex, rowObject, headers } = requestInfo;
+  const range = sheet.getRange(rowIndex, 1, 1, headers.length);
+  const headersInfo = {
+    statusIndex: headers.indexOf(COLUMN.STATUS),
+    currentApproverIndex: headers.indexOf(COLUMN.CURRENT_APPROVER),
+    historyIndex: headers.indexOf(COLUMN.HISTORY),
+    itReviewDetailsIndex: headers.indexOf(COLUMN.IT_REVIEW_DETAILS),
+  };
+
+  // 3. Update history and log the action. A Needs Info entry remembers the
+  // status it interrupted so resubmission can put the request back there.
+  const historyExtras = {};
+  if (onBehalfOf) historyExtras.onBehalfOf = onBehalfOf;
+  if (action === STATUS.NEEDS_INFO) {
+    historyExtras.previousStatus = rowObject[COLUMN.STATUS];
+  }
+  // Approvals remember their step so all-of steps can show who has signed off.
+  if (action === STATUS.APPROVED) {
+    historyExtras.stepStatus = rowObject[COLUMN.STATUS];
+  }
+  const history = _updateAndLogHistory(
+    rowObject,
+    action,
+    notes,
+    userEmail,
+    range,
+    headersInfo.historyIndex,
+    historyExtras
+  );
+  let requestObject = {
+    ...rowObject,
+    [COLUMN.HISTORY]: history,
+    notes: notes,
+  };
+
+  // 4. Update IT review details if provided
+  if (itReviewData) {
+    requestObject = updateItReviewDetails(
+      itReviewData,
+      requestObject,
+      range,
+      headersInfo.itReviewDetailsIndex,
+      requestId
+    );
+  }
+
+  // 5. Walk the form's review workflow (IT or custom chain)
+  const itWorkflowResult = _handleWorkflowApprovalStep(
+    requestObject,
+    action,
+    history,
+    range,
+    headersInfo,
+    translations,
+    onBehalfOf || userEmail.trim().toLowerCase()
+  );
+  if (itWorkflowResult) {
+    // If the workflow handled the action completely, return its result.
+    return itWorkflowResult;
+  }
+
+  // 6. If IT workflow didn't handle it, perform standard approval
+  const standardResult = _performStandardApproval(
+    requestObject,
+    action,
+    nextApproverEmail,
+    range,
+    headersInfo,
+    translations
+  );
+
+  Logger.info(
+    "processApproval",
+    "Approval processed successfully",
+    { requestId, action, finalStatus: standardResult.status },
+    userEmail
+  );
+  return standardResult;
+}
+
+/**
+ * Handles actions for a finalized request (Approved or Rejected).
+ * @param {Object} request The full request object.
+ * @param {string} finalStatus The final status ('Approved' or 'Rejected').
+ * @param {string} notes The final notes from the approver.
+ */
+function handleFinalizedRequest(request, finalStatus, notes) {
+  sendFinalApprovalEmail(
+    request[COLUMN.REQUESTER_EMAIL],
+    request[COLUMN.REQUEST_ID],
+    finalStatus,
+    notes
+  );
+  if (finalStatus === STATUS.APPROVED) {
+    // The request object needs its details parsed for the PDF template.
+    try {
+      request.details = JSON.parse(request[COLUMN.DETAILS] || "{}");
+      // Also parse the new IT review details for the PDF
+      request.itReviewDetails = JSON.parse(
+        request[COLUMN.IT_REVIEW_DETAILS] || "{}"
+      );
+    } catch (e) {
+      request.details = {};
+    }
+    generateAndEmailPdfToHelpdesk(request);
+    const formId = _getFormIdFromType(request[COLUMN.FORM_TYPE]);
+    if (formId === "099") {
+      try {
+        _registerLoan(request);
+      } catch (e) {
+        // The approval stands; checkOverdueLoans registers missed loans on its next run.
+        console.error(`Could not register loan: ${e.message}`);
+      }
+    }
+    if (["100", "101", "003"].includes(formId)) {
+      try {
+        _recordAssetEvents(request);
+      } catch (e) {
+        // The approval stands; rebuildAssetRegister() can replay it later.
+        console.error(`Could not update the asset register: ${e.message}`);
+      }
+    }
+  }
+}
+// ================================================================================
+// HELPDESK FULFILLMENT
+// ================================================================================
+//
+// After final approval the helpdesk works the request through FULFILLMENT_STATUS.
+// Progress is stored as JSON in the fulfillment column:
+// {status, assignee, notes, updatedAt, updatedBy, log: [{status, assignee, notes, by, timestamp}]}
+//
+
+/**
+ * Gets every approved request for the helpdesk work queue, oldest first.
+ * @returns {Object[]|Object} The request objects, or an error object.
+ */
+function getHelpdeskQueue() {
+  try {
+    if (!isUserHelpdesk()) {
+      return {
+        error: true,
+        message: "You do not have permission to view the helpdesk queue.",
+      };
+    }
+
+    const sheet =
+      SpreadsheetApp.openById(SPREADSHEET_ID).getSheetByName(
+        REQUESTS_SHEET_NAME
+      );
+    if (!sheet) throw new Error(`Sheet "${REQUESTS_SHEET_NAME}" not found.`);
+    const data = sheet.getDataRange().getValues();
+    const headers = data.shift();
+    const statusIndex = headers.indexOf(COLUMN.STATUS);
+
+    return data
+      .filter((row) => row[statusIndex] === STATUS.APPROVED)
+      .map((row) => _rowToObject(row, headers))
+      .sort(
+        (a, b) => new Date(a[COLUMN.TIMESTAMP]) - new Date(b[COLUMN.TIMESTAMP])
+      );
+  } catch (e) {
+    console.error(`Error in getHelpdeskQueue: ${e.message}`);
+    return {
+      error: true,
+      message: `Failed to load the helpdesk queue: ${e.message}`,
+    };
+  }
+}
+
+/**
+ * Gets a single approved request for the helpdesk.
+ * @param {string} requestId The ID of the request to fetch.
+ * @returns {Object|null} The request object, or null if not found or not authorized.
+ */
+function getRequestByIdForHelpdesk(requestId) {
+  try {
+    if (!isUserHelpdesk()) return null;
+    const request = _getRequestObjectById(requestId);
+    if (!request || request[COLUMN.STATUS] !== STATUS.APPROVED) return null;
+    request.accessExpiry = _describeAccessExpiry(request);
+    request.attachments = _parseAttachments(request).files;
+    // The comment thread is for the request's participants; admins may read it too.
+    if (isUserAdmin()) request.comments = _getCommentThreads(requestId);
+    if (_getFormIdFromType(request[COLUMN.FORM_TYPE]) === "099") {
+      request.loan = _getLoanForRequest(requestId);
+    }
+    return request;
+  } catch (e) {
+    console.error(`Error in getRequestByIdForHelpdesk: ${e.message}`);
+    return null;
+  }
+}
+
+/**
+ * Records helpdesk progress on an approved request. Completing or failing the
+ * request emails the requester.
+ * @param {string} requestId The ID of the request.
+ * @param {Object} update {status, assignee, notes}; the assignee defaults to the current user.
+ * @param {string} lang The current language ('en' or 'th') for response messages.
+ * @returns {Object} A status object.
+ */
+function updateFulfillment(requestId, update, lang) {
+  const translations = JSON.parse(
+    getTranslations(lang).replace(/<pre>|<\/pre>/g, "")
+  );
+  const userEmail = getUserEmail().trim().toLowerCase();
+  if (!isUserHelpdesk()) {
+    return {
+      status: "error",
+      message:
+        translations.msgNotHelpdesk ||
+        "Only helpdesk staff can update fulfillment.",
+    };
+  }
+
+  const status = update && update.status;
+  if (!Object.values(FULFILLMENT_STATUS).includes(status)) {
+    return {
+      status: "error",
+      message:
+        translations.msgInvalidFulfillmentStatus ||
+        "Invalid fulfillment status.",
+    };
+  }
+  const assignee = (update.assignee || userEmail)
+    .toString()
+    .trim()
+    .toLowerCase();
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(assignee)) {
+    return { status: "error", message: "Invalid email format for assignee." };
+  }
+  const notes = _sanitizeNotes(update.notes);
+  if (status === FULFILLMENT_STATUS.FAILED && !notes) {
+    return {
+      status: "error",
+      message:
+        translations.msgFulfillmentNotesRequired ||
+        "Please explain why the request could not be fulfilled.",
+    };
+  }
+
+  const lock = LockService.getScriptLock();
+  try {
+    lock.waitLock(30000);
+  } catch (e) {
+    return {
+      status: "error",
+      message: "System is busy, please try again in a moment.",
+    };
+  }
+
+  try {
+    const sheet =
+      SpreadsheetApp.openById(SPREADSHEET_ID).getSheetByName(
+        REQUESTS_SHEET_NAME
+      );
+    const requestInfo = _findRowAndRowObjectById(sheet, requestId);
+    if (!requestInfo) {
+      return {
+        status: "error",
+        message: translations.msgRequestIdNotFound || "Request ID not found.",
+      };
+    }
+    const { rowIndex, rowObject, headers } = requestInfo;
+    if (rowObject[COLUMN.STATUS] !== STATUS.APPROVED) {
+      return {
+        status: "error",
+        message:
+          translations.msgRequestNotApproved ||
+          "Only approved requests can be fulfilled.",
+      };
+    }
+
+    let fulfillment = { log: [] };
+    try {
+      if (rowObject[COLUMN.FULFILLMENT])
+        fulfillment = JSON.parse(rowObject[COLUMN.FULFILLMENT]);
+    } catch (e) {
+      /* start a fresh record if the cell is malformed */
+    }
+    const timestamp = new Date().toISOString();
+    fulfillment = {
+      status,
+      assignee,
+      notes,
+      updatedAt: timestamp,
+      updatedBy: userEmail,
+      log: (fulfillment.log || []).concat({
+        status,
+        assignee,
+        notes,
+        by: userEmail,
+        timestamp,
+      }),
+    };
+
+    const fulfillmentIndex = _ensureRequestsColumn(
+      sheet,
+      headers,
+      COLUMN.FULFILLMENT
+    );
+    sheet
+      .getRange(rowIndex, fulfillmentIndex + 1)
+      .setValue(JSON.stringify(fulfillment));
+
+    Logger.auditLog("FULFILLMENT_UPDATED", requestId, {
+      status,
+      assignee,
+      notes: notes || "No notes",
+      updatedBy: userEmail,
+    });
+
+    if (
+      status === FULFILLMENT_STATUS.COMPLETED ||
+      status === FULFILLMENT_STATUS.FAILED
+    ) {
+      sendFulfillmentEmail(
+        rowObject[COLUMN.REQUESTER_EMAIL],
+        rowObject,
+        fulfillment
+      );
+    }
+
+    return {
+      status: "success",
+      message:
+        translations.msgFulfillmentUpdated || "Fulfillment status updated.",
+    };
+  } catch (e) {
+    console.error(`Error in updateFulfillment: ${e.message}`);
+    return {
+      status: "error",
+      message: `Failed to update fulfillment: ${e.message}`,
+    };
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * PRIVATE: Gets the index of a Requests sheet column, adding the header when
+ * the column does not exist yet. Used for optional columns added by later
+ * features, so existing sheets keep working without manual setup.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The Requests sheet.
+ * @param {Array<string>} headers The header row; updated in place when a column is added.
+ * @param {string} columnName The header name.
+ * @returns {number} The 0-based column index.
+ */
+function _ensureRequestsColumn(sheet, headers, columnName) {
+  const index = headers.indexOf(columnName);
+  if (index !== -1) return index;
+  sheet.getRange(1, headers.length + 1).setValue(columnName);
+  headers.push(columnName);
+  return headers.length - 1;
+}
+
+/**
+ * Generates a PDF for a given request and returns it as a Base64 encoded string.
+ * Performs security checks to ensure the user is authorized.
+ * @param {string} requestId The ID of the request.
+ * @returns {Object|null} An object { base64, filename } or an object with an error property.
+ */
+function generatePdfAsBase64(requestId) {
+  try {
+    const userEmail = getUserEmail().trim().toLowerCase();
+    const request = _getRequestObjectById(requestId);
+
+    if (!request) {
+      throw new Error("Request not found.");
+    }
+
+    if (!_canAccessRequestDocuments(request, userEmail)) {
+      throw new Error("You are not authorized to download this document.");
+    }
+    if (request[COLUMN.STATUS] !== STATUS.APPROVED) {
+      throw new Error("PDF can only be downloaded for approved requests.");
+    }
+
+    const fullRequestData = getRequestDataForPdf(requestId);
+    if (!fullRequestData)
+      throw new Error(
+        "Could not retrieve full request data for PDF generation."
+      );
+
+    const template = HtmlService.createTemplateFromFile("pdf_template");
+    template.request = fullRequestData;
+    const htmlBody = template.evaluate().getContent();
+
+    const pdfBlob = Utilities.newBlob(
+      htmlBody,
+      MimeType.HTML,
+      `${fullRequestData[COLUMN.REQUEST_ID]}.html`
+    ).getAs(MimeType.PDF);
+    return {
+      base64: Utilities.base64Encode(pdfBlob.getBytes()),
+      filename: `${fullRequestData[COLUMN.REQUEST_ID]}.pdf`,
+    };
+  } catch (e) {
+    console.error(
+      `Error in generatePdfAsBase64 for request ${requestId}: ${e.message}`
+    );
+    return { error: e.message };
+  }
+}
+/**
+ * Includes HTML content from another file.
+ * This function evaluates the file as a template, passing data to it.
+ * @param {string} filename The name of the HTML file to include.
+ * @param {Object} requestData The request object to pass to the sub-template.
+ * @returns {HtmlOutput} The content of the HTML file.
+ */
+function include(filename, requestData) {
+  const template = HtmlService.createTemplateFromFile(filename);
+  template.request = requestData; // Pass the data to the sub-template
+  return template.evaluate().getContent();
+}
+
+/**
+ * Pages that may be requested through the `page` query parameter.
+ * Anything else falls back to the main menu on the client.
+ */
+const DEEP_LINK_PAGES = [
+  "approvals",
+  "my-requests",
+  "dashboard",
+  "manage-approvers",
+  "settings",
+  "helpdesk",
+  "loans",
+  "access-review",
+  "all-requests",
+];
+
+/**
+ * PRIVATE: Extracts a safe deep-link target from the doGet event parameters.
+ * Values are whitelisted so they can be written into the page unescaped.
+ * @param {Object} e The doGet event object (may be undefined when run from the editor).
+ * @returns {{page: string, requestId: string}} The sanitized deep-link target.
+ */
+function _getDeepLinkFromEvent(e) {
+  const params = (e && e.parameter) || {};
+  const page = String(params.page || "").trim();
+  const requestId = String(params.requestId || "").trim();
+  return {
+    page: DEEP_LINK_PAGES.includes(page) ? page : "",
+    requestId: /^REQ-[A-Za-z0-9-]{1,60}$/.test(requestId) ? requestId : "",
+  };
+}
+
+/**
+ * Builds a link back into the web app, optionally pointing at a specific request.
+ * @param {string} page One of DEEP_LINK_PAGES.
+ * @param {string} [requestId] The request to open in the detail view.
+ * @returns {string} The absolute web app URL.
+ */
+function buildAppUrl(page, requestId) {
+  let url = ScriptApp.getService().getUrl() + "?page=" + page;
+  if (requestId) {
+    url += "&requestId=" + encodeURIComponent(requestId);
+  }
+  return url;
+}
+
+/**
+ * Serves the web application.
+ * The `page` and `requestId` query parameters are passed to the template so the
+ * client can route straight to the requested view, since `window.location`
+ * inside the sandboxed iframe does not carry them.
+ * @param {Object} e The doGet event object.
+ * @returns {HtmlOutput} The HTML service object.
+ */
+function doGet(e) {
+  const template = HtmlService.createTemplateFromFile("index");
+  template.deepLink = JSON.stringify(_getDeepLinkFromEvent(e));
+  return template
+    .evaluate()
+    .setTitle("Approval System")
+    .addMetaTag("viewport", "width=device-width, initial-scale=1.0");
+}
+
+/**
+ * Sends a notification email using a template. (RESTORED TO HTML)
+ * @param {string} recipient The email address of the recipient.
+ * @param {Object} emailData The data to populate the email template.
+ */
+function sendEmail(recipient, emailData) {
+  try {
+    const template = HtmlService.createTemplateFromFile("email_template");
+    emailData.companyName = COMPANY_NAME; // Automatically add company name
+    template.data = emailData;
+    const htmlBody = template.evaluate().getContent();
+
+    MailApp.sendEmail({
+      to: recipient,
+      subject: emailData.subject,
+      htmlBody: htmlBody,
+      name: "Approval System Notifier", // Add a professional sender name
+    });
+  } catch (e) {
+    // Re-throw a more informative error to help debug template issues.
+    throw new Error(
+      `Failed to send email. Error evaluating 'email_template.html': ${e.message}. Please check the template file for syntax errors (e.g., using 'title' instead of 'data.title').`
+    );
+  }
+}
+
+/**
+ * Constructs and sends an email for a new approval request.
+ * @param {string} approverEmail The recipient's email.
+ * @param {object} requestData The data for the request email.
+ * @param {boolean} isItReview If true, sends a special IT review notification.
+ */
+function sendNewRequestEmail(approverEmail, requestData, isItReview = false) {
+  if (!requestData) {
+    console.error(`No request data provided for email notification.`);
+    return;
+  }
+
+  const emailData = {
+    subject: isItReview
+      ? `IT Review Required: Request #${requestData[COLUMN.REQUEST_ID]}`
+      : `New Approval Request from ${requestData[COLUMN.REQUESTER_NAME]} (#${
+          requestData[COLUMN.REQUEST_ID]
+        })`,
+    title: isItReview ? "Request for IT Review" : "New Request to Approve",
+    main_message: isItReview
+      ? `The following request has been approved by the department head and now requires your review.`
+      : `A new request from <strong>${
+          requestData[COLUMN.REQUESTER_NAME]
+        }</strong> requires your approval. Please review the details below.`,
+    details: {
+      "Request ID": requestData[COLUMN.REQUEST_ID],
+      "Form Type": requestData[COLUMN.FORM_TYPE],
+      Requester: requestData[COLUMN.REQUESTER_NAME],
+      Department: requestData[COLUMN.DEPARTMENT],
+      "Sub-Department": requestData[COLUMN.SUB_DEPARTMENT] || "-",
+    },
+    buttonText: "View Request",
+    buttonUrl: buildAppUrl("approvals", requestData[COLUMN.REQUEST_ID]),
+  };
+  // Users on the daily digest get this request in tomorrow's summary instead.
+  if (_getUserPreferences(approverEmail).emailDelivery !== "digest") {
+    sendEmail(approverEmail, emailData);
+  }
+
+  // An approver on leave has their requests routed to their delegate as well.
+  const delegateEmail = _getActiveDelegate(approverEmail);
+  if (
+    delegateEmail &&
+    _getUserPreferences(delegateEmail).emailDelivery !== "digest"
+  ) {
+    sendEmail(delegateEmail, {
+      ...emailData,
+      subject: `[On behalf of ${approverEmail}] ${emailData.subject}`,
+    });
+  }
+}
+
+/**
+ * Constructs and sends an email notifying the user of a final status update.
+ */
+function sendFinalApprovalEmail(requesterEmail, requestId, status, notes) {
+  const statusColor = status === "Approved" ? "#16a34a" : "#dc2626"; // Green for approved, Red for rejected
+  const emailData = {
+    subject: `Update on your request #${requestId}`,
+    title: `Your Request has been ${status}`,
+    main_message: `Your request <strong>#${requestId}</strong> has been updated to: <strong style="color: ${statusColor};">${status}</strong>.`,
+    details: {
+      "Request ID": requestId,
+    },
+    notes: notes || null, // Pass notes separately, or null if there are none
+    buttonText: "View Request",
+    buttonUrl: buildAppUrl("my-requests", requestId),
+  };
+  sendEmail(requesterEmail, emailData);
+}
+
+/**
+ * Sends the requester the approver's question when a request is returned for more information.
+ * @param {string} requesterEmail The requester's email.
+ * @param {string} requestId The ID of the request.
+ * @param {string} question The approver's notes describing what is missing.
+ */
+function sendNeedsInfoEmail(requesterEmail, requestId, question) {
+  const emailData = {
+    subject: `More information needed for your request #${requestId}`,
+    title: "More Information Needed",
+    main_message: `Your approver needs more information before request <strong>#${requestId}</strong> can proceed. Please update the request and resubmit it.`,
+    details: {
+      "Request ID": requestId,
+    },
+    notes: question,
+    buttonText: "Update Request",
+    buttonUrl: buildAppUrl("my-requests", requestId),
+  };
+  sendEmail(requesterEmail, emailData);
+}
+
+/**
+ * Notifies the approver that a request they returned for information has been resubmitted.
+ * @param {string} approverEmail The approver's email.
+ * @param {Object} requestData The request row object.
+ * @param {string} notes The requester's reply.
+ */
+function sendResubmittedRequestEmail(approverEmail, requestData, notes) {
+  const emailData = {
+    subject: `Request #${requestData[COLUMN.REQUEST_ID]} has been resubmitted`,
+    title: "Request Resubmitted",
+    main_message: `<strong>${
+      requestData[COLUMN.REQUESTER_NAME]
+    }</strong> has updated the request you returned for more information. It is awaiting your approval again.`,
+    details: {
+      "Request ID": requestData[COLUMN.REQUEST_ID],
+      "Form Type": requestData[COLUMN.FORM_TYPE],
+      Requester: requestData[COLUMN.REQUESTER_NAME],
+      Department: requestData[COLUMN.DEPARTMENT],
+    },
+    notes: notes || null,
+    buttonText: "View Request",
+    buttonUrl: buildAppUrl("approvals", requestData[COLUMN.REQUEST_ID]),
+  };
+  sendEmail(approverEmail, emailData);
+}
+
+/**
+ * Tells an approver that a request waiting on them was withdrawn by the requester.
+ * @param {string} approverEmail The approver's email.
+ * @param {Object} requestData The request row object.
+ * @param {string} reason The requester's reason for cancelling.
+ */
+function sendRequestCancelledEmail(approverEmail, requestData, reason) {
+  const emailData = {
+    subject: `Request #${requestData[COLUMN.REQUEST_ID]} has been cancelled`,
+    title: "Request Cancelled",
+    main_message: `<strong>${
+      requestData[COLUMN.REQUESTER_NAME]
+    }</strong> has cancelled this request. No further action is needed.`,
+    details: {
+      "Request ID": requestData[COLUMN.REQUEST_ID],
+      "Form Type": requestData[COLUMN.FORM_TYPE],
+      Requester: requestData[COLUMN.REQUESTER_NAME],
+      Department: requestData[COLUMN.DEPARTMENT],
+    },
+    notes: reason || null,
+    buttonText: "View Request",
+    buttonUrl: buildAppUrl("approvals", requestData[COLUMN.REQUEST_ID]),
+  };
+  sendEmail(approverEmail, emailData);
+}
+
+/**
+ * Sends a user the daily summary of requests waiting on their approval.
+ * @param {string} approverEmail The recipient's email.
+ * @param {Object[]} requests The pending request objects, newest first.
+ * @param {Date} now The time of the digest run, used for request ages.
+ */
+function sendDigestEmail(approverEmail, requests, now) {
+  const emailData = {
+    subject: `Daily digest: ${requests.length} request(s) awaiting your approval`,
+    title: "Your Pending Approvals",
+    main_message: `You have <strong>${requests.length}</strong> request(s) waiting for your action.`,
+    table: {
+      columns: ["Request ID", "Form Type", "Requester", "Status", "Age"],
+      rows: requests.map((r) => [
+        r[COLUMN.REQUEST_ID],
+        r[COLUMN.FORM_TYPE],
+        r.delegatedFrom
+          ? `${r[COLUMN.REQUESTER_NAME]} (on behalf of ${r.delegatedFrom})`
+          : r[COLUMN.REQUESTER_NAME],
+        r[COLUMN.STATUS],
+        _formatRequestAge(r[COLUMN.TIMESTAMP], now),
+      ]),
+    },
+    buttonText: "Open Approvals",
+    buttonUrl: buildAppUrl("approvals"),
+  };
+  sendEmail(approverEmail, emailData);
+}
+
+/**
+ * Reminds an approver that a request has been waiting on them past its SLA.
+ * @param {string} approverEmail The approver's email.
+ * @param {Object} requestData The request row object.
+ * @param {number} waitingHours Business hours the request has been waiting.
+ */
+function sendSlaReminderEmail(approverEmail, requestData, waitingHours) {
+  const emailData = {
+    subject: `Reminder: Request #${
+      requestData[COLUMN.REQUEST_ID]
+    } is awaiting your approval`,
+    title: "Approval Reminder",
+    main_message: `This request from <strong>${
+      requestData[COLUMN.REQUESTER_NAME]
+    }</strong> has been waiting for your action for ${Math.floor(
+      waitingHours
+    )} business hours. If it is not actioned it will be escalated.`,
+    details: {
+      "Request ID": requestData[COLUMN.REQUEST_ID],
+      "Form Type": requestData[COLUMN.FORM_TYPE],
+      Requester: requestData[COLUMN.REQUESTER_NAME],
+      Status: requestData[COLUMN.STATUS],
+    },
+    buttonText: "View Request",
+    buttonUrl: buildAppUrl("approvals", requestData[COLUMN.REQUEST_ID]),
+  };
+  sendEmail(approverEmail, emailData);
+}
+
+/**
+ * Notifies the next-level approver that an overdue request was escalated to them.
+ * @param {string} approverEmail The new approver's email.
+ * @param {Object} requestData The request row object.
+ * @param {string} previousApprover The approver the request was escalated from.
+ * @param {number} waitingHours Business hours the request had been waiting.
+ */
+function sendEscalationEmail(
+  approverEmail,
+  requestData,
+  previousApprover,
+  waitingHours
+) {
+  const emailData = {
+    subject: `Escalated: Request #${
+      requestData[COLUMN.REQUEST_ID]
+    } requires your approval`,
+    title: "Request Escalated to You",
+    main_message: `This request was not actioned by <strong>${previousApprover}</strong> within ${Math.floor(
+      waitingHours
+    )} business hours and has been escalated to you.`,
+    details: {
+      "Request ID": requestData[COLUMN.REQUEST_ID],
+      "Form Type": requestData[COLUMN.FORM_TYPE],
+      Requester: requestData[COLUMN.REQUESTER_NAME],
+      Department: requestData[COLUMN.DEPARTMENT],
+      Status: requestData[COLUMN.STATUS],
+    },
+    buttonText: "View Request",
+    buttonUrl: buildAppUrl("approvals", requestData[COLUMN.REQUEST_ID]),
+  };
+  sendEmail(approverEmail, emailData);
+}
+
+/**
+ * Tells the requester that the helpdesk has finished working on their request.
+ * @param {string} requesterEmail The requester's email.
+ * @param {Object} requestData The request row object.
+ * @param {Object} fulfillment The saved fulfillment record.
+ */
+function sendFulfillmentEmail(requesterEmail, requestData, fulfillment) {
+  const isCompleted = fulfillment.status === FULFILLMENT_STATUS.COMPLETED;
+  const emailData = {
+    subject: `Request #${requestData[COLUMN.REQUEST_ID]} has been ${
+      isCompleted ? "completed" : "closed as failed"
+    }`,
+    title: isCompleted ? "Request Completed" : "Request Could Not Be Fulfilled",
+    main_message: isCompleted
+      ? `The helpdesk has completed the work for your approved request.`
+      : `The helpdesk could not complete the work for your approved request. Please see the notes below.`,
+    details: {
+      "Request ID": requestData[COLUMN.REQUEST_ID],
+      "Form Type": requestData[COLUMN.FORM_TYPE],
+      "Handled By": fulfillment.assignee,
+      Result: fulfillment.status,
+    },
+    notes: fulfillment.notes || null,
+    buttonText: "View Request",
+    buttonUrl: buildAppUrl("my-requests", requestData[COLUMN.REQUEST_ID]),
+  };
+  sendEmail(requesterEmail, emailData);
+}
+
+/**
+ * Warns the requester, copying the helpdesk, that time-limited access ends soon.
+ * @param {Object} requestData The request row object.
+ * @param {Array<Object>} items The expiring items ({label, endDate}).
+ */
+function sendAccessExpiringEmail(requestData, items) {
+  const emailData = {
+    subject: `Access from request #${
+      requestData[COLUMN.REQUEST_ID]
+    } expires soon`,
+    title: "Access Expiring Soon",
+    main_message: `The time-limited access below will end soon. If you still need it, open the request and choose <strong>Request extension</strong>; the extension goes through the normal approval flow.`,
+    table: {
+      columns: ["Access", "Ends On"],
+      rows: items.map((item) => [item.label, item.endDate]),
+    },
+    details: {
+      "Request ID": requestData[COLUMN.REQUEST_ID],
+      "Form Type": requestData[COLUMN.FORM_TYPE],
+      Requester: requestData[COLUMN.REQUESTER_NAME],
+    },
+    buttonText: "Request Extension",
+    buttonUrl: buildAppUrl("my-requests", requestData[COLUMN.REQUEST_ID]),
+  };
+  sendEmail(
+    [requestData[COLUMN.REQUESTER_EMAIL], HELPDESK_EMAIL]
+      .filter(Boolean)
+      .join(","),
+    emailData
+  );
+}
+
+/**
+ * Tells the helpdesk that time-limited access has lapsed and must be removed.
+ * @param {Object} requestData The request row object.
+ * @param {Array<Object>} items The lapsed items ({label, endDate}).
+ */
+function sendRemovalTaskEmail(requestData, items) {
+  if (!HELPDESK_EMAIL) {
+    console.error(
+      "Configuration Error: 'HELPDESK_EMAIL' is not set in Script Properties. Cannot send removal task email."
+    );
+    return;
+  }
+  const emailData = {
+    subject: `Removal task: access from request #${
+      requestData[COLUMN.REQUEST_ID]
+    } has expired`,
+    title: "Access Removal Required",
+    main_message: `The time-limited access below has passed its end date. Please remove it and mark the task as done in the helpdesk queue.`,
+    table: {
+      columns: ["Access", "Ended On"],
+      rows: items.map((item) => [item.label, item.endDate]),
+    },
+    details: {
+      "Request ID": requestData[COLUMN.REQUEST_ID],
+      "Form Type": requestData[COLUMN.FORM_TYPE],
+      Requester: `${requestData[COLUMN.REQUESTER_NAME]} (${
+        requestData[COLUMN.REQUESTER_EMAIL]
+      })`,
+      Department: requestData[COLUMN.DEPARTMENT],
+    },
+    buttonText: "Open Helpdesk Queue",
+    buttonUrl: buildAppUrl("helpdesk"),
+  };
+  sendEmail(HELPDESK_EMAIL, emailData);
+}
+
+/**
+ * Reminds a borrower, copying the helpdesk, that borrowed equipment is overdue.
+ * @param {Object} loan The loan from the register.
+ */
+function sendLoanOverdueEmail(loan) {
+  const emailData = {
+    subject: `Overdue: please return the ${loan.hardware} from request #${loan.requestId}`,
+    title: "Borrowed Equipment Overdue",
+    main_message: `The equipment below was due back on <strong>${loan.endDate}</strong>. Please return it to the helpdesk, or request an extension from the request page.`,
+    details: {
+      "Request ID": loan.requestId,
+      Borrower: loan.requesterName,
+      Department: loan.department,
+      Equipment: loan.hardware,
+      "Due Date": loan.endDate,
+    },
+    buttonText: "View Request",
+    buttonUrl: buildAppUrl("my-requests", loan.requestId),
+  };
+  sendEmail(
+    [loan.requesterEmail, HELPDESK_EMAIL].filter(Boolean).join(","),
+    emailData
+  );
+}
+
+/**
+ * Asks a department head to review their staff's access for a campaign.
+ * @param {string} reviewerEmail The reviewer's email.
+ * @param {string} campaignId The campaign ID.
+ * @param {number} itemCount The number of entitlements to review.
+ */
+function sendAccessReviewEmail(reviewerEmail, campaignId, itemCount) {
+  const emailData = {
+    subject: `Action required: ${campaignId} access review`,
+    title: "Quarterly Access Review",
+    main_message: `Please review the <strong>${itemCount}</strong> access entitlements held by your department's staff. Confirm the access that is still needed, revoke the rest, then sign off the review.`,
+    details: {
+      Campaign: campaignId,
+      Entitlements: itemCount,
+    },
+    buttonText: "Start Review",
+    buttonUrl: buildAppUrl("access-review"),
+  };
+  sendEmail(reviewerEmail, emailData);
+}
+
+/**
+ * Sends the helpdesk the access revoked in a signed-off review, for removal.
+ * @param {string} campaignId The campaign ID.
+ * @param {string} reviewerEmail The reviewer who signed off.
+ * @param {Array<Object>} items The revoked review rows.
+ */
+function sendAccessRevocationEmail(campaignId, reviewerEmail, items) {
+  if (!HELPDESK_EMAIL) {
+    console.error(
+      "Configuration Error: 'HELPDESK_EMAIL' is not set in Script Properties. Cannot send revocation email."
+    );
+    return;
+  }
+  const emailData = {
+    subject: `Removal task: ${items.length} entitlements revoked in the ${campaignId} access review`,
+    title: "Access Revoked in Review",
+    main_message: `The access below was revoked in the ${campaignId} access review. Please remove it.`,
+    table: {
+      columns: ["User", "System", "Resource", "Request ID", "Notes"],
+      rows: items.map((item) => [
+        item.subject,
+        item.system,
+        item.resource,
+        item.sourceRequestId,
+        item.notes || "-",
+      ]),
+    },
+    details: {
+      Campaign: campaignId,
+      Reviewer: reviewerEmail,
+    },
+  };
+  sendEmail(HELPDESK_EMAIL, emailData);
+}
+
+/**
+ * Tells a participant they were mentioned in a comment on a request.
+ * @param {string} recipient The mentioned user's email.
+ * @param {Object} requestData The request row object.
+ * @param {string} authorEmail Who wrote the comment.
+ * @param {string} text The comment text.
+ */
+function sendCommentMentionEmail(recipient, requestData, authorEmail, text) {
+  const isRequester =
+    requestData[COLUMN.REQUESTER_EMAIL].toString().trim().toLowerCase() ===
+    recipient;
+  const emailData = {
+    subject: `${authorEmail} mentioned you on request #${
+      requestData[COLUMN.REQUEST_ID]
+    }`,
+    title: "You Were Mentioned",
+    main_message: `<strong>${authorEmail}</strong> mentioned you in a comment:<br><br><em>${text}</em>`,
+    details: {
+      "Request ID": requestData[COLUMN.REQUEST_ID],
+      "Form Type": requestData[COLUMN.FORM_TYPE],
+      Requester: requestData[COLUMN.REQUESTER_NAME],
+    },
+    buttonText: "Reply",
+    buttonUrl: buildAppUrl(
+      isRequester ? "my-requests" : "approvals",
+      requestData[COLUMN.REQUEST_ID]
+    ),
+  };
+  sendEmail(recipient, emailData);
+}
+
+/**
+ * Generates a PDF of the request and emails it to the helpdesk.
+ * @param {Object} request The full request object, with details and history parsed.
+ */
+function generateAndEmailPdfToHelpdesk(request) {
+  try {
+    if (!HELPDESK_EMAIL) {
+      console.error(
+        "Configuration Error: 'HELPDESK_EMAIL' is not set in Script Properties. Cannot send email to helpdesk."
+      );
+      return; // Exit the function gracefully
+    }
+    if (!request) throw new Error("Request object is null.");
+
+    // The request object passed here already has its details parsed by handleFinalizedRequest
+    const fullRequestData = getRequestDataForPdf(request.requestId);
+    if (!fullRequestData)
+      throw new Error(
+        "Could not retrieve full request data for PDF generation."
+      );
+    // Add itReviewDetails to the object for the template
+    fullRequestData.itReviewDetails = JSON.parse(
+      request.itReviewDetails || "{}"
+    );
+
+    const template = HtmlService.createTemplateFromFile("pdf_template");
+    template.request = fullRequestData;
+    const htmlBody = template.evaluate().getContent();
+
+    const pdfBlob = Utilities.newBlob(
+      htmlBody,
+      MimeType.HTML,
+      `${fullRequestData[COLUMN.REQUEST_ID]}.html`
+    )
+      .getAs(MimeType.PDF)
+      .setName(`${fullRequestData[COLUMN.REQUEST_ID]}.pdf`);
+
+    const attachmentLines = _shareAttachmentsWithHelpdesk(fullRequestData);
+    const subject = `New Ticket: Approved Request #${
+      fullRequestData[COLUMN.REQUEST_ID]
+    } - ${fullRequestData[COLUMN.FORM_TYPE]}`;
+    const body =
+      `A new request has been fully approved and requires action.\n\n` +
+      `Request ID: ${fullRequestData[COLUMN.REQUEST_ID]}\n` +
+      `Form Type: ${fullRequestData[COLUMN.FORM_TYPE]}\n` +
+      `Requester: ${fullRequestData[COLUMN.REQUESTER_NAME]} (${
+        fullRequestData[COLUMN.REQUESTER_EMAIL]
+      })\n\n` +
+      `Please see the attached PDF for full details.\n\n` +
+      (attachmentLines ? `Attachments:\n${attachmentLines}\n\n` : "") +
+      `Track fulfillment: ${buildAppUrl(
+        "helpdesk",
+        fullRequestData[COLUMN.REQUEST_ID]
+      )}`;
+
+    MailApp.sendEmail({
+      to: HELPDESK_EMAIL,
+      subject: subject,
+      body: body,
+      attachments: [pdfBlob],
+      name: "Approval System",
+    });
+    console.log(
+      `PDF for request ${fullRequestData[COLUMN.REQUEST_ID]} sent to helpdesk.`
+    );
+  } catch (e) {
+    console.error(
+      `Failed to generate or email PDF for request ${request.requestId}: ${e.message}`
+    );
+  }
+}
+
+/**
+ * Renders the form-specific part of the PDF from the form's schema.
+ * @param {Object} request The full request object.
+ * @returns {string} The HTML content for the form details.
+ */
+function getPdfFormDetailsHtml(request) {
+  const formId = (request.formType.match(/ISMS-FM-(\d+)/) || [])[1];
+  if (formId && FORM_SCHEMAS[formId]) {
+    return _renderSchemaPdfHtml(FORM_SCHEMAS[formId], request.details);
+  }
+  // Fallback for forms without a schema
+  return `<pre>${_escapeHtml(JSON.stringify(request.details, null, 2))}</pre>`;
+}
+
+/**
+ * Helper function to get all data for a request, including parsed details and history.
+ * @param {string} requestId The ID of the request.
+ * @returns {Object|null} The complete request object or null.
+ */
+function getRequestDataForPdf(requestId) {
+  // This function is similar to getRequestById but doesn't need security checks
+  // as it's called internally after a valid approval. It also parses details and history.
+  const sheet =
+    SpreadsheetApp.openById(SPREADSHEET_ID).getSheetByName(REQUESTS_SHEET_NAME);
+  const data = sheet.getDataRange().getValues();
+  const headers = data.shift();
+  const idIndex = headers.indexOf(COLUMN.REQUEST_ID);
+
+  const row = data.find((r) => r[idIndex] === requestId);
+  if (!row) return null;
+
+  const requestObject = {};
+  headers.forEach((header, index) => {
+    requestObject[header] =
+      row[index] instanceof Date ? row[index].toISOString() : row[index];
+  });
+
+  try {
+    requestObject[COLUMN.DETAILS] = JSON.parse(
+      requestObject[COLUMN.DETAILS] || "{}"
+    );
+  } catch (e) {
+    requestObject[COLUMN.DETAILS] = {};
+  }
+  try {
+    requestObject[COLUMN.HISTORY] = JSON.parse(
+      requestObject[COLUMN.HISTORY] || "[]"
+    );
+  } catch (e) {
+    requestObject[COLUMN.HISTORY] = [];
+  }
+  // Also parse itReviewDetails
+  try {
+    requestObject[COLUMN.IT_REVIEW_DETAILS] = JSON.parse(
+      requestObject[COLUMN.IT_REVIEW_DETAILS] || "{}"
+    );
+  } catch (e) {
+    requestObject[COLUMN.IT_REVIEW_DETAILS] = {};
+  }
+  requestObject.comments = _getCommentThreads(requestId);
+
+  // Add translations to the request object for PDF rendering
+  try {
+    const translationsJson = getTranslations("th"); // Default to 'th' for PDF, or make it configurable
+    requestObject.translations = JSON.parse(
+      translationsJson.replace(/<pre>|<\/pre>/g, "")
+    );
+  } catch (e) {
+    requestObject.translations = {}; // Fallback
+  }
+
+  return requestObject;
+}
+
+/**
+ * Retrieves a list of all approvers from the Approvers sheet.
+ * @returns {Object[]} An array of approver objects.
+ */
+function getApprovers() {
+  if (!isUserAdmin()) {
+    console.error(
+      `Unauthorized access attempt to getApprovers by ${getUserEmail()}`
+    );
+    return []; // Return empty array for non-admins
+  }
+  try {
+    const sheet =
+      SpreadsheetApp.openById(SPREADSHEET_ID).getSheetByName(
+        APPROVERS_SHEET_NAME
+      );
+    if (!sheet) return [];
+    const data = sheet.getDataRange().getValues();
+    if (data.length <= 1) return [];
+
+    const headers = data.shift();
+    // Standardize headers to lowercase keys for JS consistency
+    const lowerCaseHeaders = headers.map((h) =>
+      (h.charAt(0).toLowerCase() + h.slice(1)).replace(/\s/g, "")
+    );
+
+    return data.map((row) => {
+      let obj = {};
+      lowerCaseHeaders.forEach((header, i) => {
+        obj[header] = row[i];
+      });
+      return obj;
+    });
+  } catch (e) {
+    console.error(`Error in getApprovers: ${e.message}`);
+    return []; // Return empty array on error
+  }
+}
+
+/**
+ * Manages approvers (Add, Update, Delete).
+ * @param {string} action The action to perform: 'add', 'update', or 'delete'.
+ * @param {Object} approverData The data for the approver. When deleting or changing
+ *   the department of an approver with open work, replacementEmail names who takes it over.
+ * @returns {Object} A success or error message.
+ */
+function manageApprover(action, approverData) {
+  if (!isUserAdmin()) {
+    return {
+      status: "error",
+      message: "You are not authorized to perform this action.",
+    };
+  }
+
+  const lock = LockService.getScriptLock();
+  try {
+    // Try to get lock with 30 second timeout
+    lock.waitLock(30000);
+  } catch (e) {
+    return {
+      status: "error",
+      message: "System is busy, please try again in a moment.",
+    };
+  }
+
+  try {
+    const sheet =
+      SpreadsheetApp.openById(SPREADSHEET_ID).getSheetByName(
+        APPROVERS_SHEET_NAME
+      );
+    const data = sheet.getDataRange().getValues();
+    const headers = data.shift(); // e.g., ['Department', 'ApproverName', 'ApproverEmail', ...]
+    const emailIndex = headers.findIndex(
+      (h) => h.toLowerCase() === COLUMN.APPROVER_EMAIL.toLowerCase()
+    );
+    if (emailIndex === -1)
+      throw new Error(`Column '${COLUMN.APPROVER_EMAIL}' not found.`);
+
+    const targetEmail = (
+      action === "update" ? approverData.originalEmail : approverData.email
+    )
+      .trim()
+      .toLowerCase();
+    const rowIndex = data.findIndex(
+      (row) =>
+        row[emailIndex] &&
+        row[emailIndex].toString().trim().toLowerCase() === targetEmail
+    );
+
+    // Deleting an approver or changing their department hands their open work
+    // over to a replacement first (see APPROVER HANDOVER).
+    const departmentIndex = headers.findIndex(
+      (h) => h.toLowerCase() === COLUMN.DEPARTMENT.toLowerCase()
+    );
+    const isDepartmentChange =
+      action === "update" &&
+      rowIndex > -1 &&
+      departmentIndex > -1 &&
+      data[rowIndex][departmentIndex].toString() !==
+        (approverData.department || "");
+    if ((action === "delete" && rowIndex > -1) || isDepartmentChange) {
+      const handover = _getApproverHandover(targetEmail);
+      if (_hasApproverWork(handover)) {
+        const replacementEmail = (approverData.replacementEmail || "")
+          .trim()
+          .toLowerCase();
+        if (
+          !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(replacementEmail) ||
+          replacementEmail === targetEmail
+        ) {
+          return {
+            status: "error",
+            requiresReplacement: true,
+            message: `This approver has ${handover.requests.length} pending requests, ${handover.itReviewFlows.length} IT review flows and ${handover.workflowSteps.length} workflow steps. Please choose another approver to take them over.`,
+          };
+        }
+        _handOverApproverWork(
+          handover,
+          targetEmail,
+          replacementEmail,
+          getUserEmail().trim().toLowerCase()
+        );
+      }
+    }
+
+    // Map client-side keys to sheet header names (lowercase)
+    const clientKeyToHeaderMap = {
+      department: COLUMN.DEPARTMENT.toLowerCase(),
+      subDepartment: COLUMN.SUB_DEPARTMENT.toLowerCase(),
+      approverName: COLUMN.APPROVER_NAME.toLowerCase(),
+      position: COLUMN.APPROVER_POSITION.toLowerCase(),
+      email: COLUMN.APPROVER_EMAIL.toLowerCase(),
+      level: COLUMN.APPROVER_LEVEL.toLowerCase(),
+      role: COLUMN.APPROVER_ROLE.toLowerCase(),
+    };
+
+    switch (action) {
+      case "add":
+        if (rowIndex > -1) {
+          return {
+            status: "error",
+            message: "Account with this email already exists.",
+          };
+        }
+        // Dynamically build the row based on header order
+        const newRow = headers.map((header) => {
+          const headerLower = header.toLowerCase();
+          // Find which client key corresponds to this header
+          const clientKey = Object.keys(clientKeyToHeaderMap).find(
+            (key) => clientKeyToHeaderMap[key] === headerLower
+          );
+          if (clientKey) {
+            // Use the value from approverData, or a default
+            return (
+              approverData[clientKey] ||
+              (clientKey === "role" ? "Approver" : "")
+            );
+          }
+          return ""; // Default for any unmapped columns
+        });
+        sheet.appendRow(newRow);
+        return { status: "success", message: "Account added successfully." };
+
+      case "update":
+        if (rowIndex === -1) {
+          return { status: "error", message: "Account not found to update." };
+        }
+        const headerIndexMap = headers.reduce((acc, header, index) => {
+          acc[header.toLowerCase()] = index;
+          return acc;
+        }, {});
+
+        const range = sheet.getRange(rowIndex + 2, 1, 1, headers.length);
+        for (const clientKey in clientKeyToHeaderMap) {
+          const headerName = clientKeyToHeaderMap[clientKey];
+          const colIndex = headerIndexMap[headerName];
+          if (colIndex !== undefined) {
+            const value =
+              approverData[clientKey] ||
+              (clientKey === "role" ? "Approver" : "");
+            range.getCell(1, colIndex + 1).setValue(value);
+          }
+        }
+        return { status: "success", message: "Account update successfully." };
+
+      case "delete":
+        if (rowIndex === -1) {
+          return { status: "error", message: "Account not found to delete." };
+        }
+        sheet.deleteRow(rowIndex + 2);
+        return { status: "success", message: "Account deleted successfully." };
+
+      default:
+        return { status: "error", message: "Invalid action specified." };
+    }
+  } catch (e) {
+    console.error(`Error in manageApprover: ${e.message}`);
+    return {
+      status: "error",
+      message: `Failed to manage approver: ${e.message}`,
+    };
+  } finally {
+    lock.releaseLock();
+
+    // Clear cache after lock is released
+    // Clear general caches whenever approvers are modified
+    Cache.removeAll([
+      APPROVERS_CACHE_KEY,
+      IT_REVIEWER_MAP_CACHE_KEY,
+      DEPT_TO_DIVISION_MAP_CACHE_KEY,
+    ]);
+    // Specifically clear VP caches, as removeAll doesn't support prefixes
+    _clearAllVpDivisionCaches();
+  }
+}
+
+/**
+ * PRIVATE: Clears all cached division data for users who are VPs.
+ * This is necessary because CacheService.removeAll does not support wildcard/prefix-based removal.
+ */
+function _clearAllVpDivisionCaches() {
+  try {
+    const approversData = _getApproversData(); // This will use cache if available, which is fine
+    if (!approversData || !approversData.headers) return;
+
+    const { headers, rows } = approversData;
+    const emailIndex = headers.findIndex(
+      (h) => h.toLowerCase() === COLUMN.APPROVER_EMAIL.toLowerCase()
+    );
+    const levelIndex = headers.findIndex(
+      (h) => h.toLowerCase() === COLUMN.APPROVER_LEVEL.toLowerCase()
+    );
+    if (emailIndex === -1 || levelIndex === -1) return;
+
+    const vpEmails = rows
+      .filter((row) => parseInt(row[levelIndex], 10) >= 10)
+      .map((row) => row[emailIndex]);
+    const cacheKeysToRemove = vpEmails.map(
+      (email) => `${VP_DIVISIONS_CACHE_KEY_PREFIX}${email.trim().toLowerCase()}`
+    );
+    if (cacheKeysToRemove.length > 0) Cache.removeAll(cacheKeysToRemove);
+  } catch (e) {
+    console.error(`Could not clear VP division caches: ${e.message}`);
+  }
+}
+
+/**
+ * PRIVATE: Fetches approvers data from the sheet. This function is wrapped by a caching layer.
+ * @returns {Object|null} An object containing headers and rows, or null on error.
+ */
+function _getApproversData() {
+  return getCachedData(APPROVERS_CACHE_KEY, () => {
+    try {
+      const sheet =
+        SpreadsheetApp.openById(SPREADSHEET_ID).getSheetByName(
+          APPROVERS_SHEET_NAME
+        );
+      if (!sheet) return null;
+      const data = sheet.getDataRange().getValues();
+      if (data.length <= 1) return { headers: data[0] || [], rows: [] };
+
+      const headers = data.shift();
+      return { headers, rows: data };
+    } catch (e) {
+      console.error(`Error fetching approvers data from sheet: ${e.message}`);
+      return null;
+    }
+  });
+}
+
+/**
+ * PRIVATE: Fetches departments data from the "Departments" sheet. This function is wrapped by a caching layer.
+ * @returns {Object|null} An object containing headers and rows, or null on error.
+ */
+function _getDepartmentsData() {
+  return getCachedData(DEPARTMENTS_DATA_CACHE_KEY, () => {
+    try {
+      const sheet = SpreadsheetApp.openById(SPREADSHEET_ID).getSheetByName(
+        DEPARTMENTS_DATA_SHEET_NAME
+      );
+      if (!sheet) {
+        console.warn(`Sheet "${DEPARTMENTS_DATA_SHEET_NAME}" not found.`);
+        return null;
+      }
+      const data = sheet.getDataRange().getValues();
+      if (data.length <= 1) return { headers: data[0] || [], rows: [] };
+
+      const headers = data.shift();
+      return {
+        headers,
+        rows: data.filter((row) => row.some((cell) => cell !== "")),
+      }; // Filter out completely empty rows
+    } catch (e) {
+      console.error(`Error fetching departments data from sheet: ${e.message}`);
+      return null;
+    }
+  });
+}
+/**
+ * Retrieves a map of departments to their sub-departments from the Approvers sheet.
+ * @returns {Object} An object where keys are departments and values are arrays of sub-departments.
+ */
+function getSubDepartments() {
+  return getCachedData(SUB_DEPARTMENTS_CACHE_KEY, () => {
+    try {
+      const departmentsData = _getDepartmentsData();
+      if (!departmentsData || !departmentsData.headers) return {};
+
+      const { headers, rows } = departmentsData;
+      // Assuming column names in "Departments" sheet are 'Department' and 'Sub-Department'
+      const deptIndex = headers.findIndex(
+        (h) => h.toLowerCase() === "department"
+      );
+      const subDeptIndex = headers.findIndex(
+        (h) => h.toLowerCase() === "subdepartment"
+      );
+
+      if (deptIndex === -1 || subDeptIndex === -1) {
+        console.warn(
+          `Columns 'Department' and/or 'Sub-Department' not found in the "${DEPARTMENTS_DATA_SHEET_NAME}" sheet.`
+        );
+        return {};
+      }
+
+      const subDepartmentsMap = {};
+      rows.forEach((row) => {
+        const dept = row[deptIndex];
+        const subDept = row[subDeptIndex];
+        if (dept && subDept) {
+          if (!subDepartmentsMap[dept]) subDepartmentsMap[dept] = new Set();
+          subDepartmentsMap[dept].add(subDept);
+        }
+      });
+
+      // Convert Sets to Arrays
+      Object.keys(subDepartmentsMap).forEach((dept) => {
+        subDepartmentsMap[dept] = Array.from(subDepartmentsMap[dept]).sort();
+      });
+
+      return subDepartmentsMap;
+    } catch (e) {
+      console.error(`Error in getSubDepartments: ${e.message}`);
+      return {};
+    }
+  });
+}
+
+/**
+ * Retrieves a unique list of all positions from the Positions sheet.
+ * @returns {string[]} An array of position names.
+ */
+function getPositions() {
+  return getCachedData(POSITIONS_CACHE_KEY, () => {
+    try {
+      const sheet =
+        SpreadsheetApp.openById(SPREADSHEET_ID).getSheetByName(
+          POSITIONS_SHEET_NAME
+        );
+      if (!sheet) {
+        console.warn(
+          `Sheet "${POSITIONS_SHEET_NAME}" not found. Cannot fetch position list.`
+        );
+        return [];
+      }
+      // Assumes positions are in the first column, starting from the second row (to skip header)
+      const range = sheet.getRange(2, 1, sheet.getLastRow() - 1, 1);
+      const positions = range
+        .getValues()
+        .map((row) => row[0])
+        .filter((pos) => pos && typeof pos === "string" && pos.trim() !== "");
+
+      const uniquePositions = [...new Set(positions)];
+      return uniquePositions.sort();
+    } catch (e) {
+      console.error(`Error in getPositions: ${e.message}`);
+      return []; // Return empty array on error
+    }
+  });
+}
+
+/**
+ * Gets the translation JSON for a specific language.
+ * @param {string} lang The language code (e.g., 'en', 'th').
+ * @returns {string} The JSON string for the requested language.
+ */
+function getTranslations(lang) {
+  // Validate lang to prevent path traversal, although Apps Script is sandboxed.
+  if (lang !== "en" && lang !== "th") {
+    lang = "th"; // Default to Thai
+  }
+  return HtmlService.createHtmlOutputFromFile(lang + ".json").getContent();
+}
+
+/**
+ * Retrieves a unique list of all departments from the Approvers sheet.
+ * @returns {string[]} An array of department names.
+ */
+function getDepartments() {
+  return getCachedData(DEPARTMENTS_CACHE_KEY, () => {
+    try {
+      const departmentsData = _getDepartmentsData();
+      if (!departmentsData || !departmentsData.headers) {
+        return [];
+      }
+      const { headers, rows } = departmentsData;
+
+      const departmentIndex = headers.findIndex(
+        (h) => h.toLowerCase() === "department"
+      );
+      if (departmentIndex === -1) {
+        console.warn(
+          `Column 'Department' not found in "${DEPARTMENTS_DATA_SHEET_NAME}" sheet. Cannot fetch department list.`
+        );
+        return [];
+      }
+
+      const departments = rows
+        .map((row) => row[departmentIndex])
+        .filter(
+          (dept) => dept && typeof dept === "string" && dept.trim() !== ""
+        );
+
+      const uniqueDepartments = [...new Set(departments)]; // Get unique values
+      return uniqueDepartments.sort(); // Return sorted list
+    } catch (e) {
+      console.error(`Error in getDepartments: ${e.message}`);
+      return []; // Return empty array on error
+    }
+  });
+}
+
+/**
+ * Retrieves dashboard statistics for administrators.
+ * Counts requests by status: Pending, Approved, Rejected, Forwarded.
+ * @returns {Object|null} An object with counts for each status, or null if the user is not an admin.
+ */
+function getDashboardStats() {
+  if (!isUserAdmin()) {
+    // Return null or throw an error for non-admin users
+    return null;
+  }
+
+  try {
+    const sheet =
+      SpreadsheetApp.openById(SPREADSHEET_ID).getSheetByName(
+        REQUESTS_SHEET_NAME
+      );
+    const initialStats = {
+      statuses: {
+        pending: 0,
+        approved: 0,
+        rejected: 0,
+        forwarded: 0,
+        needsInfo: 0,
+        cancelled: 0,
+      },
+      byFormType: {},
+      byDepartment: {},
+      total: 0,
+    };
+    if (!sheet) return initialStats;
+
+    const data = sheet.getDataRange().getValues();
+    if (data.length <= 1) return initialStats;
+
+    const headers = data.shift();
+    const statusIndex = headers.indexOf(COLUMN.STATUS);
+    const formTypeIndex = headers.indexOf(COLUMN.FORM_TYPE);
+    const departmentIndex = headers.indexOf(COLUMN.DEPARTMENT);
+
+    if (statusIndex === -1 || formTypeIndex === -1 || departmentIndex === -1) {
+      throw new Error(
+        `One or more required columns for dashboard stats are missing (Status, FormType, Department).`
+      );
+    }
+
+    const pendingStatuses = _getPendingStatuses();
+    const stats = data.reduce(
+      (acc, row) => {
+        // Status Count (review workflow steps count as pending)
+        const status = row[statusIndex];
+        if (pendingStatuses.includes(status)) acc.statuses.pending++;
+        else if (status === STATUS.APPROVED) acc.statuses.approved++;
+        else if (status === STATUS.REJECTED) acc.statuses.rejected++;
+        else if (status === STATUS.FORWARDED) acc.statuses.forwarded++;
+        else if (status === STATUS.NEEDS_INFO) acc.statuses.needsInfo++;
+        else if (status === STATUS.CANCELLED) acc.statuses.cancelled++;
+
+        // Form Type Count
+        const formType = row[formTypeIndex] || "Unknown";
+        acc.byFormType[formType] = (acc.byFormType[formType] || 0) + 1;
+
+        // Department Count
+        const department = row[departmentIndex] || "Unknown";
+        acc.byDepartment[department] = (acc.byDepartment[department] || 0) + 1;
+
+        return acc;
+      },
+      {
+        statuses: {
+          pending: 0,
+          approved: 0,
+          rejected: 0,
+          forwarded: 0,
+          needsInfo: 0,
+          cancelled: 0,
+        },
+        byFormType: {},
+        byDepartment: {},
+      }
+    );
+
+    stats.total = data.length;
+    return stats;
+  } catch (e) {
+    console.error(`Error in getDashboardStats: ${e.message}`);
+    return {
+      error: true,
+      message: `Failed to load dashboard statistics: ${e.message}`,
+      statuses: {
+        pending: 0,
+        approved: 0,
+        rejected: 0,
+        forwarded: 0,
+        needsInfo: 0,
+        cancelled: 0,
+      },
+      byFormType: {},
+      byDepartment: {},
+      total: 0,
+    };
+  }
+}
+
+// --- BACKUP AND RECOVERY SYSTEM ---
+
+/**
+ * Comprehensive backup system for critical data protection.
+ * Creates timestamped backups of all critical sheets.
+ */
+class BackupManager {
+  /**
+   * Creates a full backup of all critical sheets.
+   * @param {boolean} isScheduled Whether this is a scheduled backup.
+   * @returns {Object} Backup result with success status and details.
+   */
+  static createBackup(isScheduled = false) {
+    const userEmail = getUserEmail();
+    const backupType = isScheduled ? "SCHEDULED" : "MANUAL";
+
+    Logger.info(
+      "BackupManager.createBackup",
+      `${backupType} backup started`,
+      null,
+      userEmail
+    );
+
+    try {
+      const originalSpreadsheet = SpreadsheetApp.openById(SPREADSHEET_ID);
+      const timestamp = new Date()
+        .toISOString()
+        .replace(/[:.]/g, "-")
+        .slice(0, 19);
+      const backupName = `Backup_${timestamp}_${originalSpreadsheet.getName()}`;
+
+      // Get or create backup folder
+      const backupFolder = this.getOrCreateBackupFolder();
+
+      // --- REVISED LOGIC ---
+      // Use Advanced Drive Service for Shared Drive compatibility.
+      const newFile = Drive.Files.copy(
+        { title: backupName, parents: [{ id: backupFolder.getId() }] },
+        SPREADSHEET_ID,
+        { supportsAllDrives: true }
+      );
+      const backupSpreadsheet = SpreadsheetApp.openById(newFile.id);
+      // --- END REVISED LOGIC ---
+
+      // Create backup summary
+      const backupSummary = this.createBackupSummary(
+        originalSpreadsheet,
+        timestamp,
+        backupType,
+        userEmail
+      );
+      this.saveBackupSummary(backupFolder, backupName, backupSummary);
+
+      // Cleanup old backups
+      this.cleanupOldBackups(backupFolder);
+
+      const result = {
+        success: true,
+        backupId: backupSpreadsheet.getId(),
+        backupName: backupName,
+        timestamp: timestamp,
+        sheetsBackedUp: this.CRITICAL_SHEETS.length,
+        size: this.getBackupSize(backupSpreadsheet),
+      };
+
+      Logger.auditLog("BACKUP_CREATED", backupName, result);
+      Logger.info(
+        "BackupManager.createBackup",
+        `${backupType} backup completed successfully`,
+        result,
+        userEmail
+      );
+
+      return result;
+    } catch (e) {
+      Logger.error(
+        "BackupManager.createBackup",
+        `${backupType} backup failed`,
+        { error: e.message },
+        userEmail
+      );
+      return {
+        success: false,
+        error: e.message,
+        timestamp: new Date().toISOString(),
+      };
+    }
+  }
+
+  /**
+   * Gets or creates the backup folder in Google Drive.
+   * @returns {GoogleAppsScript.Drive.Folder} The backup folder.
+   */
+  static getOrCreateBackupFolder() {
+    // Prioritize using a specific Folder ID if provided in Script Properties
+    if (BACKUP_FOLDER_ID) {
+      try {
+        // Use Advanced Drive Service to get folder metadata, then DriveApp to get the Folder object.
+        // This is a common pattern to ensure Shared Drive compatibility.
+        Drive.Files.get(BACKUP_FOLDER_ID, { supportsAllDrives: true }); // This call validates folder existence in Shared Drives.
+        const folder = DriveApp.getFolderById(BACKUP_FOLDER_ID); // This now works because the script has access.
+        Logger.info(
+          "BackupManager.getOrCreateBackupFolder",
+          `Using specified backup folder ID: ${BACKUP_FOLDER_ID}`
+        );
+        return folder;
+      } catch (e) {
+        Logger.error(
+          "BackupManager.getOrCreateBackupFolder",
+          `Failed to access folder with ID: ${BACKUP_FOLDER_ID}. Falling back to name search.`,
+          { error: e.message }
+        );
+        // Fall through to name-based search if ID is invalid or inaccessible
+      }
+    }
+
+    // Fallback to searching by name
+    Logger.info(
+      "BackupManager.getOrCreateBackupFolder",
+      `BACKUP_FOLDER_ID not set. Searching for folder by name: "${this.BACKUP_FOLDER_NAME}"`
+    );
+    // Use Advanced Drive Service for searching in Shared Drives
+    const query = `title = '${this.BACKUP_FOLDER_NAME}' and mimeType = 'application/vnd.google-apps.folder' and trashed = false`;
+    const searchResults = Drive.Files.list({
+      q: query,
+      supportsAllDrives: true,
+      includeItemsFromAllDrives: true,
+      corpora: "allDrives",
+    });
+
+    if (searchResults.items && searchResults.items.length > 0) {
+      const foundFolderId = searchResults.items[0].id;
+      const foundFolder = DriveApp.getFolderById(foundFolderId);
+      Logger.info(
+        "BackupManager.getOrCreateBackupFolder",
+        `Found existing folder by name. Consider setting its ID (${foundFolder.getId()}) in Script Properties for better reliability.`
+      );
+      return foundFolder;
+    }
+
+    // Create a new folder if not found by ID or name
+    Logger.info(
+      "BackupManager.getOrCreateBackupFolder",
+      `Backup folder not found. Creating a new one named "${this.BACKUP_FOLDER_NAME}".`
+    );
+    // Use Advanced Drive Service to create folder in root (or a specific parent if needed)
+    const newFolderMetadata = Drive.Files.insert(
+      {
+        title: this.BACKUP_FOLDER_NAME,
+        mimeType: "application/vnd.google-apps.folder",
+      },
+      null,
+      { supportsAllDrives: true }
+    );
+    const newFolder = DriveApp.getFolderById(newFolderMetadata.id);
+    Logger.info(
+      "BackupManager.getOrCreateBackupFolder",
+      `Created new backup folder. Consider setting its ID (${newFolder.getId()}) in Script Properties.`
+    );
+    return newFolder;
+  }
+
+  /**
+   * Creates a detailed backup summary for audit purposes.
+   * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} spreadsheet The original spreadsheet.
+   * @param {string} timestamp The backup timestamp.
+   * @param {string} backupType Type of backup (MANUAL/SCHEDULED).
+   * @param {string} userEmail Email of user who triggered backup.
+   * @returns {Object} Backup summary object.
+   */
+  static createBackupSummary(spreadsheet, timestamp, backupType, userEmail) {
+    const sheets = spreadsheet.getSheets();
+    const sheetSummaries = sheets.map((sheet) => ({
+      name: sheet.getName(),
+      rowCount: sheet.getLastRow(),
+      columnCount: sheet.getLastColumn(),
+      dataRange: sheet.getDataRange().getA1Notation(),
+    }));
+
+    return {
+      timestamp: timestamp,
+      backupType: backupType,
+      triggeredBy: userEmail,
+      originalSpreadsheetId: SPREADSHEET_ID,
+      originalSpreadsheetName: spreadsheet.getName(),
+      totalSheets: sheets.length,
+      criticalSheets: this.CRITICAL_SHEETS,
+      sheetDetails: sheetSummaries,
+      backupVersion: "1.0",
+    };
+  }
+
+  /**
+   * Saves backup summary as JSON file in the backup folder.
+   * @param {GoogleAppsScript.Drive.Folder} backupFolder The backup folder.
+   * @param {string} backupName The backup name.
+   * @param {Object} summary The backup summary.
+   */
+  static saveBackupSummary(backupFolder, backupName, summary) {
+    const summaryJson = JSON.stringify(summary, null, 2);
+    const summaryBlob = Utilities.newBlob(
+      summaryJson,
+      "application/json",
+      `${backupName}_summary.json`
+    );
+    backupFolder.createFile(summaryBlob);
+  }
+
+  /**
+   * Removes old backups to maintain storage limits.
+   * @param {GoogleAppsScript.Drive.Folder} backupFolder The backup folder.
+   */
+  static cleanupOldBackups(backupFolder) {
+    const FOLDER_ID = backupFolder.getId();
+    try {
+      const query = `'${FOLDER_ID}' in parents and mimeType = '${MimeType.GOOGLE_SHEETS}' and title contains 'Backup_' and trashed = false`;
+      const filesList = Drive.Files.list({
+        q: query,
+        maxResults: 1000,
+        supportsAllDrives: true,
+        includeItemsFromAllDrives: true,
+        corpora: "allDrives",
+      });
+
+      const backupFiles = [];
+      if (filesList.items) {
+        filesList.items.forEach((file) => {
+          backupFiles.push({
+            id: file.id,
+            name: file.title,
+            createdDate: new Date(file.createdDate),
+          });
+        });
+      }
+
+      // Sort by creation date (newest first)
+      backupFiles.sort((a, b) => b.createdDate - a.createdDate);
+
+      // Remove excess backups
+      if (backupFiles.length > this.MAX_BACKUPS) {
+        const filesToDelete = backupFiles.slice(this.MAX_BACKUPS);
+        filesToDelete.forEach((fileInfo) => {
+          try {
+            // Also delete corresponding summary file
+            const summaryName = fileInfo.name.replace(/\..*$/, "_summary.json");
+            const summaryQuery = `'${FOLDER_ID}' in parents and title = '${summaryName}' and trashed = false`;
+            const summaryFilesList = Drive.Files.list({
+              q: summaryQuery,
+              supportsAllDrives: true,
+              includeItemsFromAllDrives: true,
+              corpora: "allDrives",
+            });
+            if (summaryFilesList.items && summaryFilesList.items.length > 0) {
+              Drive.Files.trash(summaryFilesList.items[0].id, {
+                supportsAllDrives: true,
+              });
+            }
+            Drive.Files.trash(fileInfo.id, { supportsAllDrives: true });
+          } catch (e) {
+            Logger.warn(
+              "BackupManager.cleanupOldBackups",
               `Failed to delete backup: ${fileInfo.name}`,
               { error: e.message }
             );
           }
         });
 
-        Logger.info(
-          "BackupManager.cleanupOldBackups",
-          `Cleaned up ${filesToDelete.length} old backups`
-        );
-      }
-    } catch (e) {
-      Logger.error("BackupManager.cleanupOldBackups", "Backup cleanup failed", {
-        error: e.message,
-      });
+        Logger.info(
+          "BackupManager.cleanupOldBackups",
+          `Cleaned up ${filesToDelete.length} old backups`
+        );
+      }
+    } catch (e) {
+      Logger.error("BackupManager.cleanupOldBackups", "Backup cleanup failed", {
+        error: e.message,
+      });
+    }
+  }
+
+  /**
+   * Gets approximate backup size information.
+   * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} spreadsheet The backup spreadsheet.
+   * @returns {Object} Size information.
+   */
+  static getBackupSize(spreadsheet) {
+    try {
+      const file = DriveApp.getFileById(spreadsheet.getId());
+      return {
+        bytes: file.getSize(),
+        readable: this.formatBytes(file.getSize()),
+      };
+    } catch (e) {
+      return { bytes: 0, readable: "Unknown" };
+    }
+  }
+
+  /**
+   * Formats bytes into human readable format.
+   * @param {number} bytes The number of bytes.
+   * @returns {string} Formatted string.
+   */
+  static formatBytes(bytes) {
+    if (bytes === 0) return "0 B";
+    const k = 1024;
+    const sizes = ["B", "KB", "MB", "GB"];
+    const i = Math.floor(Math.log(bytes) / Math.log(k));
+    return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + " " + sizes[i];
+  }
+
+  /**
+   * Lists available backups.
+   * @returns {Array} Array of backup information objects.
+   */
+  static listBackups() {
+    try {
+      const backupFolderId = this.getOrCreateBackupFolder().getId();
+      const query = `'${backupFolderId}' in parents and mimeType = '${MimeType.GOOGLE_SHEETS}' and title contains 'Backup_' and trashed = false`;
+      const filesList = Drive.Files.list({
+        q: query,
+        maxResults: 200,
+        supportsAllDrives: true,
+        includeItemsFromAllDrives: true,
+        corpora: "allDrives",
+      });
+
+      const backups = [];
+      if (filesList.items) {
+        filesList.items.forEach((file) => {
+          backups.push({
+            id: file.id,
+            name: file.title,
+            createdDate: new Date(file.createdDate),
+            size: this.formatBytes(file.fileSize || 0),
+            url: file.alternateLink,
+          });
+        });
+      }
+
+      return backups.sort((a, b) => b.createdDate - a.createdDate);
+    } catch (e) {
+      Logger.error("BackupManager.listBackups", "Failed to list backups", {
+        error: e.message,
+      });
+      return [];
+    }
+  }
+
+  /**
+   * Restores data from a backup (admin only).
+   * @param {string} backupId The ID of the backup to restore.
+   * @returns {Object} Restore result.
+   */
+  static restoreFromBackup(backupId) {
+    if (!isUserAdmin()) {
+      return {
+        success: false,
+        error: "Only administrators can restore from backups.",
+      };
+    }
+
+    const userEmail = getUserEmail();
+    Logger.warn(
+      "BackupManager.restoreFromBackup",
+      "Backup restore initiated",
+      { backupId },
+      userEmail
+    );
+
+    try {
+      // This is a dangerous operation - implementation would require careful consideration
+      // For now, return guidance
+      return {
+        success: false,
+        error:
+          "Backup restore must be performed manually by an administrator with appropriate permissions. Contact system administrator.",
+      };
+    } catch (e) {
+      Logger.error(
+        "BackupManager.restoreFromBackup",
+        "Backup restore failed",
+        { backupId, error: e.message },
+        userEmail
+      );
+      return { success: false, error: e.message };
+    }
+  }
+}
+
+BackupManager.BACKUP_FOLDER_NAME = "ApprovalSystem_Backups";
+BackupManager.CRITICAL_SHEETS = [
+  REQUESTS_SHEET_NAME,
+  APPROVERS_SHEET_NAME,
+  DEPARTMENTS_DATA_SHEET_NAME,
+  IT_REVIEWERS_SHEET_NAME,
+];
+BackupManager.MAX_BACKUPS = 30; // Keep 30 backups (approximately 1 month of daily backups)
+
+/**
+ * Administrative function to create manual backup.
+ * @returns {Object} Backup result.
+ */
+function createManualBackup() {
+  if (!isUserAdmin()) {
+    Logger.warn(
+      "createManualBackup",
+      "Unauthorized backup attempt",
+      null,
+      getUserEmail()
+    );
+    return {
+      success: false,
+      error: "Only administrators can create manual backups.",
+    };
+  }
+
+  return BackupManager.createBackup(false);
+}
+
+/**
+ * Function to be called by time-driven triggers for automated backups.
+ * Should be set up as a daily trigger by administrators.
+ */
+function scheduledBackup() {
+  Logger.info("scheduledBackup", "Automated backup trigger executed");
+  const result = BackupManager.createBackup(true);
+
+  // Optionally send notification email to admins about backup status
+  if (!result.success) {
+    Logger.error(
+      "scheduledBackup",
+      "Scheduled backup failed - admin notification may be needed",
+      result
+    );
+  }
+
+  return result;
+}
+
+// ================================================================================
+// SLA REMINDERS & ESCALATION
+// ================================================================================
+//
+// checkApprovalSlas() runs from an hourly time-driven trigger (see installSlaTrigger).
+// A step's clock starts at the last history entry that moved the request (or at
+// submission) and only counts BUSINESS_HOURS; thresholds come from
+// SettingsService.getSlaRule().
+//
+
+/**
+ * Creates the hourly trigger for checkApprovalSlas, replacing any existing one.
+ * Run once from the script editor by an administrator.
+ */
+function installSlaTrigger() {
+  _replaceTimeTrigger("checkApprovalSlas", (builder) => builder.everyHours(1));
+  Logger.info("installSlaTrigger", "Hourly SLA trigger installed");
+}
+
+/**
+ * PRIVATE: Removes any existing triggers for a handler and creates a new time-driven one.
+ * @param {string} handlerName The function the trigger calls.
+ * @param {Function} schedule Receives the ClockTriggerBuilder and sets its schedule.
+ */
+function _replaceTimeTrigger(handlerName, schedule) {
+  ScriptApp.getProjectTriggers()
+    .filter((trigger) => trigger.getHandlerFunction() === handlerName)
+    .forEach((trigger) => ScriptApp.deleteTrigger(trigger));
+  schedule(ScriptApp.newTrigger(handlerName).timeBased()).create();
+}
+
+/**
+ * Function to be called by the hourly time-driven trigger. Reminds the current
+ * approver of each pending request past its reminder threshold, and escalates
+ * requests past the escalation threshold to the next-level approver.
+ * @returns {{reminded: number, escalated: number}} Counts for this run.
+ */
+function checkApprovalSlas() {
+  const result = { reminded: 0, escalated: 0 };
+  const lock = LockService.getScriptLock();
+  try {
+    lock.waitLock(30000);
+  } catch (e) {
+    Logger.warn("checkApprovalSlas", "Skipped: system is busy");
+    return result;
+  }
+
+  try {
+    const sheet =
+      SpreadsheetApp.openById(SPREADSHEET_ID).getSheetByName(
+        REQUESTS_SHEET_NAME
+      );
+    if (!sheet) throw new Error(`Sheet "${REQUESTS_SHEET_NAME}" not found.`);
+
+    const data = sheet.getDataRange().getValues();
+    const headers = data.shift();
+    const statusIndex = headers.indexOf(COLUMN.STATUS);
+    const currentApproverIndex = headers.indexOf(COLUMN.CURRENT_APPROVER);
+    const historyIndex = headers.indexOf(COLUMN.HISTORY);
+    if ([statusIndex, currentApproverIndex, historyIndex].includes(-1)) {
+      throw new Error("Required columns not found in Requests sheet.");
+    }
+
+    const pendingStatuses = _getPendingStatuses();
+    const now = new Date();
+    data.forEach((row, i) => {
+      if (
+        !pendingStatuses.includes(row[statusIndex]) ||
+        !row[currentApproverIndex]
+      ) {
+        return;
+      }
+      const requestObject = _rowToObject(row, headers);
+      try {
+        const outcome = _applySlaToRequest(
+          requestObject,
+          sheet.getRange(i + 2, 1, 1, headers.length),
+          { currentApproverIndex, historyIndex },
+          now
+        );
+        if (outcome) result[outcome]++;
+      } catch (e) {
+        // One bad row must not stop the rest of the run.
+        Logger.error(
+          "checkApprovalSlas",
+          `SLA check failed for request ${requestObject[COLUMN.REQUEST_ID]}`,
+          { error: e.message }
+        );
+      }
+    });
+
+    Logger.info("checkApprovalSlas", "SLA check completed", result);
+    return result;
+  } catch (e) {
+    Logger.error("checkApprovalSlas", "SLA check failed", {
+      error: e.message,
+    });
+    return result;
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * PRIVATE: Sends the reminder or performs the escalation one request is due for.
+ * @param {Object} requestObject The request row object.
+ * @param {GoogleAppsScript.Spreadsheet.Range} range The sheet range for the request row.
+ * @param {Object} headersInfo The currentApproverIndex and historyIndex columns.
+ * @param {Date} now The time of this run.
+ * @returns {string|null} 'escalated', 'reminded', or null if nothing was due.
+ */
+function _applySlaToRequest(requestObject, range, headersInfo, now) {
+  let history = [];
+  try {
+    if (requestObject[COLUMN.HISTORY])
+      history = JSON.parse(requestObject[COLUMN.HISTORY]);
+  } catch (e) {
+    /* ignore malformed JSON */
+  }
+
+  const rule = SettingsService.getSlaRule(
+    _getFormIdFromType(requestObject[COLUMN.FORM_TYPE]),
+    requestObject[COLUMN.STATUS]
+  );
+  const clockStart = _getSlaClockStart(requestObject, history);
+  const waitingHours = _businessHoursBetween(clockStart, now);
+  const currentApprover = requestObject[COLUMN.CURRENT_APPROVER].toString();
+
+  // A threshold of 0 turns that part of the rule off.
+  if (rule.escalationHours > 0 && waitingHours >= rule.escalationHours) {
+    const escalation = _findEscalationApprover(
+      currentApprover,
+      requestObject[COLUMN.DEPARTMENT]
+    );
+    if (escalation) {
+      // Only the overdue approver is replaced; others on the step keep their turn.
+      const nextApprover = escalation.nextApprover;
+      range
+        .getCell(1, headersInfo.currentApproverIndex + 1)
+        .setValue(
+          _replaceInEmailList(
+            currentApprover,
+            escalation.overdueApprover,
+            nextApprover
+          )
+        );
+      _updateAndLogHistory(
+        requestObject,
+        STATUS.ESCALATED,
+        `No action after ${Math.floor(
+          waitingHours
+        )} business hours; escalated to ${nextApprover}.`,
+        SLA_SYSTEM_ACTOR,
+        range,
+        headersInfo.historyIndex,
+        {
+          escalatedFrom: escalation.overdueApprover,
+          escalatedTo: nextApprover,
+        }
+      );
+      sendEscalationEmail(
+        nextApprover,
+        requestObject,
+        escalation.overdueApprover,
+        waitingHours
+      );
+      return "escalated";
+    }
+    // Top of the chain: keep reminding once per step instead.
+  }
+
+  const alreadyReminded = history.some(
+    (h) =>
+      h.action === STATUS.REMINDER_SENT && new Date(h.timestamp) >= clockStart
+  );
+  if (
+    rule.reminderHours > 0 &&
+    waitingHours >= rule.reminderHours &&
+    !alreadyReminded
+  ) {
+    _parseEmailList(currentApprover).forEach((email) =>
+      sendSlaReminderEmail(email, requestObject, waitingHours)
+    );
+    _updateAndLogHistory(
+      requestObject,
+      STATUS.REMINDER_SENT,
+      `Reminder sent after ${Math.floor(waitingHours)} business hours.`,
+      SLA_SYSTEM_ACTOR,
+      range,
+      headersInfo.historyIndex,
+      { remindedApprover: currentApprover }
+    );
+    return "reminded";
+  }
+  return null;
+}
+
+/**
+ * PRIVATE: Finds when the request's current step started: the last history
+ * entry other than an SLA reminder, or the submission time.
+ * @param {Object} requestObject The request row object.
+ * @param {Array<Object>} history The parsed approval history.
+ * @returns {Date} The start of the SLA clock.
+ */
+function _getSlaClockStart(requestObject, history) {
+  const lastMove = history
+    .filter((h) => h.action !== STATUS.REMINDER_SENT && h.timestamp)
+    .pop();
+  return new Date(
+    lastMove ? lastMove.timestamp : requestObject[COLUMN.TIMESTAMP]
+  );
+}
+
+/**
+ * PRIVATE: Counts the business hours between two times (see BUSINESS_HOURS).
+ * @param {Date} start The start time.
+ * @param {Date} end The end time.
+ * @returns {number} Elapsed business hours, possibly fractional.
+ */
+function _businessHoursBetween(start, end) {
+  if (isNaN(start.getTime()) || end <= start) return 0;
+
+  let totalMs = 0;
+  const day = new Date(start);
+  day.setHours(0, 0, 0, 0);
+  while (day < end) {
+    if (BUSINESS_HOURS.workDays.includes(day.getDay())) {
+      const open = new Date(day).setHours(BUSINESS_HOURS.startHour);
+      const close = new Date(day).setHours(BUSINESS_HOURS.endHour);
+      const from = Math.max(open, start.getTime());
+      const to = Math.min(close, end.getTime());
+      if (to > from) totalMs += to - from;
+    }
+    day.setDate(day.getDate() + 1);
+  }
+  return totalMs / (60 * 60 * 1000);
+}
+
+/**
+ * PRIVATE: Finds who an overdue request escalates to: the lowest-Level approver
+ * above the current approver in the same department of the Approvers sheet.
+ * The current approver's row for the request's department is preferred; for
+ * workflow approvers their own department is used.
+ * @param {string} currentApproverValue The value of the currentApproverEmail column.
+ * @param {string} department The request's department.
+ * @returns {{overdueApprover: string, nextApprover: string}|null} The approver being
+ *   escalated past and the next-level approver, or null at the top of the chain.
+ */
+function _findEscalationApprover(currentApproverValue, department) {
+  const approversData = _getApproversData();
+  if (!approversData || !approversData.headers) return null;
+  const { headers, rows } = approversData;
+  const findIndex = (name) =>
+    headers.findIndex((h) => h.toLowerCase() === name.toLowerCase());
+  const emailIndex = findIndex(COLUMN.APPROVER_EMAIL);
+  const levelIndex = findIndex(COLUMN.APPROVER_LEVEL);
+  const departmentIndex = findIndex(COLUMN.DEPARTMENT);
+  if ([emailIndex, levelIndex, departmentIndex].includes(-1)) return null;
+
+  const currentEmails = _parseEmailList(currentApproverValue);
+  const emailOf = (row) => (row[emailIndex] || "").toString().trim();
+  const currentRows = rows.filter((row) =>
+    currentEmails.includes(emailOf(row).toLowerCase())
+  );
+  const currentRow =
+    currentRows.find((row) => row[departmentIndex] === department) ||
+    currentRows[0];
+  if (!currentRow) return null;
+
+  const currentLevel = parseInt(currentRow[levelIndex], 10) || 0;
+  const nextRow = rows
+    .filter(
+      (row) =>
+        emailOf(row) &&
+        !currentEmails.includes(emailOf(row).toLowerCase()) &&
+        row[departmentIndex] === currentRow[departmentIndex] &&
+        parseInt(row[levelIndex], 10) > currentLevel
+    )
+    .sort(
+      (a, b) => parseInt(a[levelIndex], 10) - parseInt(b[levelIndex], 10)
+    )[0];
+  return nextRow
+    ? {
+        overdueApprover: emailOf(currentRow).toLowerCase(),
+        nextApprover: emailOf(nextRow),
+      }
+    : null;
+}
+
+// ================================================================================
+// DAILY DIGEST
+// ================================================================================
+//
+// Users who chose 'digest' delivery (see USER PREFERENCES) get no per-request
+// emails; sendDailyDigests() sends them one summary of their pending approvals.
+//
+
+/**
+ * Creates the daily trigger for sendDailyDigests, replacing any existing one.
+ * Run once from the script editor by an administrator.
+ */
+function installDigestTrigger() {
+  _replaceTimeTrigger("sendDailyDigests", (builder) =>
+    builder.everyDays(1).atHour(DIGEST_HOUR)
+  );
+  Logger.info("installDigestTrigger", "Daily digest trigger installed");
+}
+
+/**
+ * Function to be called by the daily time-driven trigger. Emails each digest
+ * subscriber a table of the requests currently waiting on them.
+ * @returns {{sent: number}} The number of digests sent.
+ */
+function sendDailyDigests() {
+  const result = { sent: 0 };
+  try {
+    const preferencesMap = _getUserPreferencesMap();
+    const subscribers = Object.keys(preferencesMap).filter(
+      (email) => preferencesMap[email].emailDelivery === "digest"
+    );
+    if (subscribers.length === 0) return result;
+
+    const sheet =
+      SpreadsheetApp.openById(SPREADSHEET_ID).getSheetByName(
+        REQUESTS_SHEET_NAME
+      );
+    if (!sheet) throw new Error(`Sheet "${REQUESTS_SHEET_NAME}" not found.`);
+    const data = sheet.getDataRange().getValues();
+    const headers = data.shift();
+    const pendingStatuses = _getPendingStatuses();
+    const now = new Date();
+
+    subscribers.forEach((email) => {
+      try {
+        const pending = _selectApprovalsForUser(data, headers, email).filter(
+          (r) =>
+            pendingStatuses.includes(r[COLUMN.STATUS]) &&
+            (r.delegatedFrom ||
+              _isAssignedApprover(r[COLUMN.CURRENT_APPROVER], email))
+        );
+        if (pending.length === 0) return;
+        sendDigestEmail(email, pending, now);
+        result.sent++;
+      } catch (e) {
+        Logger.error("sendDailyDigests", `Digest failed for ${email}`, {
+          error: e.message,
+        });
+      }
+    });
+
+    Logger.info("sendDailyDigests", "Daily digests sent", result);
+    return result;
+  } catch (e) {
+    Logger.error("sendDailyDigests", "Daily digest run failed", {
+      error: e.message,
+    });
+    return result;
+  }
+}
+
+/**
+ * PRIVATE: Describes how long ago a request was submitted, in whole days.
+ * @param {string} timestamp The request timestamp.
+ * @param {Date} now The current time.
+ * @returns {string} E.g. 'Today', '1 day' or '4 days'.
+ */
+function _formatRequestAge(timestamp, now) {
+  const days = Math.floor((now - new Date(timestamp)) / (24 * 60 * 60 * 1000));
+  if (!(days > 0)) return "Today";
+  return days === 1 ? "1 day" : `${days} days`;
+}
+
+// ================================================================================
+// ACCESS EXPIRY
+// ================================================================================
+//
+// checkAccessExpiries() runs from a daily time-driven trigger (see
+// installExpiryTrigger). Approved requests for time-limited access are checked
+// against their end dates: the requester and helpdesk are emailed
+// EXPIRY_REMINDER_DAYS before expiry, and once the date has passed a removal
+// task is raised in the helpdesk queue. Progress is stored as JSON in the expiry
+// column, keyed by item: {[itemKey]: {remindedAt, lapsedAt, removedAt, removedBy}}.
+//
+// An extension is an ordinary new request whose details carry extendsRequestId,
+// so it goes through the normal approval flow; once approved it replaces the
+// original, which is then no longer tracked.
+//
+
+/**
+ * Lists the time-limited access items of a request and the date each one ends.
+ * FM-013 Temporary VPN access ends on endDate, an FM-099 loan on endDate, and
+ * FM-009 application access for outsource or vendor users on each row's
+ * effectiveDate (staff access is permanent).
+ * @param {string} formId The form ID, e.g. "013".
+ * @param {Object} details The parsed form details.
+ * @returns {Array<{key: string, label: string, endDate: string}>} The items, empty if none.
+ */
+function getExpiringAccessItems(formId, details) {
+  const d = details || {};
+  const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value || "");
+  switch (formId) {
+    case "013":
+      return d.duration === "Temporary" && isDate(d.endDate)
+        ? [{ key: "vpn", label: "VPN access", endDate: d.endDate }]
+        : [];
+    case "099":
+      return isDate(d.endDate)
+        ? [
+            {
+              key: "loan",
+              label: `${d.hardware || "Equipment"} loan`,
+              endDate: d.endDate,
+            },
+          ]
+        : [];
+    case "009":
+      if (d.userType === "Staff" || d.requestType === "Cancel") return [];
+      return (d.applications || [])
+        .map((app, i) => ({
+          key: `app.${i}`,
+          label: app.appName || `Application ${i + 1}`,
+          endDate: app.effectiveDate,
+        }))
+        .filter((item) => isDate(item.endDate));
+    default:
+      return [];
+  }
+}
+
+/**
+ * PRIVATE: Adds days to a 'yyyy-MM-dd' date string.
+ * @param {string} dateString The date.
+ * @param {number} days The number of days to add (may be negative).
+ * @returns {string} The resulting date as 'yyyy-MM-dd'.
+ */
+function _addDaysToDateString(dateString, days) {
+  const date = new Date(`${dateString}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * PRIVATE: Parses the expiry column of a request row object.
+ * @param {Object} request The request row object.
+ * @returns {Object} The per-item expiry state, empty if unset or malformed.
+ */
+function _parseExpiryState(request) {
+  try {
+    return JSON.parse(request[COLUMN.EXPIRY] || "{}");
+  } catch (e) {
+    return {};
+  }
+}
+
+/**
+ * PRIVATE: Describes the time-limited access of a request for the detail view.
+ * @param {Object} request The request row object.
+ * @returns {Array<Object>} The items from getExpiringAccessItems, each merged with its expiry state.
+ */
+function _describeAccessExpiry(request) {
+  if (request[COLUMN.STATUS] !== STATUS.APPROVED) return [];
+  let details = {};
+  try {
+    details = JSON.parse(request[COLUMN.DETAILS] || "{}");
+  } catch (e) {
+    return [];
+  }
+  const state = _parseExpiryState(request);
+  return getExpiringAccessItems(
+    _getFormIdFromType(request[COLUMN.FORM_TYPE]),
+    details
+  ).map((item) => ({ ...item, ...(state[item.key] || {}) }));
+}
+
+/**
+ * PRIVATE: Finds the requests that extension requests point back to. An extension
+ * only counts when it has the same requester and form as the request it extends.
+ * @param {Array<Array>} data The Requests sheet rows, without the header.
+ * @param {Array<string>} headers The header row.
+ * @returns {{approved: Set<string>, pending: Set<string>}} IDs of requests with an approved or pending extension.
+ */
+function _getExtendedRequestIds(data, headers) {
+  const idIndex = headers.indexOf(COLUMN.REQUEST_ID);
+  const formTypeIndex = headers.indexOf(COLUMN.FORM_TYPE);
+  const emailIndex = headers.indexOf(COLUMN.REQUESTER_EMAIL);
+  const statusIndex = headers.indexOf(COLUMN.STATUS);
+  const detailsIndex = headers.indexOf(COLUMN.DETAILS);
+  const pendingStatuses = _getPendingStatuses();
+  const ownerKey = (row) =>
+    `${String(row[emailIndex]).trim().toLowerCase()}|${_getFormIdFromType(
+      row[formTypeIndex]
+    )}`;
+  const ownerKeys = new Map(data.map((row) => [row[idIndex], ownerKey(row)]));
+  const result = { approved: new Set(), pending: new Set() };
+  data.forEach((row) => {
+    const isApproved = row[statusIndex] === STATUS.APPROVED;
+    if (!isApproved && !pendingStatuses.includes(row[statusIndex])) return;
+    let extendsRequestId;
+    try {
+      extendsRequestId = JSON.parse(row[detailsIndex] || "{}").extendsRequestId;
+    } catch (e) {
+      return;
+    }
+    if (extendsRequestId && ownerKeys.get(extendsRequestId) === ownerKey(row)) {
+      result[isApproved ? "approved" : "pending"].add(extendsRequestId);
+    }
+  });
+  return result;
+}
+
+/**
+ * Creates the daily trigger for checkAccessExpiries, replacing any existing one.
+ * Run once from the script editor by an administrator.
+ */
+function installExpiryTrigger() {
+  _replaceTimeTrigger("checkAccessExpiries", (builder) =>
+    builder.everyDays(1).atHour(EXPIRY_CHECK_HOUR)
+  );
+  Logger.info("installExpiryTrigger", "Daily access expiry trigger installed");
+}
+
+/**
+ * Function to be called by the daily time-driven trigger. Sends expiry
+ * reminders and raises removal tasks for access that has lapsed.
+ * @returns {{reminded: number, lapsed: number}} Counts of items for this run.
+ */
+function checkAccessExpiries() {
+  const result = { reminded: 0, lapsed: 0 };
+  const lock = LockService.getScriptLock();
+  try {
+    lock.waitLock(30000);
+  } catch (e) {
+    Logger.warn("checkAccessExpiries", "Skipped: system is busy");
+    return result;
+  }
+
+  try {
+    const sheet =
+      SpreadsheetApp.openById(SPREADSHEET_ID).getSheetByName(
+        REQUESTS_SHEET_NAME
+      );
+    if (!sheet) throw new Error(`Sheet "${REQUESTS_SHEET_NAME}" not found.`);
+
+    const data = sheet.getDataRange().getValues();
+    const headers = data.shift();
+    const statusIndex = headers.indexOf(COLUMN.STATUS);
+    const extended = _getExtendedRequestIds(data, headers);
+    const today = _getTodayDateString();
+    const reminderCutoff = _addDaysToDateString(today, EXPIRY_REMINDER_DAYS);
+    let expiryIndex = headers.indexOf(COLUMN.EXPIRY);
+
+    data.forEach((row, i) => {
+      if (row[statusIndex] !== STATUS.APPROVED) return;
+      const requestObject = _rowToObject(row, headers);
+      const requestId = requestObject[COLUMN.REQUEST_ID];
+      if (extended.approved.has(requestId)) return;
+
+      try {
+        const items = _describeAccessExpiry(requestObject);
+        if (items.length === 0) return;
+        const state = _parseExpiryState(requestObject);
+        const timestamp = new Date().toISOString();
+        const expiring = [];
+        const lapsed = [];
+
+        items.forEach((item) => {
+          const itemState = state[item.key] || {};
+          if (item.endDate < today) {
+            // Overdue loans are chased through the loan register instead.
+            if (itemState.lapsedAt || item.key === "loan") return;
+            state[item.key] = { ...itemState, lapsedAt: timestamp };
+            lapsed.push(item);
+          } else if (
+            item.endDate <= reminderCutoff &&
+            !itemState.remindedAt &&
+            !extended.pending.has(requestId)
+          ) {
+            state[item.key] = { ...itemState, remindedAt: timestamp };
+            expiring.push(item);
+          }
+        });
+        if (expiring.length === 0 && lapsed.length === 0) return;
+
+        if (expiring.length > 0) {
+          sendAccessExpiringEmail(requestObject, expiring);
+        }
+        if (lapsed.length > 0) {
+          sendRemovalTaskEmail(requestObject, lapsed);
+        }
+
+        if (expiryIndex === -1) {
+          expiryIndex = _ensureRequestsColumn(sheet, headers, COLUMN.EXPIRY);
+        }
+        sheet.getRange(i + 2, expiryIndex + 1).setValue(JSON.stringify(state));
+        Logger.auditLog("ACCESS_EXPIRY_CHECKED", requestId, {
+          reminded: expiring.map((item) => item.label),
+          lapsed: lapsed.map((item) => item.label),
+        });
+        result.reminded += expiring.length;
+        result.lapsed += lapsed.length;
+      } catch (e) {
+        // One bad row must not stop the rest of the run.
+        Logger.error(
+          "checkAccessExpiries",
+          `Expiry check failed for request ${requestId}`,
+          { error: e.message }
+        );
+      }
+    });
+
+    Logger.info("checkAccessExpiries", "Access expiry check completed", result);
+    return result;
+  } catch (e) {
+    Logger.error("checkAccessExpiries", "Access expiry check failed", {
+      error: e.message,
+    });
+    return result;
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Gets the removal tasks raised for lapsed access that the helpdesk has not yet
+ * marked as done, oldest expiry first.
+ * @returns {Object[]|Object} The tasks, or an error object.
+ */
+function getRemovalTasks() {
+  try {
+    if (!isUserHelpdesk()) {
+      return {
+        error: true,
+        message: "You do not have permission to view removal tasks.",
+      };
+    }
+
+    const sheet =
+      SpreadsheetApp.openById(SPREADSHEET_ID).getSheetByName(
+        REQUESTS_SHEET_NAME
+      );
+    if (!sheet) throw new Error(`Sheet "${REQUESTS_SHEET_NAME}" not found.`);
+    const data = sheet.getDataRange().getValues();
+    const headers = data.shift();
+    if (headers.indexOf(COLUMN.EXPIRY) === -1) return [];
+
+    const tasks = [];
+    data.forEach((row) => {
+      const request = _rowToObject(row, headers);
+      _describeAccessExpiry(request)
+        .filter((item) => item.lapsedAt && !item.removedAt)
+        .forEach((item) =>
+          tasks.push({
+            requestId: request[COLUMN.REQUEST_ID],
+            formType: request[COLUMN.FORM_TYPE],
+            requesterName: request[COLUMN.REQUESTER_NAME],
+            requesterEmail: request[COLUMN.REQUESTER_EMAIL],
+            department: request[COLUMN.DEPARTMENT],
+            itemKey: item.key,
+            label: item.label,
+            endDate: item.endDate,
+            lapsedAt: item.lapsedAt,
+          })
+        );
+    });
+    return tasks.sort((a, b) => a.endDate.localeCompare(b.endDate));
+  } catch (e) {
+    console.error(`Error in getRemovalTasks: ${e.message}`);
+    return {
+      error: true,
+      message: `Failed to load removal tasks: ${e.message}`,
+    };
+  }
+}
+
+/**
+ * Marks the removal task for one lapsed access item as done.
+ * @param {string} requestId The ID of the request.
+ * @param {string} itemKey The item key from getRemovalTasks.
+ * @param {string} lang The current language ('en' or 'th') for response messages.
+ * @returns {Object} A status object.
+ */
+function completeRemovalTask(requestId, itemKey, lang) {
+  const translations = JSON.parse(
+    getTranslations(lang).replace(/<pre>|<\/pre>/g, "")
+  );
+  const userEmail = getUserEmail().trim().toLowerCase();
+  if (!isUserHelpdesk()) {
+    return {
+      status: "error",
+      message:
+        translations.msgNotHelpdesk ||
+        "Only helpdesk staff can update fulfillment.",
+    };
+  }
+
+  const lock = LockService.getScriptLock();
+  try {
+    lock.waitLock(30000);
+  } catch (e) {
+    return {
+      status: "error",
+      message: "System is busy, please try again in a moment.",
+    };
+  }
+
+  try {
+    const sheet =
+      SpreadsheetApp.openById(SPREADSHEET_ID).getSheetByName(
+        REQUESTS_SHEET_NAME
+      );
+    const requestInfo = _findRowAndRowObjectById(sheet, requestId);
+    if (!requestInfo) {
+      return {
+        status: "error",
+        message: translations.msgRequestIdNotFound || "Request ID not found.",
+      };
+    }
+    const { rowIndex, rowObject, headers } = requestInfo;
+    const state = _parseExpiryState(rowObject);
+    if (!state[itemKey] || !state[itemKey].lapsedAt) {
+      return {
+        status: "error",
+        message:
+          translations.msgRemovalTaskNotFound ||
+          "There is no open removal task for this item.",
+      };
+    }
+
+    state[itemKey] = {
+      ...state[itemKey],
+      removedAt: new Date().toISOString(),
+      removedBy: userEmail,
+    };
+    const expiryIndex = headers.indexOf(COLUMN.EXPIRY);
+    sheet.getRange(rowIndex, expiryIndex + 1).setValue(JSON.stringify(state));
+
+    Logger.auditLog("ACCESS_REMOVED", requestId, {
+      item: itemKey,
+      removedBy: userEmail,
+    });
+    return {
+      status: "success",
+      message:
+        translations.msgRemovalTaskCompleted || "Access removal recorded.",
+    };
+  } catch (e) {
+    console.error(`Error in completeRemovalTask: ${e.message}`);
+    return {
+      status: "error",
+      message: `Failed to record the removal: ${e.message}`,
+    };
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * PRIVATE: Checks the request an extension points back to in details.extendsRequestId.
+ * It must be an approved request of the same form, submitted by the same user;
+ * otherwise the extension would supersede someone else's access or loan.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The Requests sheet.
+ * @param {Object} requestObject The submitted request, with details as stringified JSON.
+ * @param {string} userEmail The submitter's email.
+ * @param {Object} translations The translation object.
+ * @returns {string|null} An error message, or null if the request is not an extension or may extend its original.
+ */
+function _checkExtensionTarget(sheet, requestObject, userEmail, translations) {
+  const details =
+    typeof requestObject[COLUMN.DETAILS] === "string"
+      ? JSON.parse(requestObject[COLUMN.DETAILS])
+      : requestObject[COLUMN.DETAILS];
+  const extendsRequestId = details && details.extendsRequestId;
+  if (!extendsRequestId) return null;
+
+  const original = _findOwnedRequest(
+    sheet,
+    String(extendsRequestId),
+    userEmail,
+    translations
+  );
+  if (
+    original.error ||
+    original.rowObject[COLUMN.STATUS] !== STATUS.APPROVED ||
+    _getFormIdFromType(original.rowObject[COLUMN.FORM_TYPE]) !==
+      _getFormIdFromType(requestObject[COLUMN.FORM_TYPE])
+  ) {
+    return (
+      translations.msgInvalidExtendedRequest ||
+      "Only your own approved request of the same form can be extended."
+    );
+  }
+  return null;
+}
+
+/**
+ * Requests an extension of time-limited access. Submits a copy of the approved
+ * request with the new end date as a new request, so it is approved like any
+ * other; the copy records the original in details.extendsRequestId.
+ * @param {string} requestId The ID of the approved request to extend.
+ * @param {string} newEndDate The requested end date as 'yyyy-MM-dd'.
+ * @param {string} lang The current language ('en' or 'th') for response messages.
+ * @returns {Object} The result of submitRequest, or an error object.
+ */
+function requestAccessExtension(requestId, newEndDate, lang) {
+  const translations = JSON.parse(
+    getTranslations(lang).replace(/<pre>|<\/pre>/g, "")
+  );
+  try {
+    const sheet =
+      SpreadsheetApp.openById(SPREADSHEET_ID).getSheetByName(
+        REQUESTS_SHEET_NAME
+      );
+    const owned = _findOwnedRequest(
+      sheet,
+      requestId,
+      getUserEmail(),
+      translations
+    );
+    if (owned.error) return { status: "error", message: owned.message };
+    const request = owned.rowObject;
+
+    const items = _describeAccessExpiry(request).filter(
+      (item) => !item.removedAt
+    );
+    if (items.length === 0) {
+      return {
+        status: "error",
+        message:
+          translations.msgNothingToExtend ||
+          "This request has no time-limited access to extend.",
+      };
+    }
+    const latestEndDate = items
+      .map((item) => item.endDate)
+      .sort()
+      .pop();
+    if (
+      !/^\d{4}-\d{2}-\d{2}$/.test(newEndDate || "") ||
+      newEndDate <= latestEndDate ||
+      newEndDate <= _getTodayDateString()
+    ) {
+      return {
+        status: "error",
+        message: (
+          translations.msgInvalidExtensionDate ||
+          "The new end date must be after {date}."
+        ).replace("{date}", latestEndDate),
+      };
+    }
+
+    const details = JSON.parse(request[COLUMN.DETAILS] || "{}");
+    details.extendsRequestId = requestId;
+    if (_getFormIdFromType(request[COLUMN.FORM_TYPE]) === "009") {
+      const extendedKeys = items.map((item) => item.key);
+      details.applications = details.applications.filter((app, i) =>
+        extendedKeys.includes(`app.${i}`)
+      );
+      details.applications.forEach((app) => (app.effectiveDate = newEndDate));
+    } else {
+      details.endDate = newEndDate;
+    }
+
+    return submitRequest(
+      {
+        [COLUMN.FORM_TYPE]: request[COLUMN.FORM_TYPE],
+        [COLUMN.REQUESTER_NAME]: request[COLUMN.REQUESTER_NAME],
+        [COLUMN.DEPARTMENT]: request[COLUMN.DEPARTMENT],
+        [COLUMN.SUB_DEPARTMENT]: request[COLUMN.SUB_DEPARTMENT] || "",
+        [COLUMN.DETAILS]: JSON.stringify(details),
+      },
+      lang
+    );
+  } catch (e) {
+    console.error(`Error in requestAccessExtension: ${e.message}`);
+    return {
+      status: "error",
+      message: `Failed to request an extension: ${e.message}`,
+    };
+  }
+}
+
+// ================================================================================
+// EQUIPMENT LOANS (ISMS-FM-099)
+// ================================================================================
+//
+// Approving an FM-099 request registers the loan in the Loans sheet (created on
+// first use). The helpdesk marks it returned with the equipment's condition.
+// checkOverdueLoans() runs from a daily time-driven trigger (see
+// installLoanReminderTrigger) and reminds the borrower, copying the helpdesk,
+// every LOAN_REMINDER_INTERVAL_DAYS while a loan is past its endDate.
+// An approved extension closes the original loan as Extended and registers a
+// new one, so only the latest end date is chased.
+//
+
+const LOAN_HEADERS = [
+  "RequestId",
+  "RequesterEmail",
+  "RequesterName",
+  "Department",
+  "Hardware",
+  "StartDate",
+  "EndDate",
+  "Status",
+  "ReturnedAt",
+  "ReturnedBy",
+  "Condition",
+  "ReturnNotes",
+  "LastReminderAt",
+];
+
+const LOAN_STATUS = {
+  ON_LOAN: "On Loan",
+  RETURNED: "Returned",
+  EXTENDED: "Extended", // Superseded by an approved extension request
+};
+
+// Condition recorded on return; anything other than Good needs notes.
+const LOAN_CONDITIONS = ["Good", "Damaged", "Incomplete", "Lost"];
+
+/**
+ * PRIVATE: Gets the Loans sheet, optionally creating it with its header row.
+ * @param {boolean} create Whether to create the sheet if it does not exist.
+ * @returns {GoogleAppsScript.Spreadsheet.Sheet|null} The sheet, or null if missing and not created.
+ */
+function _getLoansSheet(create) {
+  const spreadsheet = SpreadsheetApp.openById(SPREADSHEET_ID);
+  let sheet = spreadsheet.getSheetByName(LOANS_SHEET_NAME);
+  if (!sheet && create) {
+    sheet = spreadsheet.insertSheet(LOANS_SHEET_NAME);
+    sheet.getRange(1, 1, 1, LOAN_HEADERS.length).setValues([LOAN_HEADERS]);
+  }
+  return sheet;
+}
+
+/**
+ * PRIVATE: Reads every loan in the register.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The Loans sheet.
+ * @returns {Array<Object>} The loans, each with its 1-based sheet row and an isOverdue flag.
+ */
+function _readLoans(sheet) {
+  if (!sheet || sheet.getLastRow() <= 1) return [];
+  const today = _getTodayDateString();
+  const asText = (value) =>
+    value instanceof Date ? value.toISOString() : String(value || "");
+  return sheet
+    .getRange(2, 1, sheet.getLastRow() - 1, LOAN_HEADERS.length)
+    .getValues()
+    .map((row, i) => {
+      const loan = {
+        row: i + 2,
+        requestId: asText(row[0]),
+        requesterEmail: asText(row[1]),
+        requesterName: asText(row[2]),
+        department: asText(row[3]),
+        hardware: asText(row[4]),
+        startDate: asText(row[5]),
+        endDate: asText(row[6]),
+        status: asText(row[7]),
+        returnedAt: asText(row[8]),
+        returnedBy: asText(row[9]),
+        condition: asText(row[10]),
+        returnNotes: asText(row[11]),
+        lastReminderAt: asText(row[12]),
+      };
+      loan.isOverdue =
+        loan.status === LOAN_STATUS.ON_LOAN && loan.endDate < today;
+      return loan;
+    });
+}
+
+/**
+ * PRIVATE: Adds an approved FM-099 request to the loan register, unless it is
+ * already there. An extension closes the loan it extends. The caller holds
+ * the script lock.
+ * @param {Object} request The request row object, with details as stringified JSON.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} [sheet] The Loans sheet; created if omitted.
+ */
+function _registerLoan(request, sheet = _getLoansSheet(true)) {
+  const details = JSON.parse(request[COLUMN.DETAILS] || "{}");
+  const loans = _readLoans(sheet);
+  if (loans.some((loan) => loan.requestId === request[COLUMN.REQUEST_ID])) {
+    return;
+  }
+
+  // Only the borrower's own loan is superseded; the Loans sheet holds FM-099 loans only.
+  const extended = loans.find(
+    (loan) =>
+      loan.requestId === details.extendsRequestId &&
+      loan.status === LOAN_STATUS.ON_LOAN &&
+      loan.requesterEmail.trim().toLowerCase() ===
+        String(request[COLUMN.REQUESTER_EMAIL]).trim().toLowerCase()
+  );
+  if (extended) {
+    sheet
+      .getRange(extended.row, LOAN_HEADERS.indexOf("Status") + 1)
+      .setValue(LOAN_STATUS.EXTENDED);
+  }
+
+  const newRow = [
+    request[COLUMN.REQUEST_ID],
+    request[COLUMN.REQUESTER_EMAIL],
+    request[COLUMN.REQUESTER_NAME],
+    request[COLUMN.DEPARTMENT],
+    details.hardware || "Notebook",
+    details.startDate || "",
+    details.endDate || "",
+    LOAN_STATUS.ON_LOAN,
+    "",
+    "",
+    "",
+    "",
+    "",
+  ];
+  sheet.appendRow(newRow);
+  // Keep dates as typed instead of letting Sheets convert them.
+  sheet
+    .getRange(sheet.getLastRow(), 1, 1, LOAN_HEADERS.length)
+    .setNumberFormat("@")
+    .setValues([newRow]);
+  Logger.auditLog("LOAN_REGISTERED", request[COLUMN.REQUEST_ID], {
+    hardware: newRow[4],
+    endDate: newRow[6],
+    extends: extended ? extended.requestId : "",
+  });
+}
+
+/**
+ * PRIVATE: Gets the loan registered for a request.
+ * @param {string} requestId The ID of the request.
+ * @returns {Object|null} The loan from _readLoans, or null if not registered.
+ */
+function _getLoanForRequest(requestId) {
+  return (
+    _readLoans(_getLoansSheet(false)).find(
+      (loan) => loan.requestId === requestId
+    ) || null
+  );
+}
+
+/**
+ * Gets the outstanding loans for the helpdesk, soonest due first.
+ * @returns {Object[]|Object} The loans still on loan, or an error object.
+ */
+function getOutstandingLoans() {
+  try {
+    if (!isUserHelpdesk()) {
+      return {
+        error: true,
+        message: "You do not have permission to view the loan register.",
+      };
+    }
+    return _readLoans(_getLoansSheet(false))
+      .filter((loan) => loan.status === LOAN_STATUS.ON_LOAN)
+      .sort((a, b) => a.endDate.localeCompare(b.endDate));
+  } catch (e) {
+    console.error(`Error in getOutstandingLoans: ${e.message}`);
+    return {
+      error: true,
+      message: `Failed to load the loan register: ${e.message}`,
+    };
+  }
+}
+
+/**
+ * Records that borrowed equipment has been returned.
+ * @param {string} requestId The ID of the FM-099 request.
+ * @param {string} condition One of LOAN_CONDITIONS.
+ * @param {string} notes Condition notes; required unless the condition is Good.
+ * @param {string} lang The current language ('en' or 'th') for response messages.
+ * @returns {Object} A status object.
+ */
+function markLoanReturned(requestId, condition, notes, lang) {
+  const translations = JSON.parse(
+    getTranslations(lang).replace(/<pre>|<\/pre>/g, "")
+  );
+  const userEmail = getUserEmail().trim().toLowerCase();
+  if (!isUserHelpdesk()) {
+    return {
+      status: "error",
+      message:
+        translations.msgNotHelpdesk ||
+        "Only helpdesk staff can update fulfillment.",
+    };
+  }
+  if (!LOAN_CONDITIONS.includes(condition)) {
+    return {
+      status: "error",
+      message:
+        translations.msgInvalidLoanCondition || "Invalid equipment condition.",
+    };
+  }
+  const cleanNotes = _sanitizeNotes(notes);
+  if (condition !== "Good" && !cleanNotes) {
+    return {
+      status: "error",
+      message:
+        translations.msgLoanNotesRequired ||
+        "Please describe the condition of the returned equipment.",
+    };
+  }
+
+  const lock = LockService.getScriptLock();
+  try {
+    lock.waitLock(30000);
+  } catch (e) {
+    return {
+      status: "error",
+      message: "System is busy, please try again in a moment.",
+    };
+  }
+
+  try {
+    const sheet = _getLoansSheet(false);
+    const loan = _readLoans(sheet).find((l) => l.requestId === requestId);
+    if (!loan || loan.status !== LOAN_STATUS.ON_LOAN) {
+      return {
+        status: "error",
+        message:
+          translations.msgLoanNotOutstanding ||
+          "This equipment is not currently on loan.",
+      };
+    }
+
+    const returnedAt = new Date().toISOString();
+    sheet
+      .getRange(loan.row, LOAN_HEADERS.indexOf("Status") + 1, 1, 5)
+      .setValues([
+        [LOAN_STATUS.RETURNED, returnedAt, userEmail, condition, cleanNotes],
+      ]);
+
+    // Close the expiry item as well, so no removal task or extension is offered.
+    const requestSheet =
+      SpreadsheetApp.openById(SPREADSHEET_ID).getSheetByName(
+        REQUESTS_SHEET_NAME
+      );
+    const requestInfo = _findRowAndRowObjectById(requestSheet, requestId);
+    if (requestInfo) {
+      const state = _parseExpiryState(requestInfo.rowObject);
+      state.loan = {
+        ...(state.loan || {}),
+        removedAt: returnedAt,
+        removedBy: userEmail,
+      };
+      const expiryIndex = _ensureRequestsColumn(
+        requestSheet,
+        requestInfo.headers,
+        COLUMN.EXPIRY
+      );
+      requestSheet
+        .getRange(requestInfo.rowIndex, expiryIndex + 1)
+        .setValue(JSON.stringify(state));
+    }
+
+    Logger.auditLog("LOAN_RETURNED", requestId, {
+      condition,
+      notes: cleanNotes || "No notes",
+      returnedBy: userEmail,
+    });
+    return {
+      status: "success",
+      message: translations.msgLoanReturned || "Return recorded.",
+    };
+  } catch (e) {
+    console.error(`Error in markLoanReturned: ${e.message}`);
+    return {
+      status: "error",
+      message: `Failed to record the return: ${e.message}`,
+    };
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Creates the daily trigger for checkOverdueLoans, replacing any existing one.
+ * Run once from the script editor by an administrator.
+ */
+function installLoanReminderTrigger() {
+  _replaceTimeTrigger("checkOverdueLoans", (builder) =>
+    builder.everyDays(1).atHour(EXPIRY_CHECK_HOUR)
+  );
+  Logger.info("installLoanReminderTrigger", "Daily loan trigger installed");
+}
+
+/**
+ * Function to be called by the daily time-driven trigger. Registers any
+ * approved FM-099 request missing from the register (e.g. approved before the
+ * register existed), then sends reminders for overdue loans.
+ * @returns {{registered: number, reminded: number}} Counts for this run.
+ */
+function checkOverdueLoans() {
+  const result = { registered: 0, reminded: 0 };
+  const lock = LockService.getScriptLock();
+  try {
+    lock.waitLock(30000);
+  } catch (e) {
+    Logger.warn("checkOverdueLoans", "Skipped: system is busy");
+    return result;
+  }
+
+  try {
+    const requestSheet =
+      SpreadsheetApp.openById(SPREADSHEET_ID).getSheetByName(
+        REQUESTS_SHEET_NAME
+      );
+    if (!requestSheet)
+      throw new Error(`Sheet "${REQUESTS_SHEET_NAME}" not found.`);
+    const data = requestSheet.getDataRange().getValues();
+    const headers = data.shift();
+    const statusIndex = headers.indexOf(COLUMN.STATUS);
+    const formTypeIndex = headers.indexOf(COLUMN.FORM_TYPE);
+    const idIndex = headers.indexOf(COLUMN.REQUEST_ID);
+    const timestampIndex = headers.indexOf(COLUMN.TIMESTAMP);
+
+    const registeredIds = new Set(
+      _readLoans(_getLoansSheet(false)).map((loan) => loan.requestId)
+    );
+    data
+      .filter(
+        (row) =>
+          row[statusIndex] === STATUS.APPROVED &&
+          _getFormIdFromType(row[formTypeIndex]) === "099" &&
+          !registeredIds.has(row[idIndex])
+      )
+      .sort((a, b) => new Date(a[timestampIndex]) - new Date(b[timestampIndex]))
+      .forEach((row) => {
+        try {
+          _registerLoan(_rowToObject(row, headers));
+          result.registered++;
+        } catch (e) {
+          Logger.error(
+            "checkOverdueLoans",
+            `Could not register loan ${row[idIndex]}`,
+            { error: e.message }
+          );
+        }
+      });
+
+    const sheet = _getLoansSheet(false);
+    const reminderCutoff = new Date(
+      Date.now() - LOAN_REMINDER_INTERVAL_DAYS * 24 * 60 * 60 * 1000
+    );
+    _readLoans(sheet)
+      .filter(
+        (loan) =>
+          loan.isOverdue &&
+          (!loan.lastReminderAt ||
+            new Date(loan.lastReminderAt) < reminderCutoff)
+      )
+      .forEach((loan) => {
+        try {
+          sendLoanOverdueEmail(loan);
+          sheet
+            .getRange(loan.row, LOAN_HEADERS.indexOf("LastReminderAt") + 1)
+            .setValue(new Date().toISOString());
+          result.reminded++;
+        } catch (e) {
+          Logger.error(
+            "checkOverdueLoans",
+            `Overdue reminder failed for ${loan.requestId}`,
+            { error: e.message }
+          );
+        }
+      });
+
+    Logger.info("checkOverdueLoans", "Loan check completed", result);
+    return result;
+  } catch (e) {
+    Logger.error("checkOverdueLoans", "Loan check failed", {
+      error: e.message,
+    });
+    return result;
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+// ================================================================================
+// ASSET REGISTER
+// ================================================================================
+//
+// The Assets sheet (created on first use) holds one row per serial number.
+// Approving FM-100 issues equipment, FM-101 disposes of it and FM-003 destroys
+// storage media; each approval updates the asset's status and appends to its
+// history (JSON: [{action, requestId, assignedTo, department, timestamp}]).
+// FM-101 may only dispose of assets that are registered and currently assigned.
+// rebuildAssetRegister() replays every approved request, e.g. after deployment.
+//
+
+const ASSET_HEADERS = [
+  "SerialNumber",
+  "AssetCode",
+  "Item",
+  "Status",
+  "AssignedTo",
+  "Department",
+  "LastRequestId",
+  "UpdatedAt",
+  "History",
+];
+
+const ASSET_STATUS = {
+  ASSIGNED: "Assigned", // Issued through FM-100
+  DISPOSED: "Disposed", // Disposed of through FM-101
+  DESTROYED: "Destroyed", // Media destroyed through FM-003
+};
+
+/**
+ * PRIVATE: Normalizes a serial number for matching.
+ * @param {string} serialNumber The serial number as entered.
+ * @returns {string} The trimmed, upper-cased serial number.
+ */
+function _normalizeSerial(serialNumber) {
+  return String(serialNumber || "")
+    .trim()
+    .toUpperCase();
+}
+
+/**
+ * Lists the asset changes an approved request makes.
+ * @param {string} formId The form ID ("100", "101" or "003").
+ * @param {Object} details The parsed form details.
+ * @returns {Array<Object>} {serialNumber, assetCode, item, status, assignedTo, department} per row with a serial number.
+ */
+function getAssetEvents(formId, details) {
+  const d = details || {};
+  const withSerial = (rows) =>
+    (rows || []).filter((row) => _normalizeSerial(row.serialNumber));
+  switch (formId) {
+    case "100":
+      return withSerial(d.equipment).map((row) => ({
+        serialNumber: row.serialNumber.trim(),
+        assetCode: row.assetCode || "",
+        item: row.item || "",
+        status: ASSET_STATUS.ASSIGNED,
+        assignedTo: (d.recipientInfo || {}).name || "",
+        department: (d.recipientInfo || {}).department || "",
+      }));
+    case "101":
+      return withSerial(d.assets).map((row) => ({
+        serialNumber: row.serialNumber.trim(),
+        item: row.assetType || "",
+        status: ASSET_STATUS.DISPOSED,
+      }));
+    case "003":
+      return withSerial(d.media).map((row) => ({
+        serialNumber: row.serialNumber.trim(),
+        item: row.mediaType || "",
+        status: ASSET_STATUS.DESTROYED,
+      }));
+    default:
+      return [];
+  }
+}
+
+/**
+ * PRIVATE: Gets the Assets sheet, optionally creating it with its header row.
+ * @param {boolean} create Whether to create the sheet if it does not exist.
+ * @returns {GoogleAppsScript.Spreadsheet.Sheet|null} The sheet, or null if missing and not created.
+ */
+function _getAssetsSheet(create) {
+  const spreadsheet = SpreadsheetApp.openById(SPREADSHEET_ID);
+  let sheet = spreadsheet.getSheetByName(ASSETS_SHEET_NAME);
+  if (!sheet && create) {
+    sheet = spreadsheet.insertSheet(ASSETS_SHEET_NAME);
+    sheet.getRange(1, 1, 1, ASSET_HEADERS.length).setValues([ASSET_HEADERS]);
+    sheet.getRange("A:A").setNumberFormat("@"); // Keep serials like 00123 as typed
+  }
+  return sheet;
+}
+
+/**
+ * PRIVATE: Reads the asset register.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The Assets sheet.
+ * @returns {Array<Object>} The assets, each with its 1-based sheet row and parsed history.
+ */
+function _readAssets(sheet) {
+  if (!sheet || sheet.getLastRow() <= 1) return [];
+  return sheet
+    .getRange(2, 1, sheet.getLastRow() - 1, ASSET_HEADERS.length)
+    .getValues()
+    .map((row, i) => {
+      let history = [];
+      try {
+        history = JSON.parse(row[8] || "[]");
+      } catch (e) {
+        /* keep the asset even if its history cell is malformed */
+      }
+      return {
+        row: i + 2,
+        serialNumber: String(row[0]),
+        assetCode: String(row[1]),
+        item: String(row[2]),
+        status: String(row[3]),
+        assignedTo: String(row[4]),
+        department: String(row[5]),
+        lastRequestId: String(row[6]),
+        updatedAt:
+          row[7] instanceof Date ? row[7].toISOString() : String(row[7]),
+        history,
+      };
+    });
+}
+
+/**
+ * PRIVATE: Applies the asset changes of an approved request to the register.
+ * The caller holds the script lock.
+ * @param {Object} request The request row object, with details as stringified JSON.
+ * @returns {number} The number of assets updated or added.
+ */
+function _recordAssetEvents(request) {
+  const events = getAssetEvents(
+    _getFormIdFromType(request[COLUMN.FORM_TYPE]),
+    JSON.parse(request[COLUMN.DETAILS] || "{}")
+  );
+  if (events.length === 0) return 0;
+
+  const sheet = _getAssetsSheet(true);
+  const assets = _readAssets(sheet);
+  const timestamp = new Date().toISOString();
+  events.forEach((event) => {
+    const serial = _normalizeSerial(event.serialNumber);
+    const existing = assets.find(
+      (asset) => _normalizeSerial(asset.serialNumber) === serial
+    );
+    const isIssue = event.status === ASSET_STATUS.ASSIGNED;
+    const asset = existing || {
+      serialNumber: event.serialNumber,
+      assetCode: "",
+      item: "",
+      assignedTo: "",
+      department: "",
+      history: [],
+    };
+    const rowValues = [
+      asset.serialNumber,
+      event.assetCode || asset.assetCode,
+      asset.item || event.item,
+      event.status,
+      isIssue ? event.assignedTo : asset.assignedTo,
+      isIssue ? event.department : asset.department,
+      request[COLUMN.REQUEST_ID],
+      timestamp,
+      JSON.stringify(
+        asset.history.concat({
+          action: event.status,
+          requestId: request[COLUMN.REQUEST_ID],
+          assignedTo: isIssue ? event.assignedTo : asset.assignedTo,
+          department: isIssue ? event.department : asset.department,
+          timestamp,
+        })
+      ),
+    ];
+    if (existing) {
+      sheet
+        .getRange(existing.row, 1, 1, ASSET_HEADERS.length)
+        .setValues([rowValues]);
+    } else {
+      sheet.appendRow(rowValues);
+      asset.row = sheet.getLastRow();
+      assets.push(asset);
+    }
+    // Keep the in-memory copy current for later rows of the same request.
+    Object.assign(asset, {
+      assetCode: rowValues[1],
+      item: rowValues[2],
+      status: event.status,
+      assignedTo: rowValues[4],
+      department: rowValues[5],
+      history: JSON.parse(rowValues[8]),
+    });
+  });
+  Logger.auditLog("ASSET_REGISTER_UPDATED", request[COLUMN.REQUEST_ID], {
+    serials: events.map((event) => event.serialNumber),
+    status: events[0].status,
+  });
+  return events.length;
+}
+
+/**
+ * PRIVATE: Checks that every asset on an FM-101 disposal request is registered
+ * and currently assigned. Skipped until the register exists.
+ * @param {Object} details The parsed FM-101 details.
+ * @param {Object} translations Translation object for error messages.
+ * @returns {Object} {isValid, message, fieldErrors} like validateRequestDetails.
+ */
+function _validateDisposalAssets(details, translations) {
+  const sheet = _getAssetsSheet(false);
+  if (!sheet) return { isValid: true };
+
+  const assetsBySerial = {};
+  _readAssets(sheet).forEach((asset) => {
+    assetsBySerial[_normalizeSerial(asset.serialNumber)] = asset;
+  });
+  const fieldErrors = [];
+  (details.assets || []).forEach((row, i) => {
+    const asset = assetsBySerial[_normalizeSerial(row.serialNumber)];
+    let message = null;
+    if (!asset) {
+      message = (
+        translations.msgAssetNotRegistered ||
+        "Serial number {serial} is not in the asset register."
+      ).replace("{serial}", row.serialNumber);
+    } else if (asset.status !== ASSET_STATUS.ASSIGNED) {
+      message = (
+        translations.msgAssetNotAssigned ||
+        "Serial number {serial} is not currently assigned (status: {status})."
+      )
+        .replace("{serial}", row.serialNumber)
+        .replace("{status}", asset.status);
+    }
+    if (message) {
+      fieldErrors.push({
+        field: `assets.${i}.serialNumber`,
+        message: `${(translations.labelRow || "Row {row}").replace(
+          "{row}",
+          i + 1
+        )}: ${message}`,
+      });
+    }
+  });
+
+  return fieldErrors.length === 0
+    ? { isValid: true }
+    : { isValid: false, message: fieldErrors[0].message, fieldErrors };
+}
+
+/**
+ * Searches the asset register by serial number, asset code, item or holder.
+ * Admin only.
+ * @param {string} query The search text; empty returns the most recently updated assets.
+ * @param {string} [status] Optional ASSET_STATUS value to filter by.
+ * @returns {Object} {assets, total} with at most MAX_ASSET_SEARCH_RESULTS assets, or an error object.
+ */
+function searchAssets(query, status) {
+  try {
+    if (!isUserAdmin()) {
+      return {
+        error: true,
+        message: "You do not have permission to search the asset register.",
+      };
+    }
+    const terms = String(query || "")
+      .trim()
+      .toLowerCase()
+      .split(/\s+/)
+      .filter(Boolean);
+    const matches = _readAssets(_getAssetsSheet(false))
+      .filter((asset) => !status || asset.status === status)
+      .filter((asset) => {
+        const haystack = [
+          asset.serialNumber,
+          asset.assetCode,
+          asset.item,
+          asset.assignedTo,
+          asset.department,
+        ]
+          .join(" ")
+          .toLowerCase();
+        return terms.every((term) => haystack.includes(term));
+      })
+      .sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)));
+    return {
+      assets: matches.slice(0, MAX_ASSET_SEARCH_RESULTS),
+      total: matches.length,
+    };
+  } catch (e) {
+    console.error(`Error in searchAssets: ${e.message}`);
+    return {
+      error: true,
+      message: `Failed to search the asset register: ${e.message}`,
+    };
+  }
+}
+
+/**
+ * Rebuilds the asset register from every approved FM-100, FM-101 and FM-003
+ * request, oldest first. Run from the script editor by an administrator after
+ * deployment, or if the Assets sheet has been edited by hand.
+ * @returns {{requests: number, assets: number}} Counts of requests replayed and asset changes applied.
+ */
+function rebuildAssetRegister() {
+  if (!isUserAdmin()) {
+    throw new Error("Only administrators can rebuild the asset register.");
+  }
+  const lock = LockService.getScriptLock();
+  lock.waitLock(30000);
+  try {
+    const result = { requests: 0, assets: 0 };
+    const requestSheet =
+      SpreadsheetApp.openById(SPREADSHEET_ID).getSheetByName(
+        REQUESTS_SHEET_NAME
+      );
+    const data = requestSheet.getDataRange().getValues();
+    const headers = data.shift();
+    const statusIndex = headers.indexOf(COLUMN.STATUS);
+    const formTypeIndex = headers.indexOf(COLUMN.FORM_TYPE);
+    const timestampIndex = headers.indexOf(COLUMN.TIMESTAMP);
+
+    const sheet = _getAssetsSheet(true);
+    if (sheet.getLastRow() > 1) {
+      sheet.deleteRows(2, sheet.getLastRow() - 1);
+    }
+    data
+      .filter(
+        (row) =>
+          row[statusIndex] === STATUS.APPROVED &&
+          ["100", "101", "003"].includes(_getFormIdFromType(row[formTypeIndex]))
+      )
+      .sort((a, b) => new Date(a[timestampIndex]) - new Date(b[timestampIndex]))
+      .forEach((row) => {
+        result.assets += _recordAssetEvents(_rowToObject(row, headers));
+        result.requests++;
+      });
+    Logger.info("rebuildAssetRegister", "Asset register rebuilt", result);
+    return result;
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+// ================================================================================
+// ACCESS ENTITLEMENTS & PERIODIC REVIEWS (ISO 27001 A.5.18)
+// ================================================================================
+//
+// The entitlement register is not stored: deriveEntitlements() replays approved
+// FM-010, FM-009, FM-026, FM-013 and FM-014 requests in submission order, so it
+// always matches the requests. Add/Change requests grant or update an
+// entitlement, Cancel/Delete requests remove it, and VPN access removed by the
+// helpdesk after expiry (see ACCESS EXPIRY) is dropped.
+//
+// A review campaign (one per quarter, e.g. "2025-Q3") snapshots the register into
+// the AccessReviews sheet (created on first use), one row per entitlement,
+// assigned to the first-level approver of the entitlement's department. Each
+// reviewer confirms or revokes their rows and signs off; signed-off revocations
+// are removed from the register and sent to the helpdesk as removal work.
+//
+
+const ACCESS_REVIEW_HEADERS = [
+  "CampaignId",
+  "Department",
+  "ReviewerEmail",
+  "EntitlementKey",
+  "SourceRequestId",
+  "Subject",
+  "System",
+  "Resource",
+  "Level",
+  "Decision",
+  "Notes",
+  "DecidedBy",
+  "DecidedAt",
+  "SignedOffBy",
+  "SignedOffAt",
+];
+
+const REVIEW_DECISION = {
+  PENDING: "Pending",
+  CONFIRMED: "Confirmed",
+  REVOKED: "Revoked",
+};
+
+// Forms whose approved requests grant (or remove) access.
+const ENTITLEMENT_FORMS = ["010", "009", "026", "013", "014"];
+
+/**
+ * PRIVATE: Lists the entitlement changes one approved request makes.
+ * @param {Object} request {requestId, formId, requesterEmail, requesterName, department, subDepartment, details, expiry}.
+ * @returns {Array<Object>} Changes: {op: 'grant'|'revoke', entitlement} or {op: 'revokeSubject', system, subjectKey}.
+ */
+function _entitlementChanges(request) {
+  const d = request.details || {};
+  const requester = {
+    subject: request.requesterName,
+    subjectEmail: String(request.requesterEmail || "").toLowerCase(),
+  };
+  // subject: {subject, subjectEmail, subjectKey}; the key identifies the person
+  // across requests and defaults to their email, or else their name.
+  const entitlement = (subject, system, resource, level, extra = {}) => {
+    const subjectKey = (
+      subject.subjectKey ||
+      subject.subjectEmail ||
+      subject.subject ||
+      ""
+    )
+      .toString()
+      .trim()
+      .toLowerCase();
+    return {
+      key: [system, subjectKey, resource]
+        .join("|")
+        .toLowerCase()
+        .replace(/\s+/g, " "),
+      subject: subject.subject,
+      subjectEmail: subject.subjectEmail || "",
+      department: request.department,
+      subDepartment: request.subDepartment || "",
+      system,
+      resource,
+      level: level || "",
+      requestId: request.requestId,
+      grantedAt: request.timestamp,
+      ...extra,
+    };
+  };
+  const grant = (e) => ({ op: "grant", entitlement: e });
+  const revoke = (e) => ({ op: "revoke", entitlement: e });
+
+  switch (request.formId) {
+    case "010":
+      return (d.servers || [])
+        .filter((s) => s.serverName)
+        .map((s) =>
+          grant(
+            entitlement(
+              requester,
+              "Server",
+              s.ipAddress ? `${s.serverName} (${s.ipAddress})` : s.serverName,
+              [].concat(s.permission || [], s.connection || []).join(", ")
+            )
+          )
+        );
+    case "009":
+      return (d.applications || [])
+        .filter((app) => app.appName)
+        .map((app) => {
+          const e = entitlement(
+            requester,
+            "Application",
+            app.appName,
+            app.permissionLevel
+          );
+          return d.requestType === "Cancel" ? revoke(e) : grant(e);
+        });
+    case "026": {
+      // SAP access belongs to the user named on the form, keyed by SAP user ID.
+      const userInfo = d.userInfo || {};
+      const sapUser = {
+        subject: userInfo.nameEn || userInfo.nameTh || requester.subject,
+      };
+      sapUser.subjectKey = String(userInfo.id || sapUser.subject || "")
+        .trim()
+        .toLowerCase();
+      if (d.requestType === "Cancel") {
+        return [
+          {
+            op: "revokeSubject",
+            system: "SAP",
+            subjectKey: sapUser.subjectKey,
+          },
+        ];
+      }
+      return (d.permissions || [])
+        .filter((p) => p.transactionCode)
+        .map((p) => {
+          const e = entitlement(
+            sapUser,
+            "SAP",
+            `${p.module || ""}/${p.transactionCode}`,
+            p.description
+          );
+          return p.action === "Delete" ? revoke(e) : grant(e);
+        });
+    }
+    case "013": {
+      const e = entitlement(requester, "VPN", "VPN", d.duration, {
+        expiresOn: d.duration === "Temporary" ? d.endDate : "",
+      });
+      return [(request.expiry.vpn || {}).removedAt ? revoke(e) : grant(e)];
+    }
+    case "014":
+      return (d.users || [])
+        .filter((u) => u.name)
+        .flatMap((u) =>
+          [
+            ["Internet", u.internet],
+            ["Intranet", u.intranet],
+          ]
+            .filter(([, granted]) => granted)
+            .map(([network]) =>
+              grant(entitlement({ subject: u.name }, "Network", network, ""))
+            )
+        );
+    default:
+      return [];
+  }
+}
+
+/**
+ * Derives the current access entitlements from approved requests.
+ * @param {Array<Object>} requests Approved requests, oldest first, as
+ *   {requestId, formId, timestamp, requesterEmail, requesterName, department,
+ *   subDepartment, details, expiry}.
+ * @param {Set<string>} [revoked] "key@requestId" of entitlements revoked in a signed-off review.
+ * @returns {Array<Object>} The entitlements, sorted by department, subject and system.
+ */
+function deriveEntitlements(requests, revoked = new Set()) {
+  const register = new Map();
+  requests.forEach((request) => {
+    _entitlementChanges({ expiry: {}, ...request }).forEach((change) => {
+      if (change.op === "grant") {
+        register.set(change.entitlement.key, change.entitlement);
+      } else if (change.op === "revoke") {
+        register.delete(change.entitlement.key);
+      } else if (change.op === "revokeSubject") {
+        const prefix = `${change.system}|${change.subjectKey}|`.toLowerCase();
+        Array.from(register.keys())
+          .filter((key) => key.startsWith(prefix))
+          .forEach((key) => register.delete(key));
+      }
+    });
+  });
+  return Array.from(register.values())
+    .filter((e) => !revoked.has(`${e.key}@${e.requestId}`))
+    .sort(
+      (a, b) =>
+        a.department.localeCompare(b.department) ||
+        a.subject.localeCompare(b.subject) ||
+        a.system.localeCompare(b.system)
+    );
+}
+
+/**
+ * PRIVATE: Gets the AccessReviews sheet, optionally creating it with its header row.
+ * @param {boolean} create Whether to create the sheet if it does not exist.
+ * @returns {GoogleAppsScript.Spreadsheet.Sheet|null} The sheet, or null if missing and not created.
+ */
+function _getAccessReviewsSheet(create) {
+  const spreadsheet = SpreadsheetApp.openById(SPREADSHEET_ID);
+  let sheet = spreadsheet.getSheetByName(ACCESS_REVIEWS_SHEET_NAME);
+  if (!sheet && create) {
+    sheet = spreadsheet.insertSheet(ACCESS_REVIEWS_SHEET_NAME);
+    sheet
+      .getRange(1, 1, 1, ACCESS_REVIEW_HEADERS.length)
+      .setValues([ACCESS_REVIEW_HEADERS]);
+  }
+  return sheet;
+}
+
+/**
+ * PRIVATE: Reads every access review row.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The AccessReviews sheet.
+ * @returns {Array<Object>} The rows keyed by camel-cased header, each with its 1-based sheet row.
+ */
+function _readAccessReviews(sheet) {
+  if (!sheet || sheet.getLastRow() <= 1) return [];
+  const fields = ACCESS_REVIEW_HEADERS.map(
+    (h) => h.charAt(0).toLowerCase() + h.slice(1)
+  );
+  return sheet
+    .getRange(2, 1, sheet.getLastRow() - 1, ACCESS_REVIEW_HEADERS.length)
+    .getValues()
+    .map((values, i) => {
+      const row = { row: i + 2 };
+      fields.forEach((field, j) => {
+        row[field] =
+          values[j] instanceof Date
+            ? values[j].toISOString()
+            : String(values[j]);
+      });
+      return row;
+    });
+}
+
+/**
+ * PRIVATE: Loads the current entitlement register from the Requests sheet.
+ * @returns {Array<Object>} The entitlements from deriveEntitlements.
+ */
+function _loadEntitlements() {
+  const sheet =
+    SpreadsheetApp.openById(SPREADSHEET_ID).getSheetByName(REQUESTS_SHEET_NAME);
+  if (!sheet) throw new Error(`Sheet "${REQUESTS_SHEET_NAME}" not found.`);
+  const data = sheet.getDataRange().getValues();
+  const headers = data.shift();
+  const statusIndex = headers.indexOf(COLUMN.STATUS);
+  const formTypeIndex = headers.indexOf(COLUMN.FORM_TYPE);
+
+  const requests = data
+    .filter(
+      (row) =>
+        row[statusIndex] === STATUS.APPROVED &&
+        ENTITLEMENT_FORMS.includes(_getFormIdFromType(row[formTypeIndex]))
+    )
+    .map((row) => {
+      const r = _rowToObject(row, headers);
+      let details = {};
+      try {
+        details = JSON.parse(r[COLUMN.DETAILS] || "{}");
+      } catch (e) {
+        /* a malformed row grants nothing */
+      }
+      return {
+        requestId: r[COLUMN.REQUEST_ID],
+        formId: _getFormIdFromType(r[COLUMN.FORM_TYPE]),
+        timestamp: r[COLUMN.TIMESTAMP],
+        requesterEmail: r[COLUMN.REQUESTER_EMAIL],
+        requesterName: r[COLUMN.REQUESTER_NAME],
+        department: r[COLUMN.DEPARTMENT],
+        subDepartment: r[COLUMN.SUB_DEPARTMENT],
+        details,
+        expiry: _parseExpiryState(r),
+      };
+    })
+    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+  const revoked = new Set(
+    _readAccessReviews(_getAccessReviewsSheet(false))
+      .filter((r) => r.decision === REVIEW_DECISION.REVOKED && r.signedOffAt)
+      .map((r) => `${r.entitlementKey}@${r.sourceRequestId}`)
+  );
+  return deriveEntitlements(requests, revoked);
+}
+
+/**
+ * PRIVATE: Finds who reviews a department's access: the first-level approver of
+ * the sub-department, or of the department as a whole.
+ * @param {string} department The department.
+ * @param {string} subDepartment The sub-department, if any.
+ * @returns {string|null} The reviewer's lowercased email, or null if none is configured.
+ */
+function _getAccessReviewer(department, subDepartment) {
+  const approverRow =
+    (subDepartment && _findInitialApproverRow(department, subDepartment)) ||
+    _findInitialApproverRow(department, "");
+  if (!approverRow) return null;
+  const { headers } = _getApproversData();
+  const emailIndex = headers.findIndex(
+    (h) => h.toLowerCase() === COLUMN.APPROVER_EMAIL.toLowerCase()
+  );
+  const email = approverRow[emailIndex];
+  return email ? email.toString().trim().toLowerCase() : null;
+}
+
+/**
+ * Gets the campaign ID of the quarter a date falls in.
+ * @param {Date} date The date.
+ * @returns {string} E.g. "2025-Q3".
+ */
+function getAccessReviewCampaignId(date) {
+  return `${date.getFullYear()}-Q${Math.floor(date.getMonth() / 3) + 1}`;
+}
+
+/**
+ * PRIVATE: Snapshots the entitlement register into a new review campaign and
+ * emails each reviewer. The caller holds the script lock.
+ * @param {string} campaignId The campaign ID.
+ * @returns {{created: boolean, items: number, reviewers: number}} What was created; created is false if the campaign already exists.
+ */
+function _createAccessReviewCampaign(campaignId) {
+  const sheet = _getAccessReviewsSheet(true);
+  if (_readAccessReviews(sheet).some((r) => r.campaignId === campaignId)) {
+    return { created: false, items: 0, reviewers: 0 };
+  }
+
+  const reviewerCache = {};
+  const rows = _loadEntitlements().map((e) => {
+    const cacheKey = `${e.department}|${e.subDepartment}`;
+    if (!(cacheKey in reviewerCache)) {
+      reviewerCache[cacheKey] =
+        _getAccessReviewer(e.department, e.subDepartment) ||
+        (IT_REVIEWER_EMAIL || "").toLowerCase();
+    }
+    return [
+      campaignId,
+      e.department,
+      reviewerCache[cacheKey],
+      e.key,
+      e.requestId,
+      e.subject,
+      e.system,
+      e.resource,
+      e.level,
+      REVIEW_DECISION.PENDING,
+      "",
+      "",
+      "",
+      "",
+      "",
+    ];
+  });
+  if (rows.length === 0) return { created: true, items: 0, reviewers: 0 };
+
+  sheet
+    .getRange(
+      sheet.getLastRow() + 1,
+      1,
+      rows.length,
+      ACCESS_REVIEW_HEADERS.length
+    )
+    .setValues(rows);
+
+  const countsByReviewer = {};
+  rows.forEach((row) => {
+    countsByReviewer[row[2]] = (countsByReviewer[row[2]] || 0) + 1;
+  });
+  Object.keys(countsByReviewer)
+    .filter(Boolean)
+    .forEach((reviewerEmail) => {
+      try {
+        sendAccessReviewEmail(
+          reviewerEmail,
+          campaignId,
+          countsByReviewer[reviewerEmail]
+        );
+      } catch (e) {
+        Logger.error(
+          "_createAccessReviewCampaign",
+          `Could not email reviewer ${reviewerEmail}`,
+          { error: e.message }
+        );
+      }
+    });
+  Logger.auditLog("ACCESS_REVIEW_STARTED", campaignId, {
+    items: rows.length,
+    reviewers: Object.keys(countsByReviewer).length,
+  });
+  return {
+    created: true,
+    items: rows.length,
+    reviewers: Object.keys(countsByReviewer).length,
+  };
+}
+
+/**
+ * Creates the monthly trigger for runQuarterlyAccessReview, replacing any
+ * existing one. Run once from the script editor by an administrator.
+ */
+function installAccessReviewTrigger() {
+  _replaceTimeTrigger("runQuarterlyAccessReview", (builder) =>
+    builder.onMonthDay(1).atHour(DIGEST_HOUR)
+  );
+  Logger.info("installAccessReviewTrigger", "Access review trigger installed");
+}
+
+/**
+ * Function to be called by the monthly time-driven trigger. Starts the review
+ * campaign for the quarter on the first day of January, April, July and October.
+ * @returns {Object|null} The result of _createAccessReviewCampaign, or null if nothing ran.
+ */
+function runQuarterlyAccessReview() {
+  const now = new Date();
+  if (now.getMonth() % 3 !== 0) return null;
+  const lock = LockService.getScriptLock();
+  try {
+    lock.waitLock(30000);
+  } catch (e) {
+    Logger.warn("runQuarterlyAccessReview", "Skipped: system is busy");
+    return null;
+  }
+  try {
+    const result = _createAccessReviewCampaign(getAccessReviewCampaignId(now));
+    Logger.info("runQuarterlyAccessReview", "Access review run", result);
+    return result;
+  } catch (e) {
+    Logger.error("runQuarterlyAccessReview", "Access review run failed", {
+      error: e.message,
+    });
+    return null;
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Starts the review campaign for the current quarter now, instead of waiting for
+ * the trigger. Admin only.
+ * @param {string} lang The current language ('en' or 'th') for response messages.
+ * @returns {Object} A status object.
+ */
+function startAccessReviewCampaign(lang) {
+  const translations = JSON.parse(
+    getTranslations(lang).replace(/<pre>|<\/pre>/g, "")
+  );
+  if (!isUserAdmin()) {
+    return {
+      status: "error",
+      message: "You do not have permission to start an access review.",
+    };
+  }
+  const lock = LockService.getScriptLock();
+  try {
+    lock.waitLock(30000);
+  } catch (e) {
+    return {
+      status: "error",
+      message: "System is busy, please try again in a moment.",
+    };
+  }
+  try {
+    const campaignId = getAccessReviewCampaignId(new Date());
+    const result = _createAccessReviewCampaign(campaignId);
+    if (!result.created) {
+      return {
+        status: "error",
+        message: (
+          translations.msgAccessReviewExists ||
+          "The {campaign} access review has already been started."
+        ).replace("{campaign}", campaignId),
+      };
+    }
+    return {
+      status: "success",
+      message: (
+        translations.msgAccessReviewStarted ||
+        "Access review {campaign} started: {items} entitlements sent to {reviewers} reviewers."
+      )
+        .replace("{campaign}", campaignId)
+        .replace("{items}", result.items)
+        .replace("{reviewers}", result.reviewers),
+    };
+  } catch (e) {
+    console.error(`Error in startAccessReviewCampaign: ${e.message}`);
+    return {
+      status: "error",
+      message: `Failed to start the access review: ${e.message}`,
+    };
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * PRIVATE: Whether a user has review rows that are not signed off yet.
+ * @param {string} userEmail The user's email.
+ * @returns {boolean} True if the user has an open access review.
+ */
+function _hasOpenAccessReview(userEmail) {
+  const email = (userEmail || "").trim().toLowerCase();
+  return _readAccessReviews(_getAccessReviewsSheet(false)).some(
+    (r) => r.reviewerEmail === email && !r.signedOffAt
+  );
+}
+
+/**
+ * PRIVATE: Summarizes review rows per campaign and reviewer.
+ * @param {Array<Object>} rows Rows from _readAccessReviews.
+ * @returns {Array<Object>} {campaignId, reviewerEmail, departments, total, confirmed, revoked, pending, signedOffBy, signedOffAt}, newest campaign first.
+ */
+function _summarizeAccessReviews(rows) {
+  const groups = {};
+  rows.forEach((r) => {
+    const id = `${r.campaignId}|${r.reviewerEmail}`;
+    const group = (groups[id] = groups[id] || {
+      campaignId: r.campaignId,
+      reviewerEmail: r.reviewerEmail,
+      departments: [],
+      total: 0,
+      confirmed: 0,
+      revoked: 0,
+      pending: 0,
+      signedOffBy: r.signedOffBy,
+      signedOffAt: r.signedOffAt,
+    });
+    if (!group.departments.includes(r.department)) {
+      group.departments.push(r.department);
+    }
+    group.total++;
+    if (r.decision === REVIEW_DECISION.CONFIRMED) group.confirmed++;
+    else if (r.decision === REVIEW_DECISION.REVOKED) group.revoked++;
+    else group.pending++;
+  });
+  return Object.values(groups).sort(
+    (a, b) =>
+      b.campaignId.localeCompare(a.campaignId) ||
+      a.reviewerEmail.localeCompare(b.reviewerEmail)
+  );
+}
+
+/**
+ * Gets everything the access review view shows: the current user's open review
+ * items and, for admins, the campaign progress and the entitlement register.
+ * @returns {Object} {myReviews, campaigns, entitlements}, or an error object.
+ */
+function getAccessReviewOverview() {
+  try {
+    const userEmail = getUserEmail().trim().toLowerCase();
+    const rows = _readAccessReviews(_getAccessReviewsSheet(false));
+    const myReviews = rows
+      .filter((r) => r.reviewerEmail === userEmail && !r.signedOffAt)
+      .map(({ row, ...item }) => item);
+    if (!isUserAdmin()) {
+      return { myReviews, campaigns: null, entitlements: null };
+    }
+    return {
+      myReviews,
+      campaigns: _summarizeAccessReviews(rows),
+      entitlements: _loadEntitlements(),
+    };
+  } catch (e) {
+    console.error(`Error in getAccessReviewOverview: ${e.message}`);
+    return {
+      error: true,
+      message: `Failed to load access reviews: ${e.message}`,
+    };
+  }
+}
+
+/**
+ * Saves a reviewer's decisions for a campaign and optionally signs it off.
+ * Signing off requires a decision on every item; revocations are then applied
+ * to the register and sent to the helpdesk.
+ * @param {string} campaignId The campaign ID.
+ * @param {Array<Object>} decisions {entitlementKey, decision, notes} per reviewed item.
+ * @param {boolean} signOff Whether to sign off the review.
+ * @param {string} lang The current language ('en' or 'th') for response messages.
+ * @returns {Object} A status object.
+ */
+function saveAccessReviewDecisions(campaignId, decisions, signOff, lang) {
+  const translations = JSON.parse(
+    getTranslations(lang).replace(/<pre>|<\/pre>/g, "")
+  );
+  const userEmail = getUserEmail().trim().toLowerCase();
+  const decisionsByKey = {};
+  (decisions || []).forEach((d) => {
+    if (
+      [REVIEW_DECISION.CONFIRMED, REVIEW_DECISION.REVOKED].includes(d.decision)
+    ) {
+      decisionsByKey[d.entitlementKey] = d;
+    }
+  });
+
+  const lock = LockService.getScriptLock();
+  try {
+    lock.waitLock(30000);
+  } catch (e) {
+    return {
+      status: "error",
+      message: "System is busy, please try again in a moment.",
+    };
+  }
+
+  try {
+    const sheet = _getAccessReviewsSheet(false);
+    const myRows = _readAccessReviews(sheet).filter(
+      (r) =>
+        r.campaignId === campaignId &&
+        r.reviewerEmail === userEmail &&
+        !r.signedOffAt
+    );
+    if (myRows.length === 0) {
+      return {
+        status: "error",
+        message:
+          translations.msgNoOpenAccessReview ||
+          "You have no open access review for this campaign.",
+      };
+    }
+
+    const timestamp = new Date().toISOString();
+    myRows.forEach((r) => {
+      const d = decisionsByKey[r.entitlementKey];
+      if (!d) return;
+      r.decision = d.decision;
+      r.notes = _sanitizeNotes(d.notes);
+      r.decidedBy = userEmail;
+      r.decidedAt = timestamp;
+    });
+    if (signOff && myRows.some((r) => r.decision === REVIEW_DECISION.PENDING)) {
+      return {
+        status: "error",
+        message:
+          translations.msgAccessReviewIncomplete ||
+          "Please confirm or revoke every entitlement before signing off.",
+      };
+    }
+
+    const decisionColumn = ACCESS_REVIEW_HEADERS.indexOf("Decision") + 1;
+    myRows.forEach((r) => {
+      sheet
+        .getRange(r.row, decisionColumn, 1, 6)
+        .setValues([
+          [
+            r.decision,
+            r.notes,
+            r.decidedBy,
+            r.decidedAt,
+            signOff ? userEmail : "",
+            signOff ? timestamp : "",
+          ],
+        ]);
+    });
+
+    if (signOff) {
+      const revoked = myRows.filter(
+        (r) => r.decision === REVIEW_DECISION.REVOKED
+      );
+      if (revoked.length > 0) {
+        sendAccessRevocationEmail(campaignId, userEmail, revoked);
+      }
+      Logger.auditLog("ACCESS_REVIEW_SIGNED_OFF", campaignId, {
+        reviewer: userEmail,
+        confirmed: myRows.length - revoked.length,
+        revoked: revoked.length,
+      });
+    }
+    return {
+      status: "success",
+      message: signOff
+        ? translations.msgAccessReviewSignedOff ||
+          "Access review signed off. Thank you."
+        : translations.msgAccessReviewSaved || "Review decisions saved.",
+    };
+  } catch (e) {
+    console.error(`Error in saveAccessReviewDecisions: ${e.message}`);
+    return {
+      status: "error",
+      message: `Failed to save the access review: ${e.message}`,
+    };
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Generates the sign-off report of a review campaign as a PDF. Admin only.
+ * @param {string} campaignId The campaign ID.
+ * @returns {Object} {base64, filename}, or {error}.
+ */
+function generateAccessReviewReportPdf(campaignId) {
+  try {
+    if (!isUserAdmin()) {
+      throw new Error("You are not authorized to download this report.");
+    }
+    const rows = _readAccessReviews(_getAccessReviewsSheet(false)).filter(
+      (r) => r.campaignId === campaignId
+    );
+    if (rows.length === 0) throw new Error("Campaign not found.");
+
+    const template = HtmlService.createTemplateFromFile("access_review_report");
+    template.report = {
+      campaignId,
+      companyName: COMPANY_NAME,
+      generatedAt: new Date(),
+      reviewers: _summarizeAccessReviews(rows),
+      items: rows,
+    };
+    const pdfBlob = Utilities.newBlob(
+      template.evaluate().getContent(),
+      MimeType.HTML,
+      `access-review-${campaignId}.html`
+    ).getAs(MimeType.PDF);
+    return {
+      base64: Utilities.base64Encode(pdfBlob.getBytes()),
+      filename: `access-review-${campaignId}.pdf`,
+    };
+  } catch (e) {
+    console.error(`Error in generateAccessReviewReportPdf: ${e.message}`);
+    return { error: e.message };
+  }
+}
+
+// ================================================================================
+// REQUEST ATTACHMENTS
+// ================================================================================
+//
+// Files attached on submission (a vendor quote, a license document, a network
+// diagram) are stored in a Drive folder per request, named after the request ID,
+// inside ATTACHMENTS_FOLDER_ID (or an "ApprovalSystem_Attachments" folder). The
+// attachments column holds {folderId, files: [{fileId, name, mimeType, size}]}.
+// Files stay private to the script owner: users download them through
+// getAttachmentAsBase64, which applies the same check as the request PDF. The
+// helpdesk is given view access to the folder when the request is approved, so
+// the links in its ticket email work.
+//
+
+const ATTACHMENTS_FOLDER_NAME = "ApprovalSystem_Attachments";
+
+/**
+ * PRIVATE: Checks the files attached to a submission against the limits.
+ * @param {Array<Object>} attachments The files ({name, mimeType, base64}), or undefined.
+ * @param {Object} translations The translations object for error messages.
+ * @returns {{isValid: boolean, message?: string}} The validation result.
+ */
+function _validateAttachments(attachments, translations) {
+  if (!attachments || attachments.length === 0) return { isValid: true };
+  if (!Array.isArray(attachments) || attachments.length > MAX_ATTACHMENTS) {
+    return {
+      isValid: false,
+      message: (
+        translations.errorTooManyAttachments ||
+        "You can attach at most {max} files."
+      ).replace("{max}", MAX_ATTACHMENTS),
+    };
+  }
+  for (const file of attachments) {
+    const name = String((file && file.name) || "");
+    const extension = (name.match(/\.([^.]+)$/) || [])[1] || "";
+    if (!ATTACHMENT_EXTENSIONS.includes(extension.toLowerCase())) {
+      return {
+        isValid: false,
+        message: (
+          translations.errorAttachmentType ||
+          "{name}: this file type cannot be attached."
+        ).replace("{name}", name),
+      };
+    }
+    // Base64 encodes 3 bytes in 4 characters.
+    if (
+      Math.floor((String(file.base64 || "").length * 3) / 4) >
+      MAX_ATTACHMENT_BYTES
+    ) {
+      return {
+        isValid: false,
+        message: (
+          translations.errorAttachmentTooLarge ||
+          "{name} is larger than {max} MB."
+        )
+          .replace("{name}", name)
+          .replace("{max}", MAX_ATTACHMENT_BYTES / (1024 * 1024)),
+      };
+    }
+  }
+  return { isValid: true };
+}
+
+/**
+ * PRIVATE: Gets the folder that holds the per-request attachment folders,
+ * creating it by name if ATTACHMENTS_FOLDER_ID is not set.
+ * @returns {string} The folder ID.
+ */
+function _getAttachmentsRootFolderId() {
+  if (ATTACHMENTS_FOLDER_ID) return ATTACHMENTS_FOLDER_ID;
+  const searchResults = Drive.Files.list({
+    q: `title = '${ATTACHMENTS_FOLDER_NAME}' and mimeType = 'application/vnd.google-apps.folder' and trashed = false`,
+    supportsAllDrives: true,
+    includeItemsFromAllDrives: true,
+    corpora: "allDrives",
+  });
+  if (searchResults.items && searchResults.items.length > 0) {
+    return searchResults.items[0].id;
+  }
+  return Drive.Files.insert(
+    {
+      title: ATTACHMENTS_FOLDER_NAME,
+      mimeType: "application/vnd.google-apps.folder",
+    },
+    null,
+    { supportsAllDrives: true }
+  ).id;
+}
+
+/**
+ * PRIVATE: Stores a submission's files in a new Drive folder. If any upload fails
+ * the folder is trashed and the error rethrown.
+ * @param {string} folderTitle The name of the new folder.
+ * @param {Array<Object>} attachments The validated files ({name, mimeType, base64}).
+ * @returns {Object} The value for the attachments column ({folderId, files}).
+ */
+function _saveAttachments(folderTitle, attachments) {
+  const folderId = Drive.Files.insert(
+    {
+      title: folderTitle,
+      mimeType: "application/vnd.google-apps.folder",
+      parents: [{ id: _getAttachmentsRootFolderId() }],
+    },
+    null,
+    { supportsAllDrives: true }
+  ).id;
+  try {
+    const files = attachments.map((file) => {
+      // File names are shown in the app and emails, so markup and path characters go.
+      const name = String(file.name).replace(/[<>"'\/\\]/g, "_");
+      const blob = Utilities.newBlob(
+        Utilities.base64Decode(file.base64),
+        file.mimeType || MimeType.BINARY,
+        name
+      );
+      const saved = Drive.Files.insert(
+        { title: name, parents: [{ id: folderId }] },
+        blob,
+        { supportsAllDrives: true }
+      );
+      return {
+        fileId: saved.id,
+        name,
+        mimeType: blob.getContentType(),
+        size: blob.getBytes().length,
+      };
+    });
+    return { folderId, files };
+  } catch (e) {
+    _trashAttachmentsFolder(folderId);
+    throw e;
+  }
+}
+
+/**
+ * PRIVATE: Moves an attachments folder to the trash, logging instead of throwing.
+ * @param {string} folderId The Drive folder ID.
+ */
+function _trashAttachmentsFolder(folderId) {
+  try {
+    Drive.Files.trash(folderId, { supportsAllDrives: true });
+  } catch (e) {
+    Logger.error("trashAttachmentsFolder", "Failed to trash attachments", {
+      folderId,
+      error: e.message,
+    });
+  }
+}
+
+/**
+ * PRIVATE: Parses the attachments column of a request row object.
+ * @param {Object} request The request row object.
+ * @returns {Object} {folderId, files}; files is empty if there are none or the cell is malformed.
+ */
+function _parseAttachments(request) {
+  try {
+    const parsed = JSON.parse(request[COLUMN.ATTACHMENTS] || "{}");
+    return { folderId: parsed.folderId || "", files: parsed.files || [] };
+  } catch (e) {
+    return { folderId: "", files: [] };
+  }
+}
+
+/**
+ * PRIVATE: Whether a user takes part in a request: the requester, an approver
+ * who has acted on it, or whoever it is waiting on (or their delegate).
+ * @param {Object} request The request row object.
+ * @param {string} userEmail The user's email.
+ * @returns {boolean} True if the user takes part in the request.
+ */
+function _isRequestParticipant(request, userEmail) {
+  const email = userEmail.trim().toLowerCase();
+  if (request[COLUMN.REQUESTER_EMAIL].trim().toLowerCase() === email) {
+    return true;
+  }
+  let history = [];
+  try {
+    if (request[COLUMN.HISTORY]) history = JSON.parse(request[COLUMN.HISTORY]);
+  } catch (e) {}
+  return (
+    _hasActionedRequest(history, email) ||
+    _getActingApprover(
+      request[COLUMN.CURRENT_APPROVER],
+      email,
+      _getActiveDelegators(email)
+    ) !== null
+  );
+}
+
+/**
+ * PRIVATE: Whether a user may download a request's documents (its PDF and
+ * attachments): the requester, approvers who have acted on it, and admins.
+ * @param {Object} request The request row object.
+ * @param {string} userEmail The user's email.
+ * @returns {boolean} True if the user may download the documents.
+ */
+function _canAccessRequestDocuments(request, userEmail) {
+  const email = userEmail.trim().toLowerCase();
+  if (request[COLUMN.REQUESTER_EMAIL].trim().toLowerCase() === email) {
+    return true;
+  }
+  let history = [];
+  try {
+    if (request[COLUMN.HISTORY]) history = JSON.parse(request[COLUMN.HISTORY]);
+  } catch (e) {}
+  return _hasActionedRequest(history, email) || isUserAdmin();
+}
+
+/**
+ * Downloads one attachment of a request as a Base64 encoded string.
+ * @param {string} requestId The ID of the request.
+ * @param {string} fileId The Drive ID of the attachment.
+ * @returns {Object} {base64, filename, mimeType}, or {error}.
+ */
+function getAttachmentAsBase64(requestId, fileId) {
+  try {
+    const request = _getRequestObjectById(requestId);
+    if (!request) throw new Error("Request not found.");
+    if (!_canAccessRequestDocuments(request, getUserEmail())) {
+      throw new Error("You are not authorized to download this document.");
+    }
+    // Only files recorded on this request may be fetched through it.
+    const file = _parseAttachments(request).files.find(
+      (f) => f.fileId === fileId
+    );
+    if (!file) throw new Error("Attachment not found.");
+
+    const blob = DriveApp.getFileById(fileId).getBlob();
+    return {
+      base64: Utilities.base64Encode(blob.getBytes()),
+      filename: file.name,
+      mimeType: file.mimeType,
+    };
+  } catch (e) {
+    console.error(
+      `Error in getAttachmentAsBase64 for request ${requestId}: ${e.message}`
+    );
+    return { error: e.message };
+  }
+}
+
+/**
+ * PRIVATE: Gives the helpdesk view access to a request's attachment folder and
+ * describes the files for its ticket email.
+ * @param {Object} request The request row object.
+ * @returns {string} One "name: link" line per file, or empty if there are none.
+ */
+function _shareAttachmentsWithHelpdesk(request) {
+  const { folderId, files } = _parseAttachments(request);
+  if (files.length === 0) return "";
+  try {
+    DriveApp.getFolderById(folderId).addViewers(
+      _parseEmailList(HELPDESK_EMAIL)
+    );
+  } catch (e) {
+    Logger.warn(
+      "_shareAttachmentsWithHelpdesk",
+      "Could not share the attachment folder with the helpdesk",
+      { requestId: request[COLUMN.REQUEST_ID], error: e.message }
+    );
+  }
+  return files
+    .map(
+      (file) =>
+        `- ${file.name}: https://drive.google.com/file/d/${file.fileId}/view`
+    )
+    .join("\n");
+}
+
+// ================================================================================
+// REQUEST COMMENTS
+// ================================================================================
+//
+// A comment thread per request, between the requester and the approvers, kept
+// apart from the action notes in approvalHistory. Comments live in the Comments
+// sheet (created on first use); a reply carries the ID of the comment it answers,
+// and threads are one level deep. Writing @name@example.com mentions a
+// participant, who is emailed. Participants and admins can read and post.
+//
+
+const COMMENT_HEADERS = [
+  "CommentId",
+  "RequestId",
+  "ParentId",
+  "AuthorEmail",
+  "Text",
+  "Timestamp",
+  "Mentions",
+];
+
+/**
+ * Finds the email addresses mentioned in a comment with an @ prefix.
+ * @param {string} text The comment text, e.g. "@ciso@example.com please check".
+ * @returns {string[]} The mentioned emails, lowercased and without duplicates.
+ */
+function extractMentions(text) {
+  const mentions = [];
+  const pattern = /(^|[^\w.])@([\w.%+-]+@[\w-]+(?:\.[\w-]+)+)/g;
+  let match;
+  while ((match = pattern.exec(text || "")) !== null) {
+    const email = match[2].replace(/\.+$/, "").toLowerCase();
+    if (!mentions.includes(email)) mentions.push(email);
+  }
+  return mentions;
+}
+
+/**
+ * PRIVATE: Gets the Comments sheet, optionally creating it with its header row.
+ * @param {boolean} create Whether to create the sheet if it does not exist.
+ * @returns {GoogleAppsScript.Spreadsheet.Sheet|null} The sheet, or null if missing and not created.
+ */
+function _getCommentsSheet(create) {
+  const spreadsheet = SpreadsheetApp.openById(SPREADSHEET_ID);
+  let sheet = spreadsheet.getSheetByName(COMMENTS_SHEET_NAME);
+  if (!sheet && create) {
+    sheet = spreadsheet.insertSheet(COMMENTS_SHEET_NAME);
+    sheet
+      .getRange(1, 1, 1, COMMENT_HEADERS.length)
+      .setValues([COMMENT_HEADERS]);
+  }
+  return sheet;
+}
+
+/**
+ * PRIVATE: Reads the comment threads of a request, oldest first.
+ * @param {string} requestId The ID of the request.
+ * @returns {Array<Object>} Top-level comments ({commentId, authorEmail, text, timestamp, replies}).
+ */
+function _getCommentThreads(requestId) {
+  const sheet = _getCommentsSheet(false);
+  if (!sheet || sheet.getLastRow() <= 1) return [];
+  const comments = sheet
+    .getRange(2, 1, sheet.getLastRow() - 1, COMMENT_HEADERS.length)
+    .getValues()
+    .filter((row) => row[1] === requestId)
+    .map((row) => ({
+      commentId: row[0],
+      parentId: row[2],
+      authorEmail: row[3],
+      text: row[4],
+      timestamp: row[5] instanceof Date ? row[5].toISOString() : row[5],
+    }))
+    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+  const threads = comments
+    .filter((c) => !c.parentId)
+    .map((c) => ({ ...c, replies: [] }));
+  comments
+    .filter((c) => c.parentId)
+    .forEach((reply) => {
+      const parent = threads.find((t) => t.commentId === reply.parentId);
+      if (parent) parent.replies.push(reply);
+    });
+  return threads;
+}
+
+/**
+ * PRIVATE: Lists the people taking part in a request, who may be mentioned.
+ * @param {Object} request The request row object.
+ * @returns {string[]} Lowercased emails of the requester, the approvers in the history and the current approvers.
+ */
+function _getRequestParticipants(request) {
+  let history = [];
+  try {
+    if (request[COLUMN.HISTORY]) history = JSON.parse(request[COLUMN.HISTORY]);
+  } catch (e) {}
+  const emails = [
+    request[COLUMN.REQUESTER_EMAIL],
+    ...history.map((h) => h.approverEmail),
+    ..._parseEmailList(request[COLUMN.CURRENT_APPROVER]),
+  ]
+    .filter((email) => email && email !== SLA_SYSTEM_ACTOR)
+    .map((email) => email.toString().trim().toLowerCase());
+  return Array.from(new Set(emails));
+}
+
+/**
+ * PRIVATE: Whether a user may read and post comments on a request.
+ * @param {Object} request The request row object.
+ * @param {string} userEmail The user's email.
+ * @returns {boolean} True for the request's participants and admins.
+ */
+function _canAccessRequestComments(request, userEmail) {
+  return _isRequestParticipant(request, userEmail) || isUserAdmin();
+}
+
+/**
+ * Posts a comment, or a reply to one, on a request and emails anyone mentioned.
+ * @param {string} requestId The ID of the request.
+ * @param {string} text The comment text.
+ * @param {string} parentId The ID of the comment being answered, or empty for a new thread.
+ * @param {string} lang The current language ('en' or 'th') for response messages.
+ * @returns {Object} A status object; on success it carries the request's updated comments.
+ */
+function addRequestComment(requestId, text, parentId, lang) {
+  const translations = JSON.parse(
+    getTranslations(lang).replace(/<pre>|<\/pre>/g, "")
+  );
+  const userEmail = getUserEmail().trim().toLowerCase();
+  const cleanText = _sanitizeNotes(text).trim();
+  if (!cleanText) {
+    return {
+      status: "error",
+      message: translations.msgCommentRequired || "Please enter a comment.",
+    };
+  }
+
+  const lock = LockService.getScriptLock();
+  try {
+    lock.waitLock(30000);
+  } catch (e) {
+    return {
+      status: "error",
+      message: "System is busy, please try again in a moment.",
+    };
+  }
+
+  try {
+    const request = _getRequestObjectById(requestId);
+    if (!request || !_canAccessRequestComments(request, userEmail)) {
+      return {
+        status: "error",
+        message: "You do not have permission to comment on this request.",
+      };
+    }
+    // Replies always attach to the top of a thread.
+    const threads = _getCommentThreads(requestId);
+    if (parentId && !threads.some((t) => t.commentId === parentId)) {
+      return {
+        status: "error",
+        message: translations.msgCommentNotFound || "Comment not found.",
+      };
+    }
+
+    const participants = _getRequestParticipants(request);
+    const mentions = extractMentions(cleanText).filter(
+      (email) => email !== userEmail
+    );
+    const notified = mentions.filter((email) => participants.includes(email));
+    const commentId = Utilities.getUuid();
+    _getCommentsSheet(true).appendRow([
+      commentId,
+      requestId,
+      parentId || "",
+      userEmail,
+      cleanText,
+      new Date(),
+      notified.join(","),
+    ]);
+
+    notified.forEach((email) => {
+      try {
+        sendCommentMentionEmail(email, request, userEmail, cleanText);
+      } catch (e) {
+        Logger.error("addRequestComment", "Could not email a mention", {
+          requestId,
+          email,
+          error: e.message,
+        });
+      }
+    });
+    Logger.auditLog("COMMENT_ADDED", requestId, {
+      commentId,
+      author: userEmail,
+      mentions: notified,
+    });
+
+    const notNotified = mentions.filter((email) => !notified.includes(email));
+    return {
+      status: "success",
+      message:
+        notNotified.length > 0
+          ? (
+              translations.msgCommentMentionsSkipped ||
+              "Comment posted. {emails} could not be notified because they are not part of this request."
+            ).replace("{emails}", notNotified.join(", "))
+          : translations.msgCommentPosted || "Comment posted.",
+      comments: _getCommentThreads(requestId),
+    };
+  } catch (e) {
+    console.error(`Error in addRequestComment: ${e.message}`);
+    return {
+      status: "error",
+      message: `Failed to post the comment: ${e.message}`,
+    };
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+// ================================================================================
+// ADMIN REQUEST EXPLORER & REASSIGNMENT
+// ================================================================================
+//
+// getRequestById and getRequestByIdForApprover only serve a request's own
+// participants, so admins get their own explorer: a paginated search across all
+// requests, with drill-down into the normal detail view.
+//
+// Only the current approver can act on a request, so requests assigned to someone
+// who has left would wait forever. From the same view admins can move open ones
+// (pending, or returned for info) to another approver. Each move is recorded as
+// a Reassigned history entry, which restarts the SLA clock, and the new approver
+// gets the usual new-request email.
+//
+
+/**
+ * PRIVATE: Collects the values in a request's details JSON for free-text search,
+ * so that field names such as "position" do not match every request.
+ * @param {string} details The details column value.
+ * @returns {string} The values, lowercased and space separated.
+ */
+function _getDetailsSearchText(details) {
+  const values = [];
+  const collect = (value) => {
+    if (value === null || value === undefined) return;
+    if (typeof value === "object") {
+      Object.keys(value).forEach((key) => collect(value[key]));
+    } else {
+      values.push(String(value));
     }
+  };
+  try {
+    collect(JSON.parse(details || "{}"));
+  } catch (e) {
+    values.push(String(details)); // Not JSON: search the raw text
   }
+  return values.join(" ").toLowerCase();
+}
 
-  /**
-   * Gets approximate backup size information.
-   * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} spreadsheet The backup spreadsheet.
-   * @returns {Object} Size information.
-   */
-  static getBackupSize(spreadsheet) {
-    try {
-      const file = DriveApp.getFileById(spreadsheet.getId());
-      return {
-        bytes: file.getSize(),
-        readable: this.formatBytes(file.getSize()),
-      };
-    } catch (e) {
-      return { bytes: 0, readable: "Unknown" };
-    }
+/**
+ * PRIVATE: Checks a request against the All requests search filters.
+ * @param {Object} request The request row object.
+ * @param {Object} filters See searchAllRequests.
+ * @param {string[]} pendingStatuses From _getPendingStatuses, read once per search.
+ * @returns {boolean} True if the request matches every filter that is set.
+ */
+function _matchesRequestSearch(request, filters, pendingStatuses) {
+  const contains = (value, term) =>
+    String(value || "")
+      .toLowerCase()
+      .includes(term.trim().toLowerCase());
+  const status = request[COLUMN.STATUS];
+  const isReassignable = _isReassignable(status, pendingStatuses);
+  const timestamp = new Date(request[COLUMN.TIMESTAMP]);
+
+  if (
+    filters.formType &&
+    _getFormIdFromType(request[COLUMN.FORM_TYPE]) !== filters.formType
+  ) {
+    return false;
+  }
+  if (
+    filters.status &&
+    (filters.status === "Open" ? !isReassignable : status !== filters.status)
+  ) {
+    return false;
+  }
+  if (filters.department && request[COLUMN.DEPARTMENT] !== filters.department) {
+    return false;
+  }
+  if (
+    filters.subDepartment &&
+    request[COLUMN.SUB_DEPARTMENT] !== filters.subDepartment
+  ) {
+    return false;
+  }
+  if (
+    filters.requester &&
+    !contains(request[COLUMN.REQUESTER_NAME], filters.requester) &&
+    !contains(request[COLUMN.REQUESTER_EMAIL], filters.requester)
+  ) {
+    return false;
+  }
+  // The current approver column is only meaningful while the request is open.
+  if (
+    filters.currentApprover &&
+    !(
+      isReassignable &&
+      contains(request[COLUMN.CURRENT_APPROVER], filters.currentApprover)
+    )
+  ) {
+    return false;
+  }
+  if (
+    filters.dateFrom &&
+    timestamp < new Date(`${filters.dateFrom}T00:00:00`)
+  ) {
+    return false;
+  }
+  if (filters.dateTo && timestamp > new Date(`${filters.dateTo}T23:59:59`)) {
+    return false;
   }
+  if (filters.text) {
+    const haystack = `${String(
+      request[COLUMN.REQUEST_ID]
+    ).toLowerCase()} ${_getDetailsSearchText(request[COLUMN.DETAILS])}`;
+    const terms = filters.text.toLowerCase().split(/\s+/).filter(Boolean);
+    if (!terms.every((term) => haystack.includes(term))) return false;
+  }
+  return true;
+}
 
-  /**
-   * Formats bytes into human readable format.
-   * @param {number} bytes The number of bytes.
-   * @returns {string} Formatted string.
-   */
-  static formatBytes(bytes) {
-    if (bytes === 0) return "0 B";
-    const k = 1024;
-    const sizes = ["B", "KB", "MB", "GB"];
-    const i = Math.floor(Math.log(bytes) / Math.log(k));
-    return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + " " + sizes[i];
+/**
+ * Searches every request for the admin All requests view. Admin only.
+ * @param {Object} filters {formType (form ID, e.g. '011'), status, department,
+ *   subDepartment, requester, currentApprover, dateFrom, dateTo (YYYY-MM-DD), text}.
+ *   Empty filters match everything; the status 'Open' matches requests that are
+ *   still waiting on an approver. text searches the request ID and form details.
+ * @param {Object} sort {key: 'requestTimestamp' or 'requestId', direction: 'asc' or 'desc'}.
+ * @param {number} page The 1-based page number.
+ * @returns {Object} {requests, total, page, pageSize}, or an error object.
+ */
+function searchAllRequests(filters, sort, page) {
+  if (!isUserAdmin()) {
+    return {
+      error: true,
+      message: "You do not have permission to view all requests.",
+    };
   }
+  try {
+    const sheet =
+      SpreadsheetApp.openById(SPREADSHEET_ID).getSheetByName(
+        REQUESTS_SHEET_NAME
+      );
+    if (!sheet) throw new Error(`Sheet "${REQUESTS_SHEET_NAME}" not found.`);
+    const data = sheet.getDataRange().getValues();
+    const headers = data.shift();
+    const sortKey =
+      sort && sort.key === "requestId" ? COLUMN.REQUEST_ID : COLUMN.TIMESTAMP;
+    const direction = sort && sort.direction === "asc" ? 1 : -1;
+    const pendingStatuses = _getPendingStatuses();
 
-  /**
-   * Lists available backups.
-   * @returns {Array} Array of backup information objects.
-   */
-  static listBackups() {
-    try {
-      const backupFolderId = this.getOrCreateBackupFolder().getId();
-      const query = `'${backupFolderId}' in parents and mimeType = '${MimeType.GOOGLE_SHEETS}' and title contains 'Backup_' and trashed = false`;
-      const filesList = Drive.Files.list({
-        q: query,
-        maxResults: 200,
-        supportsAllDrives: true,
-        includeItemsFromAllDrives: true,
-        corpora: "allDrives",
+    const matches = data
+      .map((row) => _rowToObject(row, headers))
+      .filter((r) => _matchesRequestSearch(r, filters || {}, pendingStatuses))
+      .sort((a, b) => {
+        const valA =
+          sortKey === COLUMN.TIMESTAMP ? new Date(a[sortKey]) : a[sortKey];
+        const valB =
+          sortKey === COLUMN.TIMESTAMP ? new Date(b[sortKey]) : b[sortKey];
+        if (valA < valB) return -1 * direction;
+        if (valA > valB) return 1 * direction;
+        return 0;
       });
 
-      const backups = [];
-      if (filesList.items) {
-        filesList.items.forEach((file) => {
-          backups.push({
-            id: file.id,
-            name: file.title,
-            createdDate: new Date(file.createdDate),
-            size: this.formatBytes(file.fileSize || 0),
-            url: file.alternateLink,
-          });
-        });
-      }
-
-      return backups.sort((a, b) => b.createdDate - a.createdDate);
-    } catch (e) {
-      Logger.error("BackupManager.listBackups", "Failed to list backups", {
-        error: e.message,
-      });
-      return [];
-    }
+    const pageCount = Math.max(
+      1,
+      Math.ceil(matches.length / ALL_REQUESTS_PAGE_SIZE)
+    );
+    const currentPage = Math.min(Math.max(1, Number(page) || 1), pageCount);
+    const requests = matches
+      .slice(
+        (currentPage - 1) * ALL_REQUESTS_PAGE_SIZE,
+        currentPage * ALL_REQUESTS_PAGE_SIZE
+      )
+      .map((r) => ({
+        requestId: r[COLUMN.REQUEST_ID],
+        formType: r[COLUMN.FORM_TYPE],
+        requestTimestamp: r[COLUMN.TIMESTAMP],
+        requesterName: r[COLUMN.REQUESTER_NAME],
+        requesterEmail: r[COLUMN.REQUESTER_EMAIL],
+        department: r[COLUMN.DEPARTMENT],
+        subDepartment: r[COLUMN.SUB_DEPARTMENT],
+        status: r[COLUMN.STATUS],
+        currentApproverEmail: r[COLUMN.CURRENT_APPROVER],
+        isReassignable: _isReassignable(r[COLUMN.STATUS], pendingStatuses),
+      }));
+    return {
+      requests,
+      total: matches.length,
+      page: currentPage,
+      pageSize: ALL_REQUESTS_PAGE_SIZE,
+    };
+  } catch (e) {
+    console.error(`Error in searchAllRequests: ${e.message}`);
+    return { error: true, message: `Failed to search requests: ${e.message}` };
   }
+}
 
-  /**
-   * Restores data from a backup (admin only).
-   * @param {string} backupId The ID of the backup to restore.
-   * @returns {Object} Restore result.
-   */
-  static restoreFromBackup(backupId) {
+/**
+ * Gets any request by its ID for the admin All requests view. Admin only.
+ * @param {string} requestId The ID of the request to fetch.
+ * @returns {Object} The request object, or an error object.
+ */
+function getRequestByIdForAdmin(requestId) {
+  try {
     if (!isUserAdmin()) {
       return {
-        success: false,
-        error: "Only administrators can restore from backups.",
+        error: true,
+        message: "You do not have permission to view this request.",
       };
     }
+    const request = _getRequestObjectById(requestId);
+    if (!request) {
+      return { error: true, message: "Request not found." };
+    }
+    request.stepProgress = _getStepProgress(request);
+    request.accessExpiry = _describeAccessExpiry(request);
+    request.attachments = _parseAttachments(request).files;
+    request.comments = _getCommentThreads(requestId);
+    if (_getFormIdFromType(request[COLUMN.FORM_TYPE]) === "099") {
+      request.loan = _getLoanForRequest(requestId);
+    }
+    return request;
+  } catch (e) {
+    console.error(`Error in getRequestByIdForAdmin: ${e.message}`);
+    return { error: true, message: `Failed to retrieve request: ${e.message}` };
+  }
+}
+
+/**
+ * PRIVATE: Whether a request in this status is waiting on an approver.
+ * @param {string} status The request status.
+ * @param {string[]} [pendingStatuses] From _getPendingStatuses; pass it in when checking many rows.
+ * @returns {boolean} True for pending statuses and Needs Info.
+ */
+function _isReassignable(status, pendingStatuses = _getPendingStatuses()) {
+  return pendingStatuses.includes(status) || status === STATUS.NEEDS_INFO;
+}
+
+/**
+ * PRIVATE: Moves one request to another approver: sets currentApproverEmail and
+ * records a Reassigned history entry. The caller must hold the script lock, and
+ * emails the new approver (_sendReassignedRequestEmail) once all rows are written.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The Requests sheet.
+ * @param {number} rowNumber The request's 1-based row in the sheet.
+ * @param {string[]} headers The Requests sheet headers.
+ * @param {Object} requestObject The request as read from the row.
+ * @param {string} newApproverValue The new currentApproverEmail value.
+ * @param {string} notes The history notes.
+ * @param {string} adminEmail The admin making the change.
+ */
+function _reassignRequestRow(
+  sheet,
+  rowNumber,
+  headers,
+  requestObject,
+  newApproverValue,
+  notes,
+  adminEmail
+) {
+  const range = sheet.getRange(rowNumber, 1, 1, headers.length);
+  const previousApprover = requestObject[COLUMN.CURRENT_APPROVER].toString();
+  range
+    .getCell(1, headers.indexOf(COLUMN.CURRENT_APPROVER) + 1)
+    .setValue(newApproverValue);
+  _updateAndLogHistory(
+    requestObject,
+    STATUS.REASSIGNED,
+    notes,
+    adminEmail,
+    range,
+    headers.indexOf(COLUMN.HISTORY),
+    { reassignedFrom: previousApprover, reassignedTo: newApproverValue }
+  );
+}
+
+/**
+ * PRIVATE: Tells the new approver about a reassigned request.
+ * @param {string} approverEmail The new approver.
+ * @param {Object} requestObject The request.
+ */
+function _sendReassignedRequestEmail(approverEmail, requestObject) {
+  sendNewRequestEmail(
+    approverEmail,
+    requestObject,
+    requestObject[COLUMN.STATUS].startsWith(STATUS.PENDING_IT)
+  );
+}
+
+/**
+ * PRIVATE: Works out a request's approver list after one approver is replaced.
+ * Without a chosen approver only single-approver requests can be reassigned, so
+ * the other approvers of a multi-approver step are never dropped.
+ * @param {string} currentApproverValue The value of the currentApproverEmail column.
+ * @param {string} fromApproverEmail The approver being replaced, or '' for the only one.
+ * @param {string} newApproverEmail The approver taking over.
+ * @returns {string|null} The new list, or null if the request should be skipped.
+ */
+function _getReassignedApproverList(
+  currentApproverValue,
+  fromApproverEmail,
+  newApproverEmail
+) {
+  const approvers = _parseEmailList(currentApproverValue);
+  const from = (fromApproverEmail || "").trim().toLowerCase();
+  const replaced = from || (approvers.length === 1 ? approvers[0] : "");
+  if (
+    !approvers.includes(replaced) ||
+    approvers.includes(newApproverEmail.trim().toLowerCase())
+  ) {
+    return null;
+  }
+  return _replaceInEmailList(currentApproverValue, replaced, newApproverEmail);
+}
+
+/**
+ * Moves one or more open requests from one approver to another. Admin only. Only
+ * the replaced approver changes; others on the same step stay assigned. Requests
+ * that are closed, do not list the replaced approver, or already list the new
+ * approver are skipped.
+ * @param {string[]} requestIds The IDs of the requests.
+ * @param {string} fromApproverEmail The approver to replace, or '' to reassign
+ *   requests that have a single approver.
+ * @param {string} newApproverEmail The approver to assign.
+ * @param {string} notes Why the requests are reassigned; kept in the history.
+ * @param {string} lang The current language ('en' or 'th') for response messages.
+ * @returns {Object} A status object with the reassigned and skipped request IDs.
+ */
+function reassignRequests(
+  requestIds,
+  fromApproverEmail,
+  newApproverEmail,
+  notes,
+  lang
+) {
+  const translations = JSON.parse(
+    getTranslations(lang).replace(/<pre>|<\/pre>/g, "")
+  );
+  const adminEmail = getUserEmail().trim().toLowerCase();
+  if (!isUserAdmin()) {
+    return {
+      status: "error",
+      message: "You do not have permission to reassign requests.",
+    };
+  }
+  const newApprover = (newApproverEmail || "").trim().toLowerCase();
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(newApprover)) {
+    return {
+      status: "error",
+      message:
+        translations.msgInvalidApproverEmail ||
+        "Please enter a valid approver email.",
+    };
+  }
+  if (!Array.isArray(requestIds) || requestIds.length === 0) {
+    return {
+      status: "error",
+      message:
+        translations.msgSelectRequests || "Please select at least one request.",
+    };
+  }
+
+  const lock = LockService.getScriptLock();
+  try {
+    lock.waitLock(30000);
+  } catch (e) {
+    return {
+      status: "error",
+      message: "System is busy, please try again in a moment.",
+    };
+  }
+
+  try {
+    const sheet =
+      SpreadsheetApp.openById(SPREADSHEET_ID).getSheetByName(
+        REQUESTS_SHEET_NAME
+      );
+    const data = sheet.getDataRange().getValues();
+    const headers = data.shift();
+    const idIndex = headers.indexOf(COLUMN.REQUEST_ID);
+    const reason = _sanitizeNotes(notes);
+
+    const reassigned = [];
+    const skipped = [];
+    const toNotify = [];
+    requestIds.forEach((requestId) => {
+      const index = data.findIndex((row) => row[idIndex] === requestId);
+      const requestObject =
+        index === -1 ? null : _rowToObject(data[index], headers);
+      const previousApprover = requestObject
+        ? requestObject[COLUMN.CURRENT_APPROVER].toString()
+        : "";
+      const newApproverList =
+        requestObject && _isReassignable(requestObject[COLUMN.STATUS])
+          ? _getReassignedApproverList(
+              previousApprover,
+              fromApproverEmail,
+              newApprover
+            )
+          : null;
+      if (!newApproverList) {
+        skipped.push(requestId);
+        return;
+      }
+
+      _reassignRequestRow(
+        sheet,
+        index + 2,
+        headers,
+        requestObject,
+        newApproverList,
+        `Reassigned from ${previousApprover} to ${newApproverList}.${
+          reason ? ` ${reason}` : ""
+        }`,
+        adminEmail
+      );
+      reassigned.push(requestId);
+      toNotify.push(requestObject);
+    });
+    toNotify.forEach((requestObject) =>
+      _sendReassignedRequestEmail(newApprover, requestObject)
+    );
+
+    Logger.auditLog("REQUESTS_REASSIGNED", reassigned.join(","), {
+      admin: adminEmail,
+      fromApprover: fromApproverEmail || "",
+      newApprover,
+      reassigned: reassigned.length,
+      skipped,
+    });
+    return {
+      status: reassigned.length > 0 ? "success" : "error",
+      message: (skipped.length > 0
+        ? translations.msgRequestsReassignedSkipped ||
+          "{count} requests reassigned to {approver}; {skipped} skipped because they are closed, are not assigned to the approver being replaced, or already list the new approver."
+        : translations.msgRequestsReassigned ||
+          "{count} requests reassigned to {approver}."
+      )
+        .replace("{count}", reassigned.length)
+        .replace("{approver}", newApprover)
+        .replace("{skipped}", skipped.length),
+      reassigned,
+      skipped,
+    };
+  } catch (e) {
+    console.error(`Error in reassignRequests: ${e.message}`);
+    return {
+      status: "error",
+      message: `Failed to reassign requests: ${e.message}`,
+    };
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+// ================================================================================
+// APPROVER HANDOVER
+// ================================================================================
+//
+// Deleting an approver, or moving them to another department, would leave the
+// requests waiting on them, and the IT review flows and workflow steps naming
+// them, pointing at someone who no longer holds the role. manageApprover
+// therefore asks for a replacement whenever such work exists, and hands it over
+// under the same lock as the Approvers change. Every new value is worked out
+// before anything is written, each sheet column is written in one call, and the
+// columns already written are restored if a later write fails.
+//
 
-    const userEmail = getUserEmail();
-    Logger.warn(
-      "BackupManager.restoreFromBackup",
-      "Backup restore initiated",
-      { backupId },
-      userEmail
-    );
+// The ITReviewers columns that name approvers (lowercased headers).
+const IT_REVIEW_FLOW_EMAIL_COLUMNS = [
+  "revieweremail",
+  "manageremail",
+  "directoremail",
+];
 
-    try {
-      // This is a dangerous operation - implementation would require careful consideration
-      // For now, return guidance
-      return {
-        success: false,
-        error:
-          "Backup restore must be performed manually by an administrator with appropriate permissions. Contact system administrator.",
-      };
-    } catch (e) {
-      Logger.error(
-        "BackupManager.restoreFromBackup",
-        "Backup restore failed",
-        { backupId, error: e.message },
-        userEmail
-      );
-      return { success: false, error: e.message };
+/**
+ * PRIVATE: Finds the open requests, IT review flows and workflow steps assigned
+ * to an approver. The full sheet data is kept so the handover can be planned
+ * without reading again.
+ * @param {string} email The approver's email, lowercased.
+ * @returns {Object} {requestsSheet, requestHeaders, requestRows, requests: [{rowNumber, request}],
+ *   itSheet, itRows, itReviewFlows: [{rowNumber, formId, columns}],
+ *   workflowsSheet, workflowRows, workflowApproversIndex, workflowSteps: [{rowNumber, formId, stepName}]}.
+ */
+function _getApproverHandover(email) {
+  const ss = SpreadsheetApp.openById(SPREADSHEET_ID);
+  const requestsSheet = ss.getSheetByName(REQUESTS_SHEET_NAME);
+  const requestRows = requestsSheet.getDataRange().getValues();
+  const requestHeaders = requestRows.shift();
+  const pendingStatuses = _getPendingStatuses();
+  const requests = [];
+  requestRows.forEach((row, index) => {
+    const request = _rowToObject(row, requestHeaders);
+    if (
+      _isReassignable(request[COLUMN.STATUS], pendingStatuses) &&
+      _isAssignedApprover(request[COLUMN.CURRENT_APPROVER], email)
+    ) {
+      requests.push({ rowNumber: index + 2, request });
+    }
+  });
+
+  const itSheet = ss.getSheetByName(IT_REVIEWERS_SHEET_NAME);
+  const itRows = itSheet ? itSheet.getDataRange().getValues() : [];
+  const itHeaders = (itRows.shift() || []).map((h) =>
+    h.toString().toLowerCase().trim()
+  );
+  const itReviewFlows = [];
+  itRows.forEach((row, index) => {
+    const columns = IT_REVIEW_FLOW_EMAIL_COLUMNS.map((header) =>
+      itHeaders.indexOf(header)
+    ).filter((i) => i > -1 && _parseEmailList(row[i]).includes(email));
+    if (columns.length > 0) {
+      itReviewFlows.push({
+        rowNumber: index + 2,
+        formId: row[itHeaders.indexOf("formid")],
+        columns,
+      });
     }
+  });
+
+  const workflowsSheet = ss.getSheetByName(WORKFLOWS_SHEET_NAME);
+  const workflowRows = workflowsSheet
+    ? workflowsSheet.getDataRange().getValues()
+    : [];
+  const workflowHeaders = (workflowRows.shift() || []).map((h) =>
+    h.toString().toLowerCase().trim()
+  );
+  const workflowApproversIndex = workflowHeaders.indexOf("approveremails");
+  const workflowSteps = [];
+  if (workflowApproversIndex !== -1) {
+    workflowRows.forEach((row, index) => {
+      if (_parseEmailList(row[workflowApproversIndex]).includes(email)) {
+        workflowSteps.push({
+          rowNumber: index + 2,
+          formId: row[workflowHeaders.indexOf("formid")],
+          stepName: row[workflowHeaders.indexOf("stepname")],
+        });
+      }
+    });
   }
+
+  return {
+    requestsSheet,
+    requestHeaders,
+    requestRows,
+    requests,
+    itSheet,
+    itRows,
+    itReviewFlows,
+    workflowsSheet,
+    workflowRows,
+    workflowApproversIndex,
+    workflowSteps,
+  };
 }
 
-BackupManager.BACKUP_FOLDER_NAME = "ApprovalSystem_Backups";
-BackupManager.CRITICAL_SHEETS = [
-  REQUESTS_SHEET_NAME,
-  APPROVERS_SHEET_NAME,
-  DEPARTMENTS_DATA_SHEET_NAME,
-  IT_REVIEWERS_SHEET_NAME,
-];
-BackupManager.MAX_BACKUPS = 30; // Keep 30 backups (approximately 1 month of daily backups)
+/**
+ * PRIVATE: Checks whether an approver has any work that must be handed over.
+ * @param {Object} handover The result of _getApproverHandover.
+ * @returns {boolean} True if there are requests, IT review flows or workflow steps.
+ */
+function _hasApproverWork(handover) {
+  return (
+    handover.requests.length > 0 ||
+    handover.itReviewFlows.length > 0 ||
+    handover.workflowSteps.length > 0
+  );
+}
 
 /**
- * Administrative function to create manual backup.
- * @returns {Object} Backup result.
+ * Counts the work that must be handed over before an approver is deleted or
+ * moved to another department. Admin only.
+ * @param {string} email The approver's email.
+ * @returns {Object} {pendingRequests, itReviewFlows: formIds, workflowSteps: formIds},
+ *   or an error object.
  */
-function createManualBackup() {
+function getApproverHandoverImpact(email) {
   if (!isUserAdmin()) {
-    Logger.warn(
-      "createManualBackup",
-      "Unauthorized backup attempt",
-      null,
-      getUserEmail()
-    );
     return {
-      success: false,
-      error: "Only administrators can create manual backups.",
+      error: true,
+      message: "You are not authorized to perform this action.",
+    };
+  }
+  try {
+    const handover = _getApproverHandover((email || "").trim().toLowerCase());
+    return {
+      pendingRequests: handover.requests.length,
+      itReviewFlows: handover.itReviewFlows.map((flow) => flow.formId),
+      workflowSteps: handover.workflowSteps.map((step) => step.formId),
+    };
+  } catch (e) {
+    console.error(`Error in getApproverHandoverImpact: ${e.message}`);
+    return {
+      error: true,
+      message: `Failed to check the approver's open work: ${e.message}`,
     };
   }
-
-  return BackupManager.createBackup(false);
 }
 
 /**
- * Function to be called by time-driven triggers for automated backups.
- * Should be set up as a daily trigger by administrators.
+ * PRIVATE: Works out every cell a handover changes, without writing anything.
+ * Each column is planned as a whole so it can be written, and restored, in one call.
+ * @param {Object} handover The result of _getApproverHandover.
+ * @param {string} email The departing approver's email, lowercased.
+ * @param {string} replacementEmail The replacement's email, lowercased.
+ * @param {string} adminEmail The admin making the change.
+ * @returns {Object} {writes: [{sheet, row, column, before, after}], historyEntries: [{request, entry}]}.
+ * @throws {Error} If a sheet the handover needs is missing required columns.
  */
-function scheduledBackup() {
-  Logger.info("scheduledBackup", "Automated backup trigger executed");
-  const result = BackupManager.createBackup(true);
+function _planApproverHandover(handover, email, replacementEmail, adminEmail) {
+  const writes = [];
+  const planColumn = (sheet, rows, column, update) => {
+    const before = rows.map((row) => [row[column]]);
+    const after = before.map(([value], index) => [update(value, index)]);
+    writes.push({ sheet, row: 2, column: column + 1, before, after });
+  };
+  const historyEntries = [];
 
-  // Optionally send notification email to admins about backup status
-  if (!result.success) {
-    Logger.error(
-      "scheduledBackup",
-      "Scheduled backup failed - admin notification may be needed",
-      result
+  if (handover.requests.length > 0) {
+    const approverIndex = handover.requestHeaders.indexOf(
+      COLUMN.CURRENT_APPROVER
+    );
+    const historyIndex = handover.requestHeaders.indexOf(COLUMN.HISTORY);
+    if (approverIndex === -1 || historyIndex === -1) {
+      throw new Error("Required columns not found in Requests sheet.");
+    }
+    const byRow = {};
+    handover.requests.forEach(({ rowNumber, request }) => {
+      const previousApprover = request[COLUMN.CURRENT_APPROVER].toString();
+      const newApprover = _replaceInEmailList(
+        previousApprover,
+        email,
+        replacementEmail
+      );
+      let history = [];
+      try {
+        if (request[COLUMN.HISTORY])
+          history = JSON.parse(request[COLUMN.HISTORY]);
+      } catch (e) {
+        /* ignore parsing errors */
+      }
+      const entry = {
+        approverEmail: adminEmail,
+        action: STATUS.REASSIGNED,
+        notes: `Handed over from ${email} to ${replacementEmail}.`,
+        timestamp: new Date().toISOString(),
+        reassignedFrom: previousApprover,
+        reassignedTo: newApprover,
+      };
+      history.push(entry);
+      byRow[rowNumber - 2] = { newApprover, history: JSON.stringify(history) };
+      historyEntries.push({ request, entry });
+    });
+    planColumn(
+      handover.requestsSheet,
+      handover.requestRows,
+      approverIndex,
+      (value, index) => (byRow[index] ? byRow[index].newApprover : value)
+    );
+    planColumn(
+      handover.requestsSheet,
+      handover.requestRows,
+      historyIndex,
+      (value, index) => (byRow[index] ? byRow[index].history : value)
     );
   }
 
-  return result;
+  const replaceFlowCell = (value) =>
+    _parseEmailList(value).includes(email)
+      ? _replaceInEmailList(value, email, replacementEmail)
+      : value;
+  const flowColumns = [
+    ...new Set(handover.itReviewFlows.flatMap((flow) => flow.columns)),
+  ];
+  flowColumns.forEach((column) =>
+    planColumn(handover.itSheet, handover.itRows, column, replaceFlowCell)
+  );
+  if (handover.workflowSteps.length > 0) {
+    planColumn(
+      handover.workflowsSheet,
+      handover.workflowRows,
+      handover.workflowApproversIndex,
+      replaceFlowCell
+    );
+  }
+  return { writes, historyEntries };
+}
+
+/**
+ * PRIVATE: Hands an approver's open requests, IT review flows and workflow steps
+ * over to a replacement. In lists of approvers only the departing approver is
+ * replaced. Nothing is emailed or logged unless every write succeeds. The caller
+ * must hold the script lock.
+ * @param {Object} handover The result of _getApproverHandover.
+ * @param {string} email The departing approver's email, lowercased.
+ * @param {string} replacementEmail The replacement's email, lowercased.
+ * @param {string} adminEmail The admin making the change.
+ * @throws {Error} If the handover fails; columns already written are restored.
+ */
+function _handOverApproverWork(handover, email, replacementEmail, adminEmail) {
+  const plan = _planApproverHandover(
+    handover,
+    email,
+    replacementEmail,
+    adminEmail
+  );
+
+  const written = [];
+  try {
+    plan.writes.forEach((write) => {
+      write.sheet
+        .getRange(write.row, write.column, write.after.length, 1)
+        .setValues(write.after);
+      written.push(write);
+    });
+  } catch (e) {
+    written.reverse().forEach((write) => {
+      try {
+        write.sheet
+          .getRange(write.row, write.column, write.before.length, 1)
+          .setValues(write.before);
+      } catch (restoreError) {
+        Logger.error("handOverApproverWork", "Failed to restore a column", {
+          sheet: write.sheet.getName(),
+          column: write.column,
+          error: restoreError.message,
+        });
+      }
+    });
+    throw new Error(`Handover was rolled back: ${e.message}`);
+  }
+
+  Cache.remove(IT_REVIEWER_MAP_CACHE_KEY);
+  Cache.remove(WORKFLOW_DEFINITIONS_CACHE_KEY);
+  plan.historyEntries.forEach(({ request, entry }) =>
+    Logger.auditLog("REQUEST_PROCESSED", request[COLUMN.REQUEST_ID], {
+      action: entry.action,
+      approver: adminEmail,
+      notes: entry.notes,
+      reassignedFrom: entry.reassignedFrom,
+      reassignedTo: entry.reassignedTo,
+    })
+  );
+  handover.requests.forEach(({ request }) =>
+    _sendReassignedRequestEmail(replacementEmail, request)
+  );
+
+  Logger.auditLog("APPROVER_HANDED_OVER", email, {
+    admin: adminEmail,
+    replacementEmail,
+    requests: handover.requests.map(
+      ({ request }) => request[COLUMN.REQUEST_ID]
+    ),
+    itReviewFlows: handover.itReviewFlows.map((flow) => flow.formId),
+    workflowSteps: handover.workflowSteps.map((step) => step.formId),
+  });
 }
 
 // --- UNIT TESTING FRAMEWORK ---
@@ -4057,7 +11395,7 @@ class MockUtilities {
       [COLUMN.DEPARTMENT]: "IT",
       [COLUMN.SUB_DEPARTMENT]: "Infrastructure",
       [COLUMN.DETAILS]: JSON.stringify({
-        servers: [{ name: "test-server", purpose: "testing" }],
+        servers: [{ serverName: "test-server", ipAddress: "10.0.0.5" }],
       }),
       ...overrides,
     };
@@ -4110,6 +11448,29 @@ function testValidationFunctions() {
       }
     );
 
+    TestFramework.it("should limit the type and size of attachments", () => {
+      const file = { name: "quote.PDF", mimeType: "application/pdf" };
+      TestFramework.assert.isTrue(
+        _validateAttachments([{ ...file, base64: "AAAA" }], {}).isValid
+      );
+      TestFramework.assert.isFalse(
+        _validateAttachments([{ ...file, name: "run.exe", base64: "AAAA" }], {})
+          .isValid
+      );
+      TestFramework.assert.isFalse(
+        _validateAttachments(
+          [
+            {
+              ...file,
+              base64: "A".repeat(Math.ceil(MAX_ATTACHMENT_BYTES / 3) * 4 + 4),
+            },
+          ],
+          {}
+        ).isValid
+      );
+      TestFramework.assert.isTrue(_validateAttachments(undefined, {}).isValid);
+    });
+
     TestFramework.it("should sanitize XSS attempts in requester name", () => {
       const translations = {};
       const maliciousRequest = MockUtilities.createMockRequest({
@@ -4135,6 +11496,208 @@ function testValidationFunctions() {
       );
     });
 
+    TestFramework.it("should check required fields of schema forms", () => {
+      const translations = { tableReason: "Reason" };
+      const request = MockUtilities.createMockRequest({
+        [COLUMN.FORM_TYPE]: "ISMS-FM-012 - Software Installation",
+        [COLUMN.DETAILS]: JSON.stringify({
+          software: [{ softwareName: "Visio", version: "", reason: " " }],
+        }),
+      });
+      const result = validateRequestInput(request, translations);
+      TestFramework.assert.isFalse(
+        result.isValid,
+        "A row missing a required field should fail validation"
+      );
+      TestFramework.assert.equals(result.message, "Row 1: Reason is required.");
+    });
+
+    TestFramework.it(
+      "should check conditional, nested and option fields of schema forms",
+      () => {
+        const permanent = validateRequestDetails(
+          "013",
+          { objective: "VPN", duration: "Permanent", acknowledged: true },
+          {}
+        );
+        TestFramework.assert.isTrue(
+          permanent.isValid,
+          "An end date is only needed for temporary access"
+        );
+        const temporary = validateRequestDetails(
+          "013",
+          { objective: "VPN", duration: "Temporary", acknowledged: false },
+          {}
+        );
+        TestFramework.assert.equals(
+          temporary.fieldErrors.map((e) => e.field).join(","),
+          "endDate,acknowledged"
+        );
+        const servers = validateRequestDetails(
+          "010",
+          {
+            servers: [
+              {
+                serverName: "db01",
+                connection: ["SSH", "Other: VNC"],
+                permission: ["Root"],
+              },
+            ],
+          },
+          {}
+        );
+        TestFramework.assert.equals(
+          servers.fieldErrors.map((e) => e.field).join(","),
+          "servers.0.permission"
+        );
+        const sap = validateRequestDetails(
+          "026",
+          {
+            userInfo: { nameEn: "Somchai" },
+            requestType: "New",
+            permissions: [
+              { module: "FI", transactionCode: "FB01", action: "Add" },
+            ],
+          },
+          {}
+        );
+        TestFramework.assert.equals(
+          sap.fieldErrors.map((e) => e.field).join(","),
+          "userInfo.nameTh"
+        );
+      }
+    );
+
+    TestFramework.it("should reject required radios left unselected", () => {
+      const fields = (formId, details) =>
+        validateRequestDetails(formId, details, {})
+          .fieldErrors.map((e) => e.field)
+          .join(",");
+      TestFramework.assert.equals(
+        fields("011", {
+          objective: "Open HTTPS",
+          rules: [{ sourceIp: "10.0.0.1", destIp: "10.1.1.5", port: "443" }],
+        }),
+        "requestType"
+      );
+      TestFramework.assert.equals(
+        fields("009", {
+          requestType: "N/A",
+          applications: [{ appName: "ERP" }],
+        }),
+        "requestType,userType",
+        "The default of a required radio is not one of its options"
+      );
+      TestFramework.assert.equals(
+        fields("026", {
+          userInfo: { nameTh: "สมชาย" },
+          permissions: [{ module: "FI", transactionCode: "FB01" }],
+        }),
+        "requestType,permissions.0.action"
+      );
+    });
+
+    TestFramework.it(
+      "should name the field of a value that is too long",
+      () => {
+        const long = "x".repeat(MAX_DETAIL_TEXT_LENGTH + 1);
+        const result = validateRequestDetails(
+          "026",
+          {
+            additionalDetails: long,
+            userInfo: { nameTh: long },
+            requestType: "New",
+            permissions: [
+              {
+                module: "FI",
+                transactionCode: "FB01",
+                description: long,
+                action: "Add",
+              },
+            ],
+          },
+          {
+            msgFieldTooLong: "{field} is too long.",
+            formAdditionalDetails: "Additional Details",
+            formNewEmployeeNameTh: "Name (Thai)",
+            tableDescription: "Description",
+          }
+        );
+        TestFramework.assert.equals(
+          result.fieldErrors.map((e) => e.message).join(" | "),
+          "Additional Details is too long. | Name (Thai) is too long. | Row 1: Description is too long."
+        );
+      }
+    );
+
+    TestFramework.it("should report field errors for firewall rules", () => {
+      const result = validateRequestDetails(
+        "011",
+        {
+          objective: "Open HTTPS",
+          requestType: "add",
+          rules: [
+            { sourceIp: "10.0.0.0/24", destIp: "10.1.1.300", port: "443" },
+            { sourceIp: "any", destIp: "10.1.1.5", port: "70000" },
+          ],
+        },
+        {}
+      );
+      TestFramework.assert.isFalse(result.isValid);
+      TestFramework.assert.equals(
+        result.fieldErrors.map((e) => e.field).join(","),
+        "rules.0.destIp,rules.1.port"
+      );
+    });
+
+    TestFramework.it("should parse IPv6 addresses and CIDR ranges", () => {
+      TestFramework.assert.isTrue(isValidIpOrCidr("2001:db8::/32"));
+      TestFramework.assert.isTrue(isValidIpOrCidr("fe80::1"));
+      TestFramework.assert.isFalse(isValidIpOrCidr("2001:db8::1::2"));
+      TestFramework.assert.isFalse(isValidIpOrCidr("10.0.0.0/33"));
+    });
+
+    TestFramework.it("should classify overlapping firewall rules", () => {
+      const approved = {
+        sourceIp: "10.0.0.0/16",
+        destIp: "172.16.5.10",
+        port: "tcp/443, 80",
+        action: "Allow",
+      };
+      const rule = (overrides) => ({ ...approved, ...overrides });
+      TestFramework.assert.equals(
+        classifyFirewallRule(rule({ port: "80, tcp/https" }), approved),
+        "duplicate"
+      );
+      TestFramework.assert.equals(
+        classifyFirewallRule(
+          rule({ sourceIp: "10.0.3.0/24", port: "tcp/443" }),
+          approved
+        ),
+        "shadowed"
+      );
+      TestFramework.assert.equals(
+        classifyFirewallRule(
+          rule({ sourceIp: "any", action: "Deny" }),
+          approved
+        ),
+        "conflict"
+      );
+      TestFramework.assert.isNull(
+        classifyFirewallRule(rule({ destIp: "172.16.5.11" }), approved)
+      );
+    });
+
+    TestFramework.it("should reject an end date before the start date", () => {
+      const result = validateRequestDetails(
+        "099",
+        { objective: "Demo", startDate: "2024-05-10", endDate: "2024-05-01" },
+        {}
+      );
+      TestFramework.assert.isFalse(result.isValid);
+      TestFramework.assert.equals(result.fieldErrors[0].field, "endDate");
+    });
+
     TestFramework.it("should validate approval input parameters", () => {
       const result = validateApprovalInput(
         "REQ-123",
@@ -4170,10 +11733,280 @@ function testValidationFunctions() {
         "invalid-email"
       );
       TestFramework.assert.isFalse(
-        result.isValid,
-        "Invalid email should fail validation"
+        result.isValid,
+        "Invalid email should fail validation"
+      );
+    });
+
+    TestFramework.it("should require a question when requesting info", () => {
+      const withoutQuestion = validateApprovalInput(
+        "REQ-123",
+        STATUS.NEEDS_INFO,
+        "  ",
+        null
+      );
+      TestFramework.assert.isFalse(
+        withoutQuestion.isValid,
+        "Needs Info without notes should fail validation"
+      );
+      const withQuestion = validateApprovalInput(
+        "REQ-123",
+        STATUS.NEEDS_INFO,
+        "Which source IP?",
+        null
+      );
+      TestFramework.assert.isTrue(
+        withQuestion.isValid,
+        "Needs Info with a question should pass"
+      );
+    });
+
+    TestFramework.it(
+      "should limit batch approvals to approve and reject",
+      () => {
+        TestFramework.assert.equals(
+          processApprovalsBatch([], STATUS.APPROVED, "", "en").status,
+          "error"
+        );
+        TestFramework.assert.equals(
+          processApprovalsBatch(["REQ-1"], STATUS.FORWARDED, "", "en").status,
+          "error"
+        );
+      }
+    );
+
+    TestFramework.it(
+      "should keep processing a batch when one request fails",
+      () => {
+        const originalApplyApprovalAction = _applyApprovalAction;
+        _applyApprovalAction = (requestId) => {
+          if (requestId === "REQ-2") throw new Error("Row not found");
+          return { status: "success", message: "Approved" };
+        };
+        try {
+          const result = processApprovalsBatch(
+            ["REQ-1", "REQ-2", "REQ-3"],
+            STATUS.APPROVED,
+            "",
+            "en"
+          );
+          TestFramework.assert.equals(result.status, "success");
+          TestFramework.assert.equals(
+            result.results.map((r) => `${r.requestId}:${r.status}`).join(","),
+            "REQ-1:success,REQ-2:error,REQ-3:success"
+          );
+        } finally {
+          _applyApprovalAction = originalApplyApprovalAction;
+        }
+      }
+    );
+
+    TestFramework.it("should check fulfillment updates before saving", () => {
+      const originalGetUserRole = getUserRole;
+      try {
+        getUserRole = () => "Approver";
+        TestFramework.assert.isFalse(isUserHelpdesk());
+        TestFramework.assert.equals(
+          updateFulfillment(
+            "REQ-1",
+            { status: FULFILLMENT_STATUS.COMPLETED },
+            "en"
+          ).status,
+          "error",
+          "Only helpdesk staff can update fulfillment"
+        );
+
+        getUserRole = () => "Admin";
+        TestFramework.assert.isTrue(isUserHelpdesk());
+
+        getUserRole = () => "Helpdesk";
+        TestFramework.assert.equals(
+          updateFulfillment("REQ-1", { status: STATUS.APPROVED }, "en").status,
+          "error",
+          "Only fulfillment statuses are accepted"
+        );
+        TestFramework.assert.equals(
+          updateFulfillment(
+            "REQ-1",
+            { status: FULFILLMENT_STATUS.FAILED },
+            "en"
+          ).status,
+          "error",
+          "A failed request needs a reason"
+        );
+        TestFramework.assert.equals(
+          updateFulfillment(
+            "REQ-1",
+            { status: FULFILLMENT_STATUS.ASSIGNED, assignee: "helpdesk" },
+            "en"
+          ).status,
+          "error",
+          "The assignee must be an email address"
+        );
+      } finally {
+        getUserRole = originalGetUserRole;
+      }
+    });
+
+    TestFramework.it("should keep one draft per user and form", () => {
+      const rows = [
+        ["Email", "FormId"],
+        ["Other@example.com", "025"],
+        ["User@example.com ", "025"],
+        ["user@example.com", "026"],
+      ];
+      const sheet = {
+        getLastRow: () => rows.length,
+        getRange: (row, column, numRows) => ({
+          getValues: () => rows.slice(row - 1, row - 1 + numRows),
+        }),
+      };
+      TestFramework.assert.equals(
+        _findDraftRow(sheet, "user@example.com", "025"),
+        3
+      );
+      TestFramework.assert.equals(
+        _findDraftRow(sheet, "user@example.com", "014"),
+        -1
+      );
+      TestFramework.assert.equals(
+        saveMyDraft({ formId: "../025", details: "{}" }, "en").status,
+        "error",
+        "Only numeric form IDs can be saved"
+      );
+      TestFramework.assert.equals(
+        saveMyDraft({ formId: "025", details: "{servers:" }, "en").status,
+        "error",
+        "Details must be valid JSON"
+      );
+    });
+
+    TestFramework.it(
+      "should accept a duplicated request as a new submission",
+      () => {
+        const original = MockUtilities.createMockRequest({
+          [COLUMN.REQUEST_ID]: "REQ-1",
+          [COLUMN.STATUS]: STATUS.APPROVED,
+          [COLUMN.DETAILS]: JSON.stringify({
+            servers: [
+              { serverName: "app01", ipAddress: "10.0.0.5" },
+              { serverName: "app02", ipAddress: "10.0.0.6" },
+            ],
+          }),
+        });
+        // The Duplicate action sends only the form fields, never the ID or status.
+        const copy = {
+          [COLUMN.FORM_TYPE]: original[COLUMN.FORM_TYPE],
+          [COLUMN.REQUESTER_NAME]: original[COLUMN.REQUESTER_NAME],
+          [COLUMN.DEPARTMENT]: original[COLUMN.DEPARTMENT],
+          [COLUMN.SUB_DEPARTMENT]: original[COLUMN.SUB_DEPARTMENT],
+          [COLUMN.DETAILS]: original[COLUMN.DETAILS],
+        };
+        TestFramework.assert.isTrue(validateRequestInput(copy, {}).isValid);
+      }
+    );
+
+    TestFramework.it("should reassign only open requests, as an admin", () => {
+      TestFramework.assert.isTrue(_isReassignable(STATUS.PENDING));
+      TestFramework.assert.isTrue(_isReassignable(STATUS.NEEDS_INFO));
+      TestFramework.assert.isFalse(_isReassignable(STATUS.APPROVED));
+      TestFramework.assert.isFalse(
+        _hasActionedRequest(
+          [{ approverEmail: "admin@example.com", action: STATUS.REASSIGNED }],
+          "admin@example.com"
+        ),
+        "Reassigning a request does not make the admin a past approver"
       );
+
+      const originalIsUserAdmin = isUserAdmin;
+      try {
+        isUserAdmin = () => false;
+        TestFramework.assert.equals(
+          reassignRequests(["REQ-1"], "new@example.com", "", "en").status,
+          "error",
+          "Only admins can reassign requests"
+        );
+      } finally {
+        isUserAdmin = originalIsUserAdmin;
+      }
     });
+
+    TestFramework.it(
+      "should check the asset register when a disposal is resubmitted",
+      () => {
+        const originalFindOwnedRequest = _findOwnedRequest;
+        const originalGetAssetsSheet = _getAssetsSheet;
+        const originalReadAssets = _readAssets;
+        try {
+          _findOwnedRequest = () => ({
+            rowIndex: 2,
+            headers: [COLUMN.STATUS, COLUMN.DETAILS],
+            rowObject: {
+              [COLUMN.FORM_TYPE]: "ISMS-FM-101 - Asset Disposal",
+              [COLUMN.STATUS]: STATUS.NEEDS_INFO,
+              [COLUMN.DETAILS]: "{}",
+            },
+          });
+          _getAssetsSheet = () => ({});
+          _readAssets = () => [
+            { serialNumber: "SN-1", status: ASSET_STATUS.DISPOSED },
+          ];
+          const result = resubmitRequest(
+            "REQ-1",
+            JSON.stringify({
+              assets: [
+                { assetType: "Notebook", serialNumber: "SN-1", reason: "Old" },
+              ],
+            }),
+            "",
+            "en"
+          );
+          TestFramework.assert.equals(result.status, "error");
+          TestFramework.assert.equals(
+            result.fieldErrors.map((e) => e.field).join(","),
+            "assets.0.serialNumber",
+            "An asset that was already disposed of cannot be disposed of again"
+          );
+        } finally {
+          _findOwnedRequest = originalFindOwnedRequest;
+          _getAssetsSheet = originalGetAssetsSheet;
+          _readAssets = originalReadAssets;
+        }
+      }
+    );
+
+    TestFramework.it(
+      "should limit request documents to the requester, past approvers and admins",
+      () => {
+        const request = {
+          [COLUMN.REQUESTER_EMAIL]: "user@example.com",
+          [COLUMN.CURRENT_APPROVER]: "next@example.com",
+          [COLUMN.HISTORY]: JSON.stringify([
+            { approverEmail: "head@example.com", action: STATUS.APPROVED },
+          ]),
+        };
+        const originalIsUserAdmin = isUserAdmin;
+        try {
+          isUserAdmin = () => false;
+          TestFramework.assert.isTrue(
+            _canAccessRequestDocuments(request, "User@example.com")
+          );
+          TestFramework.assert.isTrue(
+            _canAccessRequestDocuments(request, "head@example.com")
+          );
+          TestFramework.assert.isFalse(
+            _canAccessRequestDocuments(request, "next@example.com"),
+            "The current approver has not acted on the request yet"
+          );
+          isUserAdmin = () => true;
+          TestFramework.assert.isTrue(
+            _canAccessRequestDocuments(request, "admin@example.com")
+          );
+        } finally {
+          isUserAdmin = originalIsUserAdmin;
+        }
+      }
+    );
   });
 }
 
@@ -4207,6 +12040,671 @@ function testUtilityFunctions() {
       TestFramework.assert.equals(BackupManager.formatBytes(1024), "1 KB");
       TestFramework.assert.equals(BackupManager.formatBytes(1048576), "1 MB");
     });
+
+    TestFramework.it("should extract form IDs from form types", () => {
+      TestFramework.assert.equals(_getFormIdFromType("ISMS-FM-026"), "026");
+      TestFramework.assert.equals(_getFormIdFromType("Unknown"), null);
+      TestFramework.assert.equals(_getFormIdFromType(null), null);
+    });
+
+    TestFramework.it("should list time-limited access items", () => {
+      TestFramework.assert.equals(
+        getExpiringAccessItems("013", { duration: "Permanent" }).length,
+        0
+      );
+      TestFramework.assert.equals(
+        getExpiringAccessItems("013", {
+          duration: "Temporary",
+          endDate: "2024-06-30",
+        })[0].endDate,
+        "2024-06-30"
+      );
+      const apps = getExpiringAccessItems("009", {
+        userType: "Vendor",
+        requestType: "Add",
+        applications: [
+          { appName: "CRM", effectiveDate: "2024-07-01" },
+          { appName: "HR", effectiveDate: "" },
+        ],
+      });
+      TestFramework.assert.equals(apps.map((a) => a.key).join(), "app.0");
+      TestFramework.assert.equals(
+        _addDaysToDateString("2024-02-27", 3),
+        "2024-03-01"
+      );
+    });
+
+    TestFramework.it(
+      "should only extend the requester's own approved request of the same form",
+      () => {
+        const headers = [
+          COLUMN.REQUEST_ID,
+          COLUMN.FORM_TYPE,
+          COLUMN.REQUESTER_EMAIL,
+          COLUMN.STATUS,
+        ];
+        const vpn = "ISMS-FM-013 - VPN Access";
+        const sheet = {
+          getDataRange: () => ({
+            getValues: () => [
+              headers,
+              ["REQ-1", vpn, "user@example.com", STATUS.APPROVED],
+              ["REQ-2", vpn, "other@example.com", STATUS.APPROVED],
+              ["REQ-3", vpn, "user@example.com", STATUS.REJECTED],
+              [
+                "REQ-4",
+                "ISMS-FM-099 - Equipment Loan",
+                "user@example.com",
+                STATUS.APPROVED,
+              ],
+            ],
+          }),
+        };
+        const check = (extendsRequestId) =>
+          _checkExtensionTarget(
+            sheet,
+            {
+              [COLUMN.FORM_TYPE]: vpn,
+              [COLUMN.DETAILS]: JSON.stringify({ extendsRequestId }),
+            },
+            "User@example.com",
+            {}
+          );
+        TestFramework.assert.isNull(check(undefined));
+        TestFramework.assert.isNull(check("REQ-1"));
+        ["REQ-2", "REQ-3", "REQ-4", "REQ-404"].forEach((requestId) =>
+          TestFramework.assert.isNotNull(
+            check(requestId),
+            `${requestId} must not be extended`
+          )
+        );
+      }
+    );
+
+    TestFramework.it("should list asset changes from approved forms", () => {
+      const issued = getAssetEvents("100", {
+        recipientInfo: { name: "Somchai", department: "IT" },
+        equipment: [
+          { item: "Notebook", serialNumber: " SN-1 ", assetCode: "A-9" },
+          { item: "Mouse", serialNumber: "" },
+        ],
+      });
+      TestFramework.assert.equals(issued.length, 1);
+      TestFramework.assert.equals(issued[0].serialNumber, "SN-1");
+      TestFramework.assert.equals(issued[0].status, ASSET_STATUS.ASSIGNED);
+      TestFramework.assert.equals(
+        getAssetEvents("101", { assets: [{ serialNumber: "SN-1" }] })[0].status,
+        ASSET_STATUS.DISPOSED
+      );
+      TestFramework.assert.equals(_normalizeSerial(" sn-1"), "SN-1");
+    });
+
+    TestFramework.it(
+      "should derive entitlements from approved requests",
+      () => {
+        const base = {
+          requesterEmail: "Somchai@example.com",
+          requesterName: "Somchai",
+          department: "IT",
+        };
+        const entitlements = deriveEntitlements([
+          {
+            ...base,
+            requestId: "R1",
+            formId: "009",
+            details: {
+              requestType: "Add",
+              applications: [
+                { appName: "CRM", permissionLevel: "Read" },
+                { appName: "ERP", permissionLevel: "Write" },
+              ],
+            },
+          },
+          {
+            ...base,
+            requestId: "R2",
+            formId: "009",
+            details: {
+              requestType: "Cancel",
+              applications: [{ appName: "crm" }],
+            },
+          },
+          {
+            ...base,
+            requestId: "R3",
+            formId: "026",
+            details: {
+              userInfo: { id: "U1", nameEn: "Somchai" },
+              permissions: [{ module: "FI", transactionCode: "FB01" }],
+            },
+          },
+          {
+            ...base,
+            requestId: "R4",
+            formId: "026",
+            details: { requestType: "Cancel", userInfo: { id: "u1" } },
+          },
+        ]);
+        TestFramework.assert.equals(entitlements.length, 1);
+        TestFramework.assert.equals(entitlements[0].resource, "ERP");
+        TestFramework.assert.equals(
+          deriveEntitlements(
+            [{ ...base, requestId: "R1", formId: "013", details: {} }],
+            new Set(["vpn|somchai@example.com|vpn@R1"])
+          ).length,
+          0
+        );
+        TestFramework.assert.equals(
+          getAccessReviewCampaignId(new Date(2025, 6, 1)),
+          "2025-Q3"
+        );
+      }
+    );
+
+    TestFramework.it("should find @-mentions in comments", () => {
+      TestFramework.assert.equals(
+        extractMentions(
+          "@CISO@example.com and @ciso@example.com, please ask @it.lead@example.co.th."
+        ).join(),
+        "ciso@example.com,it.lead@example.co.th"
+      );
+      TestFramework.assert.equals(
+        extractMentions("mail somchai@example.com directly").length,
+        0
+      );
+    });
+
+    TestFramework.it("should strip markup from comments and notes", () => {
+      TestFramework.assert.equals(
+        _sanitizeNotes("<b>ok</b> <script>alert(1)</script>done"),
+        "ok done"
+      );
+      const unclosed = _sanitizeNotes(
+        "hi <img src=x onerror=alert(document.cookie) "
+      );
+      TestFramework.assert.isFalse(
+        unclosed.includes("<"),
+        "An unclosed tag must not survive"
+      );
+      TestFramework.assert.equals(_sanitizeNotes("1 < 2"), "1 < 2");
+    });
+
+    TestFramework.it("should match any of several assigned approvers", () => {
+      const assigned = "Basis.Lead@example.com, ciso@example.com";
+      TestFramework.assert.isTrue(
+        _isAssignedApprover(assigned, "basis.lead@example.com")
+      );
+      TestFramework.assert.isTrue(
+        _isAssignedApprover(assigned, "CISO@example.com")
+      );
+      TestFramework.assert.isFalse(
+        _isAssignedApprover(assigned, "someone@example.com")
+      );
+      TestFramework.assert.isFalse(_isAssignedApprover("", "ciso@example.com"));
+    });
+
+    TestFramework.it(
+      "should ignore requester and admin entries in approval history",
+      () => {
+        const history = [
+          { approverEmail: "Head@example.com", action: STATUS.NEEDS_INFO },
+          { approverEmail: "user@example.com", action: STATUS.RESUBMITTED },
+          { approverEmail: "user@example.com", action: STATUS.CANCELLED },
+          { approverEmail: "admin@example.com", action: STATUS.REASSIGNED },
+        ];
+        TestFramework.assert.isTrue(
+          _hasActionedRequest(history, "head@example.com")
+        );
+        TestFramework.assert.isFalse(
+          _hasActionedRequest(history, "user@example.com")
+        );
+        TestFramework.assert.isFalse(
+          _hasActionedRequest(history, "admin@example.com")
+        );
+      }
+    );
+
+    TestFramework.it(
+      "should match requests against admin search filters",
+      () => {
+        const request = {
+          [COLUMN.REQUEST_ID]: "FM011-0042",
+          [COLUMN.FORM_TYPE]: "ISMS-FM-011",
+          [COLUMN.STATUS]: STATUS.PENDING,
+          [COLUMN.DEPARTMENT]: "Finance",
+          [COLUMN.REQUESTER_NAME]: "Somchai",
+          [COLUMN.REQUESTER_EMAIL]: "somchai@example.com",
+          [COLUMN.CURRENT_APPROVER]: "head@example.com",
+          [COLUMN.TIMESTAMP]: new Date(2024, 4, 10, 9, 0),
+          [COLUMN.DETAILS]: JSON.stringify({
+            position: "Accountant",
+            rules: [{ destIp: "10.0.0.5", port: "443" }],
+          }),
+        };
+        const pendingStatuses = _getPendingStatuses();
+        const matches = (filters) =>
+          _matchesRequestSearch(request, filters, pendingStatuses);
+        TestFramework.assert.isTrue(matches({}));
+        TestFramework.assert.isTrue(
+          matches({ formType: "011", status: "Open", department: "Finance" })
+        );
+        TestFramework.assert.isTrue(matches({ requester: "SOMCHAI@" }));
+        TestFramework.assert.isTrue(matches({ currentApprover: "head" }));
+        TestFramework.assert.isTrue(
+          matches({ dateFrom: "2024-05-10", dateTo: "2024-05-10" })
+        );
+        TestFramework.assert.isTrue(matches({ text: "10.0.0.5 accountant" }));
+        TestFramework.assert.isFalse(matches({ text: "position" }));
+        TestFramework.assert.isFalse(matches({ status: STATUS.APPROVED }));
+        TestFramework.assert.isFalse(matches({ dateFrom: "2024-05-11" }));
+      }
+    );
+
+    TestFramework.it("should count only business hours for SLAs", () => {
+      // Friday 16:00 to Monday 10:00 is one hour each side of the weekend.
+      const friday = new Date(2024, 0, 5, 16, 0);
+      const monday = new Date(2024, 0, 8, 10, 0);
+      TestFramework.assert.equals(_businessHoursBetween(friday, monday), 2);
+      TestFramework.assert.equals(_businessHoursBetween(monday, friday), 0);
+    });
+
+    TestFramework.it("should describe request age in days", () => {
+      const now = new Date("2024-01-10T12:00:00Z");
+      TestFramework.assert.equals(
+        _formatRequestAge("2024-01-10T08:00:00Z", now),
+        "Today"
+      );
+      TestFramework.assert.equals(
+        _formatRequestAge("2024-01-09T08:00:00Z", now),
+        "1 day"
+      );
+      TestFramework.assert.equals(
+        _formatRequestAge("2024-01-06T12:00:00Z", now),
+        "4 days"
+      );
+    });
+
+    TestFramework.it(
+      "should let a delegate act for the assigned approver",
+      () => {
+        const assigned = "head@example.com";
+        TestFramework.assert.equals(
+          _getActingApprover(assigned, "Head@example.com", []),
+          "head@example.com"
+        );
+        TestFramework.assert.equals(
+          _getActingApprover(assigned, "deputy@example.com", [
+            "head@example.com",
+          ]),
+          "head@example.com"
+        );
+        TestFramework.assert.isTrue(
+          _getActingApprover(assigned, "deputy@example.com", []) === null
+        );
+      }
+    );
+
+    // A stand-in for the Loans sheet, so the loan tests never touch the register.
+    const fakeLoansSheet = (rows) => ({
+      rows,
+      getLastRow: () => rows.length,
+      appendRow: (row) => rows.push(row.slice()),
+      getRange: (row, column, numRows = 1, numColumns = 1) => {
+        const range = {
+          getValues: () =>
+            rows
+              .slice(row - 1, row - 1 + numRows)
+              .map((r) => r.slice(column - 1, column - 1 + numColumns)),
+          setValue: (value) => {
+            rows[row - 1][column - 1] = value;
+            return range;
+          },
+          setValues: (values) => {
+            values.forEach((r, i) =>
+              r.forEach((v, j) => (rows[row - 1 + i][column - 1 + j] = v))
+            );
+            return range;
+          },
+          setNumberFormat: () => range,
+        };
+        return range;
+      },
+    });
+    const loanRow = (requestId, endDate, status) => {
+      const values = {
+        RequestId: requestId,
+        RequesterEmail: "user@example.com",
+        StartDate: "2024-01-01",
+        EndDate: endDate,
+        Status: status,
+      };
+      return LOAN_HEADERS.map((header) => values[header] || "");
+    };
+
+    TestFramework.it("should flag loans past their end date as overdue", () => {
+      const loans = _readLoans(
+        fakeLoansSheet([
+          LOAN_HEADERS,
+          loanRow("REQ-1", "2000-01-31", LOAN_STATUS.ON_LOAN),
+          loanRow("REQ-2", "2999-12-31", LOAN_STATUS.ON_LOAN),
+          loanRow("REQ-3", "2000-01-31", LOAN_STATUS.RETURNED),
+        ])
+      );
+      TestFramework.assert.isTrue(loans[0].isOverdue);
+      TestFramework.assert.isFalse(loans[1].isOverdue);
+      TestFramework.assert.isFalse(loans[2].isOverdue);
+    });
+
+    TestFramework.it(
+      "should mark the original loan Extended when an extension is registered",
+      () => {
+        const sheet = fakeLoansSheet([
+          LOAN_HEADERS,
+          loanRow("REQ-1", "2000-01-31", LOAN_STATUS.ON_LOAN),
+        ]);
+        _registerLoan(
+          {
+            [COLUMN.REQUEST_ID]: "REQ-2",
+            [COLUMN.REQUESTER_EMAIL]: "user@example.com",
+            [COLUMN.DETAILS]: JSON.stringify({
+              extendsRequestId: "REQ-1",
+              endDate: "2000-02-29",
+            }),
+          },
+          sheet
+        );
+        const loans = _readLoans(sheet);
+        TestFramework.assert.equals(loans[0].status, LOAN_STATUS.EXTENDED);
+        TestFramework.assert.equals(loans[1].status, LOAN_STATUS.ON_LOAN);
+        TestFramework.assert.equals(loans[1].endDate, "2000-02-29");
+        TestFramework.assert.isTrue(loans[1].isOverdue);
+      }
+    );
+
+    TestFramework.it(
+      "should not let another user's extension supersede a loan or access",
+      () => {
+        const sheet = fakeLoansSheet([
+          LOAN_HEADERS,
+          loanRow("REQ-1", "2000-01-31", LOAN_STATUS.ON_LOAN),
+        ]);
+        _registerLoan(
+          {
+            [COLUMN.REQUEST_ID]: "REQ-2",
+            [COLUMN.REQUESTER_EMAIL]: "other@example.com",
+            [COLUMN.DETAILS]: JSON.stringify({
+              extendsRequestId: "REQ-1",
+              endDate: "2000-02-29",
+            }),
+          },
+          sheet
+        );
+        TestFramework.assert.equals(
+          _readLoans(sheet)[0].status,
+          LOAN_STATUS.ON_LOAN
+        );
+
+        const headers = [
+          COLUMN.REQUEST_ID,
+          COLUMN.FORM_TYPE,
+          COLUMN.REQUESTER_EMAIL,
+          COLUMN.STATUS,
+          COLUMN.DETAILS,
+        ];
+        const vpn = "ISMS-FM-013 - VPN Access";
+        const extension = (requestId, formType, email, extendsRequestId) => [
+          requestId,
+          formType,
+          email,
+          STATUS.APPROVED,
+          JSON.stringify({ extendsRequestId }),
+        ];
+        const extended = _getExtendedRequestIds(
+          [
+            extension("REQ-1", vpn, "user@example.com"),
+            extension("REQ-2", vpn, "user@example.com"),
+            extension("REQ-3", vpn, "User@example.com", "REQ-1"),
+            extension("REQ-4", vpn, "other@example.com", "REQ-2"),
+            extension(
+              "REQ-5",
+              "ISMS-FM-099 - Loan",
+              "user@example.com",
+              "REQ-2"
+            ),
+          ],
+          headers
+        );
+        TestFramework.assert.equals([...extended.approved].join(","), "REQ-1");
+      }
+    );
+
+    TestFramework.it(
+      "should hand over only the departing approver in IT review flows",
+      () => {
+        const cells = {};
+        const itSheet = {
+          getRange: (row, column) => ({
+            setValues: (values) =>
+              values.forEach(
+                ([value], i) => (cells[`${row + i},${column}`] = value)
+              ),
+          }),
+        };
+        const row = [
+          "011",
+          "old@example.com; b@example.com",
+          "new@example.com",
+        ];
+        _handOverApproverWork(
+          {
+            requests: [],
+            itSheet,
+            itRows: [row],
+            itReviewFlows: [{ rowNumber: 2, formId: "011", row, columns: [1] }],
+            workflowSteps: [],
+          },
+          "old@example.com",
+          "new@example.com",
+          "admin@example.com"
+        );
+        TestFramework.assert.equals(
+          cells["2,2"],
+          "new@example.com, b@example.com"
+        );
+        TestFramework.assert.isNull(
+          cells["2,3"],
+          "Columns without the approver are left alone"
+        );
+      }
+    );
+
+    TestFramework.it(
+      "should count only approvals from the current round of a step",
+      () => {
+        const step = "Pending Security Review";
+        const history = [
+          {
+            approverEmail: "head@example.com",
+            action: STATUS.APPROVED,
+            stepStatus: STATUS.PENDING,
+          },
+          {
+            approverEmail: "a@example.com",
+            action: STATUS.APPROVED,
+            stepStatus: step,
+          },
+          { approverEmail: "b@example.com", action: STATUS.NEEDS_INFO },
+          { approverEmail: "user@example.com", action: STATUS.RESUBMITTED },
+          {
+            approverEmail: "b@example.com",
+            action: STATUS.APPROVED,
+            stepStatus: step,
+          },
+        ];
+        const approvers = (entries) =>
+          _getStepRoundApprovals(entries, step)
+            .map((h) => h.approverEmail)
+            .join(", ");
+        TestFramework.assert.equals(approvers(history), "b@example.com");
+        TestFramework.assert.equals(
+          approvers(history.slice(0, 3)),
+          "a@example.com"
+        );
+        TestFramework.assert.equals(approvers(history.slice(0, 1)), "");
+      }
+    );
+
+    TestFramework.it(
+      "should reassign only the replaced approver of a request",
+      () => {
+        const pair = "a@example.com, b@example.com";
+        TestFramework.assert.equals(
+          _getReassignedApproverList(pair, "b@example.com", "c@example.com"),
+          "a@example.com, c@example.com"
+        );
+        TestFramework.assert.isTrue(
+          _getReassignedApproverList(pair, "", "c@example.com") === null
+        );
+        TestFramework.assert.isTrue(
+          _getReassignedApproverList(pair, "x@example.com", "c@example.com") ===
+            null
+        );
+        TestFramework.assert.isTrue(
+          _getReassignedApproverList(pair, "a@example.com", "B@example.com") ===
+            null
+        );
+        TestFramework.assert.equals(
+          _getReassignedApproverList("a@example.com", "", "c@example.com"),
+          "c@example.com"
+        );
+      }
+    );
+
+    TestFramework.it(
+      "should plan an approver handover across requests and workflow steps",
+      () => {
+        const handover = {
+          requestHeaders: [COLUMN.CURRENT_APPROVER, COLUMN.HISTORY],
+          requestRows: [
+            ["old@example.com, b@example.com", "[]"],
+            ["c@example.com", "[]"],
+          ],
+          requests: [
+            {
+              rowNumber: 2,
+              request: {
+                [COLUMN.CURRENT_APPROVER]: "old@example.com, b@example.com",
+                [COLUMN.HISTORY]: "[]",
+              },
+            },
+          ],
+          itRows: [],
+          itReviewFlows: [],
+          workflowRows: [
+            ["026", "old@example.com"],
+            ["012", "d@example.com"],
+          ],
+          workflowApproversIndex: 1,
+          workflowSteps: [{ rowNumber: 2, formId: "026", stepName: "SAP" }],
+        };
+        const plan = _planApproverHandover(
+          handover,
+          "old@example.com",
+          "new@example.com",
+          "admin@example.com"
+        );
+        const [approvers, history, steps] = plan.writes;
+        TestFramework.assert.equals(plan.writes.length, 3);
+        TestFramework.assert.equals(
+          approvers.after.map(([v]) => v).join(" | "),
+          "new@example.com, b@example.com | c@example.com"
+        );
+        TestFramework.assert.equals(
+          JSON.parse(history.after[0][0])[0].action,
+          STATUS.REASSIGNED
+        );
+        TestFramework.assert.equals(history.after[1][0], "[]");
+        TestFramework.assert.equals(
+          steps.after.map(([v]) => v).join(" | "),
+          "new@example.com | d@example.com"
+        );
+      }
+    );
+
+    TestFramework.it("should roll back a handover when a write fails", () => {
+      const cells = { 1: [["old@example.com"]], 2: [["[]"]] };
+      const sheet = {
+        getName: () => "Requests",
+        getRange: (row, column) => ({
+          setValues: (values) => {
+            if (column === 2 && values[0][0] !== "[]") {
+              throw new Error("quota");
+            }
+            cells[column] = values;
+          },
+        }),
+      };
+      const handover = {
+        requestsSheet: sheet,
+        requestHeaders: [COLUMN.CURRENT_APPROVER, COLUMN.HISTORY],
+        requestRows: [["old@example.com", "[]"]],
+        requests: [
+          {
+            rowNumber: 2,
+            request: {
+              [COLUMN.CURRENT_APPROVER]: "old@example.com",
+              [COLUMN.HISTORY]: "[]",
+            },
+          },
+        ],
+        itReviewFlows: [],
+        workflowSteps: [],
+      };
+      let error = null;
+      try {
+        _handOverApproverWork(
+          handover,
+          "old@example.com",
+          "new@example.com",
+          "admin@example.com"
+        );
+      } catch (e) {
+        error = e;
+      }
+      TestFramework.assert.isTrue(error !== null);
+      TestFramework.assert.equals(cells[1][0][0], "old@example.com");
+      TestFramework.assert.equals(cells[2][0][0], "[]");
+    });
+
+    TestFramework.it(
+      "should replace only the chosen approver in an approver list",
+      () => {
+        TestFramework.assert.equals(
+          _replaceInEmailList(
+            "a@example.com, b@example.com",
+            "B@example.com",
+            "c@example.com"
+          ),
+          "a@example.com, c@example.com"
+        );
+        TestFramework.assert.equals(
+          _replaceInEmailList(
+            "a@example.com; b@example.com",
+            "a@example.com",
+            "b@example.com"
+          ),
+          "b@example.com"
+        );
+        TestFramework.assert.equals(
+          _replaceInEmailList(
+            "a@example.com",
+            "x@example.com",
+            "c@example.com"
+          ),
+          "a@example.com, c@example.com"
+        );
+      }
+    );
   });
 }
 
@@ -4526,20 +13024,20 @@ function getAdminSettings() {
   }
 
   try {
-    const disabledFormsJson =
-      SCRIPT_PROPERTIES.getProperty("DISABLED_FORMS") || "[]";
-    const itReviewFormsJson =
-      SCRIPT_PROPERTIES.getProperty("FORMS_REQUIRING_IT_REVIEW") ||
-      JSON.stringify(FORMS_REQUIRING_IT_REVIEW);
+    const formSettings = SettingsService.getAll();
     const itReviewFlows = getItReviewFlows(); // This already returns a structured object
+    const workflowDefinitions = _getWorkflowDefinitions();
 
     const settings = {
       helpdeskEmail: SCRIPT_PROPERTIES.getProperty("HELPDESK_EMAIL") || "",
       itReviewerEmail: SCRIPT_PROPERTIES.getProperty("IT_REVIEWER_EMAIL") || "",
       backupFolderId: SCRIPT_PROPERTIES.getProperty("BACKUP_FOLDER_ID") || "",
-      disabledForms: JSON.parse(disabledFormsJson),
-      itReviewForms: JSON.parse(itReviewFormsJson),
+      disabledForms: formSettings.disabledForms,
+      itReviewForms: formSettings.itReviewForms,
+      subDeptRequiredForms: formSettings.subDeptRequiredForms,
+      slaRules: formSettings.slaRules,
       itReviewFlows: itReviewFlows.success ? itReviewFlows.data : [],
+      workflowDefinitions: workflowDefinitions,
     };
     return ErrorHandler.createSuccess(
       "Settings retrieved successfully",
@@ -4602,12 +13100,38 @@ function updateAdminSettings(settingsToUpdate) {
       );
     }
 
+    // Handle forms requiring a sub-department
+    if (Array.isArray(settingsToUpdate.subDeptRequiredForms)) {
+      validSettings.FORMS_REQUIRING_SUB_DEPT = JSON.stringify(
+        settingsToUpdate.subDeptRequiredForms
+      );
+    }
+
+    // Handle SLA rules
+    if (Array.isArray(settingsToUpdate.slaRules)) {
+      validSettings.SLA_RULES = JSON.stringify(
+        _sanitizeSlaRules(
+          settingsToUpdate.slaRules,
+          settingsToUpdate.workflowDefinitions
+        )
+      );
+    }
+
     // Handle IT Review Flow updates
     if (Array.isArray(settingsToUpdate.itReviewFlows)) {
       updateItReviewFlowsBatch(settingsToUpdate.itReviewFlows);
     }
 
+    // Handle custom approval workflow definitions
+    if (
+      settingsToUpdate.workflowDefinitions &&
+      typeof settingsToUpdate.workflowDefinitions === "object"
+    ) {
+      updateWorkflowDefinitionsBatch(settingsToUpdate.workflowDefinitions);
+    }
+
     SCRIPT_PROPERTIES.setProperties(validSettings, false); // false to not delete other properties
+    SettingsService.invalidate();
     Logger.auditLog("SETTINGS_UPDATED", "System Configuration", {
       updatedBy: getUserEmail(),
       changes: validSettings,
@@ -4681,3 +13205,140 @@ function updateItReviewFlowsBatch(flows) {
   // Clear cache
   Cache.remove(IT_REVIEWER_MAP_CACHE_KEY);
 }
+
+/**
+ * PRIVATE: Cleans the SLA rules sent from the Settings page. Blank thresholds are
+ * stored as null so they fall back to DEFAULT_SLA_RULE, and rows with neither
+ * threshold are dropped.
+ * @param {Array<Object>} rules The rules ({formId, statusLabel, reminderHours, escalationHours}).
+ * @param {Object} [workflowDefinitions] Workflow definitions saved alongside the rules,
+ *   whose step statuses are valid too.
+ * @returns {Array<Object>} The rules to store.
+ * @throws {Error} If a status is not one a request can wait in, or a threshold is invalid.
+ */
+function _sanitizeSlaRules(rules, workflowDefinitions) {
+  const validStatuses = _getPendingStatuses();
+  Object.values(workflowDefinitions || {}).forEach((steps) =>
+    (steps || []).forEach((step) => {
+      const label = (step.statusLabel || "").toString().trim();
+      if (label && !validStatuses.includes(label)) validStatuses.push(label);
+    })
+  );
+  const toHours = (value) => {
+    if (value === null || value === undefined || value.toString().trim() === "")
+      return null;
+    const hours = Number(value);
+    if (isNaN(hours) || hours < 0) {
+      throw new Error(`SLA threshold "${value}" must be 0 or more hours.`);
+    }
+    return hours;
+  };
+
+  return rules
+    .map((rule) => {
+      const statusLabel = (rule.statusLabel || "").toString().trim();
+      if (statusLabel && !validStatuses.includes(statusLabel)) {
+        throw new Error(
+          `SLA status "${statusLabel}" is not a pending status or workflow step.`
+        );
+      }
+      return {
+        formId: (rule.formId || "").toString().trim(),
+        statusLabel,
+        reminderHours: toHours(rule.reminderHours),
+        escalationHours: toHours(rule.escalationHours),
+      };
+    })
+    .filter(
+      (rule) => rule.reminderHours !== null || rule.escalationHours !== null
+    );
+}
+
+/**
+ * Replaces the custom approval chains in the Workflows sheet.
+ * The sheet is created on first use.
+ * @param {Object} definitions A map of formId to an ordered array of steps
+ *   ({name, approverEmails, statusLabel}). Forms with no steps use the default chain.
+ */
+function updateWorkflowDefinitionsBatch(definitions) {
+  // Built-in statuses and history actions drive status handling, so no step may reuse one.
+  const reservedStatuses = Object.values(STATUS);
+  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+  const rows = [];
+
+  Object.keys(definitions).forEach((formId) => {
+    const seenLabels = [];
+    (definitions[formId] || []).forEach((step, index) => {
+      const name = (step.name || "").toString().trim();
+      const statusLabel = (step.statusLabel || "").toString().trim();
+      const approverEmails = Array.isArray(step.approverEmails)
+        ? step.approverEmails.map((e) => e.toString().trim().toLowerCase())
+        : _parseEmailList(step.approverEmails);
+
+      if (!name || !statusLabel || approverEmails.length === 0) {
+        throw new Error(
+          `Step ${
+            index + 1
+          } of form ${formId} needs a name, a status label and at least one approver.`
+        );
+      }
+      if (reservedStatuses.includes(statusLabel)) {
+        throw new Error(
+          `Status label "${statusLabel}" is reserved and cannot be used for a workflow step.`
+        );
+      }
+      if (/[<>"'`]/.test(statusLabel) || /[<>"'`]/.test(name)) {
+        throw new Error(
+          `Step ${
+            index + 1
+          } of form ${formId} contains characters that are not allowed.`
+        );
+      }
+      if (seenLabels.includes(statusLabel)) {
+        throw new Error(
+          `Status label "${statusLabel}" is used by more than one step of form ${formId}.`
+        );
+      }
+      const invalidEmail = approverEmails.find((e) => !emailRegex.test(e));
+      if (invalidEmail) {
+        throw new Error(
+          `Invalid approver email "${invalidEmail}" for form ${formId}.`
+        );
+      }
+
+      seenLabels.push(statusLabel);
+      rows.push([
+        formId,
+        index + 1,
+        name,
+        approverEmails.join(", "),
+        statusLabel,
+        step.mode === APPROVAL_MODE.ALL ? APPROVAL_MODE.ALL : APPROVAL_MODE.ANY,
+      ]);
+    });
+  });
+
+  const spreadsheet = SpreadsheetApp.openById(SPREADSHEET_ID);
+  const sheet =
+    spreadsheet.getSheetByName(WORKFLOWS_SHEET_NAME) ||
+    spreadsheet.insertSheet(WORKFLOWS_SHEET_NAME);
+  const headers = [
+    "FormID",
+    "StepOrder",
+    "StepName",
+    "ApproverEmails",
+    "StatusLabel",
+    "ApprovalMode",
+  ];
+
+  sheet.clearContents();
+  sheet.getRange(1, 1, 1, headers.length).setValues([headers]);
+  if (rows.length > 0) {
+    // Keep form IDs such as '011' as text so leading zeros survive.
+    sheet.getRange(2, 1, rows.length, 1).setNumberFormat("@");
+    sheet.getRange(2, 1, rows.length, headers.length).setValues(rows);
+  }
+
+  // Clear cache
+  Cache.remove(WORKFLOW_DEFINITIONS_CACHE_KEY);
+}